@@ -20,6 +20,60 @@ return [
             'url' => '/settings',
             'verb' => 'POST',
         ],
+        [
+            'name' => 'settings#saveEmailTemplates',
+            'url' => '/settings/email-templates',
+            'verb' => 'POST',
+        ],
+        [
+            'name' => 'settings#saveLinkFormats',
+            'url' => '/settings/link-formats',
+            'verb' => 'POST',
+        ],
+        [
+            'name' => 'settings#startLoginFlow',
+            'url' => '/settings/servers/{id}/login-flow',
+            'verb' => 'POST',
+        ],
+        [
+            'name' => 'settings#pollLoginFlow',
+            'url' => '/settings/servers/{id}/login-flow/poll',
+            'verb' => 'POST',
+        ],
+        [
+            'name' => 'settings#revokeAppPassword',
+            'url' => '/settings/servers/{id}/app-password',
+            'verb' => 'DELETE',
+        ],
+        [
+            'name' => 'settings#installBot',
+            'url' => '/settings/bot',
+            'verb' => 'POST',
+        ],
+        [
+            'name' => 'settings#uninstallBot',
+            'url' => '/settings/bot',
+            'verb' => 'DELETE',
+        ],
+        [
+            'name' => 'audit_log#index',
+            'url' => '/settings/audit-log',
+            'verb' => 'GET',
+        ],
+
+        // Public short links
+        [
+            'name' => 'redirect#resolve',
+            'url' => '/s/{code}',
+            'verb' => 'GET',
+        ],
+
+        // Webhook of the Talk bot
+        [
+            'name' => 'bot#webhook',
+            'url' => '/bot',
+            'verb' => 'POST',
+        ],
 
         // Main page for standalone link generation
         [
@@ -27,6 +81,11 @@ return [
             'url' => '/',
             'verb' => 'GET',
         ],
+        [
+            'name' => 'page#openRoom',
+            'url' => '/rooms/{server}/{token}',
+            'verb' => 'GET',
+        ],
     ],
 
     'ocs' => [
@@ -37,12 +96,34 @@ return [
             'verb' => 'GET',
         ],
 
-        // OCS API endpoint to search rooms
+        // OCS API endpoint to generate federated links for several rooms
+        [
+            'name' => 'api#generateLinks',
+            'url' => '/api/v1/link/batch',
+            'verb' => 'POST',
+        ],
+
+        // OCS API endpoints to search and create rooms
         [
             'name' => 'api#searchRooms',
             'url' => '/api/v1/rooms',
             'verb' => 'GET',
         ],
+        [
+            'name' => 'api#createRoom',
+            'url' => '/api/v1/rooms',
+            'verb' => 'POST',
+        ],
+        [
+            'name' => 'api#roomStatus',
+            'url' => '/api/v1/rooms/{token}/status',
+            'verb' => 'GET',
+        ],
+        [
+            'name' => 'api#formatLink',
+            'url' => '/api/v1/rooms/{token}/link',
+            'verb' => 'GET',
+        ],
 
         // OCS API endpoint to test connection
         [
@@ -51,6 +132,20 @@ return [
             'verb' => 'GET',
         ],
 
+        // OCS API endpoint to diagnose the connection step by step (for admin)
+        [
+            'name' => 'api#diagnostics',
+            'url' => '/api/v1/diagnostics',
+            'verb' => 'GET',
+        ],
+
+        // OCS API endpoint to list configured external servers
+        [
+            'name' => 'api#getServers',
+            'url' => '/api/v1/servers',
+            'verb' => 'GET',
+        ],
+
         // OCS API endpoint to get current settings (for admin)
         [
             'name' => 'api#getSettings',
@@ -58,11 +153,109 @@ return [
             'verb' => 'GET',
         ],
 
+        // OCS API endpoint to search users, groups and contacts as email recipients
+        [
+            'name' => 'api#searchRecipients',
+            'url' => '/api/v1/recipients',
+            'verb' => 'GET',
+        ],
+
         // OCS API endpoint to send link by email
         [
             'name' => 'api#sendEmail',
             'url' => '/api/v1/email',
             'verb' => 'POST',
         ],
+
+        // OCS API endpoints for the federation invitations of the external account
+        [
+            'name' => 'invitation#index',
+            'url' => '/api/v1/invitations',
+            'verb' => 'GET',
+        ],
+        [
+            'name' => 'invitation#accept',
+            'url' => '/api/v1/invitations/{id}',
+            'verb' => 'POST',
+            'requirements' => ['id' => '\d+'],
+        ],
+        [
+            'name' => 'invitation#decline',
+            'url' => '/api/v1/invitations/{id}',
+            'verb' => 'DELETE',
+            'requirements' => ['id' => '\d+'],
+        ],
+
+        // OCS API endpoints for the remote room mapped to a local conversation
+        [
+            'name' => 'room_mapping#show',
+            'url' => '/api/v1/mappings/{token}',
+            'verb' => 'GET',
+        ],
+        [
+            'name' => 'room_mapping#update',
+            'url' => '/api/v1/mappings/{token}',
+            'verb' => 'PUT',
+        ],
+        [
+            'name' => 'room_mapping#destroy',
+            'url' => '/api/v1/mappings/{token}',
+            'verb' => 'DELETE',
+        ],
+
+        // OCS API endpoints for the short links of the current user
+        [
+            'name' => 'short_link#index',
+            'url' => '/api/v1/short-links',
+            'verb' => 'GET',
+        ],
+        [
+            'name' => 'short_link#create',
+            'url' => '/api/v1/short-links',
+            'verb' => 'POST',
+        ],
+        [
+            'name' => 'short_link#show',
+            'url' => '/api/v1/short-links/{id}',
+            'verb' => 'GET',
+            'requirements' => ['id' => '\d+'],
+        ],
+        [
+            'name' => 'short_link#destroy',
+            'url' => '/api/v1/short-links/{id}',
+            'verb' => 'DELETE',
+            'requirements' => ['id' => '\d+'],
+        ],
+
+        // OCS API endpoints for the rooms the current user pinned to the dashboard
+        [
+            'name' => 'pinned_room#index',
+            'url' => '/api/v1/pins',
+            'verb' => 'GET',
+        ],
+        [
+            'name' => 'pinned_room#create',
+            'url' => '/api/v1/pins',
+            'verb' => 'POST',
+        ],
+        [
+            'name' => 'pinned_room#destroy',
+            'url' => '/api/v1/pins/{id}',
+            'verb' => 'DELETE',
+            'requirements' => ['id' => '\d+'],
+        ],
+
+        // OCS API endpoints for the link history of the current user
+        [
+            'name' => 'link_history#index',
+            'url' => '/api/v1/links',
+            'verb' => 'GET',
+        ],
+        [
+            'name' => 'link_history#destroy',
+            'url' => '/api/v1/links/{id}',
+            'verb' => 'DELETE',
+            'requirements' => ['id' => '\d+'],
+        ],
     ],
 ];
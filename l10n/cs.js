@@ -0,0 +1,504 @@
+OC.L10N.register(
+    "federatedtalklink",
+    {
+    "(unchanged)" : "(beze změny)",
+    "A federated Talk link was generated or sent by email" : "Federovaný odkaz Talk byl vytvořen nebo odeslán e-mailem",
+    "A room name of at most 255 characters is required." : "Je vyžadován název místnosti o nejvýše 255 znacích.",
+    "Accept" : "Přijmout",
+    "Accept any pending Talk invitation when generating a link" : "Při vytváření odkazu přijmout všechny čekající pozvánky do Talk",
+    "Access Control" : "Řízení přístupu",
+    "Account" : "Účet",
+    "Action" : "Akce",
+    "Add" : "Přidat",
+    "Add Server" : "Přidat server",
+    "Add Template" : "Přidat šablonu",
+    "All actions" : "Všechny akce",
+    "All checks passed." : "Všechny kontroly prošly.",
+    "All languages" : "Všechny jazyky",
+    "All room types" : "Všechny typy místností",
+    "Answer {command} commands in \"{conversation}\"" : "Odpovídat na příkazy {command} v „{conversation}“",
+    "Any object" : "Jakýkoli objekt",
+    "App is not configured. Please configure the settings first." : "Aplikace není nastavena. Nejprve ji prosím nastavte.",
+    "App password revoked" : "Heslo aplikace bylo odvoláno",
+    "At least one external server is required" : "Je vyžadován alespoň jeden externí server",
+    "At least one recipient is required." : "Je vyžadován alespoň jeden příjemce.",
+    "At least one room identifier is required." : "Je vyžadován alespoň jeden identifikátor místnosti.",
+    "Attach a calendar invite" : "Připojit pozvánku do kalendáře",
+    "Audit Log" : "Auditní záznam",
+    "Authentication" : "Ověření",
+    "Authentication password" : "Heslo pro ověření",
+    "Authentication username" : "Uživatelské jméno pro ověření",
+    "Automatic" : "Automaticky",
+    "Available Rooms" : "Dostupné místnosti",
+    "Bot installed" : "Bot nainstalován",
+    "Bot uninstalled" : "Bot odinstalován",
+    "Browse rooms and invitations" : "Procházet místnosti a pozvánky",
+    "Browser link" : "Odkaz pro prohlížeč",
+    "Bulk Generation" : "Hromadné vytváření",
+    "Call in progress" : "Probíhá hovor",
+    "Cancel" : "Zrušit",
+    "Change remote room" : "Změnit vzdálenou místnost",
+    "Check the %s and that the server is running." : "Zkontrolujte %s a zda server běží.",
+    "Check the %s. It must point to the Nextcloud root, without a path." : "Zkontrolujte %s. Musí ukazovat na kořen Nextcloudu, bez cesty.",
+    "Check the External server URL. It must be the Nextcloud that hosts the Talk rooms, without a path." : "Zkontrolujte URL externího serveru. Musí to být Nextcloud, který hostuje místnosti Talk, bez cesty.",
+    "Check the Target Nextcloud URL. Generated links point to it, so it must be the Nextcloud where users join the calls." : "Zkontrolujte URL cílového Nextcloudu. Vytvořené odkazy na něj ukazují, musí to tedy být Nextcloud, kde se uživatelé připojují k hovorům.",
+    "Check the logs of the external server for the failed request." : "V záznamech externího serveru vyhledejte neúspěšný požadavek.",
+    "Check the logs of the external server for the rejected request." : "V záznamech externího serveru vyhledejte odmítnutý požadavek.",
+    "Choose Remote Room" : "Vybrat vzdálenou místnost",
+    "Close" : "Zavřít",
+    "Configure the external Nextcloud Talk servers used for federated link generation." : "Nastavte externí servery Nextcloud Talk, pro které se vytvářejí federované odkazy.",
+    "Connect" : "Připojit",
+    "Connect the server or update the password." : "Připojte server nebo aktualizujte heslo.",
+    "Connected as" : "Připojeno jako",
+    "Connection Diagnostics" : "Diagnostika připojení",
+    "Connection failed" : "Připojení se nezdařilo",
+    "Connection successful!" : "Připojení bylo úspěšné!",
+    "Conversation" : "Konverzace",
+    "Conversation not found." : "Konverzace nenalezena.",
+    "Copied!" : "Zkopírováno!",
+    "Copy" : "Kopírovat",
+    "Copy link to {room}" : "Kopírovat odkaz na {room}",
+    "Could not add {participants}" : "Nepodařilo se přidat {participants}",
+    "Create" : "Vytvořit",
+    "Create \"{roomName}\" on the external server" : "Vytvořit „{roomName}“ na externím serveru",
+    "Create Remote Room" : "Vytvořit vzdálenou místnost",
+    "Create Room" : "Vytvořit místnost",
+    "Create a conversation on the external Talk server and get its federated link." : "Vytvořte konverzaci na externím serveru Talk a získejte její federovaný odkaz.",
+    "Create remote rooms" : "Vytvářet vzdálené místnosti",
+    "Creating …" : "Vytváření…",
+    "Customize the invitation emails sent with generated links." : "Přizpůsobte e-maily s pozvánkou odesílané s vytvořenými odkazy.",
+    "Decline" : "Odmítnout",
+    "Default" : "Výchozí",
+    "Description (optional)" : "Popis (volitelné)",
+    "Diagnostics failed: {error}" : "Diagnostika selhala: {error}",
+    "Display name" : "Zobrazovaný název",
+    "Display name of this server" : "Zobrazovaný název tohoto serveru",
+    "Duration (minutes)" : "Délka (minuty)",
+    "Email" : "E-mail",
+    "Email Rate Limit" : "Omezení počtu e-mailů",
+    "Email Templates" : "Šablony e-mailů",
+    "Email address" : "E-mailová adresa",
+    "Email address is required." : "E-mailová adresa je povinná.",
+    "Email addresses, users, groups or contacts …" : "E-mailové adresy, uživatelé, skupiny nebo kontakty…",
+    "Email guest" : "Host s e-mailem",
+    "Email limit reached. Please try again later." : "Bylo dosaženo limitu e-mailů. Zkuste to prosím později.",
+    "Email sent" : "E-mail odeslán",
+    "Email sent successfully to %s" : "E-mail byl úspěšně odeslán na %s",
+    "Email sent successfully!" : "E-mail byl úspěšně odeslán!",
+    "Email templates saved" : "Šablony e-mailů uloženy",
+    "Emails per user" : "E-mailů na uživatele",
+    "Enable federation in the Talk admin settings of the external server, or run \"occ config:app:set spreed federation_enabled --value=yes\" there." : "Zapněte federaci v nastavení správy Talk na externím serveru, nebo tam spusťte \"occ config:app:set spreed federation_enabled --value=yes\".",
+    "Enable the notifications app on the external server. Without it, invitations cannot be accepted automatically." : "Zapněte na externím serveru aplikaci upozornění. Bez ní nelze pozvánky přijímat automaticky.",
+    "Enter a valid username and app password, or use \"Connect with login\" to create a new app password." : "Zadejte platné uživatelské jméno a heslo aplikace, nebo použijte „Connect with login“ pro vytvoření nového hesla aplikace.",
+    "Enter password" : "Zadejte heslo",
+    "Enter room name" : "Zadejte název místnosti",
+    "Enter room name …" : "Zadejte název místnosti…",
+    "Every participant needs an id and a type: %s" : "Každý účastník potřebuje ID a typ: %s",
+    "Expires" : "Vyprší",
+    "Expiring" : "S vypršením",
+    "Expiring link created" : "Odkaz s vypršením byl vytvořen",
+    "Export CSV" : "Exportovat CSV",
+    "Export JSON" : "Exportovat JSON",
+    "External Server URL (API Server)" : "URL externího serveru (API server)",
+    "External server \"%s\" does not exist." : "Externí server „%s“ neexistuje.",
+    "External server \"%s\" is not configured." : "Externí server „%s“ není nastaven.",
+    "External server \"%s\" is not fully configured. Fill in all fields and save first." : "Externí server „%s“ není úplně nastaven. Nejprve vyplňte všechna pole a uložte.",
+    "External server URL" : "URL externího serveru",
+    "External server URL is required (%s)" : "URL externího serveru je povinná (%s)",
+    "External server hostname (without https://)" : "Název hostitele externího serveru (bez https://)",
+    "External server not configured. Please contact your administrator." : "Externí server není nastaven. Obraťte se prosím na správce.",
+    "Failed to accept invitation" : "Pozvánku se nepodařilo přijmout",
+    "Failed to accept invitation: %s" : "Pozvánku se nepodařilo přijmout: %s",
+    "Failed to build the link" : "Odkaz se nepodařilo vytvořit",
+    "Failed to change the bot of the conversation" : "Bota konverzace se nepodařilo změnit",
+    "Failed to check the login: %s" : "Přihlášení se nepodařilo ověřit: %s",
+    "Failed to connect the server" : "Server se nepodařilo připojit",
+    "Failed to copy link" : "Odkaz se nepodařilo zkopírovat",
+    "Failed to create room: %s" : "Místnost se nepodařilo vytvořit: %s",
+    "Failed to create the link" : "Odkaz se nepodařilo vytvořit",
+    "Failed to create the room" : "Místnost se nepodařilo vytvořit",
+    "Failed to decline invitation" : "Pozvánku se nepodařilo odmítnout",
+    "Failed to decline invitation: %s" : "Pozvánku se nepodařilo odmítnout: %s",
+    "Failed to export the audit log" : "Auditní záznam se nepodařilo exportovat",
+    "Failed to generate federated link" : "Federovaný odkaz se nepodařilo vytvořit",
+    "Failed to generate link" : "Odkaz se nepodařilo vytvořit",
+    "Failed to generate links" : "Odkazy se nepodařilo vytvořit",
+    "Failed to install the bot" : "Bota se nepodařilo nainstalovat",
+    "Failed to install the bot: %s" : "Bota se nepodařilo nainstalovat: %s",
+    "Failed to load invitations" : "Pozvánky se nepodařilo načíst",
+    "Failed to load recent links" : "Nedávné odkazy se nepodařilo načíst",
+    "Failed to load rooms" : "Místnosti se nepodařilo načíst",
+    "Failed to load the audit log" : "Auditní záznam se nepodařilo načíst",
+    "Failed to load the bots of the conversation" : "Boty konverzace se nepodařilo načíst",
+    "Failed to load the partner rooms" : "Partnerské místnosti se nepodařilo načíst",
+    "Failed to load the room status" : "Stav místnosti se nepodařilo načíst",
+    "Failed to load your Talk conversations" : "Vaše konverzace Talk se nepodařilo načíst",
+    "Failed to parse JSON: %s" : "JSON se nepodařilo zpracovat: %s",
+    "Failed to query external server: %s" : "Dotaz na externí server selhal: %s",
+    "Failed to read the file" : "Soubor se nepodařilo přečíst",
+    "Failed to remove link" : "Odkaz se nepodařilo odebrat",
+    "Failed to revoke the app password" : "Heslo aplikace se nepodařilo odvolat",
+    "Failed to revoke the link" : "Odkaz se nepodařilo zneplatnit",
+    "Failed to save email templates" : "Šablony e-mailů se nepodařilo uložit",
+    "Failed to save email templates: %s" : "Šablony e-mailů se nepodařilo uložit: %s",
+    "Failed to save link formats" : "Formáty odkazů se nepodařilo uložit",
+    "Failed to save link formats: %s" : "Formáty odkazů se nepodařilo uložit: %s",
+    "Failed to save settings" : "Nastavení se nepodařilo uložit",
+    "Failed to save settings: %s" : "Nastavení se nepodařilo uložit: %s",
+    "Failed to save the remote room" : "Vzdálenou místnost se nepodařilo uložit",
+    "Failed to send email" : "E-mail se nepodařilo odeslat",
+    "Failed to send email: %s" : "E-mail se nepodařilo odeslat: %s",
+    "Failed to set the description: %s" : "Popis se nepodařilo nastavit: %s",
+    "Failed to set the room password, the room was not created: %s" : "Heslo místnosti se nepodařilo nastavit, místnost nebyla vytvořena: %s",
+    "Failed to share the link in the chat" : "Odkaz se nepodařilo sdílet v chatu",
+    "Failed to start the login" : "Přihlášení se nepodařilo spustit",
+    "Failed to start the login: %s" : "Přihlášení se nepodařilo spustit: %s",
+    "Failed to uninstall the bot" : "Bota se nepodařilo odinstalovat",
+    "Failed to update the pinned rooms" : "Připnuté místnosti se nepodařilo aktualizovat",
+    "Favorite" : "Oblíbené",
+    "Favorites" : "Oblíbené",
+    "Federated Link" : "Federovaný odkaz",
+    "Federated Link Generated" : "Federovaný odkaz vytvořen",
+    "Federated Talk Link" : "Federated Talk Link",
+    "Federated Talk Link Generator" : "Generátor Federated Talk Link",
+    "Federated cloud ID, e.g. alice@cloud.example.com" : "ID federovaného cloudu, např. alice@cloud.example.com",
+    "Federated link" : "Federovaný odkaz",
+    "Federated link for **%s**:" : "Federovaný odkaz pro **%s**:",
+    "Federated user" : "Federovaný uživatel",
+    "Federation" : "Federace",
+    "Fewest participants" : "Nejméně účastníků",
+    "Filter" : "Filtr",
+    "Filter by room or recipient …" : "Filtrovat podle místnosti nebo příjemce…",
+    "Format" : "Formát",
+    "From" : "Od",
+    "Generate Federated Link" : "Vytvořit federovaný odkaz",
+    "Generate Link" : "Vytvořit odkaz",
+    "Generate a federated link to test the configuration." : "Vytvořte federovaný odkaz pro otestování nastavení.",
+    "Generate direct links to Talk rooms on external Nextcloud servers." : "Vytvářejte přímé odkazy na místnosti Talk na externích serverech Nextcloud.",
+    "Generate links" : "Vytvořit odkazy",
+    "Generated Link" : "Vytvořený odkaz",
+    "Generated links point to a reachable Nextcloud server." : "Vytvořené odkazy ukazují na dostupný server Nextcloud.",
+    "Generating federated link for \"{roomName}\" …" : "Vytváření federovaného odkazu pro „{roomName}“…",
+    "Generating links is limited to certain groups. Please ask an administrator for access." : "Vytváření odkazů je omezeno na určité skupiny. Požádejte prosím správce o přístup.",
+    "Generating …" : "Vytváření…",
+    "Group" : "Skupina",
+    "Group ID on the external server" : "ID skupiny na externím serveru",
+    "Group conversation" : "Skupinová konverzace",
+    "Group not found." : "Skupina nebyla nalezena.",
+    "Guest link" : "Odkaz pro hosty",
+    "Guest name (optional)" : "Jméno hosta (volitelné)",
+    "In the call: {participants}" : "V hovoru: {participants}",
+    "Install Bot" : "Nainstalovat bota",
+    "Install and enable the Talk app on the external server, and make sure the account is not excluded from it." : "Nainstalujte a zapněte aplikaci Talk na externím serveru a ujistěte se, že z ní účet není vyloučen.",
+    "Invalid action value. Valid options: %s" : "Neplatná hodnota action. Platné možnosti: %s",
+    "Invalid email address format." : "Neplatný formát e-mailové adresy.",
+    "Invalid email templates" : "Neplatné šablony e-mailů",
+    "Invalid external server URL format (%s)" : "Neplatný formát URL externího serveru (%s)",
+    "Invalid format value. Valid options: %s" : "Neplatný formát. Platné možnosti: %s",
+    "Invalid limit or offset. The limit must be between 0 and %s." : "Neplatný limit nebo posun. Limit musí být mezi 0 a %s.",
+    "Invalid order value. Valid options: %s" : "Neplatná hodnota order. Platné možnosti: %s",
+    "Invalid response from external server." : "Neplatná odpověď externího serveru.",
+    "Invalid room token." : "Neplatný token místnosti.",
+    "Invalid searchBy value. Valid options: %s" : "Neplatná hodnota searchBy. Platné možnosti: %s",
+    "Invalid sort value. Valid options: %s" : "Neplatná hodnota sort. Platné možnosti: %s",
+    "Invalid target Nextcloud URL format (%s)" : "Neplatný formát URL cílového Nextcloudu (%s)",
+    "Invalid type value. Valid options: %s" : "Neplatná hodnota type. Platné možnosti: %s",
+    "Invitation accepted" : "Pozvánka přijata",
+    "Invitation declined" : "Pozvánka odmítnuta",
+    "Invitation to Talk room: {roomName}" : "Pozvánka do místnosti Talk: {roomName}",
+    "Invitations" : "Pozvánky",
+    "Invite the account to the rooms that links should be generated for." : "Pozvěte účet do místností, pro které se mají vytvářet odkazy.",
+    "Invited by {inviter}" : "Pozval(a) {inviter}",
+    "Join \"{roomName}\" on the external server:" : "Připojit se k „{roomName}“ na externím serveru:",
+    "Join conversation" : "Připojit se ke konverzaci",
+    "Join request failed: %s" : "Žádost o připojení selhala: %s",
+    "Join the call on the external server:" : "Připojit se k hovoru na externím serveru:",
+    "Join the conversation with this link:" : "Připojte se ke konverzaci pomocí tohoto odkazu:",
+    "Join {room}" : "Připojit se k {room}",
+    "Joined {room}" : "Připojeno k {room}",
+    "Language" : "Jazyk",
+    "Last activity" : "Poslední aktivita",
+    "Let users get federated links with a chat command." : "Umožněte uživatelům získat federované odkazy příkazem v chatu.",
+    "Limit each feature to members of the chosen groups. Leave empty to allow all users. Administrators can always use every feature." : "Omezte každou funkci na členy vybraných skupin. Ponechte prázdné pro povolení všem uživatelům. Správci mohou vždy používat všechny funkce.",
+    "Link" : "Odkaz",
+    "Link Formats" : "Formáty odkazů",
+    "Link Generated Successfully!" : "Odkaz byl úspěšně vytvořen!",
+    "Link copied to clipboard!" : "Odkaz zkopírován do schránky!",
+    "Link formats saved" : "Formáty odkazů uloženy",
+    "Link generated" : "Odkaz vytvořen",
+    "Link generated successfully!" : "Odkaz byl úspěšně vytvořen!",
+    "Link is required." : "Odkaz je povinný.",
+    "Link not found." : "Odkaz nebyl nalezen.",
+    "Link revoked" : "Odkaz zneplatněn",
+    "Link shared in the chat" : "Odkaz sdílen v chatu",
+    "Link templates must contain the {token} placeholder." : "Šablony odkazů musí obsahovat zástupný symbol {token}.",
+    "Link type" : "Typ odkazu",
+    "Links generated, invitations accepted and emails sent by users." : "Odkazy vytvořené uživateli, přijaté pozvánky a odeslané e-maily.",
+    "Links you generate will show up here." : "Zde se zobrazí odkazy, které vytvoříte.",
+    "Loading room status …" : "Načítání stavu místnosti…",
+    "Loading …" : "Načítání…",
+    "Log in on the external server to create an app password for this app, or enter a username and password below." : "Přihlaste se na externím serveru a vytvořte heslo aplikace pro tuto aplikaci, nebo níže zadejte uživatelské jméno a heslo.",
+    "Logged in as %s." : "Přihlášen(a) jako %s.",
+    "Looking forward to talking to you!" : "Těším se na rozhovor!",
+    "Match by" : "Vyhledat podle",
+    "Maximum number of emails a user can send. Every recipient counts as one email. Set to 0 for no limit." : "Maximální počet e-mailů, které může uživatel odeslat. Každý příjemce se počítá jako jeden e-mail. 0 znamená bez omezení.",
+    "Maximum uses" : "Maximální počet použití",
+    "Meeting time: %s" : "Čas schůzky: %s",
+    "Message" : "Zpráva",
+    "Most participants" : "Nejvíce účastníků",
+    "Name" : "Název",
+    "Name (A–Z)" : "Název (A–Z)",
+    "Name (Z–A)" : "Název (Z–A)",
+    "Name, token, object ID or description" : "Název, token, ID objektu nebo popis",
+    "New server" : "Nový server",
+    "Next page" : "Další stránka",
+    "Nextcloud %s reachable over HTTPS." : "Nextcloud %s je dostupný přes HTTPS.",
+    "No call running" : "Neprobíhá žádný hovor",
+    "No entries match the filters." : "Filtrům neodpovídají žádné záznamy.",
+    "No link returned from server" : "Server nevrátil žádný odkaz",
+    "No links match the filter." : "Filtru neodpovídají žádné odkazy.",
+    "No login is in progress or it has expired. Please connect again." : "Neprobíhá žádné přihlášení nebo vypršelo. Připojte se prosím znovu.",
+    "No object" : "Žádný objekt",
+    "No partner rooms yet" : "Zatím žádné partnerské místnosti",
+    "No pending invitations." : "Žádné čekající pozvánky.",
+    "No remote room is mapped to this conversation." : "K této konverzaci není přiřazena žádná vzdálená místnost.",
+    "No remote room is set for this conversation. Please ask an administrator for access to the room list." : "Pro tuto konverzaci není nastavena žádná vzdálená místnost. Požádejte prosím správce o přístup k seznamu místností.",
+    "No remote rooms found." : "Nebyly nalezeny žádné vzdálené místnosti.",
+    "No remote rooms match \"%s\"." : "„%s“ neodpovídají žádné vzdálené místnosti.",
+    "No rooms are available on the external server." : "Na externím serveru nejsou k dispozici žádné místnosti.",
+    "No rooms found" : "Nebyly nalezeny žádné místnosti",
+    "No rooms match the filters." : "Filtrům neodpovídají žádné místnosti.",
+    "Not Configured" : "Nenastaveno",
+    "Notifications" : "Upozornění",
+    "Object" : "Objekt",
+    "Object ID" : "ID objektu",
+    "Object type" : "Typ objektu",
+    "One-to-one" : "Jeden na jednoho",
+    "Only moderators can change the remote room of a conversation." : "Vzdálenou místnost konverzace mohou měnit pouze moderátoři.",
+    "Only public rooms can have a password." : "Heslo mohou mít jen veřejné místnosti.",
+    "Open" : "Otevřít",
+    "Open a conversation first" : "Nejprve otevřete konverzaci",
+    "Other" : "Jiné",
+    "Other activities" : "Ostatní aktivity",
+    "Participant type" : "Typ účastníka",
+    "Participants" : "Účastníci",
+    "Participants on the external server" : "Účastníci na externím serveru",
+    "Partner organisation" : "Partnerská organizace",
+    "Partner rooms" : "Partnerské místnosti",
+    "Partner rooms unavailable" : "Partnerské místnosti nejsou dostupné",
+    "Password" : "Heslo",
+    "Password (optional)" : "Heslo (volitelné)",
+    "Password for authenticating with the external Talk API. Leave empty to keep the existing password, unless the external server URL changes." : "Heslo pro ověření vůči externímu API Talk. Ponechte prázdné pro zachování stávajícího hesla, pokud se nemění URL externího serveru.",
+    "Paste one room per line, or upload a CSV file with the rooms in the first column." : "Vložte jednu místnost na řádek, nebo nahrajte soubor CSV s místnostmi v prvním sloupci.",
+    "Pending federation invitations for the external account. Accepted rooms can be used for links." : "Čekající pozvánky federace pro externí účet. Přijaté místnosti lze použít pro odkazy.",
+    "Permanent" : "Trvalý",
+    "Personal message (optional)" : "Osobní zpráva (volitelné)",
+    "Pick the room on the external server that belongs to this conversation. The choice is saved, so the link is available right away next time." : "Vyberte místnost na externím serveru, která patří k této konverzaci. Volba se uloží, takže příště bude odkaz k dispozici hned.",
+    "Pin rooms in the room browser of the Federated Talk Link app, or mark them as favorite on the partner server." : "Připněte místnosti v prohlížeči místností aplikace Federated Talk Link, nebo je označte jako oblíbené na partnerském serveru.",
+    "Pin to Dashboard" : "Připnout na nástěnku",
+    "Pin {room}" : "Připnout {room}",
+    "Pinned" : "Připnuté",
+    "Pinned room not found." : "Připnutá místnost nebyla nalezena.",
+    "Pinned to the dashboard" : "Připnuto na nástěnku",
+    "Placeholders:" : "Zástupné symboly:",
+    "Please ask an administrator to configure the Federated Talk Link settings." : "Požádejte prosím správce o nastavení aplikace Federated Talk Link.",
+    "Please ask the person who sent you the link for a new one." : "Požádejte prosím osobu, která vám odkaz poslala, o nový.",
+    "Preview" : "Náhled",
+    "Previous page" : "Předchozí stránka",
+    "Public" : "Veřejná",
+    "Public conversation (guests can join by link)" : "Veřejná konverzace (hosté se mohou připojit odkazem)",
+    "QR code for {link}" : "QR kód pro {link}",
+    "Quick Link Generator" : "Rychlý generátor odkazů",
+    "Rate limit period" : "Období omezení",
+    "Reachability" : "Dostupnost",
+    "Recent Links" : "Nedávné odkazy",
+    "Recent links" : "Nedávné odkazy",
+    "Recipient" : "Příjemce",
+    "Recipients get the template of their language, or the one for all languages. Without a template the built-in translated text is used." : "Příjemci dostanou šablonu ve svém jazyce, nebo šablonu pro všechny jazyky. Bez šablony se použije vestavěný přeložený text.",
+    "Reconnect" : "Znovu připojit",
+    "Reconnect the server to create a new app password." : "Znovu připojte server a vytvořte nové heslo aplikace.",
+    "Refresh" : "Obnovit",
+    "Refresh Rooms" : "Obnovit místnosti",
+    "Refresh interval in minutes" : "Interval obnovení v minutách",
+    "Reinstall Bot" : "Přeinstalovat bota",
+    "Remote Talk rooms" : "Vzdálené místnosti Talk",
+    "Remote rooms matching \"%s\":" : "Vzdálené místnosti odpovídající „%s“:",
+    "Remote rooms:" : "Vzdálené místnosti:",
+    "Remove from history" : "Odebrat z historie",
+    "Remove server" : "Odebrat server",
+    "Remove template" : "Odebrat šablonu",
+    "Remove {participant}" : "Odebrat {participant}",
+    "Replies to \"%s <room>\" with the federated link of a room on the external server" : "Odpovídá na „%s <místnost>“ federovaným odkazem na místnost na externím serveru",
+    "Reset to default" : "Obnovit výchozí",
+    "Revoke" : "Zneplatnit",
+    "Revoke {link}" : "Zneplatnit {link}",
+    "Room" : "Místnost",
+    "Room \"%s\" not found on the external server." : "Místnost „%s“ nebyla na externím serveru nalezena.",
+    "Room Cache Refresh Interval (minutes)" : "Interval obnovení mezipaměti místností (minuty)",
+    "Room Name" : "Název místnosti",
+    "Room created successfully!" : "Místnost byla úspěšně vytvořena!",
+    "Room identifier cannot be empty." : "Identifikátor místnosti nesmí být prázdný.",
+    "Room identifier is required. Use token, name, displayName, or objectId." : "Je vyžadován identifikátor místnosti. Použijte token, name, displayName nebo objectId.",
+    "Room list" : "Seznam místností",
+    "Room list updated" : "Seznam místností aktualizován",
+    "Room lists of the external servers are cached and refreshed in the background at this interval. Users can still force a live refresh." : "Seznamy místností externích serverů se ukládají do mezipaměti a v tomto intervalu obnovují na pozadí. Uživatelé mohou stále vynutit okamžité obnovení.",
+    "Room name" : "Název místnosti",
+    "Room name to search for" : "Název hledané místnosti",
+    "Room name, token or object ID, one per line" : "Název místnosti, token nebo ID objektu, jeden na řádek",
+    "Room not found on the external server." : "Místnost nebyla na externím serveru nalezena.",
+    "Room or link" : "Místnost nebo odkaz",
+    "Room pinned to the dashboard" : "Místnost připnuta na nástěnku",
+    "Room token is required." : "Token místnosti je povinný.",
+    "Room types" : "Typy místností",
+    "Room unpinned from the dashboard" : "Místnost odepnuta z nástěnky",
+    "Room:" : "Místnost:",
+    "Rooms" : "Místnosti",
+    "Running diagnostics …" : "Probíhá diagnostika…",
+    "Save Link Formats" : "Uložit formáty odkazů",
+    "Save Settings" : "Uložit nastavení",
+    "Save Templates" : "Uložit šablony",
+    "Save the server first to connect it." : "Nejprve server uložte, abyste jej mohli připojit.",
+    "Save the server with its external server URL before connecting." : "Před připojením uložte server s URL externího serveru.",
+    "Saving …" : "Ukládání…",
+    "Search rooms" : "Hledat místnosti",
+    "Searching …" : "Hledání…",
+    "Select a conversation" : "Vyberte konverzaci",
+    "Send" : "Odeslat",
+    "Send by Email" : "Odeslat e-mailem",
+    "Send links by email" : "Odesílat odkazy e-mailem",
+    "Sending …" : "Odesílání…",
+    "Sent" : "Odesláno",
+    "Sent to {recipients}" : "Odesláno: {recipients}",
+    "Server" : "Server",
+    "Server and remote room token are required." : "Server a token vzdálené místnosti jsou povinné.",
+    "Server connected" : "Server připojen",
+    "Server no longer configured" : "Server již není nastaven",
+    "Server:" : "Server:",
+    "Settings saved successfully!" : "Nastavení bylo úspěšně uloženo!",
+    "Share in this chat" : "Sdílet v tomto chatu",
+    "Sharing …" : "Sdílení…",
+    "Show Link" : "Zobrazit odkaz",
+    "Show more" : "Zobrazit více",
+    "Shown to users when they pick the server to generate a link for" : "Zobrazí se uživatelům při výběru serveru, pro který vytvářejí odkaz",
+    "Skipped because a previous step failed." : "Přeskočeno, protože předchozí krok selhal.",
+    "Some checks failed. See the suggested fixes below." : "Některé kontroly selhaly. Navrhovaná řešení najdete níže.",
+    "Sort rooms" : "Seřadit místnosti",
+    "Start" : "Začátek",
+    "Subject" : "Předmět",
+    "Talk" : "Talk",
+    "Talk %s is enabled." : "Talk %s je zapnutý.",
+    "Talk 17.1 or newer is required for the bot." : "Bot vyžaduje Talk 17.1 nebo novější.",
+    "Talk Bot" : "Bot Talk",
+    "Talk conversation" : "Konverzace Talk",
+    "Talk desktop app" : "Desktopová aplikace Talk",
+    "Talk federation is disabled on the external server." : "Federace Talk je na externím serveru vypnutá.",
+    "Talk federation is enabled." : "Federace Talk je zapnutá.",
+    "Talk is enabled." : "Talk je zapnutý.",
+    "Talk is not available for this account on the external server." : "Talk není pro tento účet na externím serveru dostupný.",
+    "Talk lets moderators enable bots, so only the conversations you moderate are listed." : "Talk umožňuje zapínat boty moderátorům, proto jsou uvedeny jen konverzace, které moderujete.",
+    "Target Nextcloud URL" : "URL cílového Nextcloudu",
+    "Target Nextcloud URL (Link Destination)" : "URL cílového Nextcloudu (cíl odkazu)",
+    "Target Nextcloud URL is required (%s)" : "URL cílového Nextcloudu je povinná (%s)",
+    "Target Nextcloud hostname (without https://)" : "Název hostitele cílového Nextcloudu (bez https://)",
+    "Templates for guest links and links that open the Talk desktop app." : "Šablony pro odkazy pro hosty a odkazy, které otevírají desktopovou aplikaci Talk.",
+    "Test Connection" : "Otestovat připojení",
+    "Test server connections" : "Otestovat připojení serverů",
+    "The TLS connection failed. Make sure the server has a valid certificate that this server trusts, e.g. with \"occ security:certificates:import\"." : "Připojení TLS selhalo. Ujistěte se, že server má platný certifikát, kterému tento server důvěřuje, např. pomocí \"occ security:certificates:import\".",
+    "The app password for \"%s\" was revoked. An administrator needs to reconnect the server." : "Heslo aplikace pro „%s“ bylo odvoláno. Správce musí server znovu připojit.",
+    "The app password was probably revoked. Reconnect the server in the Federated Talk Link settings." : "Heslo aplikace bylo pravděpodobně odvoláno. Znovu připojte server v nastavení Federated Talk Link.",
+    "The bot is not available in this conversation. Reinstall it and try again." : "Bot není v této konverzaci dostupný. Přeinstalujte jej a zkuste to znovu.",
+    "The bot only answers in conversations it is enabled in." : "Bot odpovídá jen v konverzacích, ve kterých je zapnutý.",
+    "The capabilities of the external server could not be fetched." : "Schopnosti externího serveru se nepodařilo načíst.",
+    "The connection timed out. Check that a firewall or proxy does not block outgoing HTTPS requests from this server." : "Vypršel časový limit připojení. Zkontrolujte, zda brána firewall nebo proxy neblokuje odchozí požadavky HTTPS z tohoto serveru.",
+    "The credentials were removed, but the external server could not revoke the app password" : "Přihlašovací údaje byly odebrány, ale externí server nemohl odvolat heslo aplikace",
+    "The expiry date must be in the future." : "Datum vypršení musí být v budoucnosti.",
+    "The external server \"%s\" rejected the credentials. An administrator needs to update them." : "Externí server „%s“ odmítl přihlašovací údaje. Správce je musí aktualizovat.",
+    "The external server %s rejected the stored credentials" : "Externí server %s odmítl uložené přihlašovací údaje",
+    "The external server answered, but it is not a Nextcloud server." : "Externí server odpověděl, ale nejde o server Nextcloud.",
+    "The external server did not return the new room." : "Externí server nevrátil novou místnost.",
+    "The external server does not support Login Flow v2." : "Externí server nepodporuje Login Flow v2.",
+    "The external server is in maintenance mode." : "Externí server je v režimu údržby.",
+    "The external server rejected the credentials" : "Externí server odmítl přihlašovací údaje",
+    "The external server rejected the credentials." : "Externí server odmítl přihlašovací údaje.",
+    "The external server reported an error." : "Externí server nahlásil chybu.",
+    "The external server returned no app password." : "Externí server nevrátil žádné heslo aplikace.",
+    "The external server returned no user." : "Externí server nevrátil žádného uživatele.",
+    "The federation invitation for {room} was accepted automatically" : "Pozvánka federace do {room} byla automaticky přijata",
+    "The hostname does not resolve. Check the %s for typos and the DNS configuration of this server." : "Název hostitele nelze přeložit. Zkontrolujte překlepy v %s a nastavení DNS tohoto serveru.",
+    "The hostname of the external Nextcloud server to query for rooms (e.g., {example})" : "Název hostitele externího serveru Nextcloud, na kterém se hledají místnosti (např. {example})",
+    "The hostname used in generated links (e.g., {example}). Links will be formatted as {format}" : "Název hostitele použitý ve vytvořených odkazech (např. {example}). Odkazy budou ve formátu {format}",
+    "The login has expired. Please connect again." : "Přihlášení vypršelo. Připojte se prosím znovu.",
+    "The maximum number of uses must be between 1 and %s." : "Maximální počet použití musí být mezi 1 a %s.",
+    "The notifications app is enabled." : "Aplikace upozornění je zapnutá.",
+    "The notifications app is not enabled on the external server." : "Aplikace upozornění není na externím serveru zapnutá.",
+    "The room token is required." : "Token místnosti je povinný.",
+    "The server answered with HTTP status %s." : "Server odpověděl stavovým kódem HTTP %s.",
+    "The server is not connected with an app password." : "Server není připojen pomocí hesla aplikace.",
+    "The target URL answered, but it is not a Nextcloud server." : "Cílová URL odpověděla, ale nejde o server Nextcloud.",
+    "This conversation is protected by a password. Ask the person who invited you for it." : "Tato konverzace je chráněna heslem. Požádejte o něj osobu, která vás pozvala.",
+    "This link does not exist." : "Tento odkaz neexistuje.",
+    "This link has been revoked." : "Tento odkaz byl zneplatněn.",
+    "This link has expired." : "Platnost tohoto odkazu vypršela.",
+    "This link has reached its maximum number of uses." : "Tento odkaz dosáhl maximálního počtu použití.",
+    "This room is protected by a password. Recipients need it to join, so share it separately." : "Tato místnost je chráněna heslem. Příjemci ho potřebují k připojení, sdílejte ho proto zvlášť.",
+    "Time" : "Čas",
+    "To" : "Do",
+    "Token" : "Token",
+    "Too many participants. At most %s can be added at once." : "Příliš mnoho účastníků. Najednou lze přidat nejvýše %s.",
+    "Too many recipients. At most %s are allowed." : "Příliš mnoho příjemců. Povoleno je nejvýše %s.",
+    "Too many room identifiers. At most %s are allowed per request." : "Příliš mnoho identifikátorů místností. Na jeden požadavek je povoleno nejvýše %s.",
+    "Type" : "Typ",
+    "Type one of these commands in a conversation to get a federated link or a list of remote rooms:" : "Zadejte v konverzaci jeden z těchto příkazů a získáte federovaný odkaz nebo seznam vzdálených místností:",
+    "Uninstall" : "Odinstalovat",
+    "Unknown error" : "Neznámá chyba",
+    "Unknown recipient type." : "Neznámý typ příjemce.",
+    "Unlimited" : "Neomezeně",
+    "Unpin from Dashboard" : "Odepnout z nástěnky",
+    "Unpin {room}" : "Odepnout {room}",
+    "Update the credentials of the server in the Federated Talk Link settings." : "Aktualizujte přihlašovací údaje serveru v nastavení Federated Talk Link.",
+    "Upload CSV" : "Nahrát CSV",
+    "Usage:" : "Použití:",
+    "Use" : "Použít",
+    "Use This Room" : "Použít tuto místnost",
+    "User" : "Uživatel",
+    "User ID" : "ID uživatele",
+    "User ID on the external server" : "ID uživatele na externím serveru",
+    "User has no email address." : "Uživatel nemá e-mailovou adresu.",
+    "User not found." : "Uživatel nebyl nalezen.",
+    "Username" : "Uživatelské jméno",
+    "Username for authenticating with the external Talk API" : "Uživatelské jméno pro ověření vůči externímu API Talk",
+    "Users pick the format when they share a link. Leave a template empty to use the built-in one." : "Uživatelé volí formát při sdílení odkazu. Ponechte šablonu prázdnou pro použití vestavěné.",
+    "Wait until the maintenance of the external server is finished." : "Počkejte, až bude údržba externího serveru dokončena.",
+    "Waiting for login …" : "Čekání na přihlášení…",
+    "When disabled, only invitations for the requested room are accepted automatically. Other rooms have to be accepted explicitly under Invitations on the app page." : "Je-li vypnuto, automaticky se přijímají jen pozvánky do požadované místnosti. Ostatní místnosti je třeba přijmout ručně v části Pozvánky na stránce aplikace.",
+    "You are not allowed to generate federated links." : "Nemáte oprávnění vytvářet federované odkazy.",
+    "You are not allowed to search remote rooms." : "Nemáte oprávnění prohledávat vzdálené místnosti.",
+    "You are not allowed to use this feature." : "Nemáte oprávnění používat tuto funkci.",
+    "You generated a federated link for {room}" : "Vytvořili jste federovaný odkaz pro {room}",
+    "You sent the link to {room} to {recipient}" : "Odeslali jste odkaz na {room} na {recipient}",
+    "_%n entry_::_%n entries_" : ["%n záznam", "%n záznamy", "%n záznamu", "%n záznamů"],
+    "_%n participant_::_%n participants_" : ["%n účastník", "%n účastníci", "%n účastníka", "%n účastníků"],
+    "_Email sent to %1$s of %n recipient_::_Email sent to %1$s of %n recipients_" : ["E-mail odeslán %1$s z %n příjemce", "E-mail odeslán %1$s z %n příjemců", "E-mail odeslán %1$s z %n příjemce", "E-mail odeslán %1$s z %n příjemců"],
+    "_Found %n room._::_Found %n rooms._" : ["Nalezena %n místnost.", "Nalezeny %n místnosti.", "Nalezeno %n místnosti.", "Nalezeno %n místností."],
+    "_Generate %n Link_::_Generate %n Links_" : ["Vytvořit %n odkaz", "Vytvořit %n odkazy", "Vytvořit %n odkazu", "Vytvořit %n odkazů"],
+    "_Used %n time_::_Used %n times_" : ["Použito %nkrát", "Použito %nkrát", "Použito %nkrát", "Použito %nkrát"],
+    "_Used {uses} of %n time_::_Used {uses} of %n times_" : ["Použito {uses} z %n", "Použito {uses} z %n", "Použito {uses} z %n", "Použito {uses} z %n"],
+    "_You can pin at most %n room. Unpin a room first._::_You can pin at most %n rooms. Unpin a room first._" : ["Připnout lze nejvýše %n místnost. Nejprve nějakou odepněte.", "Připnout lze nejvýše %n místnosti. Nejprve nějakou odepněte.", "Připnout lze nejvýše %n místnosti. Nejprve nějakou odepněte.", "Připnout lze nejvýše %n místností. Nejprve nějakou odepněte."],
+    "_and %n more, refine the search to see it._::_and %n more, refine the search to see them._" : ["a %n další, upřesněte hledání, abyste ji viděli.", "a %n další, upřesněte hledání, abyste je viděli.", "a %n další, upřesněte hledání, abyste je viděli.", "a %n dalších, upřesněte hledání, abyste je viděli."],
+    "_{generated} of %n link generated_::_{generated} of %n links generated_" : ["Vytvořeno {generated} z %n odkazu", "Vytvořeno {generated} z %n odkazů", "Vytvořeno {generated} z %n odkazu", "Vytvořeno {generated} z %n odkazů"],
+    "`%s <room>` replies with the federated link of a room" : "`%s <místnost>` odpoví federovaným odkazem na místnost",
+    "`%s search <term>` lists matching remote rooms" : "`%s search <výraz>` vypíše odpovídající vzdálené místnosti",
+    "`%s` replies with the link of the remote room mapped to this conversation" : "`%s` odpoví odkazem na vzdálenou místnost přiřazenou k této konverzaci",
+    "a remote room" : "vzdálenou místnost",
+    "expired" : "vypršel",
+    "expires" : "vyprší",
+    "new server" : "nový server",
+    "per day" : "za den",
+    "per hour" : "za hodinu",
+    "revoked" : "zneplatněn",
+    "since" : "od",
+    "used up" : "vyčerpán",
+    "{sender} has invited you to join the Talk conversation \"{roomName}\"." : "{sender} vás zve ke konverzaci Talk „{roomName}“.",
+    "{start}–{end} of {total}" : "{start}–{end} z {total}"
+},
+"nplurals=4; plural=(n == 1 && n % 1 == 0) ? 0 : (n >= 2 && n <= 4 && n % 1 == 0) ? 1: (n % 1 != 0 ) ? 2 : 3;");
@@ -0,0 +1,504 @@
+OC.L10N.register(
+    "federatedtalklink",
+    {
+    "(unchanged)" : "(unverändert)",
+    "A federated Talk link was generated or sent by email" : "Ein föderierter Talk-Link wurde erzeugt oder per E-Mail gesendet",
+    "A room name of at most 255 characters is required." : "Ein Raumname mit höchstens 255 Zeichen ist erforderlich.",
+    "Accept" : "Annehmen",
+    "Accept any pending Talk invitation when generating a link" : "Beim Erzeugen eines Links alle ausstehenden Talk-Einladungen annehmen",
+    "Access Control" : "Zugriffskontrolle",
+    "Account" : "Konto",
+    "Action" : "Aktion",
+    "Add" : "Hinzufügen",
+    "Add Server" : "Server hinzufügen",
+    "Add Template" : "Vorlage hinzufügen",
+    "All actions" : "Alle Aktionen",
+    "All checks passed." : "Alle Prüfungen bestanden.",
+    "All languages" : "Alle Sprachen",
+    "All room types" : "Alle Raumtypen",
+    "Answer {command} commands in \"{conversation}\"" : "Auf {command}-Befehle in „{conversation}“ antworten",
+    "Any object" : "Beliebiges Objekt",
+    "App is not configured. Please configure the settings first." : "Die App ist nicht konfiguriert. Bitte zuerst die Einstellungen vornehmen.",
+    "App password revoked" : "App-Passwort widerrufen",
+    "At least one external server is required" : "Mindestens ein externer Server ist erforderlich",
+    "At least one recipient is required." : "Mindestens ein Empfänger ist erforderlich.",
+    "At least one room identifier is required." : "Mindestens eine Raumkennung ist erforderlich.",
+    "Attach a calendar invite" : "Kalendereinladung anhängen",
+    "Audit Log" : "Prüfprotokoll",
+    "Authentication" : "Authentifizierung",
+    "Authentication password" : "Passwort für die Authentifizierung",
+    "Authentication username" : "Benutzername für die Authentifizierung",
+    "Automatic" : "Automatisch",
+    "Available Rooms" : "Verfügbare Räume",
+    "Bot installed" : "Bot installiert",
+    "Bot uninstalled" : "Bot deinstalliert",
+    "Browse rooms and invitations" : "Räume und Einladungen durchsuchen",
+    "Browser link" : "Browser-Link",
+    "Bulk Generation" : "Massenerzeugung",
+    "Call in progress" : "Anruf läuft",
+    "Cancel" : "Abbrechen",
+    "Change remote room" : "Entfernten Raum ändern",
+    "Check the %s and that the server is running." : "Prüfe die %s und ob der Server läuft.",
+    "Check the %s. It must point to the Nextcloud root, without a path." : "Prüfe die %s. Sie muss auf das Nextcloud-Stammverzeichnis zeigen, ohne Pfad.",
+    "Check the External server URL. It must be the Nextcloud that hosts the Talk rooms, without a path." : "Prüfe die URL des externen Servers. Sie muss auf die Nextcloud zeigen, die die Talk-Räume bereitstellt, ohne Pfad.",
+    "Check the Target Nextcloud URL. Generated links point to it, so it must be the Nextcloud where users join the calls." : "Prüfe die Ziel-Nextcloud-URL. Erzeugte Links zeigen darauf, daher muss es die Nextcloud sein, über die Benutzer den Anrufen beitreten.",
+    "Check the logs of the external server for the failed request." : "Prüfe die Protokolle des externen Servers auf die fehlgeschlagene Anfrage.",
+    "Check the logs of the external server for the rejected request." : "Prüfe die Protokolle des externen Servers auf die abgelehnte Anfrage.",
+    "Choose Remote Room" : "Entfernten Raum auswählen",
+    "Close" : "Schließen",
+    "Configure the external Nextcloud Talk servers used for federated link generation." : "Konfiguriere die externen Nextcloud-Talk-Server, für die föderierte Links erzeugt werden.",
+    "Connect" : "Verbinden",
+    "Connect the server or update the password." : "Verbinde den Server oder aktualisiere das Passwort.",
+    "Connected as" : "Verbunden als",
+    "Connection Diagnostics" : "Verbindungsdiagnose",
+    "Connection failed" : "Verbindung fehlgeschlagen",
+    "Connection successful!" : "Verbindung erfolgreich!",
+    "Conversation" : "Unterhaltung",
+    "Conversation not found." : "Unterhaltung nicht gefunden.",
+    "Copied!" : "Kopiert!",
+    "Copy" : "Kopieren",
+    "Copy link to {room}" : "Link zu {room} kopieren",
+    "Could not add {participants}" : "{participants} konnte nicht hinzugefügt werden",
+    "Create" : "Erstellen",
+    "Create \"{roomName}\" on the external server" : "„{roomName}“ auf dem externen Server erstellen",
+    "Create Remote Room" : "Entfernten Raum erstellen",
+    "Create Room" : "Raum erstellen",
+    "Create a conversation on the external Talk server and get its federated link." : "Erstelle eine Unterhaltung auf dem externen Talk-Server und erhalte ihren föderierten Link.",
+    "Create remote rooms" : "Entfernte Räume erstellen",
+    "Creating …" : "Wird erstellt …",
+    "Customize the invitation emails sent with generated links." : "Passe die Einladungs-E-Mails an, die mit erzeugten Links versendet werden.",
+    "Decline" : "Ablehnen",
+    "Default" : "Standard",
+    "Description (optional)" : "Beschreibung (optional)",
+    "Diagnostics failed: {error}" : "Diagnose fehlgeschlagen: {error}",
+    "Display name" : "Anzeigename",
+    "Display name of this server" : "Anzeigename dieses Servers",
+    "Duration (minutes)" : "Dauer (Minuten)",
+    "Email" : "E-Mail",
+    "Email Rate Limit" : "E-Mail-Ratenbegrenzung",
+    "Email Templates" : "E-Mail-Vorlagen",
+    "Email address" : "E-Mail-Adresse",
+    "Email address is required." : "Eine E-Mail-Adresse ist erforderlich.",
+    "Email addresses, users, groups or contacts …" : "E-Mail-Adressen, Benutzer, Gruppen oder Kontakte …",
+    "Email guest" : "E-Mail-Gast",
+    "Email limit reached. Please try again later." : "E-Mail-Limit erreicht. Bitte später erneut versuchen.",
+    "Email sent" : "E-Mail gesendet",
+    "Email sent successfully to %s" : "E-Mail erfolgreich an %s gesendet",
+    "Email sent successfully!" : "E-Mail erfolgreich gesendet!",
+    "Email templates saved" : "E-Mail-Vorlagen gespeichert",
+    "Emails per user" : "E-Mails pro Benutzer",
+    "Enable federation in the Talk admin settings of the external server, or run \"occ config:app:set spreed federation_enabled --value=yes\" there." : "Aktiviere die Föderation in den Talk-Administrationseinstellungen des externen Servers oder führe dort \"occ config:app:set spreed federation_enabled --value=yes\" aus.",
+    "Enable the notifications app on the external server. Without it, invitations cannot be accepted automatically." : "Aktiviere die Benachrichtigungs-App auf dem externen Server. Ohne sie können Einladungen nicht automatisch angenommen werden.",
+    "Enter a valid username and app password, or use \"Connect with login\" to create a new app password." : "Gib einen gültigen Benutzernamen und ein App-Passwort ein oder verwende \"Connect with login\", um ein neues App-Passwort zu erstellen.",
+    "Enter password" : "Passwort eingeben",
+    "Enter room name" : "Raumnamen eingeben",
+    "Enter room name …" : "Raumnamen eingeben …",
+    "Every participant needs an id and a type: %s" : "Jeder Teilnehmer benötigt eine ID und einen Typ: %s",
+    "Expires" : "Läuft ab",
+    "Expiring" : "Ablaufend",
+    "Expiring link created" : "Ablaufender Link erstellt",
+    "Export CSV" : "CSV exportieren",
+    "Export JSON" : "JSON exportieren",
+    "External Server URL (API Server)" : "URL des externen Servers (API-Server)",
+    "External server \"%s\" does not exist." : "Der externe Server „%s“ existiert nicht.",
+    "External server \"%s\" is not configured." : "Der externe Server „%s“ ist nicht konfiguriert.",
+    "External server \"%s\" is not fully configured. Fill in all fields and save first." : "Der externe Server „%s“ ist nicht vollständig konfiguriert. Bitte zuerst alle Felder ausfüllen und speichern.",
+    "External server URL" : "URL des externen Servers",
+    "External server URL is required (%s)" : "Die URL des externen Servers ist erforderlich (%s)",
+    "External server hostname (without https://)" : "Hostname des externen Servers (ohne https://)",
+    "External server not configured. Please contact your administrator." : "Externer Server nicht konfiguriert. Bitte wende dich an deine Administration.",
+    "Failed to accept invitation" : "Einladung konnte nicht angenommen werden",
+    "Failed to accept invitation: %s" : "Einladung konnte nicht angenommen werden: %s",
+    "Failed to build the link" : "Der Link konnte nicht erstellt werden",
+    "Failed to change the bot of the conversation" : "Der Bot der Unterhaltung konnte nicht geändert werden",
+    "Failed to check the login: %s" : "Die Anmeldung konnte nicht geprüft werden: %s",
+    "Failed to connect the server" : "Der Server konnte nicht verbunden werden",
+    "Failed to copy link" : "Link konnte nicht kopiert werden",
+    "Failed to create room: %s" : "Raum konnte nicht erstellt werden: %s",
+    "Failed to create the link" : "Der Link konnte nicht erstellt werden",
+    "Failed to create the room" : "Der Raum konnte nicht erstellt werden",
+    "Failed to decline invitation" : "Einladung konnte nicht abgelehnt werden",
+    "Failed to decline invitation: %s" : "Einladung konnte nicht abgelehnt werden: %s",
+    "Failed to export the audit log" : "Das Prüfprotokoll konnte nicht exportiert werden",
+    "Failed to generate federated link" : "Föderierter Link konnte nicht erzeugt werden",
+    "Failed to generate link" : "Link konnte nicht erzeugt werden",
+    "Failed to generate links" : "Links konnten nicht erzeugt werden",
+    "Failed to install the bot" : "Der Bot konnte nicht installiert werden",
+    "Failed to install the bot: %s" : "Der Bot konnte nicht installiert werden: %s",
+    "Failed to load invitations" : "Einladungen konnten nicht geladen werden",
+    "Failed to load recent links" : "Letzte Links konnten nicht geladen werden",
+    "Failed to load rooms" : "Räume konnten nicht geladen werden",
+    "Failed to load the audit log" : "Das Prüfprotokoll konnte nicht geladen werden",
+    "Failed to load the bots of the conversation" : "Die Bots der Unterhaltung konnten nicht geladen werden",
+    "Failed to load the partner rooms" : "Die Partnerräume konnten nicht geladen werden",
+    "Failed to load the room status" : "Der Raumstatus konnte nicht geladen werden",
+    "Failed to load your Talk conversations" : "Deine Talk-Unterhaltungen konnten nicht geladen werden",
+    "Failed to parse JSON: %s" : "JSON konnte nicht verarbeitet werden: %s",
+    "Failed to query external server: %s" : "Abfrage des externen Servers fehlgeschlagen: %s",
+    "Failed to read the file" : "Die Datei konnte nicht gelesen werden",
+    "Failed to remove link" : "Link konnte nicht entfernt werden",
+    "Failed to revoke the app password" : "Das App-Passwort konnte nicht widerrufen werden",
+    "Failed to revoke the link" : "Der Link konnte nicht widerrufen werden",
+    "Failed to save email templates" : "E-Mail-Vorlagen konnten nicht gespeichert werden",
+    "Failed to save email templates: %s" : "E-Mail-Vorlagen konnten nicht gespeichert werden: %s",
+    "Failed to save link formats" : "Linkformate konnten nicht gespeichert werden",
+    "Failed to save link formats: %s" : "Linkformate konnten nicht gespeichert werden: %s",
+    "Failed to save settings" : "Einstellungen konnten nicht gespeichert werden",
+    "Failed to save settings: %s" : "Einstellungen konnten nicht gespeichert werden: %s",
+    "Failed to save the remote room" : "Der entfernte Raum konnte nicht gespeichert werden",
+    "Failed to send email" : "E-Mail konnte nicht gesendet werden",
+    "Failed to send email: %s" : "E-Mail konnte nicht gesendet werden: %s",
+    "Failed to set the description: %s" : "Die Beschreibung konnte nicht gesetzt werden: %s",
+    "Failed to set the room password, the room was not created: %s" : "Das Raumpasswort konnte nicht gesetzt werden, der Raum wurde nicht erstellt: %s",
+    "Failed to share the link in the chat" : "Der Link konnte nicht im Chat geteilt werden",
+    "Failed to start the login" : "Die Anmeldung konnte nicht gestartet werden",
+    "Failed to start the login: %s" : "Die Anmeldung konnte nicht gestartet werden: %s",
+    "Failed to uninstall the bot" : "Der Bot konnte nicht deinstalliert werden",
+    "Failed to update the pinned rooms" : "Die angehefteten Räume konnten nicht aktualisiert werden",
+    "Favorite" : "Favorit",
+    "Favorites" : "Favoriten",
+    "Federated Link" : "Föderierter Link",
+    "Federated Link Generated" : "Föderierter Link erzeugt",
+    "Federated Talk Link" : "Federated Talk Link",
+    "Federated Talk Link Generator" : "Federated-Talk-Link-Generator",
+    "Federated cloud ID, e.g. alice@cloud.example.com" : "Federated-Cloud-ID, z. B. alice@cloud.example.com",
+    "Federated link" : "Föderierter Link",
+    "Federated link for **%s**:" : "Föderierter Link für **%s**:",
+    "Federated user" : "Föderierter Benutzer",
+    "Federation" : "Föderation",
+    "Fewest participants" : "Wenigste Teilnehmer",
+    "Filter" : "Filter",
+    "Filter by room or recipient …" : "Nach Raum oder Empfänger filtern …",
+    "Format" : "Format",
+    "From" : "Von",
+    "Generate Federated Link" : "Föderierten Link erzeugen",
+    "Generate Link" : "Link erzeugen",
+    "Generate a federated link to test the configuration." : "Erzeuge einen föderierten Link, um die Konfiguration zu testen.",
+    "Generate direct links to Talk rooms on external Nextcloud servers." : "Erzeuge direkte Links zu Talk-Räumen auf externen Nextcloud-Servern.",
+    "Generate links" : "Links erzeugen",
+    "Generated Link" : "Erzeugter Link",
+    "Generated links point to a reachable Nextcloud server." : "Erzeugte Links zeigen auf einen erreichbaren Nextcloud-Server.",
+    "Generating federated link for \"{roomName}\" …" : "Föderierter Link für „{roomName}“ wird erzeugt …",
+    "Generating links is limited to certain groups. Please ask an administrator for access." : "Das Erzeugen von Links ist auf bestimmte Gruppen beschränkt. Bitte bitte eine Administration um Zugriff.",
+    "Generating …" : "Wird erzeugt …",
+    "Group" : "Gruppe",
+    "Group ID on the external server" : "Gruppen-ID auf dem externen Server",
+    "Group conversation" : "Gruppenunterhaltung",
+    "Group not found." : "Gruppe nicht gefunden.",
+    "Guest link" : "Gast-Link",
+    "Guest name (optional)" : "Gastname (optional)",
+    "In the call: {participants}" : "Im Anruf: {participants}",
+    "Install Bot" : "Bot installieren",
+    "Install and enable the Talk app on the external server, and make sure the account is not excluded from it." : "Installiere und aktiviere die Talk-App auf dem externen Server und stelle sicher, dass das Konto nicht davon ausgeschlossen ist.",
+    "Invalid action value. Valid options: %s" : "Ungültiger Wert für action. Gültige Optionen: %s",
+    "Invalid email address format." : "Ungültiges E-Mail-Adressformat.",
+    "Invalid email templates" : "Ungültige E-Mail-Vorlagen",
+    "Invalid external server URL format (%s)" : "Ungültiges Format der URL des externen Servers (%s)",
+    "Invalid format value. Valid options: %s" : "Ungültiges Format. Gültige Werte: %s",
+    "Invalid limit or offset. The limit must be between 0 and %s." : "Ungültiges Limit oder ungültiger Versatz. Das Limit muss zwischen 0 und %s liegen.",
+    "Invalid order value. Valid options: %s" : "Ungültiger Wert für order. Gültige Optionen: %s",
+    "Invalid response from external server." : "Ungültige Antwort vom externen Server.",
+    "Invalid room token." : "Ungültiges Raum-Token.",
+    "Invalid searchBy value. Valid options: %s" : "Ungültiger Wert für searchBy. Gültige Optionen: %s",
+    "Invalid sort value. Valid options: %s" : "Ungültiger Wert für sort. Gültige Optionen: %s",
+    "Invalid target Nextcloud URL format (%s)" : "Ungültiges Format der Ziel-Nextcloud-URL (%s)",
+    "Invalid type value. Valid options: %s" : "Ungültiger Wert für type. Gültige Optionen: %s",
+    "Invitation accepted" : "Einladung angenommen",
+    "Invitation declined" : "Einladung abgelehnt",
+    "Invitation to Talk room: {roomName}" : "Einladung in den Talk-Raum: {roomName}",
+    "Invitations" : "Einladungen",
+    "Invite the account to the rooms that links should be generated for." : "Lade das Konto in die Räume ein, für die Links erzeugt werden sollen.",
+    "Invited by {inviter}" : "Eingeladen von {inviter}",
+    "Join \"{roomName}\" on the external server:" : "„{roomName}“ auf dem externen Server beitreten:",
+    "Join conversation" : "Unterhaltung beitreten",
+    "Join request failed: %s" : "Beitrittsanfrage fehlgeschlagen: %s",
+    "Join the call on the external server:" : "Dem Anruf auf dem externen Server beitreten:",
+    "Join the conversation with this link:" : "Tritt der Unterhaltung mit diesem Link bei:",
+    "Join {room}" : "{room} beitreten",
+    "Joined {room}" : "{room} beigetreten",
+    "Language" : "Sprache",
+    "Last activity" : "Letzte Aktivität",
+    "Let users get federated links with a chat command." : "Benutzer können föderierte Links per Chatbefehl abrufen.",
+    "Limit each feature to members of the chosen groups. Leave empty to allow all users. Administrators can always use every feature." : "Beschränke jede Funktion auf Mitglieder der gewählten Gruppen. Leer lassen, um alle Benutzer zuzulassen. Administratoren können immer alle Funktionen nutzen.",
+    "Link" : "Link",
+    "Link Formats" : "Linkformate",
+    "Link Generated Successfully!" : "Link erfolgreich erzeugt!",
+    "Link copied to clipboard!" : "Link in die Zwischenablage kopiert!",
+    "Link formats saved" : "Linkformate gespeichert",
+    "Link generated" : "Link erzeugt",
+    "Link generated successfully!" : "Link erfolgreich erzeugt!",
+    "Link is required." : "Ein Link ist erforderlich.",
+    "Link not found." : "Link nicht gefunden.",
+    "Link revoked" : "Link widerrufen",
+    "Link shared in the chat" : "Link im Chat geteilt",
+    "Link templates must contain the {token} placeholder." : "Linkvorlagen müssen den Platzhalter {token} enthalten.",
+    "Link type" : "Linktyp",
+    "Links generated, invitations accepted and emails sent by users." : "Von Benutzern erzeugte Links, angenommene Einladungen und gesendete E-Mails.",
+    "Links you generate will show up here." : "Von dir erzeugte Links werden hier angezeigt.",
+    "Loading room status …" : "Raumstatus wird geladen …",
+    "Loading …" : "Wird geladen …",
+    "Log in on the external server to create an app password for this app, or enter a username and password below." : "Melde dich auf dem externen Server an, um ein App-Passwort für diese App zu erstellen, oder gib unten Benutzername und Passwort ein.",
+    "Logged in as %s." : "Angemeldet als %s.",
+    "Looking forward to talking to you!" : "Ich freue mich auf das Gespräch!",
+    "Match by" : "Abgleichen nach",
+    "Maximum number of emails a user can send. Every recipient counts as one email. Set to 0 for no limit." : "Maximale Anzahl an E-Mails, die ein Benutzer senden kann. Jeder Empfänger zählt als eine E-Mail. 0 bedeutet kein Limit.",
+    "Maximum uses" : "Maximale Nutzungen",
+    "Meeting time: %s" : "Besprechungszeit: %s",
+    "Message" : "Nachricht",
+    "Most participants" : "Meiste Teilnehmer",
+    "Name" : "Name",
+    "Name (A–Z)" : "Name (A–Z)",
+    "Name (Z–A)" : "Name (Z–A)",
+    "Name, token, object ID or description" : "Name, Token, Objekt-ID oder Beschreibung",
+    "New server" : "Neuer Server",
+    "Next page" : "Nächste Seite",
+    "Nextcloud %s reachable over HTTPS." : "Nextcloud %s ist über HTTPS erreichbar.",
+    "No call running" : "Kein laufender Anruf",
+    "No entries match the filters." : "Keine Einträge entsprechen den Filtern.",
+    "No link returned from server" : "Der Server hat keinen Link zurückgegeben",
+    "No links match the filter." : "Keine Links entsprechen dem Filter.",
+    "No login is in progress or it has expired. Please connect again." : "Es läuft keine Anmeldung oder sie ist abgelaufen. Bitte erneut verbinden.",
+    "No object" : "Kein Objekt",
+    "No partner rooms yet" : "Noch keine Partnerräume",
+    "No pending invitations." : "Keine ausstehenden Einladungen.",
+    "No remote room is mapped to this conversation." : "Dieser Unterhaltung ist kein entfernter Raum zugeordnet.",
+    "No remote room is set for this conversation. Please ask an administrator for access to the room list." : "Für diese Unterhaltung ist kein entfernter Raum festgelegt. Bitte bitte eine Administration um Zugriff auf die Raumliste.",
+    "No remote rooms found." : "Keine entfernten Räume gefunden.",
+    "No remote rooms match \"%s\"." : "Keine entfernten Räume entsprechen „%s“.",
+    "No rooms are available on the external server." : "Auf dem externen Server sind keine Räume verfügbar.",
+    "No rooms found" : "Keine Räume gefunden",
+    "No rooms match the filters." : "Keine Räume entsprechen den Filtern.",
+    "Not Configured" : "Nicht konfiguriert",
+    "Notifications" : "Benachrichtigungen",
+    "Object" : "Objekt",
+    "Object ID" : "Objekt-ID",
+    "Object type" : "Objekttyp",
+    "One-to-one" : "Eins-zu-eins",
+    "Only moderators can change the remote room of a conversation." : "Nur Moderatoren können den entfernten Raum einer Unterhaltung ändern.",
+    "Only public rooms can have a password." : "Nur öffentliche Räume können ein Passwort haben.",
+    "Open" : "Öffnen",
+    "Open a conversation first" : "Öffne zuerst eine Unterhaltung",
+    "Other" : "Andere",
+    "Other activities" : "Andere Aktivitäten",
+    "Participant type" : "Teilnehmertyp",
+    "Participants" : "Teilnehmer",
+    "Participants on the external server" : "Teilnehmer auf dem externen Server",
+    "Partner organisation" : "Partnerorganisation",
+    "Partner rooms" : "Partnerräume",
+    "Partner rooms unavailable" : "Partnerräume nicht verfügbar",
+    "Password" : "Passwort",
+    "Password (optional)" : "Passwort (optional)",
+    "Password for authenticating with the external Talk API. Leave empty to keep the existing password, unless the external server URL changes." : "Passwort für die Authentifizierung an der externen Talk-API. Leer lassen, um das bestehende Passwort zu behalten, außer die URL des externen Servers ändert sich.",
+    "Paste one room per line, or upload a CSV file with the rooms in the first column." : "Füge einen Raum pro Zeile ein oder lade eine CSV-Datei mit den Räumen in der ersten Spalte hoch.",
+    "Pending federation invitations for the external account. Accepted rooms can be used for links." : "Ausstehende Föderationseinladungen für das externe Konto. Angenommene Räume können für Links verwendet werden.",
+    "Permanent" : "Dauerhaft",
+    "Personal message (optional)" : "Persönliche Nachricht (optional)",
+    "Pick the room on the external server that belongs to this conversation. The choice is saved, so the link is available right away next time." : "Wähle den Raum auf dem externen Server, der zu dieser Unterhaltung gehört. Die Auswahl wird gespeichert, sodass der Link beim nächsten Mal sofort verfügbar ist.",
+    "Pin rooms in the room browser of the Federated Talk Link app, or mark them as favorite on the partner server." : "Hefte Räume im Raumbrowser der App Federated Talk Link an oder markiere sie auf dem Partnerserver als Favorit.",
+    "Pin to Dashboard" : "An Dashboard anheften",
+    "Pin {room}" : "{room} anheften",
+    "Pinned" : "Angeheftet",
+    "Pinned room not found." : "Angehefteter Raum nicht gefunden.",
+    "Pinned to the dashboard" : "An das Dashboard angeheftet",
+    "Placeholders:" : "Platzhalter:",
+    "Please ask an administrator to configure the Federated Talk Link settings." : "Bitte eine Administration, die Einstellungen von Federated Talk Link zu konfigurieren.",
+    "Please ask the person who sent you the link for a new one." : "Bitte die Person, die dir den Link geschickt hat, um einen neuen.",
+    "Preview" : "Vorschau",
+    "Previous page" : "Vorherige Seite",
+    "Public" : "Öffentlich",
+    "Public conversation (guests can join by link)" : "Öffentliche Unterhaltung (Gäste können per Link beitreten)",
+    "QR code for {link}" : "QR-Code für {link}",
+    "Quick Link Generator" : "Schnell-Link-Generator",
+    "Rate limit period" : "Zeitraum der Ratenbegrenzung",
+    "Reachability" : "Erreichbarkeit",
+    "Recent Links" : "Letzte Links",
+    "Recent links" : "Letzte Links",
+    "Recipient" : "Empfänger",
+    "Recipients get the template of their language, or the one for all languages. Without a template the built-in translated text is used." : "Empfänger erhalten die Vorlage ihrer Sprache oder die für alle Sprachen. Ohne Vorlage wird der eingebaute übersetzte Text verwendet.",
+    "Reconnect" : "Erneut verbinden",
+    "Reconnect the server to create a new app password." : "Verbinde den Server erneut, um ein neues App-Passwort zu erstellen.",
+    "Refresh" : "Aktualisieren",
+    "Refresh Rooms" : "Räume aktualisieren",
+    "Refresh interval in minutes" : "Aktualisierungsintervall in Minuten",
+    "Reinstall Bot" : "Bot neu installieren",
+    "Remote Talk rooms" : "Entfernte Talk-Räume",
+    "Remote rooms matching \"%s\":" : "Entfernte Räume, die „%s“ entsprechen:",
+    "Remote rooms:" : "Entfernte Räume:",
+    "Remove from history" : "Aus dem Verlauf entfernen",
+    "Remove server" : "Server entfernen",
+    "Remove template" : "Vorlage entfernen",
+    "Remove {participant}" : "{participant} entfernen",
+    "Replies to \"%s <room>\" with the federated link of a room on the external server" : "Antwortet auf „%s <Raum>“ mit dem föderierten Link eines Raums auf dem externen Server",
+    "Reset to default" : "Auf Standard zurücksetzen",
+    "Revoke" : "Widerrufen",
+    "Revoke {link}" : "{link} widerrufen",
+    "Room" : "Raum",
+    "Room \"%s\" not found on the external server." : "Raum „%s“ wurde auf dem externen Server nicht gefunden.",
+    "Room Cache Refresh Interval (minutes)" : "Aktualisierungsintervall des Raumcaches (Minuten)",
+    "Room Name" : "Raumname",
+    "Room created successfully!" : "Raum erfolgreich erstellt!",
+    "Room identifier cannot be empty." : "Die Raumkennung darf nicht leer sein.",
+    "Room identifier is required. Use token, name, displayName, or objectId." : "Eine Raumkennung ist erforderlich. Verwende token, name, displayName oder objectId.",
+    "Room list" : "Raumliste",
+    "Room list updated" : "Raumliste aktualisiert",
+    "Room lists of the external servers are cached and refreshed in the background at this interval. Users can still force a live refresh." : "Raumlisten der externen Server werden zwischengespeichert und in diesem Intervall im Hintergrund aktualisiert. Benutzer können weiterhin eine Live-Aktualisierung erzwingen.",
+    "Room name" : "Raumname",
+    "Room name to search for" : "Zu suchender Raumname",
+    "Room name, token or object ID, one per line" : "Raumname, Token oder Objekt-ID, eine pro Zeile",
+    "Room not found on the external server." : "Raum wurde auf dem externen Server nicht gefunden.",
+    "Room or link" : "Raum oder Link",
+    "Room pinned to the dashboard" : "Raum an das Dashboard angeheftet",
+    "Room token is required." : "Ein Raum-Token ist erforderlich.",
+    "Room types" : "Raumtypen",
+    "Room unpinned from the dashboard" : "Raum vom Dashboard gelöst",
+    "Room:" : "Raum:",
+    "Rooms" : "Räume",
+    "Running diagnostics …" : "Diagnose läuft …",
+    "Save Link Formats" : "Linkformate speichern",
+    "Save Settings" : "Einstellungen speichern",
+    "Save Templates" : "Vorlagen speichern",
+    "Save the server first to connect it." : "Speichere den Server zuerst, um ihn zu verbinden.",
+    "Save the server with its external server URL before connecting." : "Speichere den Server mit der URL des externen Servers, bevor du ihn verbindest.",
+    "Saving …" : "Wird gespeichert …",
+    "Search rooms" : "Räume suchen",
+    "Searching …" : "Wird gesucht …",
+    "Select a conversation" : "Unterhaltung auswählen",
+    "Send" : "Senden",
+    "Send by Email" : "Per E-Mail senden",
+    "Send links by email" : "Links per E-Mail senden",
+    "Sending …" : "Wird gesendet …",
+    "Sent" : "Gesendet",
+    "Sent to {recipients}" : "Gesendet an {recipients}",
+    "Server" : "Server",
+    "Server and remote room token are required." : "Server und Token des entfernten Raums sind erforderlich.",
+    "Server connected" : "Server verbunden",
+    "Server no longer configured" : "Server nicht mehr konfiguriert",
+    "Server:" : "Server:",
+    "Settings saved successfully!" : "Einstellungen erfolgreich gespeichert!",
+    "Share in this chat" : "In diesem Chat teilen",
+    "Sharing …" : "Wird geteilt …",
+    "Show Link" : "Link anzeigen",
+    "Show more" : "Mehr anzeigen",
+    "Shown to users when they pick the server to generate a link for" : "Wird Benutzern angezeigt, wenn sie den Server für einen Link auswählen",
+    "Skipped because a previous step failed." : "Übersprungen, weil ein vorheriger Schritt fehlgeschlagen ist.",
+    "Some checks failed. See the suggested fixes below." : "Einige Prüfungen sind fehlgeschlagen. Siehe die Lösungsvorschläge unten.",
+    "Sort rooms" : "Räume sortieren",
+    "Start" : "Beginn",
+    "Subject" : "Betreff",
+    "Talk" : "Talk",
+    "Talk %s is enabled." : "Talk %s ist aktiviert.",
+    "Talk 17.1 or newer is required for the bot." : "Für den Bot wird Talk 17.1 oder neuer benötigt.",
+    "Talk Bot" : "Talk-Bot",
+    "Talk conversation" : "Talk-Unterhaltung",
+    "Talk desktop app" : "Talk-Desktop-App",
+    "Talk federation is disabled on the external server." : "Die Talk-Föderation ist auf dem externen Server deaktiviert.",
+    "Talk federation is enabled." : "Die Talk-Föderation ist aktiviert.",
+    "Talk is enabled." : "Talk ist aktiviert.",
+    "Talk is not available for this account on the external server." : "Talk ist für dieses Konto auf dem externen Server nicht verfügbar.",
+    "Talk lets moderators enable bots, so only the conversations you moderate are listed." : "Talk erlaubt nur Moderatoren, Bots zu aktivieren, daher werden nur von dir moderierte Unterhaltungen aufgeführt.",
+    "Target Nextcloud URL" : "Ziel-Nextcloud-URL",
+    "Target Nextcloud URL (Link Destination)" : "Ziel-Nextcloud-URL (Linkziel)",
+    "Target Nextcloud URL is required (%s)" : "Die Ziel-Nextcloud-URL ist erforderlich (%s)",
+    "Target Nextcloud hostname (without https://)" : "Hostname der Ziel-Nextcloud (ohne https://)",
+    "Templates for guest links and links that open the Talk desktop app." : "Vorlagen für Gast-Links und Links, die die Talk-Desktop-App öffnen.",
+    "Test Connection" : "Verbindung testen",
+    "Test server connections" : "Serververbindungen testen",
+    "The TLS connection failed. Make sure the server has a valid certificate that this server trusts, e.g. with \"occ security:certificates:import\"." : "Die TLS-Verbindung ist fehlgeschlagen. Stelle sicher, dass der Server ein gültiges Zertifikat hat, dem dieser Server vertraut, z. B. mit \"occ security:certificates:import\".",
+    "The app password for \"%s\" was revoked. An administrator needs to reconnect the server." : "Das App-Passwort für „%s“ wurde widerrufen. Eine Administration muss den Server erneut verbinden.",
+    "The app password was probably revoked. Reconnect the server in the Federated Talk Link settings." : "Das App-Passwort wurde vermutlich widerrufen. Verbinde den Server in den Einstellungen von Federated Talk Link erneut.",
+    "The bot is not available in this conversation. Reinstall it and try again." : "Der Bot ist in dieser Unterhaltung nicht verfügbar. Installiere ihn erneut und versuche es noch einmal.",
+    "The bot only answers in conversations it is enabled in." : "Der Bot antwortet nur in Unterhaltungen, in denen er aktiviert ist.",
+    "The capabilities of the external server could not be fetched." : "Die Fähigkeiten des externen Servers konnten nicht abgerufen werden.",
+    "The connection timed out. Check that a firewall or proxy does not block outgoing HTTPS requests from this server." : "Zeitüberschreitung der Verbindung. Prüfe, ob eine Firewall oder ein Proxy ausgehende HTTPS-Anfragen dieses Servers blockiert.",
+    "The credentials were removed, but the external server could not revoke the app password" : "Die Zugangsdaten wurden entfernt, aber der externe Server konnte das App-Passwort nicht widerrufen",
+    "The expiry date must be in the future." : "Das Ablaufdatum muss in der Zukunft liegen.",
+    "The external server \"%s\" rejected the credentials. An administrator needs to update them." : "Der externe Server „%s“ hat die Zugangsdaten abgelehnt. Eine Administration muss sie aktualisieren.",
+    "The external server %s rejected the stored credentials" : "Der externe Server %s hat die gespeicherten Zugangsdaten abgelehnt",
+    "The external server answered, but it is not a Nextcloud server." : "Der externe Server hat geantwortet, ist aber kein Nextcloud-Server.",
+    "The external server did not return the new room." : "Der externe Server hat den neuen Raum nicht zurückgegeben.",
+    "The external server does not support Login Flow v2." : "Der externe Server unterstützt Login Flow v2 nicht.",
+    "The external server is in maintenance mode." : "Der externe Server befindet sich im Wartungsmodus.",
+    "The external server rejected the credentials" : "Der externe Server hat die Zugangsdaten abgelehnt",
+    "The external server rejected the credentials." : "Der externe Server hat die Zugangsdaten abgelehnt.",
+    "The external server reported an error." : "Der externe Server hat einen Fehler gemeldet.",
+    "The external server returned no app password." : "Der externe Server hat kein App-Passwort zurückgegeben.",
+    "The external server returned no user." : "Der externe Server hat keinen Benutzer zurückgegeben.",
+    "The federation invitation for {room} was accepted automatically" : "Die Föderationseinladung für {room} wurde automatisch angenommen",
+    "The hostname does not resolve. Check the %s for typos and the DNS configuration of this server." : "Der Hostname lässt sich nicht auflösen. Prüfe die %s auf Tippfehler und die DNS-Konfiguration dieses Servers.",
+    "The hostname of the external Nextcloud server to query for rooms (e.g., {example})" : "Hostname des externen Nextcloud-Servers, dessen Räume abgefragt werden (z. B. {example})",
+    "The hostname used in generated links (e.g., {example}). Links will be formatted as {format}" : "Der in erzeugten Links verwendete Hostname (z. B. {example}). Links haben das Format {format}",
+    "The login has expired. Please connect again." : "Die Anmeldung ist abgelaufen. Bitte erneut verbinden.",
+    "The maximum number of uses must be between 1 and %s." : "Die maximale Anzahl an Nutzungen muss zwischen 1 und %s liegen.",
+    "The notifications app is enabled." : "Die Benachrichtigungs-App ist aktiviert.",
+    "The notifications app is not enabled on the external server." : "Die Benachrichtigungs-App ist auf dem externen Server nicht aktiviert.",
+    "The room token is required." : "Das Raum-Token ist erforderlich.",
+    "The server answered with HTTP status %s." : "Der Server hat mit HTTP-Status %s geantwortet.",
+    "The server is not connected with an app password." : "Der Server ist nicht mit einem App-Passwort verbunden.",
+    "The target URL answered, but it is not a Nextcloud server." : "Die Ziel-URL hat geantwortet, ist aber kein Nextcloud-Server.",
+    "This conversation is protected by a password. Ask the person who invited you for it." : "Diese Unterhaltung ist durch ein Passwort geschützt. Fragen Sie die Person, die Sie eingeladen hat, danach.",
+    "This link does not exist." : "Dieser Link existiert nicht.",
+    "This link has been revoked." : "Dieser Link wurde widerrufen.",
+    "This link has expired." : "Dieser Link ist abgelaufen.",
+    "This link has reached its maximum number of uses." : "Dieser Link hat die maximale Anzahl an Nutzungen erreicht.",
+    "This room is protected by a password. Recipients need it to join, so share it separately." : "Dieser Raum ist durch ein Passwort geschützt. Empfänger benötigen es zum Beitreten, teilen Sie es daher separat.",
+    "Time" : "Zeit",
+    "To" : "Bis",
+    "Token" : "Token",
+    "Too many participants. At most %s can be added at once." : "Zu viele Teilnehmer. Es können höchstens %s auf einmal hinzugefügt werden.",
+    "Too many recipients. At most %s are allowed." : "Zu viele Empfänger. Höchstens %s sind erlaubt.",
+    "Too many room identifiers. At most %s are allowed per request." : "Zu viele Raumkennungen. Höchstens %s sind pro Anfrage erlaubt.",
+    "Type" : "Typ",
+    "Type one of these commands in a conversation to get a federated link or a list of remote rooms:" : "Gib einen dieser Befehle in einer Unterhaltung ein, um einen föderierten Link oder eine Liste entfernter Räume zu erhalten:",
+    "Uninstall" : "Deinstallieren",
+    "Unknown error" : "Unbekannter Fehler",
+    "Unknown recipient type." : "Unbekannter Empfängertyp.",
+    "Unlimited" : "Unbegrenzt",
+    "Unpin from Dashboard" : "Vom Dashboard lösen",
+    "Unpin {room}" : "{room} lösen",
+    "Update the credentials of the server in the Federated Talk Link settings." : "Aktualisiere die Zugangsdaten des Servers in den Einstellungen von Federated Talk Link.",
+    "Upload CSV" : "CSV hochladen",
+    "Usage:" : "Verwendung:",
+    "Use" : "Verwenden",
+    "Use This Room" : "Diesen Raum verwenden",
+    "User" : "Benutzer",
+    "User ID" : "Benutzer-ID",
+    "User ID on the external server" : "Benutzer-ID auf dem externen Server",
+    "User has no email address." : "Der Benutzer hat keine E-Mail-Adresse.",
+    "User not found." : "Benutzer nicht gefunden.",
+    "Username" : "Benutzername",
+    "Username for authenticating with the external Talk API" : "Benutzername für die Authentifizierung an der externen Talk-API",
+    "Users pick the format when they share a link. Leave a template empty to use the built-in one." : "Benutzer wählen das Format beim Teilen eines Links. Lassen Sie eine Vorlage leer, um die eingebaute zu verwenden.",
+    "Wait until the maintenance of the external server is finished." : "Warte, bis die Wartung des externen Servers abgeschlossen ist.",
+    "Waiting for login …" : "Warte auf Anmeldung …",
+    "When disabled, only invitations for the requested room are accepted automatically. Other rooms have to be accepted explicitly under Invitations on the app page." : "Wenn deaktiviert, werden nur Einladungen für den angefragten Raum automatisch angenommen. Andere Räume müssen auf der App-Seite unter Einladungen ausdrücklich angenommen werden.",
+    "You are not allowed to generate federated links." : "Du darfst keine föderierten Links erzeugen.",
+    "You are not allowed to search remote rooms." : "Du darfst keine entfernten Räume durchsuchen.",
+    "You are not allowed to use this feature." : "Du darfst diese Funktion nicht verwenden.",
+    "You generated a federated link for {room}" : "Du hast einen föderierten Link für {room} erzeugt",
+    "You sent the link to {room} to {recipient}" : "Du hast den Link zu {room} an {recipient} gesendet",
+    "_%n entry_::_%n entries_" : ["%n Eintrag", "%n Einträge"],
+    "_%n participant_::_%n participants_" : ["%n Teilnehmer", "%n Teilnehmer"],
+    "_Email sent to %1$s of %n recipient_::_Email sent to %1$s of %n recipients_" : ["E-Mail an %1$s von %n Empfänger gesendet", "E-Mail an %1$s von %n Empfängern gesendet"],
+    "_Found %n room._::_Found %n rooms._" : ["%n Raum gefunden.", "%n Räume gefunden."],
+    "_Generate %n Link_::_Generate %n Links_" : ["%n Link erzeugen", "%n Links erzeugen"],
+    "_Used %n time_::_Used %n times_" : ["%n-mal verwendet", "%n-mal verwendet"],
+    "_Used {uses} of %n time_::_Used {uses} of %n times_" : ["{uses} von %n Mal verwendet", "{uses} von %n Malen verwendet"],
+    "_You can pin at most %n room. Unpin a room first._::_You can pin at most %n rooms. Unpin a room first._" : ["Du kannst höchstens %n Raum anheften. Löse zuerst einen Raum.", "Du kannst höchstens %n Räume anheften. Löse zuerst einen Raum."],
+    "_and %n more, refine the search to see it._::_and %n more, refine the search to see them._" : ["und %n weiterer, verfeinere die Suche, um ihn zu sehen.", "und %n weitere, verfeinere die Suche, um sie zu sehen."],
+    "_{generated} of %n link generated_::_{generated} of %n links generated_" : ["{generated} von %n Link erzeugt", "{generated} von %n Links erzeugt"],
+    "`%s <room>` replies with the federated link of a room" : "`%s <Raum>` antwortet mit dem föderierten Link eines Raums",
+    "`%s search <term>` lists matching remote rooms" : "`%s search <Begriff>` listet passende entfernte Räume auf",
+    "`%s` replies with the link of the remote room mapped to this conversation" : "`%s` antwortet mit dem Link des dieser Unterhaltung zugeordneten entfernten Raums",
+    "a remote room" : "einen entfernten Raum",
+    "expired" : "abgelaufen",
+    "expires" : "läuft ab",
+    "new server" : "neuer Server",
+    "per day" : "pro Tag",
+    "per hour" : "pro Stunde",
+    "revoked" : "widerrufen",
+    "since" : "seit",
+    "used up" : "aufgebraucht",
+    "{sender} has invited you to join the Talk conversation \"{roomName}\"." : "{sender} hat dich eingeladen, der Talk-Unterhaltung „{roomName}“ beizutreten.",
+    "{start}–{end} of {total}" : "{start}–{end} von {total}"
+},
+"nplurals=2; plural=(n != 1);");
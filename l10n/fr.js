@@ -0,0 +1,504 @@
+OC.L10N.register(
+    "federatedtalklink",
+    {
+    "(unchanged)" : "(inchangé)",
+    "A federated Talk link was generated or sent by email" : "Un lien Talk fédéré a été généré ou envoyé par e-mail",
+    "A room name of at most 255 characters is required." : "Un nom de salon de 255 caractères au maximum est requis.",
+    "Accept" : "Accepter",
+    "Accept any pending Talk invitation when generating a link" : "Accepter toutes les invitations Talk en attente lors de la génération d'un lien",
+    "Access Control" : "Contrôle d'accès",
+    "Account" : "Compte",
+    "Action" : "Action",
+    "Add" : "Ajouter",
+    "Add Server" : "Ajouter un serveur",
+    "Add Template" : "Ajouter un modèle",
+    "All actions" : "Toutes les actions",
+    "All checks passed." : "Toutes les vérifications ont réussi.",
+    "All languages" : "Toutes les langues",
+    "All room types" : "Tous les types de salon",
+    "Answer {command} commands in \"{conversation}\"" : "Répondre aux commandes {command} dans « {conversation} »",
+    "Any object" : "N'importe quel objet",
+    "App is not configured. Please configure the settings first." : "L'application n'est pas configurée. Veuillez d'abord configurer les paramètres.",
+    "App password revoked" : "Mot de passe d'application révoqué",
+    "At least one external server is required" : "Au moins un serveur externe est requis",
+    "At least one recipient is required." : "Au moins un destinataire est requis.",
+    "At least one room identifier is required." : "Au moins un identifiant de salon est requis.",
+    "Attach a calendar invite" : "Joindre une invitation d'agenda",
+    "Audit Log" : "Journal d'audit",
+    "Authentication" : "Authentification",
+    "Authentication password" : "Mot de passe d'authentification",
+    "Authentication username" : "Nom d'utilisateur d'authentification",
+    "Automatic" : "Automatique",
+    "Available Rooms" : "Salons disponibles",
+    "Bot installed" : "Bot installé",
+    "Bot uninstalled" : "Bot désinstallé",
+    "Browse rooms and invitations" : "Parcourir les salons et les invitations",
+    "Browser link" : "Lien pour le navigateur",
+    "Bulk Generation" : "Génération en masse",
+    "Call in progress" : "Appel en cours",
+    "Cancel" : "Annuler",
+    "Change remote room" : "Changer de salon distant",
+    "Check the %s and that the server is running." : "Vérifiez le champ %s et que le serveur fonctionne.",
+    "Check the %s. It must point to the Nextcloud root, without a path." : "Vérifiez le champ %s. Il doit pointer vers la racine de Nextcloud, sans chemin.",
+    "Check the External server URL. It must be the Nextcloud that hosts the Talk rooms, without a path." : "Vérifiez l'URL du serveur externe. Il doit s'agir du Nextcloud qui héberge les salons Talk, sans chemin.",
+    "Check the Target Nextcloud URL. Generated links point to it, so it must be the Nextcloud where users join the calls." : "Vérifiez l'URL du Nextcloud cible. Les liens générés pointent vers elle, il doit donc s'agir du Nextcloud où les utilisateurs rejoignent les appels.",
+    "Check the logs of the external server for the failed request." : "Consultez les journaux du serveur externe pour la requête échouée.",
+    "Check the logs of the external server for the rejected request." : "Consultez les journaux du serveur externe pour la requête refusée.",
+    "Choose Remote Room" : "Choisir le salon distant",
+    "Close" : "Fermer",
+    "Configure the external Nextcloud Talk servers used for federated link generation." : "Configurez les serveurs Nextcloud Talk externes utilisés pour générer les liens fédérés.",
+    "Connect" : "Connecter",
+    "Connect the server or update the password." : "Connectez le serveur ou mettez à jour le mot de passe.",
+    "Connected as" : "Connecté en tant que",
+    "Connection Diagnostics" : "Diagnostic de connexion",
+    "Connection failed" : "Échec de la connexion",
+    "Connection successful!" : "Connexion réussie !",
+    "Conversation" : "Conversation",
+    "Conversation not found." : "Conversation introuvable.",
+    "Copied!" : "Copié !",
+    "Copy" : "Copier",
+    "Copy link to {room}" : "Copier le lien vers {room}",
+    "Could not add {participants}" : "Impossible d'ajouter {participants}",
+    "Create" : "Créer",
+    "Create \"{roomName}\" on the external server" : "Créer « {roomName} » sur le serveur externe",
+    "Create Remote Room" : "Créer un salon distant",
+    "Create Room" : "Créer un salon",
+    "Create a conversation on the external Talk server and get its federated link." : "Créez une conversation sur le serveur Talk externe et obtenez son lien fédéré.",
+    "Create remote rooms" : "Créer des salons distants",
+    "Creating …" : "Création …",
+    "Customize the invitation emails sent with generated links." : "Personnalisez les e-mails d'invitation envoyés avec les liens générés.",
+    "Decline" : "Refuser",
+    "Default" : "Par défaut",
+    "Description (optional)" : "Description (facultative)",
+    "Diagnostics failed: {error}" : "Échec du diagnostic : {error}",
+    "Display name" : "Nom d'affichage",
+    "Display name of this server" : "Nom d'affichage de ce serveur",
+    "Duration (minutes)" : "Durée (minutes)",
+    "Email" : "E-mail",
+    "Email Rate Limit" : "Limite d'envoi d'e-mails",
+    "Email Templates" : "Modèles d'e-mail",
+    "Email address" : "Adresse e-mail",
+    "Email address is required." : "Une adresse e-mail est requise.",
+    "Email addresses, users, groups or contacts …" : "Adresses e-mail, utilisateurs, groupes ou contacts …",
+    "Email guest" : "Invité par e-mail",
+    "Email limit reached. Please try again later." : "Limite d'e-mails atteinte. Veuillez réessayer plus tard.",
+    "Email sent" : "E-mail envoyé",
+    "Email sent successfully to %s" : "E-mail envoyé avec succès à %s",
+    "Email sent successfully!" : "E-mail envoyé avec succès !",
+    "Email templates saved" : "Modèles d'e-mail enregistrés",
+    "Emails per user" : "E-mails par utilisateur",
+    "Enable federation in the Talk admin settings of the external server, or run \"occ config:app:set spreed federation_enabled --value=yes\" there." : "Activez la fédération dans les paramètres d'administration de Talk sur le serveur externe, ou exécutez-y \"occ config:app:set spreed federation_enabled --value=yes\".",
+    "Enable the notifications app on the external server. Without it, invitations cannot be accepted automatically." : "Activez l'application de notifications sur le serveur externe. Sans elle, les invitations ne peuvent pas être acceptées automatiquement.",
+    "Enter a valid username and app password, or use \"Connect with login\" to create a new app password." : "Saisissez un nom d'utilisateur et un mot de passe d'application valides, ou utilisez « Connect with login » pour créer un nouveau mot de passe d'application.",
+    "Enter password" : "Saisir le mot de passe",
+    "Enter room name" : "Saisir le nom du salon",
+    "Enter room name …" : "Saisir le nom du salon …",
+    "Every participant needs an id and a type: %s" : "Chaque participant a besoin d'un identifiant et d'un type : %s",
+    "Expires" : "Expire",
+    "Expiring" : "Avec expiration",
+    "Expiring link created" : "Lien avec expiration créé",
+    "Export CSV" : "Exporter en CSV",
+    "Export JSON" : "Exporter en JSON",
+    "External Server URL (API Server)" : "URL du serveur externe (serveur API)",
+    "External server \"%s\" does not exist." : "Le serveur externe « %s » n'existe pas.",
+    "External server \"%s\" is not configured." : "Le serveur externe « %s » n'est pas configuré.",
+    "External server \"%s\" is not fully configured. Fill in all fields and save first." : "Le serveur externe « %s » n'est pas entièrement configuré. Remplissez d'abord tous les champs et enregistrez.",
+    "External server URL" : "URL du serveur externe",
+    "External server URL is required (%s)" : "L'URL du serveur externe est requise (%s)",
+    "External server hostname (without https://)" : "Nom d'hôte du serveur externe (sans https://)",
+    "External server not configured. Please contact your administrator." : "Serveur externe non configuré. Veuillez contacter votre administrateur.",
+    "Failed to accept invitation" : "Impossible d'accepter l'invitation",
+    "Failed to accept invitation: %s" : "Impossible d'accepter l'invitation : %s",
+    "Failed to build the link" : "Impossible de créer le lien",
+    "Failed to change the bot of the conversation" : "Impossible de modifier le bot de la conversation",
+    "Failed to check the login: %s" : "Impossible de vérifier la connexion : %s",
+    "Failed to connect the server" : "Impossible de connecter le serveur",
+    "Failed to copy link" : "Impossible de copier le lien",
+    "Failed to create room: %s" : "Impossible de créer le salon : %s",
+    "Failed to create the link" : "Impossible de créer le lien",
+    "Failed to create the room" : "Impossible de créer le salon",
+    "Failed to decline invitation" : "Impossible de refuser l'invitation",
+    "Failed to decline invitation: %s" : "Impossible de refuser l'invitation : %s",
+    "Failed to export the audit log" : "Impossible d'exporter le journal d'audit",
+    "Failed to generate federated link" : "Impossible de générer le lien fédéré",
+    "Failed to generate link" : "Impossible de générer le lien",
+    "Failed to generate links" : "Impossible de générer les liens",
+    "Failed to install the bot" : "Impossible d'installer le bot",
+    "Failed to install the bot: %s" : "Impossible d'installer le bot : %s",
+    "Failed to load invitations" : "Impossible de charger les invitations",
+    "Failed to load recent links" : "Impossible de charger les liens récents",
+    "Failed to load rooms" : "Impossible de charger les salons",
+    "Failed to load the audit log" : "Impossible de charger le journal d'audit",
+    "Failed to load the bots of the conversation" : "Impossible de charger les bots de la conversation",
+    "Failed to load the partner rooms" : "Impossible de charger les salons partenaires",
+    "Failed to load the room status" : "Impossible de charger l'état du salon",
+    "Failed to load your Talk conversations" : "Impossible de charger vos conversations Talk",
+    "Failed to parse JSON: %s" : "Impossible d'analyser le JSON : %s",
+    "Failed to query external server: %s" : "Échec de la requête au serveur externe : %s",
+    "Failed to read the file" : "Impossible de lire le fichier",
+    "Failed to remove link" : "Impossible de supprimer le lien",
+    "Failed to revoke the app password" : "Impossible de révoquer le mot de passe d'application",
+    "Failed to revoke the link" : "Impossible de révoquer le lien",
+    "Failed to save email templates" : "Impossible d'enregistrer les modèles d'e-mail",
+    "Failed to save email templates: %s" : "Impossible d'enregistrer les modèles d'e-mail : %s",
+    "Failed to save link formats" : "Impossible d'enregistrer les formats de lien",
+    "Failed to save link formats: %s" : "Impossible d'enregistrer les formats de lien : %s",
+    "Failed to save settings" : "Impossible d'enregistrer les paramètres",
+    "Failed to save settings: %s" : "Impossible d'enregistrer les paramètres : %s",
+    "Failed to save the remote room" : "Impossible d'enregistrer le salon distant",
+    "Failed to send email" : "Impossible d'envoyer l'e-mail",
+    "Failed to send email: %s" : "Impossible d'envoyer l'e-mail : %s",
+    "Failed to set the description: %s" : "Impossible de définir la description : %s",
+    "Failed to set the room password, the room was not created: %s" : "Impossible de définir le mot de passe du salon, le salon n'a pas été créé : %s",
+    "Failed to share the link in the chat" : "Impossible de partager le lien dans la discussion",
+    "Failed to start the login" : "Impossible de démarrer la connexion",
+    "Failed to start the login: %s" : "Impossible de démarrer la connexion : %s",
+    "Failed to uninstall the bot" : "Impossible de désinstaller le bot",
+    "Failed to update the pinned rooms" : "Impossible de mettre à jour les salons épinglés",
+    "Favorite" : "Favori",
+    "Favorites" : "Favoris",
+    "Federated Link" : "Lien fédéré",
+    "Federated Link Generated" : "Lien fédéré généré",
+    "Federated Talk Link" : "Federated Talk Link",
+    "Federated Talk Link Generator" : "Générateur Federated Talk Link",
+    "Federated cloud ID, e.g. alice@cloud.example.com" : "ID de cloud fédéré, par ex. alice@cloud.example.com",
+    "Federated link" : "Lien fédéré",
+    "Federated link for **%s**:" : "Lien fédéré pour **%s** :",
+    "Federated user" : "Utilisateur fédéré",
+    "Federation" : "Fédération",
+    "Fewest participants" : "Moins de participants",
+    "Filter" : "Filtrer",
+    "Filter by room or recipient …" : "Filtrer par salon ou destinataire …",
+    "Format" : "Format",
+    "From" : "Du",
+    "Generate Federated Link" : "Générer un lien fédéré",
+    "Generate Link" : "Générer le lien",
+    "Generate a federated link to test the configuration." : "Générez un lien fédéré pour tester la configuration.",
+    "Generate direct links to Talk rooms on external Nextcloud servers." : "Générez des liens directs vers des salons Talk sur des serveurs Nextcloud externes.",
+    "Generate links" : "Générer des liens",
+    "Generated Link" : "Lien généré",
+    "Generated links point to a reachable Nextcloud server." : "Les liens générés pointent vers un serveur Nextcloud joignable.",
+    "Generating federated link for \"{roomName}\" …" : "Génération du lien fédéré pour « {roomName} » …",
+    "Generating links is limited to certain groups. Please ask an administrator for access." : "La génération de liens est réservée à certains groupes. Veuillez demander l'accès à un administrateur.",
+    "Generating …" : "Génération …",
+    "Group" : "Groupe",
+    "Group ID on the external server" : "ID du groupe sur le serveur externe",
+    "Group conversation" : "Conversation de groupe",
+    "Group not found." : "Groupe introuvable.",
+    "Guest link" : "Lien invité",
+    "Guest name (optional)" : "Nom de l'invité (facultatif)",
+    "In the call: {participants}" : "Dans l'appel : {participants}",
+    "Install Bot" : "Installer le bot",
+    "Install and enable the Talk app on the external server, and make sure the account is not excluded from it." : "Installez et activez l'application Talk sur le serveur externe, et vérifiez que le compte n'en est pas exclu.",
+    "Invalid action value. Valid options: %s" : "Valeur action invalide. Options valides : %s",
+    "Invalid email address format." : "Format d'adresse e-mail invalide.",
+    "Invalid email templates" : "Modèles d'e-mail invalides",
+    "Invalid external server URL format (%s)" : "Format d'URL du serveur externe invalide (%s)",
+    "Invalid format value. Valid options: %s" : "Format non valide. Options valides : %s",
+    "Invalid limit or offset. The limit must be between 0 and %s." : "Limite ou décalage invalide. La limite doit être comprise entre 0 et %s.",
+    "Invalid order value. Valid options: %s" : "Valeur order invalide. Options valides : %s",
+    "Invalid response from external server." : "Réponse invalide du serveur externe.",
+    "Invalid room token." : "Jeton de salle non valide.",
+    "Invalid searchBy value. Valid options: %s" : "Valeur searchBy invalide. Options valides : %s",
+    "Invalid sort value. Valid options: %s" : "Valeur sort invalide. Options valides : %s",
+    "Invalid target Nextcloud URL format (%s)" : "Format d'URL du Nextcloud cible invalide (%s)",
+    "Invalid type value. Valid options: %s" : "Valeur type invalide. Options valides : %s",
+    "Invitation accepted" : "Invitation acceptée",
+    "Invitation declined" : "Invitation refusée",
+    "Invitation to Talk room: {roomName}" : "Invitation au salon Talk : {roomName}",
+    "Invitations" : "Invitations",
+    "Invite the account to the rooms that links should be generated for." : "Invitez le compte dans les salons pour lesquels des liens doivent être générés.",
+    "Invited by {inviter}" : "Invité par {inviter}",
+    "Join \"{roomName}\" on the external server:" : "Rejoindre « {roomName} » sur le serveur externe :",
+    "Join conversation" : "Rejoindre la conversation",
+    "Join request failed: %s" : "Échec de la demande pour rejoindre : %s",
+    "Join the call on the external server:" : "Rejoindre l'appel sur le serveur externe :",
+    "Join the conversation with this link:" : "Rejoignez la conversation avec ce lien :",
+    "Join {room}" : "Rejoindre {room}",
+    "Joined {room}" : "{room} rejoint",
+    "Language" : "Langue",
+    "Last activity" : "Dernière activité",
+    "Let users get federated links with a chat command." : "Permettez aux utilisateurs d'obtenir des liens fédérés avec une commande de discussion.",
+    "Limit each feature to members of the chosen groups. Leave empty to allow all users. Administrators can always use every feature." : "Limitez chaque fonctionnalité aux membres des groupes choisis. Laissez vide pour autoriser tous les utilisateurs. Les administrateurs peuvent toujours utiliser toutes les fonctionnalités.",
+    "Link" : "Lien",
+    "Link Formats" : "Formats de lien",
+    "Link Generated Successfully!" : "Lien généré avec succès !",
+    "Link copied to clipboard!" : "Lien copié dans le presse-papiers !",
+    "Link formats saved" : "Formats de lien enregistrés",
+    "Link generated" : "Lien généré",
+    "Link generated successfully!" : "Lien généré avec succès !",
+    "Link is required." : "Un lien est requis.",
+    "Link not found." : "Lien introuvable.",
+    "Link revoked" : "Lien révoqué",
+    "Link shared in the chat" : "Lien partagé dans la discussion",
+    "Link templates must contain the {token} placeholder." : "Les modèles de lien doivent contenir l'espace réservé {token}.",
+    "Link type" : "Type de lien",
+    "Links generated, invitations accepted and emails sent by users." : "Liens générés, invitations acceptées et e-mails envoyés par les utilisateurs.",
+    "Links you generate will show up here." : "Les liens que vous générez s'afficheront ici.",
+    "Loading room status …" : "Chargement de l'état du salon …",
+    "Loading …" : "Chargement …",
+    "Log in on the external server to create an app password for this app, or enter a username and password below." : "Connectez-vous sur le serveur externe pour créer un mot de passe d'application pour cette application, ou saisissez un nom d'utilisateur et un mot de passe ci-dessous.",
+    "Logged in as %s." : "Connecté en tant que %s.",
+    "Looking forward to talking to you!" : "Au plaisir de discuter avec vous !",
+    "Match by" : "Correspondance par",
+    "Maximum number of emails a user can send. Every recipient counts as one email. Set to 0 for no limit." : "Nombre maximal d'e-mails qu'un utilisateur peut envoyer. Chaque destinataire compte pour un e-mail. Mettez 0 pour aucune limite.",
+    "Maximum uses" : "Utilisations maximales",
+    "Meeting time: %s" : "Heure de la réunion : %s",
+    "Message" : "Message",
+    "Most participants" : "Plus de participants",
+    "Name" : "Nom",
+    "Name (A–Z)" : "Nom (A–Z)",
+    "Name (Z–A)" : "Nom (Z–A)",
+    "Name, token, object ID or description" : "Nom, jeton, ID d'objet ou description",
+    "New server" : "Nouveau serveur",
+    "Next page" : "Page suivante",
+    "Nextcloud %s reachable over HTTPS." : "Nextcloud %s joignable en HTTPS.",
+    "No call running" : "Aucun appel en cours",
+    "No entries match the filters." : "Aucune entrée ne correspond aux filtres.",
+    "No link returned from server" : "Le serveur n'a renvoyé aucun lien",
+    "No links match the filter." : "Aucun lien ne correspond au filtre.",
+    "No login is in progress or it has expired. Please connect again." : "Aucune connexion en cours ou elle a expiré. Veuillez vous reconnecter.",
+    "No object" : "Aucun objet",
+    "No partner rooms yet" : "Pas encore de salons partenaires",
+    "No pending invitations." : "Aucune invitation en attente.",
+    "No remote room is mapped to this conversation." : "Aucun salon distant n'est associé à cette conversation.",
+    "No remote room is set for this conversation. Please ask an administrator for access to the room list." : "Aucun salon distant n'est défini pour cette conversation. Veuillez demander à un administrateur l'accès à la liste des salons.",
+    "No remote rooms found." : "Aucun salon distant trouvé.",
+    "No remote rooms match \"%s\"." : "Aucun salon distant ne correspond à « %s ».",
+    "No rooms are available on the external server." : "Aucun salon n'est disponible sur le serveur externe.",
+    "No rooms found" : "Aucun salon trouvé",
+    "No rooms match the filters." : "Aucun salon ne correspond aux filtres.",
+    "Not Configured" : "Non configuré",
+    "Notifications" : "Notifications",
+    "Object" : "Objet",
+    "Object ID" : "ID d'objet",
+    "Object type" : "Type d'objet",
+    "One-to-one" : "Individuelle",
+    "Only moderators can change the remote room of a conversation." : "Seuls les modérateurs peuvent modifier la salle distante d'une conversation.",
+    "Only public rooms can have a password." : "Seuls les salons publics peuvent avoir un mot de passe.",
+    "Open" : "Ouvrir",
+    "Open a conversation first" : "Ouvrez d'abord une conversation",
+    "Other" : "Autre",
+    "Other activities" : "Autres activités",
+    "Participant type" : "Type de participant",
+    "Participants" : "Participants",
+    "Participants on the external server" : "Participants sur le serveur externe",
+    "Partner organisation" : "Organisation partenaire",
+    "Partner rooms" : "Salons partenaires",
+    "Partner rooms unavailable" : "Salons partenaires indisponibles",
+    "Password" : "Mot de passe",
+    "Password (optional)" : "Mot de passe (facultatif)",
+    "Password for authenticating with the external Talk API. Leave empty to keep the existing password, unless the external server URL changes." : "Mot de passe pour s'authentifier auprès de l'API Talk externe. Laissez vide pour conserver le mot de passe existant, sauf si l'URL du serveur externe change.",
+    "Paste one room per line, or upload a CSV file with the rooms in the first column." : "Collez un salon par ligne, ou téléversez un fichier CSV avec les salons dans la première colonne.",
+    "Pending federation invitations for the external account. Accepted rooms can be used for links." : "Invitations de fédération en attente pour le compte externe. Les salons acceptés peuvent être utilisés pour les liens.",
+    "Permanent" : "Permanent",
+    "Personal message (optional)" : "Message personnel (facultatif)",
+    "Pick the room on the external server that belongs to this conversation. The choice is saved, so the link is available right away next time." : "Choisissez le salon du serveur externe qui correspond à cette conversation. Le choix est enregistré, le lien sera donc disponible immédiatement la prochaine fois.",
+    "Pin rooms in the room browser of the Federated Talk Link app, or mark them as favorite on the partner server." : "Épinglez des salons dans le navigateur de salons de l'application Federated Talk Link, ou marquez-les comme favoris sur le serveur partenaire.",
+    "Pin to Dashboard" : "Épingler au tableau de bord",
+    "Pin {room}" : "Épingler {room}",
+    "Pinned" : "Épinglés",
+    "Pinned room not found." : "Salon épinglé introuvable.",
+    "Pinned to the dashboard" : "Épinglé au tableau de bord",
+    "Placeholders:" : "Espaces réservés :",
+    "Please ask an administrator to configure the Federated Talk Link settings." : "Veuillez demander à un administrateur de configurer les paramètres de Federated Talk Link.",
+    "Please ask the person who sent you the link for a new one." : "Veuillez demander un nouveau lien à la personne qui vous l'a envoyé.",
+    "Preview" : "Aperçu",
+    "Previous page" : "Page précédente",
+    "Public" : "Public",
+    "Public conversation (guests can join by link)" : "Conversation publique (les invités peuvent rejoindre par lien)",
+    "QR code for {link}" : "Code QR pour {link}",
+    "Quick Link Generator" : "Générateur de lien rapide",
+    "Rate limit period" : "Période de limitation",
+    "Reachability" : "Joignabilité",
+    "Recent Links" : "Liens récents",
+    "Recent links" : "Liens récents",
+    "Recipient" : "Destinataire",
+    "Recipients get the template of their language, or the one for all languages. Without a template the built-in translated text is used." : "Les destinataires reçoivent le modèle de leur langue, ou celui pour toutes les langues. Sans modèle, le texte traduit intégré est utilisé.",
+    "Reconnect" : "Reconnecter",
+    "Reconnect the server to create a new app password." : "Reconnectez le serveur pour créer un nouveau mot de passe d'application.",
+    "Refresh" : "Actualiser",
+    "Refresh Rooms" : "Actualiser les salons",
+    "Refresh interval in minutes" : "Intervalle d'actualisation en minutes",
+    "Reinstall Bot" : "Réinstaller le bot",
+    "Remote Talk rooms" : "Salons Talk distants",
+    "Remote rooms matching \"%s\":" : "Salons distants correspondant à « %s » :",
+    "Remote rooms:" : "Salons distants :",
+    "Remove from history" : "Retirer de l'historique",
+    "Remove server" : "Supprimer le serveur",
+    "Remove template" : "Supprimer le modèle",
+    "Remove {participant}" : "Retirer {participant}",
+    "Replies to \"%s <room>\" with the federated link of a room on the external server" : "Répond à « %s <salon> » avec le lien fédéré d'un salon sur le serveur externe",
+    "Reset to default" : "Rétablir la valeur par défaut",
+    "Revoke" : "Révoquer",
+    "Revoke {link}" : "Révoquer {link}",
+    "Room" : "Salon",
+    "Room \"%s\" not found on the external server." : "Salon « %s » introuvable sur le serveur externe.",
+    "Room Cache Refresh Interval (minutes)" : "Intervalle d'actualisation du cache des salons (minutes)",
+    "Room Name" : "Nom du salon",
+    "Room created successfully!" : "Salon créé avec succès !",
+    "Room identifier cannot be empty." : "L'identifiant du salon ne peut pas être vide.",
+    "Room identifier is required. Use token, name, displayName, or objectId." : "Un identifiant de salon est requis. Utilisez token, name, displayName ou objectId.",
+    "Room list" : "Liste des salons",
+    "Room list updated" : "Liste des salons mise à jour",
+    "Room lists of the external servers are cached and refreshed in the background at this interval. Users can still force a live refresh." : "Les listes de salons des serveurs externes sont mises en cache et actualisées en arrière-plan à cet intervalle. Les utilisateurs peuvent toujours forcer une actualisation.",
+    "Room name" : "Nom du salon",
+    "Room name to search for" : "Nom du salon à rechercher",
+    "Room name, token or object ID, one per line" : "Nom du salon, jeton ou ID d'objet, un par ligne",
+    "Room not found on the external server." : "Salon introuvable sur le serveur externe.",
+    "Room or link" : "Salon ou lien",
+    "Room pinned to the dashboard" : "Salon épinglé au tableau de bord",
+    "Room token is required." : "Un jeton de salon est requis.",
+    "Room types" : "Types de salon",
+    "Room unpinned from the dashboard" : "Salon désépinglé du tableau de bord",
+    "Room:" : "Salon :",
+    "Rooms" : "Salons",
+    "Running diagnostics …" : "Diagnostic en cours …",
+    "Save Link Formats" : "Enregistrer les formats de lien",
+    "Save Settings" : "Enregistrer les paramètres",
+    "Save Templates" : "Enregistrer les modèles",
+    "Save the server first to connect it." : "Enregistrez d'abord le serveur pour le connecter.",
+    "Save the server with its external server URL before connecting." : "Enregistrez le serveur avec son URL de serveur externe avant de le connecter.",
+    "Saving …" : "Enregistrement …",
+    "Search rooms" : "Rechercher des salons",
+    "Searching …" : "Recherche …",
+    "Select a conversation" : "Sélectionner une conversation",
+    "Send" : "Envoyer",
+    "Send by Email" : "Envoyer par e-mail",
+    "Send links by email" : "Envoyer des liens par e-mail",
+    "Sending …" : "Envoi …",
+    "Sent" : "Envoyé",
+    "Sent to {recipients}" : "Envoyé à {recipients}",
+    "Server" : "Serveur",
+    "Server and remote room token are required." : "Le serveur et le jeton du salon distant sont requis.",
+    "Server connected" : "Serveur connecté",
+    "Server no longer configured" : "Serveur plus configuré",
+    "Server:" : "Serveur :",
+    "Settings saved successfully!" : "Paramètres enregistrés avec succès !",
+    "Share in this chat" : "Partager dans cette discussion",
+    "Sharing …" : "Partage …",
+    "Show Link" : "Afficher le lien",
+    "Show more" : "Afficher plus",
+    "Shown to users when they pick the server to generate a link for" : "Affiché aux utilisateurs lorsqu'ils choisissent le serveur pour lequel générer un lien",
+    "Skipped because a previous step failed." : "Ignoré car une étape précédente a échoué.",
+    "Some checks failed. See the suggested fixes below." : "Certaines vérifications ont échoué. Consultez les corrections suggérées ci-dessous.",
+    "Sort rooms" : "Trier les salons",
+    "Start" : "Début",
+    "Subject" : "Objet",
+    "Talk" : "Talk",
+    "Talk %s is enabled." : "Talk %s est activé.",
+    "Talk 17.1 or newer is required for the bot." : "Talk 17.1 ou plus récent est requis pour le bot.",
+    "Talk Bot" : "Bot Talk",
+    "Talk conversation" : "Conversation Talk",
+    "Talk desktop app" : "Application de bureau Talk",
+    "Talk federation is disabled on the external server." : "La fédération Talk est désactivée sur le serveur externe.",
+    "Talk federation is enabled." : "La fédération Talk est activée.",
+    "Talk is enabled." : "Talk est activé.",
+    "Talk is not available for this account on the external server." : "Talk n'est pas disponible pour ce compte sur le serveur externe.",
+    "Talk lets moderators enable bots, so only the conversations you moderate are listed." : "Talk permet aux modérateurs d'activer les bots, seules les conversations que vous modérez sont donc listées.",
+    "Target Nextcloud URL" : "URL du Nextcloud cible",
+    "Target Nextcloud URL (Link Destination)" : "URL du Nextcloud cible (destination du lien)",
+    "Target Nextcloud URL is required (%s)" : "L'URL du Nextcloud cible est requise (%s)",
+    "Target Nextcloud hostname (without https://)" : "Nom d'hôte du Nextcloud cible (sans https://)",
+    "Templates for guest links and links that open the Talk desktop app." : "Modèles pour les liens invités et les liens qui ouvrent l'application de bureau Talk.",
+    "Test Connection" : "Tester la connexion",
+    "Test server connections" : "Tester les connexions aux serveurs",
+    "The TLS connection failed. Make sure the server has a valid certificate that this server trusts, e.g. with \"occ security:certificates:import\"." : "La connexion TLS a échoué. Vérifiez que le serveur possède un certificat valide auquel ce serveur fait confiance, par ex. avec \"occ security:certificates:import\".",
+    "The app password for \"%s\" was revoked. An administrator needs to reconnect the server." : "Le mot de passe d'application pour « %s » a été révoqué. Un administrateur doit reconnecter le serveur.",
+    "The app password was probably revoked. Reconnect the server in the Federated Talk Link settings." : "Le mot de passe d'application a probablement été révoqué. Reconnectez le serveur dans les paramètres de Federated Talk Link.",
+    "The bot is not available in this conversation. Reinstall it and try again." : "Le bot n'est pas disponible dans cette conversation. Réinstallez-le et réessayez.",
+    "The bot only answers in conversations it is enabled in." : "Le bot ne répond que dans les conversations où il est activé.",
+    "The capabilities of the external server could not be fetched." : "Impossible de récupérer les capacités du serveur externe.",
+    "The connection timed out. Check that a firewall or proxy does not block outgoing HTTPS requests from this server." : "La connexion a expiré. Vérifiez qu'un pare-feu ou un proxy ne bloque pas les requêtes HTTPS sortantes de ce serveur.",
+    "The credentials were removed, but the external server could not revoke the app password" : "Les identifiants ont été supprimés, mais le serveur externe n'a pas pu révoquer le mot de passe d'application",
+    "The expiry date must be in the future." : "La date d'expiration doit être dans le futur.",
+    "The external server \"%s\" rejected the credentials. An administrator needs to update them." : "Le serveur externe « %s » a refusé les identifiants. Un administrateur doit les mettre à jour.",
+    "The external server %s rejected the stored credentials" : "Le serveur externe %s a refusé les identifiants enregistrés",
+    "The external server answered, but it is not a Nextcloud server." : "Le serveur externe a répondu, mais ce n'est pas un serveur Nextcloud.",
+    "The external server did not return the new room." : "Le serveur externe n'a pas renvoyé le nouveau salon.",
+    "The external server does not support Login Flow v2." : "Le serveur externe ne prend pas en charge Login Flow v2.",
+    "The external server is in maintenance mode." : "Le serveur externe est en mode maintenance.",
+    "The external server rejected the credentials" : "Le serveur externe a refusé les identifiants",
+    "The external server rejected the credentials." : "Le serveur externe a refusé les identifiants.",
+    "The external server reported an error." : "Le serveur externe a signalé une erreur.",
+    "The external server returned no app password." : "Le serveur externe n'a renvoyé aucun mot de passe d'application.",
+    "The external server returned no user." : "Le serveur externe n'a renvoyé aucun utilisateur.",
+    "The federation invitation for {room} was accepted automatically" : "L'invitation de fédération pour {room} a été acceptée automatiquement",
+    "The hostname does not resolve. Check the %s for typos and the DNS configuration of this server." : "Le nom d'hôte ne se résout pas. Vérifiez le champ %s pour d'éventuelles fautes de frappe et la configuration DNS de ce serveur.",
+    "The hostname of the external Nextcloud server to query for rooms (e.g., {example})" : "Nom d'hôte du serveur Nextcloud externe à interroger pour les salons (par ex. {example})",
+    "The hostname used in generated links (e.g., {example}). Links will be formatted as {format}" : "Nom d'hôte utilisé dans les liens générés (par ex. {example}). Les liens seront au format {format}",
+    "The login has expired. Please connect again." : "La connexion a expiré. Veuillez vous reconnecter.",
+    "The maximum number of uses must be between 1 and %s." : "Le nombre maximal d'utilisations doit être compris entre 1 et %s.",
+    "The notifications app is enabled." : "L'application de notifications est activée.",
+    "The notifications app is not enabled on the external server." : "L'application de notifications n'est pas activée sur le serveur externe.",
+    "The room token is required." : "Le jeton du salon est requis.",
+    "The server answered with HTTP status %s." : "Le serveur a répondu avec le statut HTTP %s.",
+    "The server is not connected with an app password." : "Le serveur n'est pas connecté avec un mot de passe d'application.",
+    "The target URL answered, but it is not a Nextcloud server." : "L'URL cible a répondu, mais ce n'est pas un serveur Nextcloud.",
+    "This conversation is protected by a password. Ask the person who invited you for it." : "Cette conversation est protégée par un mot de passe. Demandez-le à la personne qui vous a invité.",
+    "This link does not exist." : "Ce lien n'existe pas.",
+    "This link has been revoked." : "Ce lien a été révoqué.",
+    "This link has expired." : "Ce lien a expiré.",
+    "This link has reached its maximum number of uses." : "Ce lien a atteint son nombre maximal d'utilisations.",
+    "This room is protected by a password. Recipients need it to join, so share it separately." : "Cette salle est protégée par un mot de passe. Les destinataires en ont besoin pour rejoindre, partagez-le donc séparément.",
+    "Time" : "Heure",
+    "To" : "Au",
+    "Token" : "Jeton",
+    "Too many participants. At most %s can be added at once." : "Trop de participants. Au maximum %s peuvent être ajoutés à la fois.",
+    "Too many recipients. At most %s are allowed." : "Trop de destinataires. Au maximum %s sont autorisés.",
+    "Too many room identifiers. At most %s are allowed per request." : "Trop d'identifiants de salon. Au maximum %s sont autorisés par requête.",
+    "Type" : "Type",
+    "Type one of these commands in a conversation to get a federated link or a list of remote rooms:" : "Tapez l'une de ces commandes dans une conversation pour obtenir un lien fédéré ou une liste de salons distants :",
+    "Uninstall" : "Désinstaller",
+    "Unknown error" : "Erreur inconnue",
+    "Unknown recipient type." : "Type de destinataire inconnu.",
+    "Unlimited" : "Illimité",
+    "Unpin from Dashboard" : "Désépingler du tableau de bord",
+    "Unpin {room}" : "Désépingler {room}",
+    "Update the credentials of the server in the Federated Talk Link settings." : "Mettez à jour les identifiants du serveur dans les paramètres de Federated Talk Link.",
+    "Upload CSV" : "Téléverser un CSV",
+    "Usage:" : "Utilisation :",
+    "Use" : "Utiliser",
+    "Use This Room" : "Utiliser ce salon",
+    "User" : "Utilisateur",
+    "User ID" : "ID utilisateur",
+    "User ID on the external server" : "ID utilisateur sur le serveur externe",
+    "User has no email address." : "L'utilisateur n'a pas d'adresse e-mail.",
+    "User not found." : "Utilisateur introuvable.",
+    "Username" : "Nom d'utilisateur",
+    "Username for authenticating with the external Talk API" : "Nom d'utilisateur pour s'authentifier auprès de l'API Talk externe",
+    "Users pick the format when they share a link. Leave a template empty to use the built-in one." : "Les utilisateurs choisissent le format lorsqu'ils partagent un lien. Laissez un modèle vide pour utiliser celui intégré.",
+    "Wait until the maintenance of the external server is finished." : "Attendez la fin de la maintenance du serveur externe.",
+    "Waiting for login …" : "En attente de connexion …",
+    "When disabled, only invitations for the requested room are accepted automatically. Other rooms have to be accepted explicitly under Invitations on the app page." : "Si désactivé, seules les invitations pour le salon demandé sont acceptées automatiquement. Les autres salons doivent être acceptés explicitement sous Invitations sur la page de l'application.",
+    "You are not allowed to generate federated links." : "Vous n'êtes pas autorisé à générer des liens fédérés.",
+    "You are not allowed to search remote rooms." : "Vous n'êtes pas autorisé à rechercher des salons distants.",
+    "You are not allowed to use this feature." : "Vous n'êtes pas autorisé à utiliser cette fonctionnalité.",
+    "You generated a federated link for {room}" : "Vous avez généré un lien fédéré pour {room}",
+    "You sent the link to {room} to {recipient}" : "Vous avez envoyé le lien vers {room} à {recipient}",
+    "_%n entry_::_%n entries_" : ["%n entrée", "%n entrées"],
+    "_%n participant_::_%n participants_" : ["%n participant", "%n participants"],
+    "_Email sent to %1$s of %n recipient_::_Email sent to %1$s of %n recipients_" : ["E-mail envoyé à %1$s destinataire sur %n", "E-mail envoyé à %1$s destinataires sur %n"],
+    "_Found %n room._::_Found %n rooms._" : ["%n salon trouvé.", "%n salons trouvés."],
+    "_Generate %n Link_::_Generate %n Links_" : ["Générer %n lien", "Générer %n liens"],
+    "_Used %n time_::_Used %n times_" : ["Utilisé %n fois", "Utilisé %n fois"],
+    "_Used {uses} of %n time_::_Used {uses} of %n times_" : ["Utilisé {uses} fois sur %n", "Utilisé {uses} fois sur %n"],
+    "_You can pin at most %n room. Unpin a room first._::_You can pin at most %n rooms. Unpin a room first._" : ["Vous pouvez épingler au maximum %n salon. Désépinglez d'abord un salon.", "Vous pouvez épingler au maximum %n salons. Désépinglez d'abord un salon."],
+    "_and %n more, refine the search to see it._::_and %n more, refine the search to see them._" : ["et %n autre, affinez la recherche pour le voir.", "et %n autres, affinez la recherche pour les voir."],
+    "_{generated} of %n link generated_::_{generated} of %n links generated_" : ["{generated} lien généré sur %n", "{generated} liens générés sur %n"],
+    "`%s <room>` replies with the federated link of a room" : "`%s <salon>` répond avec le lien fédéré d'un salon",
+    "`%s search <term>` lists matching remote rooms" : "`%s search <terme>` liste les salons distants correspondants",
+    "`%s` replies with the link of the remote room mapped to this conversation" : "`%s` répond avec le lien du salon distant associé à cette conversation",
+    "a remote room" : "un salon distant",
+    "expired" : "expiré",
+    "expires" : "expire",
+    "new server" : "nouveau serveur",
+    "per day" : "par jour",
+    "per hour" : "par heure",
+    "revoked" : "révoqué",
+    "since" : "depuis",
+    "used up" : "épuisé",
+    "{sender} has invited you to join the Talk conversation \"{roomName}\"." : "{sender} vous a invité à rejoindre la conversation Talk « {roomName} ».",
+    "{start}–{end} of {total}" : "{start}–{end} sur {total}"
+},
+"nplurals=2; plural=(n > 1);");
@@ -0,0 +1,85 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Activity;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCA\FederatedTalkLink\Service\AuditLogService;
+use OCP\Activity\IEvent;
+use OCP\Activity\IProvider;
+use OCP\IURLGenerator;
+use OCP\L10N\IFactory;
+
+/**
+ * Renders the activities of generated, accepted and emailed links
+ */
+class Provider implements IProvider
+{
+    public function __construct(
+        private IFactory $l10nFactory,
+        private IURLGenerator $urlGenerator
+    ) {
+    }
+
+    /**
+     * Render an activity of this app
+     *
+     * @param string $language The language of the user
+     * @param IEvent $event The activity
+     * @param IEvent|null $previousEvent The activity shown before
+     * @return IEvent
+     * @throws \InvalidArgumentException For activities of other apps
+     */
+    public function parse($language, IEvent $event, ?IEvent $previousEvent = null): IEvent
+    {
+        if ($event->getApp() !== Application::APP_ID) {
+            throw new \InvalidArgumentException('Unknown app');
+        }
+
+        $l = $this->l10nFactory->get(Application::APP_ID, $language);
+        $parameters = $event->getSubjectParameters();
+
+        $subject = match ($event->getSubject()) {
+            AuditLogService::ACTION_LINK_GENERATED => $l->t('You generated a federated link for {room}'),
+            AuditLogService::ACTION_INVITATION_ACCEPTED => $l->t('The federation invitation for {room} was accepted automatically'),
+            AuditLogService::ACTION_EMAIL_SENT => $l->t('You sent the link to {room} to {recipient}'),
+            default => throw new \InvalidArgumentException('Unknown subject'),
+        };
+
+        $room = (string)($parameters['roomName'] ?? $parameters['token'] ?? '');
+        $richParameters = [
+            'room' => [
+                'type' => 'highlight',
+                'id' => (string)($parameters['token'] ?? $room),
+                'name' => $room !== '' ? $room : $l->t('a remote room'),
+            ],
+        ];
+        if (isset($parameters['recipient'])) {
+            $richParameters['recipient'] = [
+                'type' => 'email',
+                'id' => (string)$parameters['recipient'],
+                'name' => (string)$parameters['recipient'],
+            ];
+        }
+
+        $event->setRichSubject($subject, $richParameters)
+            ->setParsedSubject(str_replace(
+                array_map(fn (string $key): string => '{' . $key . '}', array_keys($richParameters)),
+                array_column($richParameters, 'name'),
+                $subject
+            ))
+            ->setIcon($this->urlGenerator->getAbsoluteURL($this->urlGenerator->imagePath(Application::APP_ID, 'app-dark.svg')));
+
+        if (!empty($parameters['link'])) {
+            $event->setLink((string)$parameters['link']);
+        }
+
+        return $event;
+    }
+}
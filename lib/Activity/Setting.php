@@ -0,0 +1,60 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Activity;
+
+use OCA\FederatedTalkLink\Service\AuditLogService;
+use OCP\Activity\ActivitySettings;
+use OCP\IL10N;
+
+/**
+ * Lets users choose how they learn about their federated link activities
+ */
+class Setting extends ActivitySettings
+{
+    public function __construct(
+        private IL10N $l
+    ) {
+    }
+
+    public function getIdentifier(): string
+    {
+        return AuditLogService::ACTIVITY_TYPE;
+    }
+
+    public function getName(): string
+    {
+        return $this->l->t('A federated Talk link was generated or sent by email');
+    }
+
+    public function getGroupIdentifier(): string
+    {
+        return 'other';
+    }
+
+    public function getGroupName(): string
+    {
+        return $this->l->t('Other activities');
+    }
+
+    public function getPriority(): int
+    {
+        return 70;
+    }
+
+    public function canChangeMail(): bool
+    {
+        return true;
+    }
+
+    public function isDefaultEnabledMail(): bool
+    {
+        return false;
+    }
+}
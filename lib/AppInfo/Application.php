@@ -9,19 +9,57 @@ declare(strict_types=1);
 
 namespace OCA\FederatedTalkLink\AppInfo;
 
+use OCA\FederatedTalkLink\Dashboard\RoomsWidget;
+use OCA\FederatedTalkLink\Db\AuditLogMapper;
+use OCA\FederatedTalkLink\Db\LinkHistoryMapper;
+use OCA\FederatedTalkLink\Db\PinnedRoomMapper;
+use OCA\FederatedTalkLink\Db\RoomMappingMapper;
+use OCA\FederatedTalkLink\Db\ShortLinkMapper;
+use OCA\FederatedTalkLink\Db\ShortLinkUseMapper;
 use OCA\FederatedTalkLink\Listener\LoadTalkIntegrationListener;
+use OCA\FederatedTalkLink\Notification\Notifier;
+use OCA\FederatedTalkLink\Search\RoomSearchProvider;
+use OCA\FederatedTalkLink\Service\AuditLogService;
+use OCA\FederatedTalkLink\Service\BotService;
+use OCA\FederatedTalkLink\Service\DiagnosticsService;
+use OCA\FederatedTalkLink\Service\EmailTemplateService;
 use OCA\FederatedTalkLink\Service\FederatedLinkService;
+use OCA\FederatedTalkLink\Service\LinkFormatService;
+use OCA\FederatedTalkLink\Service\LinkHistoryService;
+use OCA\FederatedTalkLink\Service\LoginFlowService;
+use OCA\FederatedTalkLink\Service\PermissionService;
+use OCA\FederatedTalkLink\Service\PinnedRoomService;
+use OCA\FederatedTalkLink\Service\RecipientService;
+use OCA\FederatedTalkLink\Service\RoomCacheService;
+use OCA\FederatedTalkLink\Service\RoomMappingService;
 use OCA\FederatedTalkLink\Service\SettingsService;
+use OCA\FederatedTalkLink\Service\ShortLinkService;
+use OCA\FederatedTalkLink\Service\TalkParticipantService;
+use OCP\Activity\IManager as IActivityManager;
 use OCP\AppFramework\App;
 use OCP\AppFramework\Bootstrap\IBootContext;
 use OCP\AppFramework\Bootstrap\IBootstrap;
 use OCP\AppFramework\Bootstrap\IRegistrationContext;
 use OCP\AppFramework\Http\Events\BeforeTemplateRenderedEvent;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\Collaboration\Collaborators\ISearch;
+use OCP\EventDispatcher\IEventDispatcher;
 use OCP\Http\Client\IClientService;
+use OCP\ICacheFactory;
 use OCP\IConfig;
+use OCP\IDateTimeFormatter;
+use OCP\IGroupManager;
+use OCP\IL10N;
+use OCP\IURLGenerator;
+use OCP\IUserManager;
 use OCP\IUserSession;
+use OCP\L10N\IFactory;
 use OCP\Mail\IMailer;
+use OCP\Notification\IManager as INotificationManager;
 use OCP\Security\ICrypto;
+use OCP\Security\ISecureRandom;
+use OCP\Security\RateLimiting\ILimiter;
+use OCP\Share\IManager as IShareManager;
 use Psr\Log\LoggerInterface;
 
 /**
@@ -51,14 +89,173 @@ class Application extends App implements IBootstrap
             );
         });
 
+        // Register the RoomCacheService
+        $context->registerService(RoomCacheService::class, function ($c) {
+            return new RoomCacheService(
+                $c->get(ICacheFactory::class),
+                $c->get(SettingsService::class),
+                $c->get(ITimeFactory::class)
+            );
+        });
+
+        // Register the EmailTemplateService
+        $context->registerService(EmailTemplateService::class, function ($c) {
+            return new EmailTemplateService(
+                $c->get(SettingsService::class),
+                $c->get(LinkFormatService::class),
+                $c->get(IFactory::class),
+                $c->get(IUserManager::class),
+                $c->get(IMailer::class),
+                $c->get(IDateTimeFormatter::class),
+                $c->get(ITimeFactory::class)
+            );
+        });
+
+        // Register the RecipientService
+        $context->registerService(RecipientService::class, function ($c) {
+            return new RecipientService(
+                $c->get(ISearch::class),
+                $c->get(IUserManager::class),
+                $c->get(IGroupManager::class),
+                $c->get(IShareManager::class),
+                $c->get(IL10N::class)
+            );
+        });
+
+        // Register the PermissionService
+        $context->registerService(PermissionService::class, function ($c) {
+            return new PermissionService(
+                $c->get(SettingsService::class),
+                $c->get(IGroupManager::class),
+                $c->get(IUserManager::class),
+                $c->get(ILimiter::class)
+            );
+        });
+
+        // Register the LoginFlowService
+        $context->registerService(LoginFlowService::class, function ($c) {
+            return new LoginFlowService(
+                $c->get(SettingsService::class),
+                $c->get(IClientService::class),
+                $c->get(ICacheFactory::class),
+                $c->get(ITimeFactory::class),
+                $c->get(IGroupManager::class),
+                $c->get(INotificationManager::class),
+                $c->get(LoggerInterface::class),
+                $c->get(IL10N::class)
+            );
+        });
+
+        // Register the AuditLogService
+        $context->registerService(AuditLogService::class, function ($c) {
+            return new AuditLogService(
+                $c->get(AuditLogMapper::class),
+                $c->get(IActivityManager::class),
+                $c->get(ITimeFactory::class),
+                $c->get(LoggerInterface::class)
+            );
+        });
+
+        // Register the LinkFormatService
+        $context->registerService(LinkFormatService::class, function ($c) {
+            return new LinkFormatService(
+                $c->get(SettingsService::class),
+                $c->get(IL10N::class)
+            );
+        });
+
         // Register the FederatedLinkService
         $context->registerService(FederatedLinkService::class, function ($c) {
             return new FederatedLinkService(
                 $c->get(SettingsService::class),
+                $c->get(RoomCacheService::class),
                 $c->get(IClientService::class),
                 $c->get(LoggerInterface::class),
                 $c->get(IMailer::class),
-                $c->get(IUserSession::class)
+                $c->get(IUserSession::class),
+                $c->get(EmailTemplateService::class),
+                $c->get(LoginFlowService::class),
+                $c->get(AuditLogService::class),
+                $c->get(LinkFormatService::class),
+                $c->get(IL10N::class)
+            );
+        });
+
+        // Register the DiagnosticsService
+        $context->registerService(DiagnosticsService::class, function ($c) {
+            return new DiagnosticsService(
+                $c->get(SettingsService::class),
+                $c->get(FederatedLinkService::class),
+                $c->get(IClientService::class),
+                $c->get(LoggerInterface::class),
+                $c->get(IL10N::class)
+            );
+        });
+
+        // Register the LinkHistoryService
+        $context->registerService(LinkHistoryService::class, function ($c) {
+            return new LinkHistoryService(
+                $c->get(LinkHistoryMapper::class),
+                $c->get(ITimeFactory::class),
+                $c->get(LoggerInterface::class)
+            );
+        });
+
+        // Register the TalkParticipantService
+        $context->registerService(TalkParticipantService::class, function ($c) {
+            return new TalkParticipantService($c);
+        });
+
+        // Register the RoomMappingService
+        $context->registerService(RoomMappingService::class, function ($c) {
+            return new RoomMappingService(
+                $c->get(RoomMappingMapper::class),
+                $c->get(SettingsService::class),
+                $c->get(FederatedLinkService::class),
+                $c->get(TalkParticipantService::class),
+                $c->get(ITimeFactory::class),
+                $c->get(IL10N::class)
+            );
+        });
+
+        // Register the PinnedRoomService
+        $context->registerService(PinnedRoomService::class, function ($c) {
+            return new PinnedRoomService(
+                $c->get(PinnedRoomMapper::class),
+                $c->get(SettingsService::class),
+                $c->get(ITimeFactory::class),
+                $c->get(IL10N::class)
+            );
+        });
+
+        // Register the ShortLinkService
+        $context->registerService(ShortLinkService::class, function ($c) {
+            return new ShortLinkService(
+                $c->get(ShortLinkMapper::class),
+                $c->get(ShortLinkUseMapper::class),
+                $c->get(SettingsService::class),
+                $c->get(FederatedLinkService::class),
+                $c->get(ISecureRandom::class),
+                $c->get(IURLGenerator::class),
+                $c->get(ITimeFactory::class),
+                $c->get(LoggerInterface::class),
+                $c->get(IL10N::class)
+            );
+        });
+
+        // Register the BotService
+        $context->registerService(BotService::class, function ($c) {
+            return new BotService(
+                $c->get(SettingsService::class),
+                $c->get(FederatedLinkService::class),
+                $c->get(RoomMappingService::class),
+                $c->get(PermissionService::class),
+                $c->get(IClientService::class),
+                $c->get(IEventDispatcher::class),
+                $c->get(IURLGenerator::class),
+                $c->get(ISecureRandom::class),
+                $c->get(LoggerInterface::class),
+                $c->get(IL10N::class)
             );
         });
 
@@ -67,6 +264,15 @@ class Application extends App implements IBootstrap
             BeforeTemplateRenderedEvent::class,
             LoadTalkIntegrationListener::class
         );
+
+        // Show remote rooms in the unified search
+        $context->registerSearchProvider(RoomSearchProvider::class);
+
+        // Show pinned and favourite remote rooms on the dashboard
+        $context->registerDashboardWidget(RoomsWidget::class);
+
+        // Notify admins about rejected credentials
+        $context->registerNotifierService(Notifier::class);
     }
 
     /**
@@ -0,0 +1,54 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\BackgroundJob;
+
+use OCA\FederatedTalkLink\Service\FederatedLinkService;
+use OCA\FederatedTalkLink\Service\SettingsService;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\BackgroundJob\TimedJob;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Background job that refreshes the cached room lists
+ * of all configured external servers
+ */
+class RefreshRoomCache extends TimedJob
+{
+    public function __construct(
+        ITimeFactory $time,
+        private SettingsService $settingsService,
+        private FederatedLinkService $federatedLinkService,
+        private LoggerInterface $logger
+    ) {
+        parent::__construct($time);
+
+        $this->setInterval($this->settingsService->getRoomCacheInterval());
+    }
+
+    /**
+     * Refresh the room cache of every configured server profile
+     *
+     * @param mixed $argument Unused
+     */
+    protected function run($argument): void
+    {
+        foreach ($this->settingsService->getServerList() as $server) {
+            $result = $this->federatedLinkService->refreshRoomCache($server['id']);
+
+            if (!$result['success']) {
+                $this->logger->warning('Failed to refresh room cache', [
+                    'app' => 'federatedtalklink',
+                    'server' => $server['id'],
+                    'error' => $result['error'],
+                ]);
+            }
+        }
+    }
+}
@@ -10,12 +10,19 @@ declare(strict_types=1);
 namespace OCA\FederatedTalkLink\Controller;
 
 use OCA\FederatedTalkLink\AppInfo\Application;
+use OCA\FederatedTalkLink\Service\DiagnosticsService;
+use OCA\FederatedTalkLink\Service\EmailTemplateService;
 use OCA\FederatedTalkLink\Service\FederatedLinkService;
+use OCA\FederatedTalkLink\Service\LinkFormatService;
+use OCA\FederatedTalkLink\Service\LinkHistoryService;
+use OCA\FederatedTalkLink\Service\PermissionService;
+use OCA\FederatedTalkLink\Service\RecipientService;
 use OCA\FederatedTalkLink\Service\SettingsService;
 use OCP\AppFramework\Http;
 use OCP\AppFramework\Http\Attribute\NoAdminRequired;
 use OCP\AppFramework\Http\DataResponse;
 use OCP\AppFramework\OCSController;
+use OCP\IL10N;
 use OCP\IRequest;
 
 /**
@@ -26,10 +33,25 @@ use OCP\IRequest;
  */
 class ApiController extends OCSController
 {
+    use CheckPermissionTrait;
+
+    public const MAX_BATCH_SIZE = 50;
+    public const MAX_ROOM_LIMIT = 200;
+    public const MAX_NEW_PARTICIPANTS = 20;
+
+    private const SEARCH_FIELDS = ['token', 'name', 'displayName', 'objectId'];
+
     public function __construct(
         IRequest $request,
         private FederatedLinkService $federatedLinkService,
-        private SettingsService $settingsService
+        private SettingsService $settingsService,
+        private LinkHistoryService $linkHistoryService,
+        private RecipientService $recipientService,
+        private PermissionService $permissionService,
+        private DiagnosticsService $diagnosticsService,
+        private LinkFormatService $linkFormatService,
+        private IL10N $l,
+        private ?string $userId
     ) {
         parent::__construct(Application::APP_ID, $request);
     }
@@ -45,35 +67,57 @@ class ApiController extends OCSController
      *
      * @param string $roomName The room identifier (token, name, displayName, or objectId)
      * @param string $searchBy Force search by specific field: 'token', 'name', 'displayName', 'objectId'
+     * @param string $server Optional server profile ID (defaults to the default profile)
+     * @param bool $refresh Bypass the room cache and query the external server live
+     * @param string $format Link format: 'call' (default), 'guest' or 'desktop'
+     * @param string $displayName Display name to prefill in guest links
      * @return DataResponse
      */
     #[NoAdminRequired]
-    public function generateLink(string $roomName = '', string $searchBy = ''): DataResponse
+    public function generateLink(string $roomName = '', string $searchBy = '', string $server = '', bool $refresh = false, string $format = LinkFormatService::FORMAT_CALL, string $displayName = ''): DataResponse
     {
+        $denied = $this->checkPermission(PermissionService::GENERATE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
         $roomName = trim($roomName);
         $searchBy = trim($searchBy);
+        $server = trim($server);
 
         if (empty($roomName)) {
             return new DataResponse(
-                ['error' => 'Room identifier is required. Use token, name, displayName, or objectId.'],
+                [
+                    'error' => $this->l->t('Room identifier is required. Use token, name, displayName, or objectId.'),
+                    'code' => 'missing_identifier',
+                ],
                 Http::STATUS_BAD_REQUEST
             );
         }
 
         // Validate searchBy if provided
-        $validSearchFields = ['token', 'name', 'displayName', 'objectId', ''];
-        if (!in_array($searchBy, $validSearchFields)) {
+        if (!$this->isValidSearchBy($searchBy)) {
             return new DataResponse(
-                ['error' => "Invalid searchBy value. Valid options: token, name, displayName, objectId"],
+                [
+                    'error' => $this->l->t('Invalid searchBy value. Valid options: %s', [implode(', ', self::SEARCH_FIELDS)]),
+                    'code' => 'invalid_parameter',
+                ],
                 Http::STATUS_BAD_REQUEST
             );
         }
 
+        $format = trim($format) !== '' ? trim($format) : LinkFormatService::FORMAT_CALL;
+        $denied = $this->checkFormat($format);
+        if ($denied !== null) {
+            return $denied;
+        }
+
         $searchByParam = !empty($searchBy) ? $searchBy : null;
-        $result = $this->federatedLinkService->generateFederatedLink($roomName, $searchByParam);
+        $serverParam = !empty($server) ? $server : null;
+        $result = $this->federatedLinkService->generateFederatedLink($roomName, $searchByParam, $serverParam, $refresh);
 
         if (!$result['success']) {
-            $response = ['error' => $result['error']];
+            $response = ['error' => $result['error'], 'code' => $result['code'] ?? null];
 
             // Include available rooms if room not found
             if (isset($result['availableRooms'])) {
@@ -83,11 +127,169 @@ class ApiController extends OCSController
             return new DataResponse($response, Http::STATUS_NOT_FOUND);
         }
 
+        // The plain call link identifies the room, only formattedLink follows the templates
+        $entry = $this->userId !== null ? $this->linkHistoryService->record($this->userId, $result) : null;
+        $roomInfo = $result['roomInfo'] ?? null;
+        $formattedLink = $this->federatedLinkService->generateLinkByToken(
+            $result['token'],
+            $result['server'],
+            $format,
+            trim($displayName) !== '' ? trim($displayName) : null,
+            $roomInfo['displayName'] ?? $roomInfo['name'] ?? null
+        );
+
         return new DataResponse([
+            'id' => $entry?->getId(),
             'link' => $result['link'],
+            'formattedLink' => $formattedLink,
+            'format' => $format,
             'token' => $result['token'],
+            'server' => $result['server'],
+            'serverName' => $result['serverName'],
             'joined' => $result['joined'] ?? false,
-            'roomInfo' => $result['roomInfo'] ?? null,
+            'cacheAge' => $result['cacheAge'],
+            'roomInfo' => $roomInfo,
+        ]);
+    }
+
+    /**
+     * Build the link to a known remote room in another format
+     *
+     * Unlike generateLink this does not contact the external server, so
+     * the link dialogs can switch formats instantly.
+     *
+     * @param string $token The remote room token
+     * @param string $format Link format: 'call', 'guest' or 'desktop'
+     * @param string $server Optional server profile ID (defaults to the default profile)
+     * @param string $displayName Display name to prefill in guest links
+     * @param string $roomName Room name for the {roomName} placeholder
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function formatLink(string $token, string $format = LinkFormatService::FORMAT_CALL, string $server = '', string $displayName = '', string $roomName = ''): DataResponse
+    {
+        $denied = $this->checkPermission(PermissionService::GENERATE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $denied = $this->checkFormat($format);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $server = trim($server);
+        $displayName = trim($displayName);
+        $roomName = trim($roomName);
+
+        try {
+            $link = $this->federatedLinkService->generateLinkByToken(
+                $token,
+                $server !== '' ? $server : null,
+                $format,
+                $displayName !== '' ? $displayName : null,
+                $roomName !== '' ? $roomName : null
+            );
+        } catch (\Exception $e) {
+            return new DataResponse(
+                ['error' => $e->getMessage(), 'code' => 'server_not_configured'],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        return new DataResponse([
+            'link' => $link,
+            'format' => $format,
+        ]);
+    }
+
+    /**
+     * Generate federated links for several rooms at once
+     *
+     * Each identifier is resolved like in generateLink; the response has
+     * one entry per identifier with either the link or the error.
+     *
+     * @param array $identifiers The room identifiers (at most MAX_BATCH_SIZE)
+     * @param string $searchBy Force search by specific field: 'token', 'name', 'displayName', 'objectId'
+     * @param string $server Optional server profile ID (defaults to the default profile)
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function generateLinks(array $identifiers = [], string $searchBy = '', string $server = ''): DataResponse
+    {
+        $denied = $this->checkPermission(PermissionService::GENERATE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $searchBy = trim($searchBy);
+        $server = trim($server);
+
+        $identifiers = array_values(array_unique(array_filter(
+            array_map(fn ($identifier) => trim((string)$identifier), $identifiers),
+            fn (string $identifier) => $identifier !== ''
+        )));
+
+        if (empty($identifiers)) {
+            return new DataResponse(
+                ['error' => $this->l->t('At least one room identifier is required.'), 'code' => 'missing_identifier'],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        if (count($identifiers) > self::MAX_BATCH_SIZE) {
+            return new DataResponse(
+                [
+                    'error' => $this->l->t('Too many room identifiers. At most %s are allowed per request.', [self::MAX_BATCH_SIZE]),
+                    'code' => 'too_many_items',
+                ],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        if (!$this->isValidSearchBy($searchBy)) {
+            return new DataResponse(
+                [
+                    'error' => $this->l->t('Invalid searchBy value. Valid options: %s', [implode(', ', self::SEARCH_FIELDS)]),
+                    'code' => 'invalid_parameter',
+                ],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        $searchByParam = !empty($searchBy) ? $searchBy : null;
+        $serverParam = !empty($server) ? $server : null;
+
+        $results = [];
+        foreach ($identifiers as $identifier) {
+            $result = $this->federatedLinkService->generateFederatedLink($identifier, $searchByParam, $serverParam);
+
+            if (!$result['success']) {
+                $results[] = [
+                    'identifier' => $identifier,
+                    'success' => false,
+                    'error' => $result['error'],
+                    'code' => $result['code'] ?? null,
+                ];
+                continue;
+            }
+
+            $entry = $this->userId !== null ? $this->linkHistoryService->record($this->userId, $result) : null;
+
+            $results[] = [
+                'identifier' => $identifier,
+                'success' => true,
+                'id' => $entry?->getId(),
+                'link' => $result['link'],
+                'token' => $result['token'],
+                'server' => $result['server'],
+                'serverName' => $result['serverName'],
+                'roomName' => $result['roomInfo']['displayName'] ?? $result['roomInfo']['name'] ?? null,
+            ];
+        }
+
+        return new DataResponse([
+            'results' => $results,
         ]);
     }
 
@@ -95,41 +297,264 @@ class ApiController extends OCSController
      * Search for rooms on the external server
      *
      * @param string $search Optional search term (searches in displayName, name, token, objectId, description)
+     * @param string $server Optional server profile ID (defaults to the default profile)
+     * @param bool $refresh Bypass the room cache and query the external server live
+     * @param string $type Optional comma-separated room types: 'group', 'public', 'one2one'
+     * @param string|null $objectType Optional object type (empty for rooms without one)
+     * @param string $sort Sort by 'name' or 'participants'
+     * @param string $order Sort order: 'asc' or 'desc'
+     * @param int $limit Maximum number of rooms (0 for all, at most MAX_ROOM_LIMIT)
+     * @param int $offset Number of rooms to skip
+     * @param bool $favorite Only rooms the external account marked as favorite
      * @return DataResponse
      */
     #[NoAdminRequired]
-    public function searchRooms(string $search = ''): DataResponse
-    {
+    public function searchRooms(
+        string $search = '',
+        string $server = '',
+        bool $refresh = false,
+        string $type = '',
+        ?string $objectType = null,
+        string $sort = FederatedLinkService::SORT_NAME,
+        string $order = 'asc',
+        int $limit = 0,
+        int $offset = 0,
+        bool $favorite = false
+    ): DataResponse {
+        $denied = $this->checkPermission(PermissionService::BROWSE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
         $search = trim($search);
         $searchTerm = !empty($search) ? $search : null;
+        $server = trim($server);
+        $serverParam = !empty($server) ? $server : null;
+
+        $types = array_values(array_filter(array_map('trim', explode(',', $type))));
+        $invalidTypes = array_diff($types, array_keys(FederatedLinkService::ROOM_TYPES));
+        if (!empty($invalidTypes)) {
+            return new DataResponse(
+                [
+                    'error' => $this->l->t('Invalid type value. Valid options: %s', [implode(', ', array_keys(FederatedLinkService::ROOM_TYPES))]),
+                    'code' => 'invalid_parameter',
+                ],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
 
-        $result = $this->federatedLinkService->searchRooms($searchTerm);
+        if (!in_array($sort, [FederatedLinkService::SORT_NAME, FederatedLinkService::SORT_PARTICIPANTS], true)) {
+            return new DataResponse(
+                ['error' => $this->l->t('Invalid sort value. Valid options: %s', ['name, participants']), 'code' => 'invalid_parameter'],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        if (!in_array($order, ['asc', 'desc'], true)) {
+            return new DataResponse(
+                ['error' => $this->l->t('Invalid order value. Valid options: %s', ['asc, desc']), 'code' => 'invalid_parameter'],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        if ($limit < 0 || $limit > self::MAX_ROOM_LIMIT || $offset < 0) {
+            return new DataResponse(
+                [
+                    'error' => $this->l->t('Invalid limit or offset. The limit must be between 0 and %s.', [self::MAX_ROOM_LIMIT]),
+                    'code' => 'invalid_parameter',
+                ],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        $objectTypeParam = $objectType !== null ? trim($objectType) : null;
+
+        $result = $this->federatedLinkService->searchRooms(
+            $searchTerm,
+            $serverParam,
+            $refresh,
+            $types,
+            $objectTypeParam,
+            $sort,
+            $order,
+            $limit,
+            $offset,
+            $favorite
+        );
 
         if (!$result['success']) {
             return new DataResponse(
-                ['error' => $result['error']],
+                ['error' => $result['error'], 'code' => $result['code'] ?? null],
                 Http::STATUS_INTERNAL_SERVER_ERROR
             );
         }
 
         return new DataResponse([
             'rooms' => $result['rooms'],
+            'total' => $result['total'],
+            'objectTypes' => $result['objectTypes'],
+            'server' => $result['server'],
+            'cachedAt' => $result['cachedAt'],
+            'cacheAge' => $result['cacheAge'],
         ]);
     }
 
+    /**
+     * Create a room on the external server
+     *
+     * @param string $roomName The name of the room
+     * @param string $type The room type: 'group' or 'public'
+     * @param string $description Optional description
+     * @param string $password Optional password, public rooms only
+     * @param array $participants Participants to add, each with type (user, group, email, federated) and id
+     * @param string $server Optional server profile ID (defaults to the default profile)
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function createRoom(string $roomName = '', string $type = 'group', string $description = '', string $password = '', array $participants = [], string $server = ''): DataResponse
+    {
+        $denied = $this->checkPermission(PermissionService::CREATE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $roomName = trim($roomName);
+        $description = trim($description);
+        $server = trim($server);
+
+        if ($roomName === '' || mb_strlen($roomName) > 255) {
+            return new DataResponse(
+                ['error' => $this->l->t('A room name of at most 255 characters is required.'), 'code' => 'invalid_parameter'],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        if (!in_array($type, FederatedLinkService::CREATABLE_ROOM_TYPES, true)) {
+            return new DataResponse(
+                [
+                    'error' => $this->l->t('Invalid type value. Valid options: %s', [implode(', ', FederatedLinkService::CREATABLE_ROOM_TYPES)]),
+                    'code' => 'invalid_parameter',
+                ],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        if ($password !== '' && $type !== 'public') {
+            return new DataResponse(
+                ['error' => $this->l->t('Only public rooms can have a password.'), 'code' => 'invalid_parameter'],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        $newParticipants = [];
+        foreach ($participants as $participant) {
+            $participantType = is_array($participant) ? (string)($participant['type'] ?? '') : '';
+            $participantId = is_array($participant) ? trim((string)($participant['id'] ?? '')) : '';
+            if (!isset(FederatedLinkService::PARTICIPANT_SOURCES[$participantType]) || $participantId === '') {
+                return new DataResponse(
+                    [
+                        'error' => $this->l->t('Every participant needs an id and a type: %s', [implode(', ', array_keys(FederatedLinkService::PARTICIPANT_SOURCES))]),
+                        'code' => 'invalid_parameter',
+                    ],
+                    Http::STATUS_BAD_REQUEST
+                );
+            }
+            $newParticipants[] = ['type' => $participantType, 'id' => $participantId];
+        }
+
+        if (count($newParticipants) > self::MAX_NEW_PARTICIPANTS) {
+            return new DataResponse(
+                [
+                    'error' => $this->l->t('Too many participants. At most %s can be added at once.', [self::MAX_NEW_PARTICIPANTS]),
+                    'code' => 'too_many_items',
+                ],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        $result = $this->federatedLinkService->createRoom(
+            $roomName,
+            $type,
+            $description !== '' ? $description : null,
+            $password !== '' ? $password : null,
+            $newParticipants,
+            $server !== '' ? $server : null
+        );
+
+        if (!$result['success']) {
+            return new DataResponse(
+                ['error' => $result['error'], 'code' => $result['code'] ?? null],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        $entry = $this->userId !== null ? $this->linkHistoryService->record($this->userId, $result) : null;
+
+        return new DataResponse([
+            'id' => $entry?->getId(),
+            'link' => $result['link'],
+            'token' => $result['token'],
+            'server' => $result['server'],
+            'serverName' => $result['serverName'],
+            'participants' => $result['participants'],
+            'warnings' => $result['warnings'],
+            'roomInfo' => $result['roomInfo'],
+        ], Http::STATUS_CREATED);
+    }
+
+    /**
+     * Get the live status of a room on the external server
+     *
+     * Meant to be polled while a link is shown, so users see whether a
+     * call is running before joining.
+     *
+     * @param string $token The remote room token
+     * @param string $server Optional server profile ID (defaults to the default profile)
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function roomStatus(string $token, string $server = ''): DataResponse
+    {
+        $denied = $this->checkPermission(PermissionService::GENERATE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $server = trim($server);
+        $result = $this->federatedLinkService->getRoomStatus($token, $server !== '' ? $server : null);
+
+        if (!$result['success']) {
+            return new DataResponse(
+                ['error' => $result['error'], 'code' => $result['code'] ?? null],
+                ($result['notFound'] ?? false) ? Http::STATUS_NOT_FOUND : Http::STATUS_INTERNAL_SERVER_ERROR
+            );
+        }
+
+        return new DataResponse($result['status']);
+    }
+
     /**
      * Test the connection to the external server
      *
+     * @param string $server Optional server profile ID (defaults to the default profile)
      * @return DataResponse
      */
     #[NoAdminRequired]
-    public function testConnection(): DataResponse
+    public function testConnection(string $server = ''): DataResponse
     {
-        $result = $this->federatedLinkService->testConnection();
+        $denied = $this->checkPermission(PermissionService::TEST);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $server = trim($server);
+        $serverParam = !empty($server) ? $server : null;
+
+        $result = $this->federatedLinkService->testConnection($serverParam);
 
         if (!$result['success']) {
             return new DataResponse(
-                ['error' => $result['error']],
+                ['error' => $result['error'], 'code' => $result['code'] ?? null],
                 Http::STATUS_INTERNAL_SERVER_ERROR
             );
         }
@@ -137,6 +562,47 @@ class ApiController extends OCSController
         return new DataResponse([
             'message' => $result['message'],
             'roomCount' => $result['roomCount'],
+            'server' => $result['server'],
+        ]);
+    }
+
+    /**
+     * List the configured external servers
+     *
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function getServers(): DataResponse
+    {
+        return new DataResponse([
+            'servers' => $this->settingsService->getServerList(),
+            'defaultServerId' => $this->settingsService->getServer()['id'] ?? null,
+            'permissions' => $this->permissionService->getPermissions($this->userId),
+        ]);
+    }
+
+    /**
+     * Diagnose the connection to an external server step by step (for admin panel)
+     *
+     * @param string $server Optional server profile ID (defaults to the default profile)
+     * @return DataResponse
+     */
+    public function diagnostics(string $server = ''): DataResponse
+    {
+        $server = trim($server);
+        $result = $this->diagnosticsService->run($server !== '' ? $server : null);
+
+        if (!$result['success']) {
+            return new DataResponse(
+                ['error' => $result['error'], 'code' => $result['code'] ?? null],
+                ($result['notFound'] ?? false) ? Http::STATUS_NOT_FOUND : Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        return new DataResponse([
+            'server' => $result['server'],
+            'passed' => $result['passed'],
+            'steps' => $result['steps'],
         ]);
     }
 
@@ -152,49 +618,193 @@ class ApiController extends OCSController
         return new DataResponse($settings);
     }
 
+    /**
+     * Search users, groups and contacts to send a link to
+     *
+     * @param string $search The search term
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function searchRecipients(string $search = ''): DataResponse
+    {
+        $denied = $this->checkPermission(PermissionService::EMAIL);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $search = trim($search);
+        if ($search === '') {
+            return new DataResponse(['recipients' => []]);
+        }
+
+        return new DataResponse([
+            'recipients' => $this->recipientService->search($search),
+        ]);
+    }
+
     /**
      * Send a federated link by email
      *
-     * @param string $email Recipient email address
+     * Each recipient gets a separate email; the response reports the
+     * delivery status per address, so partial failures do not fail the request.
+     * Every email counts against the per-user rate limit; once it is reached,
+     * the remaining recipients are reported as failed.
+     *
+     * @param string $email Single recipient email address (kept for older clients)
+     * @param array $recipients Email addresses, or arrays with type (email, user, group) and id
      * @param string $link The federated Talk link
      * @param string $roomName Optional room name for the email subject
      * @param string $message Optional custom message to include
+     * @param int $startTime Optional meeting start as Unix timestamp, attaches an .ics invite
+     * @param int $duration Meeting duration in minutes
+     * @param string $timeZone Time zone of the sender, used to show the meeting time
+     * @param bool $passwordProtected Add a note that the room needs a password
+     * @param string $token Optional token of the room, matches the link history entry for any link format
+     * @param string $server Optional server profile ID of the room (defaults to the default profile)
      * @return DataResponse
      */
     #[NoAdminRequired]
-    public function sendEmail(string $email = '', string $link = '', string $roomName = '', string $message = ''): DataResponse
+    public function sendEmail(string $email = '', array $recipients = [], string $link = '', string $roomName = '', string $message = '', int $startTime = 0, int $duration = EmailTemplateService::DEFAULT_DURATION, string $timeZone = '', bool $passwordProtected = false, string $token = '', string $server = ''): DataResponse
     {
+        $denied = $this->checkPermission(PermissionService::EMAIL);
+        if ($denied !== null) {
+            return $denied;
+        }
+
         $email = trim($email);
         $link = trim($link);
 
-        if (empty($email)) {
+        if (!empty($email)) {
+            $recipients[] = $email;
+        }
+
+        $resolved = $this->recipientService->resolve($recipients, $this->userId);
+
+        if (empty($resolved)) {
             return new DataResponse(
-                ['error' => 'Email address is required.'],
+                ['error' => $this->l->t('At least one recipient is required.'), 'code' => 'missing_recipient'],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        if (count($resolved) > RecipientService::MAX_RECIPIENTS) {
+            return new DataResponse(
+                [
+                    'error' => $this->l->t('Too many recipients. At most %s are allowed.', [RecipientService::MAX_RECIPIENTS]),
+                    'code' => 'too_many_items',
+                ],
                 Http::STATUS_BAD_REQUEST
             );
         }
 
         if (empty($link)) {
             return new DataResponse(
-                ['error' => 'Link is required.'],
+                ['error' => $this->l->t('Link is required.'), 'code' => 'missing_link'],
                 Http::STATUS_BAD_REQUEST
             );
         }
 
         $roomNameParam = !empty($roomName) ? $roomName : null;
         $messageParam = !empty($message) ? $message : null;
+        $startTimeParam = $startTime > 0 ? $startTime : null;
+        $timeZoneParam = !empty($timeZone) ? $timeZone : null;
+        $token = trim($token);
+        $historyServerId = $token !== '' ? ($this->settingsService->getServer(trim($server) !== '' ? trim($server) : null)['id'] ?? null) : null;
 
-        $result = $this->federatedLinkService->sendLinkByEmail($email, $link, $roomNameParam, $messageParam);
+        $results = [];
+        $sent = 0;
+        $rateLimited = false;
+        foreach ($resolved as $recipient) {
+            if ($recipient['email'] === null) {
+                $results[] = $recipient + ['success' => false];
+                continue;
+            }
 
-        if (!$result['success']) {
-            return new DataResponse(
-                ['error' => $result['error']],
-                Http::STATUS_INTERNAL_SERVER_ERROR
+            // Addresses of users and groups are not shown to the sender
+            $shownEmail = $recipient['type'] === RecipientService::TYPE_EMAIL ? $recipient['email'] : null;
+
+            if ($rateLimited || ($this->userId !== null && !$this->permissionService->registerEmail($this->userId))) {
+                $rateLimited = true;
+                $results[] = [
+                    'recipient' => $recipient['recipient'],
+                    'type' => $recipient['type'],
+                    'email' => $shownEmail,
+                    'success' => false,
+                    'error' => $this->l->t('Email limit reached. Please try again later.'),
+                    'code' => 'rate_limited',
+                ];
+                continue;
+            }
+
+            $result = $this->federatedLinkService->sendLinkByEmail(
+                $recipient['email'],
+                $link,
+                $roomNameParam,
+                $messageParam,
+                $startTimeParam,
+                $duration,
+                $timeZoneParam,
+                $passwordProtected
             );
+
+            $results[] = [
+                'recipient' => $recipient['recipient'],
+                'type' => $recipient['type'],
+                'email' => $shownEmail,
+                'success' => $result['success'],
+                'error' => $result['success'] ? null : $result['error'],
+                'code' => $result['success'] ? null : ($result['code'] ?? null),
+            ];
+
+            if ($result['success']) {
+                $sent++;
+                if ($this->userId !== null) {
+                    $this->linkHistoryService->recordEmail(
+                        $this->userId,
+                        $link,
+                        $shownEmail ?? $recipient['recipient'],
+                        $historyServerId,
+                        $historyServerId !== null ? $token : null
+                    );
+                }
+            }
         }
 
         return new DataResponse([
-            'message' => $result['message'],
-        ]);
+            'message' => $this->l->n('Email sent to %1$s of %n recipient', 'Email sent to %1$s of %n recipients', count($results), [$sent]),
+            'sent' => $sent,
+            'failed' => count($results) - $sent,
+            'rateLimited' => $rateLimited,
+            'results' => $results,
+        ], $rateLimited && $sent === 0 ? Http::STATUS_TOO_MANY_REQUESTS : Http::STATUS_OK);
+    }
+
+    /**
+     * Check a searchBy value (empty means automatic)
+     */
+    private function isValidSearchBy(string $searchBy): bool
+    {
+        return $searchBy === '' || in_array($searchBy, self::SEARCH_FIELDS, true);
+    }
+
+    /**
+     * Build the response for an unknown link format
+     *
+     * @param string $format The requested format
+     * @return DataResponse|null The error response, null if the format is known
+     */
+    private function checkFormat(string $format): ?DataResponse
+    {
+        if ($this->linkFormatService->isValidFormat($format)) {
+            return null;
+        }
+
+        return new DataResponse(
+            [
+                'error' => $this->l->t('Invalid format value. Valid options: %s', [implode(', ', LinkFormatService::FORMATS)]),
+                'code' => 'invalid_parameter',
+            ],
+            Http::STATUS_BAD_REQUEST
+        );
     }
 }
@@ -0,0 +1,80 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Controller;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCA\FederatedTalkLink\Service\AuditLogService;
+use OCP\AppFramework\Controller;
+use OCP\AppFramework\Http;
+use OCP\AppFramework\Http\Attribute\AuthorizedAdminSetting;
+use OCP\AppFramework\Http\JSONResponse;
+use OCP\IL10N;
+use OCP\IRequest;
+
+/**
+ * Controller for the admin audit log of link and email actions
+ */
+class AuditLogController extends Controller
+{
+    public function __construct(
+        IRequest $request,
+        private AuditLogService $auditLogService,
+        private IL10N $l
+    ) {
+        parent::__construct(Application::APP_ID, $request);
+    }
+
+    /**
+     * List the audit log entries matching the filters, newest first
+     *
+     * @param string $user Optional user ID
+     * @param string $room Optional filter on room name, room token or link
+     * @param string $action Optional action, one of AuditLogService::ACTIONS
+     * @param int $from Optional start as Unix timestamp, inclusive
+     * @param int $to Optional end as Unix timestamp, exclusive
+     * @param int $limit Maximum number of entries
+     * @param int $offset Number of entries to skip
+     * @return JSONResponse
+     */
+    #[AuthorizedAdminSetting(settings: \OCA\FederatedTalkLink\Settings\AdminSettings::class)]
+    public function index(
+        string $user = '',
+        string $room = '',
+        string $action = '',
+        int $from = 0,
+        int $to = 0,
+        int $limit = AuditLogService::DEFAULT_LIMIT,
+        int $offset = 0
+    ): JSONResponse {
+        $user = trim($user);
+        $room = trim($room);
+        $action = trim($action);
+
+        if ($action !== '' && !in_array($action, AuditLogService::ACTIONS, true)) {
+            return new JSONResponse(
+                [
+                    'error' => $this->l->t('Invalid action value. Valid options: %s', [implode(', ', AuditLogService::ACTIONS)]),
+                    'code' => 'invalid_parameter',
+                ],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        $result = $this->auditLogService->list([
+            'user' => $user !== '' ? $user : null,
+            'room' => $room !== '' ? $room : null,
+            'action' => $action !== '' ? $action : null,
+            'from' => $from > 0 ? $from : null,
+            'to' => $to > 0 ? $to : null,
+        ], $limit, $offset);
+
+        return new JSONResponse($result);
+    }
+}
@@ -0,0 +1,69 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Controller;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCA\FederatedTalkLink\Service\BotService;
+use OCP\AppFramework\Controller;
+use OCP\AppFramework\Http;
+use OCP\AppFramework\Http\Attribute\BruteForceProtection;
+use OCP\AppFramework\Http\Attribute\NoCSRFRequired;
+use OCP\AppFramework\Http\Attribute\PublicPage;
+use OCP\AppFramework\Http\JSONResponse;
+use OCP\IRequest;
+
+/**
+ * Controller receiving the webhooks of the Talk bot
+ */
+class BotController extends Controller
+{
+    public function __construct(
+        IRequest $request,
+        private BotService $botService
+    ) {
+        parent::__construct(Application::APP_ID, $request);
+    }
+
+    /**
+     * Handle a chat message of a conversation the bot is enabled in
+     *
+     * Talk signs every request with the secret shared on installation.
+     *
+     * @return JSONResponse
+     */
+    #[PublicPage]
+    #[NoCSRFRequired]
+    #[BruteForceProtection(action: 'federatedtalklink-bot')]
+    public function webhook(): JSONResponse
+    {
+        // The signature covers the raw body
+        $body = (string)file_get_contents('php://input');
+
+        $valid = $this->botService->isValidSignature(
+            $this->request->getHeader('X-Nextcloud-Talk-Random'),
+            $body,
+            $this->request->getHeader('X-Nextcloud-Talk-Signature')
+        );
+        if (!$valid) {
+            $response = new JSONResponse(['error' => 'Invalid signature'], Http::STATUS_UNAUTHORIZED);
+            $response->throttle(['action' => 'federatedtalklink-bot']);
+            return $response;
+        }
+
+        $payload = json_decode($body, true);
+        if (!is_array($payload)) {
+            return new JSONResponse(['error' => 'Invalid payload'], Http::STATUS_BAD_REQUEST);
+        }
+
+        $this->botService->handleWebhook($payload);
+
+        return new JSONResponse([]);
+    }
+}
@@ -0,0 +1,40 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Controller;
+
+use OCA\FederatedTalkLink\Service\PermissionService;
+use OCP\AppFramework\Http;
+use OCP\AppFramework\Http\DataResponse;
+
+/**
+ * Permission check for the OCS controllers
+ *
+ * Controllers using it need the $permissionService, $l and $userId properties.
+ */
+trait CheckPermissionTrait
+{
+    /**
+     * Build the response for a user who may not use a capability
+     *
+     * @param string $capability One of PermissionService::CAPABILITIES
+     * @return DataResponse|null The forbidden response, null if allowed
+     */
+    private function checkPermission(string $capability): ?DataResponse
+    {
+        if ($this->permissionService->isAllowed($this->userId, $capability)) {
+            return null;
+        }
+
+        return new DataResponse(
+            ['error' => $this->l->t('You are not allowed to use this feature.'), 'code' => 'permission_denied'],
+            Http::STATUS_FORBIDDEN
+        );
+    }
+}
@@ -0,0 +1,126 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Controller;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCA\FederatedTalkLink\Service\FederatedLinkService;
+use OCA\FederatedTalkLink\Service\PermissionService;
+use OCP\AppFramework\Http;
+use OCP\AppFramework\Http\Attribute\NoAdminRequired;
+use OCP\AppFramework\Http\DataResponse;
+use OCP\AppFramework\OCSController;
+use OCP\IL10N;
+use OCP\IRequest;
+
+/**
+ * OCS API Controller for the federation invitations of the external account
+ */
+class InvitationController extends OCSController
+{
+    use CheckPermissionTrait;
+
+    public function __construct(
+        IRequest $request,
+        private FederatedLinkService $federatedLinkService,
+        private PermissionService $permissionService,
+        private IL10N $l,
+        private ?string $userId
+    ) {
+        parent::__construct(Application::APP_ID, $request);
+    }
+
+    /**
+     * List the pending federation invitations
+     *
+     * @param string $server Optional server profile ID (defaults to the default profile)
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function index(string $server = ''): DataResponse
+    {
+        $denied = $this->checkPermission(PermissionService::BROWSE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $server = trim($server);
+        $result = $this->federatedLinkService->getPendingInvitations(!empty($server) ? $server : null);
+
+        if (!$result['success']) {
+            return new DataResponse(
+                ['error' => $result['error'], 'code' => $result['code'] ?? null],
+                Http::STATUS_INTERNAL_SERVER_ERROR
+            );
+        }
+
+        return new DataResponse([
+            'invitations' => $result['invitations'],
+            'server' => $result['server'],
+        ]);
+    }
+
+    /**
+     * Accept a pending federation invitation
+     *
+     * @param string $id The invitation ID
+     * @param string $server Optional server profile ID (defaults to the default profile)
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function accept(string $id, string $server = ''): DataResponse
+    {
+        $denied = $this->checkPermission(PermissionService::BROWSE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $server = trim($server);
+        $result = $this->federatedLinkService->acceptFederationInvitation($id, !empty($server) ? $server : null);
+
+        if (!$result['success']) {
+            return new DataResponse(
+                ['error' => $result['error'], 'code' => $result['code'] ?? null],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        return new DataResponse([
+            'room' => $result['response']['ocs']['data'] ?? null,
+        ]);
+    }
+
+    /**
+     * Decline a pending federation invitation
+     *
+     * @param string $id The invitation ID
+     * @param string $server Optional server profile ID (defaults to the default profile)
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function decline(string $id, string $server = ''): DataResponse
+    {
+        $denied = $this->checkPermission(PermissionService::BROWSE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $server = trim($server);
+        $result = $this->federatedLinkService->declineFederationInvitation($id, !empty($server) ? $server : null);
+
+        if (!$result['success']) {
+            return new DataResponse(
+                ['error' => $result['error'], 'code' => $result['code'] ?? null],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        return new DataResponse([]);
+    }
+}
@@ -0,0 +1,81 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Controller;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCA\FederatedTalkLink\Service\LinkHistoryService;
+use OCP\AppFramework\Http;
+use OCP\AppFramework\Http\Attribute\NoAdminRequired;
+use OCP\AppFramework\Http\DataResponse;
+use OCP\AppFramework\OCSController;
+use OCP\IL10N;
+use OCP\IRequest;
+
+/**
+ * OCS API Controller for the link history of the current user
+ */
+class LinkHistoryController extends OCSController
+{
+    public function __construct(
+        IRequest $request,
+        private LinkHistoryService $linkHistoryService,
+        private IL10N $l,
+        private ?string $userId
+    ) {
+        parent::__construct(Application::APP_ID, $request);
+    }
+
+    /**
+     * List the links generated by the current user
+     *
+     * @param string $search Optional filter on room name, room token or recipient
+     * @param string $server Optional server profile ID
+     * @param int $limit Maximum number of entries
+     * @param int $offset Number of entries to skip
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function index(string $search = '', string $server = '', int $limit = LinkHistoryService::DEFAULT_LIMIT, int $offset = 0): DataResponse
+    {
+        $search = trim($search);
+        $server = trim($server);
+
+        $links = $this->linkHistoryService->list(
+            (string)$this->userId,
+            !empty($search) ? $search : null,
+            !empty($server) ? $server : null,
+            $limit,
+            $offset
+        );
+
+        return new DataResponse([
+            'links' => $links,
+        ]);
+    }
+
+    /**
+     * Delete a link from the history of the current user
+     *
+     * @param int $id The history entry ID
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function destroy(int $id): DataResponse
+    {
+        if (!$this->linkHistoryService->delete((string)$this->userId, $id)) {
+            return new DataResponse(
+                ['error' => $this->l->t('Link not found.'), 'code' => 'not_found'],
+                Http::STATUS_NOT_FOUND
+            );
+        }
+
+        return new DataResponse([]);
+    }
+}
@@ -10,6 +10,7 @@ declare(strict_types=1);
 namespace OCA\FederatedTalkLink\Controller;
 
 use OCA\FederatedTalkLink\AppInfo\Application;
+use OCA\FederatedTalkLink\Service\PermissionService;
 use OCA\FederatedTalkLink\Service\SettingsService;
 use OCP\AppFramework\Controller;
 use OCP\AppFramework\Http\Attribute\NoAdminRequired;
@@ -27,7 +28,9 @@ class PageController extends Controller
     public function __construct(
         IRequest $request,
         private SettingsService $settingsService,
-        private IInitialState $initialState
+        private PermissionService $permissionService,
+        private IInitialState $initialState,
+        private ?string $userId
     ) {
         parent::__construct(Application::APP_ID, $request);
     }
@@ -40,12 +43,44 @@ class PageController extends Controller
     #[NoAdminRequired]
     #[NoCSRFRequired]
     public function index(): TemplateResponse
+    {
+        return $this->renderPage();
+    }
+
+    /**
+     * Main page with a remote room prefilled
+     *
+     * Target of the unified search results. The room is only joined when
+     * the user generates the link, which goes through the OCS API.
+     *
+     * @param string $server The server profile ID
+     * @param string $token The remote room token
+     * @return TemplateResponse
+     */
+    #[NoAdminRequired]
+    #[NoCSRFRequired]
+    public function openRoom(string $server, string $token): TemplateResponse
+    {
+        return $this->renderPage(['server' => $server, 'token' => $token]);
+    }
+
+    /**
+     * Render the app page
+     *
+     * @param array|null $room Server and token of the room to prefill
+     * @return TemplateResponse
+     */
+    private function renderPage(?array $room = null): TemplateResponse
     {
         // Provide initial state to frontend
         $this->initialState->provideInitialState(
             'app-config',
             [
                 'isConfigured' => $this->settingsService->isConfigured(),
+                'servers' => $this->settingsService->getServerList(),
+                'defaultServerId' => $this->settingsService->getServer()['id'] ?? null,
+                'permissions' => $this->permissionService->getPermissions($this->userId),
+                'room' => $room,
             ]
         );
 
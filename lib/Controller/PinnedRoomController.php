@@ -0,0 +1,124 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Controller;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCA\FederatedTalkLink\Service\PermissionService;
+use OCA\FederatedTalkLink\Service\PinnedRoomService;
+use OCP\AppFramework\Http;
+use OCP\AppFramework\Http\Attribute\NoAdminRequired;
+use OCP\AppFramework\Http\DataResponse;
+use OCP\AppFramework\OCSController;
+use OCP\IL10N;
+use OCP\IRequest;
+
+/**
+ * OCS API Controller for the remote rooms pinned to the dashboard
+ */
+class PinnedRoomController extends OCSController
+{
+    use CheckPermissionTrait;
+
+    public function __construct(
+        IRequest $request,
+        private PinnedRoomService $pinnedRoomService,
+        private PermissionService $permissionService,
+        private IL10N $l,
+        private ?string $userId
+    ) {
+        parent::__construct(Application::APP_ID, $request);
+    }
+
+    /**
+     * List the pinned rooms of the current user
+     *
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function index(): DataResponse
+    {
+        $denied = $this->checkPermission(PermissionService::GENERATE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        return new DataResponse([
+            'pins' => $this->pinnedRoomService->list((string)$this->userId),
+        ]);
+    }
+
+    /**
+     * Pin a remote room to the dashboard
+     *
+     * @param string $token The remote room token
+     * @param string $server Optional server profile ID (defaults to the default profile)
+     * @param string $roomName Optional name of the remote room
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function create(string $token = '', string $server = '', string $roomName = ''): DataResponse
+    {
+        $denied = $this->checkPermission(PermissionService::GENERATE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $token = trim($token);
+        $server = trim($server);
+        $roomName = trim($roomName);
+
+        if (empty($token)) {
+            return new DataResponse(
+                ['error' => $this->l->t('Room token is required.'), 'code' => 'missing_token'],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        $result = $this->pinnedRoomService->pin(
+            (string)$this->userId,
+            $token,
+            !empty($server) ? $server : null,
+            !empty($roomName) ? $roomName : null
+        );
+
+        if (!$result['success']) {
+            return new DataResponse(
+                ['error' => $result['error'], 'code' => $result['code'] ?? null],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        return new DataResponse($result['pin']);
+    }
+
+    /**
+     * Unpin a room of the current user
+     *
+     * @param int $id The pin ID
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function destroy(int $id): DataResponse
+    {
+        $denied = $this->checkPermission(PermissionService::GENERATE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        if (!$this->pinnedRoomService->unpin((string)$this->userId, $id)) {
+            return new DataResponse(
+                ['error' => $this->l->t('Pinned room not found.'), 'code' => 'not_found'],
+                Http::STATUS_NOT_FOUND
+            );
+        }
+
+        return new DataResponse([]);
+    }
+}
@@ -0,0 +1,72 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Controller;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCA\FederatedTalkLink\Service\ShortLinkService;
+use OCP\AppFramework\Controller;
+use OCP\AppFramework\Http;
+use OCP\AppFramework\Http\Attribute\BruteForceProtection;
+use OCP\AppFramework\Http\Attribute\NoCSRFRequired;
+use OCP\AppFramework\Http\Attribute\PublicPage;
+use OCP\AppFramework\Http\RedirectResponse;
+use OCP\AppFramework\Http\TemplateResponse;
+use OCP\IL10N;
+use OCP\IRequest;
+
+/**
+ * Controller resolving the public short links
+ */
+class RedirectController extends Controller
+{
+    public function __construct(
+        IRequest $request,
+        private ShortLinkService $shortLinkService,
+        private IL10N $l,
+        private ?string $userId
+    ) {
+        parent::__construct(Application::APP_ID, $request);
+    }
+
+    /**
+     * Redirect to the federated link of a short link
+     *
+     * @param string $code The public code of the link
+     * @return RedirectResponse|TemplateResponse
+     */
+    #[PublicPage]
+    #[NoCSRFRequired]
+    #[BruteForceProtection(action: 'federatedtalklink-short-link')]
+    public function resolve(string $code): RedirectResponse|TemplateResponse
+    {
+        $result = $this->shortLinkService->resolve($code, $this->userId);
+
+        if ($result['success']) {
+            return new RedirectResponse($result['target']);
+        }
+
+        $response = new TemplateResponse(
+            'core',
+            'error',
+            ['errors' => [['error' => $result['error'], 'hint' => $this->l->t('Please ask the person who sent you the link for a new one.')]]],
+            TemplateResponse::RENDER_AS_GUEST
+        );
+
+        if ($result['notFound'] ?? false) {
+            // Guessing codes is slowed down like guessing share tokens
+            $response->setStatus(Http::STATUS_NOT_FOUND);
+            $response->throttle(['action' => 'federatedtalklink-short-link']);
+        } else {
+            $response->setStatus(Http::STATUS_GONE);
+        }
+
+        return $response;
+    }
+}
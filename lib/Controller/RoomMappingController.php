@@ -0,0 +1,157 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Controller;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCA\FederatedTalkLink\Service\PermissionService;
+use OCA\FederatedTalkLink\Service\RoomMappingService;
+use OCP\AppFramework\Http;
+use OCP\AppFramework\Http\Attribute\NoAdminRequired;
+use OCP\AppFramework\Http\DataResponse;
+use OCP\AppFramework\OCSController;
+use OCP\IL10N;
+use OCP\IRequest;
+
+/**
+ * OCS API Controller for the mapping of local conversations to remote rooms
+ */
+class RoomMappingController extends OCSController
+{
+    use CheckPermissionTrait;
+
+    public function __construct(
+        IRequest $request,
+        private RoomMappingService $roomMappingService,
+        private PermissionService $permissionService,
+        private IL10N $l,
+        private ?string $userId
+    ) {
+        parent::__construct(Application::APP_ID, $request);
+    }
+
+    /**
+     * Get the remote room and federated link of a local conversation
+     *
+     * @param string $token The local conversation token
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function show(string $token): DataResponse
+    {
+        $denied = $this->checkPermission(PermissionService::GENERATE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $result = $this->roomMappingService->get($token, (string)$this->userId);
+
+        if (!$result['success']) {
+            return new DataResponse(
+                ['error' => $result['error'], 'code' => $result['code'] ?? null, 'mapping' => $result['mapping'] ?? null],
+                $this->getErrorStatus($result['code'] ?? null, Http::STATUS_NOT_FOUND)
+            );
+        }
+
+        return new DataResponse([
+            'mapping' => $result['mapping'],
+            'link' => $result['link'],
+        ]);
+    }
+
+    /**
+     * Map a local conversation to a remote room
+     *
+     * @param string $token The local conversation token
+     * @param string $server The server profile ID
+     * @param string $remoteToken The token of the remote room
+     * @param string $remoteName Optional name of the remote room
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function update(string $token, string $server = '', string $remoteToken = '', string $remoteName = ''): DataResponse
+    {
+        $denied = $this->checkPermission(PermissionService::GENERATE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $server = trim($server);
+        $remoteToken = trim($remoteToken);
+        $remoteName = trim($remoteName);
+
+        if (empty($server) || empty($remoteToken)) {
+            return new DataResponse(
+                ['error' => $this->l->t('Server and remote room token are required.'), 'code' => 'missing_token'],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        $result = $this->roomMappingService->set(
+            $token,
+            $server,
+            $remoteToken,
+            !empty($remoteName) ? $remoteName : null,
+            (string)$this->userId
+        );
+
+        if (!$result['success']) {
+            return new DataResponse(
+                ['error' => $result['error'], 'code' => $result['code'] ?? null],
+                $this->getErrorStatus($result['code'] ?? null, Http::STATUS_BAD_REQUEST)
+            );
+        }
+
+        return new DataResponse([
+            'mapping' => $result['mapping'],
+            'link' => $result['link'],
+        ]);
+    }
+
+    /**
+     * Remove the mapping of a local conversation
+     *
+     * @param string $token The local conversation token
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function destroy(string $token): DataResponse
+    {
+        $denied = $this->checkPermission(PermissionService::GENERATE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $result = $this->roomMappingService->delete($token, (string)$this->userId);
+        if (!$result['success']) {
+            return new DataResponse(
+                ['error' => $result['error'], 'code' => $result['code'] ?? null],
+                $this->getErrorStatus($result['code'] ?? null, Http::STATUS_NOT_FOUND)
+            );
+        }
+
+        return new DataResponse([]);
+    }
+
+    /**
+     * Get the HTTP status for an error of the mapping service
+     *
+     * @param string|null $code The error code
+     * @param int $default The status of other errors
+     * @return int
+     */
+    private function getErrorStatus(?string $code, int $default): int
+    {
+        return match ($code) {
+            'conversation_not_found', 'mapping_not_found' => Http::STATUS_NOT_FOUND,
+            'permission_denied' => Http::STATUS_FORBIDDEN,
+            default => $default,
+        };
+    }
+}
@@ -10,13 +10,18 @@ declare(strict_types=1);
 namespace OCA\FederatedTalkLink\Controller;
 
 use OCA\FederatedTalkLink\AppInfo\Application;
+use OCA\FederatedTalkLink\Service\BotService;
 use OCA\FederatedTalkLink\Service\FederatedLinkService;
+use OCA\FederatedTalkLink\Service\LinkFormatService;
+use OCA\FederatedTalkLink\Service\LoginFlowService;
+use OCA\FederatedTalkLink\Service\RoomCacheService;
 use OCA\FederatedTalkLink\Service\SettingsService;
 use OCP\AppFramework\Controller;
 use OCP\AppFramework\Http;
 use OCP\AppFramework\Http\Attribute\AuthorizedAdminSetting;
 use OCP\AppFramework\Http\JSONResponse;
 use OCP\AppFramework\Http\TemplateResponse;
+use OCP\IL10N;
 use OCP\IRequest;
 
 /**
@@ -27,7 +32,12 @@ class SettingsController extends Controller
     public function __construct(
         IRequest $request,
         private SettingsService $settingsService,
-        private FederatedLinkService $federatedLinkService
+        private FederatedLinkService $federatedLinkService,
+        private RoomCacheService $roomCacheService,
+        private LoginFlowService $loginFlowService,
+        private BotService $botService,
+        private LinkFormatService $linkFormatService,
+        private IL10N $l
     ) {
         parent::__construct(Application::APP_ID, $request);
     }
@@ -57,65 +67,285 @@ class SettingsController extends Controller
     #[AuthorizedAdminSetting(settings: \OCA\FederatedTalkLink\Settings\AdminSettings::class)]
     public function save(): JSONResponse
     {
-        $externalServerUrl = $this->request->getParam('externalServerUrl', '');
-        $username = $this->request->getParam('username', '');
-        $password = $this->request->getParam('password', null);
-        $targetNextcloudUrl = $this->request->getParam('targetNextcloudUrl', '');
+        $servers = $this->request->getParam('servers', []);
+        $defaultServerId = (string)$this->request->getParam('defaultServerId', '');
+        $roomCacheInterval = (int)$this->request->getParam('roomCacheInterval', SettingsService::DEFAULT_ROOM_CACHE_INTERVAL);
+        $autoAcceptInvitations = (bool)$this->request->getParam('autoAcceptInvitations', true);
+        $accessGroups = $this->request->getParam('accessGroups', []);
+        $emailRateLimit = (int)$this->request->getParam('emailRateLimit', SettingsService::DEFAULT_EMAIL_RATE_LIMIT);
+        $emailRatePeriod = (int)$this->request->getParam('emailRatePeriod', SettingsService::DEFAULT_EMAIL_RATE_PERIOD);
 
-        // Validate required fields
-        if (empty($externalServerUrl)) {
+        if (!is_array($servers) || empty($servers)) {
             return new JSONResponse(
-                ['error' => 'External server URL is required'],
+                ['error' => $this->l->t('At least one external server is required'), 'code' => 'missing_server'],
                 Http::STATUS_BAD_REQUEST
             );
         }
 
-        if (empty($username)) {
+        foreach ($servers as $server) {
+            $error = $this->validateServer(is_array($server) ? $server : []);
+            if ($error !== null) {
+                return new JSONResponse(
+                    ['error' => $error, 'code' => 'invalid_parameter'],
+                    Http::STATUS_BAD_REQUEST
+                );
+            }
+        }
+
+        try {
+            $this->settingsService->saveServers($servers, $defaultServerId);
+            $this->settingsService->setRoomCacheInterval($roomCacheInterval);
+            $this->settingsService->setAutoAcceptEnabled($autoAcceptInvitations);
+            $this->settingsService->saveAccessGroups(is_array($accessGroups) ? $accessGroups : []);
+            $this->settingsService->setEmailRateLimit($emailRateLimit, $emailRatePeriod);
+
+            // Server URLs or credentials may have changed
+            $this->roomCacheService->clear();
+
+            return new JSONResponse([
+                'success' => true,
+                'settings' => $this->settingsService->getAllSettings(),
+            ]);
+        } catch (\Exception $e) {
             return new JSONResponse(
-                ['error' => 'Username is required'],
-                Http::STATUS_BAD_REQUEST
+                ['error' => $this->l->t('Failed to save settings: %s', [$e->getMessage()]), 'code' => 'save_failed'],
+                Http::STATUS_INTERNAL_SERVER_ERROR
             );
         }
+    }
 
-        if (empty($targetNextcloudUrl)) {
+    /**
+     * Save the invitation email templates
+     *
+     * @return JSONResponse
+     */
+    #[AuthorizedAdminSetting(settings: \OCA\FederatedTalkLink\Settings\AdminSettings::class)]
+    public function saveEmailTemplates(): JSONResponse
+    {
+        $templates = $this->request->getParam('templates', []);
+
+        if (!is_array($templates)) {
             return new JSONResponse(
-                ['error' => 'Target Nextcloud URL is required'],
+                ['error' => $this->l->t('Invalid email templates'), 'code' => 'invalid_parameter'],
                 Http::STATUS_BAD_REQUEST
             );
         }
 
-        // Validate URLs
-        if (!filter_var('https://' . ltrim($externalServerUrl, 'https://'), FILTER_VALIDATE_URL)) {
+        try {
+            $this->settingsService->saveEmailTemplates($templates);
+
+            return new JSONResponse([
+                'success' => true,
+                'templates' => $this->settingsService->getEmailTemplates(),
+            ]);
+        } catch (\Exception $e) {
             return new JSONResponse(
-                ['error' => 'Invalid external server URL format'],
-                Http::STATUS_BAD_REQUEST
+                ['error' => $this->l->t('Failed to save email templates: %s', [$e->getMessage()]), 'code' => 'save_failed'],
+                Http::STATUS_INTERNAL_SERVER_ERROR
             );
         }
+    }
 
-        if (!filter_var('https://' . ltrim($targetNextcloudUrl, 'https://'), FILTER_VALIDATE_URL)) {
+    /**
+     * Save the link templates
+     *
+     * @return JSONResponse
+     */
+    #[AuthorizedAdminSetting(settings: \OCA\FederatedTalkLink\Settings\AdminSettings::class)]
+    public function saveLinkFormats(): JSONResponse
+    {
+        $formats = $this->request->getParam('formats', []);
+
+        if (!is_array($formats) || !empty(array_diff(array_keys($formats), LinkFormatService::FORMATS))) {
             return new JSONResponse(
-                ['error' => 'Invalid target Nextcloud URL format'],
+                [
+                    'error' => $this->l->t('Invalid format value. Valid options: %s', [implode(', ', LinkFormatService::FORMATS)]),
+                    'code' => 'invalid_parameter',
+                ],
                 Http::STATUS_BAD_REQUEST
             );
         }
 
+        foreach ($formats as $template) {
+            if (is_string($template) && trim($template) !== '' && !str_contains($template, '{token}')) {
+                return new JSONResponse(
+                    ['error' => $this->l->t('Link templates must contain the {token} placeholder.'), 'code' => 'invalid_parameter'],
+                    Http::STATUS_BAD_REQUEST
+                );
+            }
+        }
+
         try {
-            $this->settingsService->saveAllSettings(
-                $externalServerUrl,
-                $username,
-                $password,
-                $targetNextcloudUrl
-            );
+            $this->settingsService->saveLinkFormats($formats);
 
             return new JSONResponse([
                 'success' => true,
-                'settings' => $this->settingsService->getAllSettings(),
+                'formats' => $this->linkFormatService->getFormats(),
             ]);
         } catch (\Exception $e) {
             return new JSONResponse(
-                ['error' => 'Failed to save settings: ' . $e->getMessage()],
+                ['error' => $this->l->t('Failed to save link formats: %s', [$e->getMessage()]), 'code' => 'save_failed'],
                 Http::STATUS_INTERNAL_SERVER_ERROR
             );
         }
     }
+
+    /**
+     * Start connecting a server profile with Login Flow v2
+     *
+     * @param string $id The server profile ID
+     * @return JSONResponse With the URL of the remote login page
+     */
+    #[AuthorizedAdminSetting(settings: \OCA\FederatedTalkLink\Settings\AdminSettings::class)]
+    public function startLoginFlow(string $id): JSONResponse
+    {
+        $result = $this->loginFlowService->start($id);
+
+        if (!$result['success']) {
+            return new JSONResponse(
+                ['error' => $result['error'], 'code' => $result['code'] ?? null],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        return new JSONResponse([
+            'success' => true,
+            'loginUrl' => $result['loginUrl'],
+        ]);
+    }
+
+    /**
+     * Check if the login on the external server is complete
+     *
+     * @param string $id The server profile ID
+     * @return JSONResponse With connected and, once connected, the settings
+     */
+    #[AuthorizedAdminSetting(settings: \OCA\FederatedTalkLink\Settings\AdminSettings::class)]
+    public function pollLoginFlow(string $id): JSONResponse
+    {
+        $result = $this->loginFlowService->poll($id);
+
+        if (!$result['success']) {
+            return new JSONResponse(
+                ['error' => $result['error'], 'code' => $result['code'] ?? null],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        if (!$result['connected']) {
+            return new JSONResponse([
+                'success' => true,
+                'connected' => false,
+            ]);
+        }
+
+        // The rooms of the new account may differ
+        $this->roomCacheService->clear($id);
+
+        return new JSONResponse([
+            'success' => true,
+            'connected' => true,
+            'settings' => $this->settingsService->getAllSettings(),
+        ]);
+    }
+
+    /**
+     * Revoke the app password of a server profile
+     *
+     * @param string $id The server profile ID
+     * @return JSONResponse
+     */
+    #[AuthorizedAdminSetting(settings: \OCA\FederatedTalkLink\Settings\AdminSettings::class)]
+    public function revokeAppPassword(string $id): JSONResponse
+    {
+        $result = $this->loginFlowService->revoke($id);
+
+        if (!$result['success']) {
+            return new JSONResponse(
+                ['error' => $result['error'], 'code' => $result['code'] ?? null],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        $this->roomCacheService->clear($id);
+
+        return new JSONResponse([
+            'success' => true,
+            'remoteRevoked' => $result['remoteRevoked'],
+            'settings' => $this->settingsService->getAllSettings(),
+        ]);
+    }
+
+    /**
+     * Register the Talk bot, for example when Talk was enabled after this app
+     *
+     * @return JSONResponse With the bot state
+     */
+    #[AuthorizedAdminSetting(settings: \OCA\FederatedTalkLink\Settings\AdminSettings::class)]
+    public function installBot(): JSONResponse
+    {
+        $result = $this->botService->install();
+
+        if (!$result['success']) {
+            return new JSONResponse(
+                ['error' => $result['error'], 'code' => $result['code'] ?? null],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        return new JSONResponse([
+            'success' => true,
+            'bot' => $this->botService->getState(),
+        ]);
+    }
+
+    /**
+     * Remove the Talk bot from all conversations
+     *
+     * @return JSONResponse With the bot state
+     */
+    #[AuthorizedAdminSetting(settings: \OCA\FederatedTalkLink\Settings\AdminSettings::class)]
+    public function uninstallBot(): JSONResponse
+    {
+        $this->botService->uninstall();
+
+        return new JSONResponse([
+            'success' => true,
+            'bot' => $this->botService->getState(),
+        ]);
+    }
+
+    /**
+     * Validate a single server profile
+     *
+     * @param array $server The submitted server profile
+     * @return string|null The error message or null if valid
+     */
+    private function validateServer(array $server): ?string
+    {
+        $name = trim((string)($server['name'] ?? ''));
+        $externalServerUrl = trim((string)($server['externalServerUrl'] ?? ''));
+        $targetNextcloudUrl = trim((string)($server['targetNextcloudUrl'] ?? ''));
+        $label = $name !== '' ? $name : ($externalServerUrl !== '' ? $externalServerUrl : $this->l->t('new server'));
+
+        // Validate required fields
+        if (empty($externalServerUrl)) {
+            return $this->l->t('External server URL is required (%s)', [$label]);
+        }
+
+        if (empty($targetNextcloudUrl)) {
+            return $this->l->t('Target Nextcloud URL is required (%s)', [$label]);
+        }
+
+        // Validate URLs
+        if (!filter_var('https://' . ltrim($externalServerUrl, 'https://'), FILTER_VALIDATE_URL)) {
+            return $this->l->t('Invalid external server URL format (%s)', [$label]);
+        }
+
+        if (!filter_var('https://' . ltrim($targetNextcloudUrl, 'https://'), FILTER_VALIDATE_URL)) {
+            return $this->l->t('Invalid target Nextcloud URL format (%s)', [$label]);
+        }
+
+        return null;
+    }
 }
@@ -0,0 +1,167 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Controller;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCA\FederatedTalkLink\Service\PermissionService;
+use OCA\FederatedTalkLink\Service\ShortLinkService;
+use OCP\AppFramework\Http;
+use OCP\AppFramework\Http\Attribute\NoAdminRequired;
+use OCP\AppFramework\Http\DataResponse;
+use OCP\AppFramework\OCSController;
+use OCP\IL10N;
+use OCP\IRequest;
+
+/**
+ * OCS API Controller for the short links of the current user
+ */
+class ShortLinkController extends OCSController
+{
+    use CheckPermissionTrait;
+
+    public function __construct(
+        IRequest $request,
+        private ShortLinkService $shortLinkService,
+        private PermissionService $permissionService,
+        private IL10N $l,
+        private ?string $userId
+    ) {
+        parent::__construct(Application::APP_ID, $request);
+    }
+
+    /**
+     * List the short links of the current user
+     *
+     * @param string $token Optional remote room token
+     * @param string $server Optional server profile ID
+     * @param int $limit Maximum number of links
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function index(string $token = '', string $server = '', int $limit = ShortLinkService::DEFAULT_LIMIT): DataResponse
+    {
+        $denied = $this->checkPermission(PermissionService::GENERATE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $token = trim($token);
+        $server = trim($server);
+
+        return new DataResponse([
+            'links' => $this->shortLinkService->list(
+                (string)$this->userId,
+                $server !== '' ? $server : null,
+                $token !== '' ? $token : null,
+                $limit
+            ),
+        ]);
+    }
+
+    /**
+     * Create a short link to a remote room
+     *
+     * @param string $token The remote room token
+     * @param string $server Optional server profile ID (defaults to the default profile)
+     * @param string $roomName Optional room name shown in the list
+     * @param int $expiresAt Unix timestamp the link expires at, 0 for never
+     * @param int $maxUses Number of times the link can be used, 0 for unlimited
+     * @param string $format Link format to redirect to: 'call', 'guest' or 'desktop', empty for the plain call link
+     * @param string $displayName Display name to prefill in guest links
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function create(string $token = '', string $server = '', string $roomName = '', int $expiresAt = 0, int $maxUses = 0, string $format = '', string $displayName = ''): DataResponse
+    {
+        $denied = $this->checkPermission(PermissionService::GENERATE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $token = trim($token);
+        $server = trim($server);
+        if ($token === '') {
+            return new DataResponse(
+                ['error' => $this->l->t('The room token is required.'), 'code' => 'missing_token'],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        $result = $this->shortLinkService->create(
+            (string)$this->userId,
+            $token,
+            $server !== '' ? $server : null,
+            trim($roomName),
+            $expiresAt > 0 ? $expiresAt : null,
+            $maxUses > 0 ? $maxUses : null,
+            trim($format) !== '' ? trim($format) : null,
+            trim($displayName) !== '' ? trim($displayName) : null
+        );
+
+        if (!$result['success']) {
+            return new DataResponse(
+                ['error' => $result['error'], 'code' => $result['code'] ?? null],
+                Http::STATUS_BAD_REQUEST
+            );
+        }
+
+        return new DataResponse($result['link'], Http::STATUS_CREATED);
+    }
+
+    /**
+     * Get a short link with its latest uses
+     *
+     * @param int $id The link ID
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function show(int $id): DataResponse
+    {
+        $denied = $this->checkPermission(PermissionService::GENERATE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $link = $this->shortLinkService->get((string)$this->userId, $id);
+        if ($link === null) {
+            return new DataResponse(
+                ['error' => $this->l->t('Link not found.'), 'code' => 'not_found'],
+                Http::STATUS_NOT_FOUND
+            );
+        }
+
+        return new DataResponse($link);
+    }
+
+    /**
+     * Revoke a short link
+     *
+     * @param int $id The link ID
+     * @return DataResponse
+     */
+    #[NoAdminRequired]
+    public function destroy(int $id): DataResponse
+    {
+        $denied = $this->checkPermission(PermissionService::GENERATE);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $link = $this->shortLinkService->revoke((string)$this->userId, $id);
+        if ($link === null) {
+            return new DataResponse(
+                ['error' => $this->l->t('Link not found.'), 'code' => 'not_found'],
+                Http::STATUS_NOT_FOUND
+            );
+        }
+
+        return new DataResponse($link);
+    }
+}
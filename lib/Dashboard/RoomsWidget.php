@@ -0,0 +1,100 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Dashboard;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCA\FederatedTalkLink\Service\PermissionService;
+use OCP\Dashboard\IConditionalWidget;
+use OCP\Dashboard\IIconWidget;
+use OCP\IL10N;
+use OCP\IURLGenerator;
+use OCP\Util;
+
+/**
+ * Dashboard widget with the pinned and favourite remote rooms and the recent links
+ *
+ * The widget renders in the browser and loads its data through the OCS API.
+ */
+class RoomsWidget implements IIconWidget, IConditionalWidget
+{
+    public function __construct(
+        private PermissionService $permissionService,
+        private IURLGenerator $urlGenerator,
+        private IL10N $l,
+        private ?string $userId
+    ) {
+    }
+
+    /**
+     * @return string
+     */
+    public function getId(): string
+    {
+        return Application::APP_ID . '-rooms';
+    }
+
+    /**
+     * @return string
+     */
+    public function getTitle(): string
+    {
+        return $this->l->t('Partner rooms');
+    }
+
+    /**
+     * @return int
+     */
+    public function getOrder(): int
+    {
+        return 20;
+    }
+
+    /**
+     * @return string
+     */
+    public function getIconClass(): string
+    {
+        return 'icon-federatedtalklink';
+    }
+
+    /**
+     * @return string
+     */
+    public function getIconUrl(): string
+    {
+        return $this->urlGenerator->getAbsoluteURL(
+            $this->urlGenerator->imagePath(Application::APP_ID, 'app-dark.svg')
+        );
+    }
+
+    /**
+     * @return string|null
+     */
+    public function getUrl(): ?string
+    {
+        return $this->urlGenerator->linkToRouteAbsolute(Application::APP_ID . '.page.index');
+    }
+
+    /**
+     * Only offer the widget to users who may generate links
+     *
+     * @return bool
+     */
+    public function isEnabled(): bool
+    {
+        return $this->permissionService->isAllowed($this->userId, PermissionService::GENERATE);
+    }
+
+    public function load(): void
+    {
+        Util::addScript(Application::APP_ID, 'federatedtalklink-vendors');
+        Util::addScript(Application::APP_ID, 'federatedtalklink-dashboard');
+    }
+}
@@ -0,0 +1,65 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Db;
+
+use JsonSerializable;
+use OCP\AppFramework\Db\Entity;
+
+/**
+ * One entry of the admin audit log
+ *
+ * @method string|null getUserId()
+ * @method void setUserId(?string $userId)
+ * @method string getAction()
+ * @method void setAction(string $action)
+ * @method string|null getServerId()
+ * @method void setServerId(?string $serverId)
+ * @method string|null getRoomToken()
+ * @method void setRoomToken(?string $roomToken)
+ * @method string|null getRoomName()
+ * @method void setRoomName(?string $roomName)
+ * @method string|null getRecipient()
+ * @method void setRecipient(?string $recipient)
+ * @method string|null getLink()
+ * @method void setLink(?string $link)
+ * @method int getCreatedAt()
+ * @method void setCreatedAt(int $createdAt)
+ */
+class AuditLog extends Entity implements JsonSerializable
+{
+    protected $userId;
+    protected $action;
+    protected $serverId;
+    protected $roomToken;
+    protected $roomName;
+    protected $recipient;
+    protected $link;
+    protected $createdAt;
+
+    public function __construct()
+    {
+        $this->addType('createdAt', 'integer');
+    }
+
+    public function jsonSerialize(): array
+    {
+        return [
+            'id' => $this->id,
+            'userId' => $this->userId,
+            'action' => $this->action,
+            'serverId' => $this->serverId,
+            'roomToken' => $this->roomToken,
+            'roomName' => $this->roomName,
+            'recipient' => $this->recipient,
+            'link' => $this->link,
+            'createdAt' => $this->createdAt,
+        ];
+    }
+}
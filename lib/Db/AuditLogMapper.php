@@ -0,0 +1,106 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Db;
+
+use OCP\AppFramework\Db\QBMapper;
+use OCP\DB\QueryBuilder\IQueryBuilder;
+use OCP\IDBConnection;
+
+/**
+ * Mapper for the admin audit log
+ *
+ * @template-extends QBMapper<AuditLog>
+ */
+class AuditLogMapper extends QBMapper
+{
+    public const TABLE_NAME = 'ftl_audit_log';
+
+    public function __construct(IDBConnection $db)
+    {
+        parent::__construct($db, self::TABLE_NAME, AuditLog::class);
+    }
+
+    /**
+     * List the entries matching the filters, newest first
+     *
+     * @param array{user?: ?string, room?: ?string, action?: ?string, from?: ?int, to?: ?int} $filters
+     * @param int $limit Maximum number of entries
+     * @param int $offset Number of entries to skip
+     * @return AuditLog[]
+     */
+    public function findFiltered(array $filters, int $limit, int $offset): array
+    {
+        $qb = $this->db->getQueryBuilder();
+        $qb->select('*')
+            ->from(self::TABLE_NAME);
+        $this->applyFilters($qb, $filters);
+
+        $qb->orderBy('created_at', 'DESC')
+            ->addOrderBy('id', 'DESC')
+            ->setMaxResults($limit)
+            ->setFirstResult($offset);
+
+        return $this->findEntities($qb);
+    }
+
+    /**
+     * Count the entries matching the filters
+     *
+     * @param array{user?: ?string, room?: ?string, action?: ?string, from?: ?int, to?: ?int} $filters
+     * @return int
+     */
+    public function countFiltered(array $filters): int
+    {
+        $qb = $this->db->getQueryBuilder();
+        $qb->select($qb->func()->count('*', 'count'))
+            ->from(self::TABLE_NAME);
+        $this->applyFilters($qb, $filters);
+
+        $result = $qb->executeQuery();
+        $count = (int)$result->fetchOne();
+        $result->closeCursor();
+
+        return $count;
+    }
+
+    /**
+     * Restrict a query to the entries matching the filters
+     *
+     * The room filter matches the room name, token and link, so emails
+     * sent with a bare link are found as well.
+     */
+    private function applyFilters(IQueryBuilder $qb, array $filters): void
+    {
+        if (($filters['user'] ?? null) !== null) {
+            $qb->andWhere($qb->expr()->eq('user_id', $qb->createNamedParameter($filters['user'])));
+        }
+
+        if (($filters['action'] ?? null) !== null) {
+            $qb->andWhere($qb->expr()->eq('action', $qb->createNamedParameter($filters['action'])));
+        }
+
+        if (($filters['room'] ?? null) !== null) {
+            $pattern = $qb->createNamedParameter('%' . $this->db->escapeLikeParameter($filters['room']) . '%');
+            $qb->andWhere($qb->expr()->orX(
+                $qb->expr()->iLike('room_name', $pattern),
+                $qb->expr()->iLike('room_token', $pattern),
+                $qb->expr()->iLike('link', $pattern)
+            ));
+        }
+
+        if (($filters['from'] ?? null) !== null) {
+            $qb->andWhere($qb->expr()->gte('created_at', $qb->createNamedParameter($filters['from'], IQueryBuilder::PARAM_INT)));
+        }
+
+        if (($filters['to'] ?? null) !== null) {
+            $qb->andWhere($qb->expr()->lt('created_at', $qb->createNamedParameter($filters['to'], IQueryBuilder::PARAM_INT)));
+        }
+    }
+}
@@ -0,0 +1,90 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Db;
+
+use JsonSerializable;
+use OCP\AppFramework\Db\Entity;
+
+/**
+ * A federated link generated by a user
+ *
+ * @method string getUserId()
+ * @method void setUserId(string $userId)
+ * @method string getServerId()
+ * @method void setServerId(string $serverId)
+ * @method string getRoomToken()
+ * @method void setRoomToken(string $roomToken)
+ * @method string|null getRoomName()
+ * @method void setRoomName(?string $roomName)
+ * @method string getLink()
+ * @method void setLink(string $link)
+ * @method string|null getEmailedTo()
+ * @method void setEmailedTo(?string $emailedTo)
+ * @method int getCreatedAt()
+ * @method void setCreatedAt(int $createdAt)
+ * @method int getUpdatedAt()
+ * @method void setUpdatedAt(int $updatedAt)
+ */
+class LinkHistory extends Entity implements JsonSerializable
+{
+    protected $userId;
+    protected $serverId;
+    protected $roomToken;
+    protected $roomName;
+    protected $link;
+    protected $emailedTo;
+    protected $createdAt;
+    protected $updatedAt;
+
+    public function __construct()
+    {
+        $this->addType('createdAt', 'integer');
+        $this->addType('updatedAt', 'integer');
+    }
+
+    /**
+     * Get the email addresses the link was sent to
+     *
+     * @return string[]
+     */
+    public function getRecipients(): array
+    {
+        $recipients = json_decode($this->emailedTo ?? '', true);
+        return is_array($recipients) ? $recipients : [];
+    }
+
+    /**
+     * Add an email address the link was sent to
+     *
+     * @param string $email The recipient address
+     */
+    public function addRecipient(string $email): void
+    {
+        $recipients = $this->getRecipients();
+        if (!in_array($email, $recipients, true)) {
+            $recipients[] = $email;
+        }
+        $this->setEmailedTo(json_encode($recipients));
+    }
+
+    public function jsonSerialize(): array
+    {
+        return [
+            'id' => $this->id,
+            'serverId' => $this->serverId,
+            'roomToken' => $this->roomToken,
+            'roomName' => $this->roomName,
+            'link' => $this->link,
+            'emailedTo' => $this->getRecipients(),
+            'createdAt' => $this->createdAt,
+            'updatedAt' => $this->updatedAt,
+        ];
+    }
+}
@@ -0,0 +1,119 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Db;
+
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Db\QBMapper;
+use OCP\DB\QueryBuilder\IQueryBuilder;
+use OCP\IDBConnection;
+
+/**
+ * Mapper for the link history table
+ *
+ * @template-extends QBMapper<LinkHistory>
+ */
+class LinkHistoryMapper extends QBMapper
+{
+    public const TABLE_NAME = 'ftl_links';
+
+    public function __construct(IDBConnection $db)
+    {
+        parent::__construct($db, self::TABLE_NAME, LinkHistory::class);
+    }
+
+    /**
+     * Find an entry of a user by ID
+     *
+     * @throws DoesNotExistException
+     */
+    public function findForUser(int $id, string $userId): LinkHistory
+    {
+        $qb = $this->db->getQueryBuilder();
+        $qb->select('*')
+            ->from(self::TABLE_NAME)
+            ->where($qb->expr()->eq('id', $qb->createNamedParameter($id, IQueryBuilder::PARAM_INT)))
+            ->andWhere($qb->expr()->eq('user_id', $qb->createNamedParameter($userId)));
+
+        return $this->findEntity($qb);
+    }
+
+    /**
+     * Find the entry of a user for a remote room
+     */
+    public function findByRoom(string $userId, string $serverId, string $roomToken): ?LinkHistory
+    {
+        $qb = $this->db->getQueryBuilder();
+        $qb->select('*')
+            ->from(self::TABLE_NAME)
+            ->where($qb->expr()->eq('user_id', $qb->createNamedParameter($userId)))
+            ->andWhere($qb->expr()->eq('server_id', $qb->createNamedParameter($serverId)))
+            ->andWhere($qb->expr()->eq('room_token', $qb->createNamedParameter($roomToken)));
+
+        try {
+            return $this->findEntity($qb);
+        } catch (DoesNotExistException $e) {
+            return null;
+        }
+    }
+
+    /**
+     * Find the most recent entry of a user for a link
+     */
+    public function findByLink(string $userId, string $link): ?LinkHistory
+    {
+        $qb = $this->db->getQueryBuilder();
+        $qb->select('*')
+            ->from(self::TABLE_NAME)
+            ->where($qb->expr()->eq('user_id', $qb->createNamedParameter($userId)))
+            ->andWhere($qb->expr()->eq('link', $qb->createNamedParameter($link)))
+            ->orderBy('updated_at', 'DESC')
+            ->setMaxResults(1);
+
+        $entities = $this->findEntities($qb);
+        return $entities[0] ?? null;
+    }
+
+    /**
+     * List the entries of a user, most recently used first
+     *
+     * @param string $userId The user ID
+     * @param string|null $search Filter by room name, room token or recipient
+     * @param string|null $serverId Filter by server profile
+     * @param int $limit Maximum number of entries
+     * @param int $offset Number of entries to skip
+     * @return LinkHistory[]
+     */
+    public function findAllForUser(string $userId, ?string $search, ?string $serverId, int $limit, int $offset): array
+    {
+        $qb = $this->db->getQueryBuilder();
+        $qb->select('*')
+            ->from(self::TABLE_NAME)
+            ->where($qb->expr()->eq('user_id', $qb->createNamedParameter($userId)));
+
+        if ($serverId !== null) {
+            $qb->andWhere($qb->expr()->eq('server_id', $qb->createNamedParameter($serverId)));
+        }
+
+        if ($search !== null) {
+            $pattern = $qb->createNamedParameter('%' . $this->db->escapeLikeParameter($search) . '%');
+            $qb->andWhere($qb->expr()->orX(
+                $qb->expr()->iLike('room_name', $pattern),
+                $qb->expr()->iLike('room_token', $pattern),
+                $qb->expr()->iLike('emailed_to', $pattern)
+            ));
+        }
+
+        $qb->orderBy('updated_at', 'DESC')
+            ->setMaxResults($limit)
+            ->setFirstResult($offset);
+
+        return $this->findEntities($qb);
+    }
+}
@@ -0,0 +1,52 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Db;
+
+use JsonSerializable;
+use OCP\AppFramework\Db\Entity;
+
+/**
+ * Remote room a user pinned to the dashboard
+ *
+ * @method string getUserId()
+ * @method void setUserId(string $userId)
+ * @method string getServerId()
+ * @method void setServerId(string $serverId)
+ * @method string getRoomToken()
+ * @method void setRoomToken(string $roomToken)
+ * @method string|null getRoomName()
+ * @method void setRoomName(?string $roomName)
+ * @method int getCreatedAt()
+ * @method void setCreatedAt(int $createdAt)
+ */
+class PinnedRoom extends Entity implements JsonSerializable
+{
+    protected $userId;
+    protected $serverId;
+    protected $roomToken;
+    protected $roomName;
+    protected $createdAt;
+
+    public function __construct()
+    {
+        $this->addType('createdAt', 'integer');
+    }
+
+    public function jsonSerialize(): array
+    {
+        return [
+            'id' => $this->id,
+            'serverId' => $this->serverId,
+            'roomToken' => $this->roomToken,
+            'roomName' => $this->roomName,
+            'createdAt' => $this->createdAt,
+        ];
+    }
+}
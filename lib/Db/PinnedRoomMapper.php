@@ -0,0 +1,82 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Db;
+
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Db\QBMapper;
+use OCP\DB\QueryBuilder\IQueryBuilder;
+use OCP\IDBConnection;
+
+/**
+ * Mapper for the rooms pinned to the dashboard
+ *
+ * @template-extends QBMapper<PinnedRoom>
+ */
+class PinnedRoomMapper extends QBMapper
+{
+    public const TABLE_NAME = 'ftl_pinned_rooms';
+
+    public function __construct(IDBConnection $db)
+    {
+        parent::__construct($db, self::TABLE_NAME, PinnedRoom::class);
+    }
+
+    /**
+     * Find the pinned rooms of a user, oldest pin first
+     *
+     * @return PinnedRoom[]
+     */
+    public function findByUser(string $userId): array
+    {
+        $qb = $this->db->getQueryBuilder();
+        $qb->select('*')
+            ->from(self::TABLE_NAME)
+            ->where($qb->expr()->eq('user_id', $qb->createNamedParameter($userId)))
+            ->orderBy('created_at', 'ASC')
+            ->addOrderBy('id', 'ASC');
+
+        return $this->findEntities($qb);
+    }
+
+    /**
+     * Find the pin of a remote room by a user
+     */
+    public function findByRoom(string $userId, string $serverId, string $roomToken): ?PinnedRoom
+    {
+        $qb = $this->db->getQueryBuilder();
+        $qb->select('*')
+            ->from(self::TABLE_NAME)
+            ->where($qb->expr()->eq('user_id', $qb->createNamedParameter($userId)))
+            ->andWhere($qb->expr()->eq('server_id', $qb->createNamedParameter($serverId)))
+            ->andWhere($qb->expr()->eq('room_token', $qb->createNamedParameter($roomToken)));
+
+        try {
+            return $this->findEntity($qb);
+        } catch (DoesNotExistException $e) {
+            return null;
+        }
+    }
+
+    /**
+     * Find a pin of a user by ID
+     *
+     * @throws DoesNotExistException
+     */
+    public function findForUser(int $id, string $userId): PinnedRoom
+    {
+        $qb = $this->db->getQueryBuilder();
+        $qb->select('*')
+            ->from(self::TABLE_NAME)
+            ->where($qb->expr()->eq('id', $qb->createNamedParameter($id, IQueryBuilder::PARAM_INT)))
+            ->andWhere($qb->expr()->eq('user_id', $qb->createNamedParameter($userId)));
+
+        return $this->findEntity($qb);
+    }
+}
@@ -0,0 +1,56 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Db;
+
+use JsonSerializable;
+use OCP\AppFramework\Db\Entity;
+
+/**
+ * Mapping of a local Talk conversation to a room on an external server
+ *
+ * @method string getLocalToken()
+ * @method void setLocalToken(string $localToken)
+ * @method string getServerId()
+ * @method void setServerId(string $serverId)
+ * @method string getRemoteToken()
+ * @method void setRemoteToken(string $remoteToken)
+ * @method string|null getRemoteName()
+ * @method void setRemoteName(?string $remoteName)
+ * @method string getUserId()
+ * @method void setUserId(string $userId)
+ * @method int getUpdatedAt()
+ * @method void setUpdatedAt(int $updatedAt)
+ */
+class RoomMapping extends Entity implements JsonSerializable
+{
+    protected $localToken;
+    protected $serverId;
+    protected $remoteToken;
+    protected $remoteName;
+    protected $userId;
+    protected $updatedAt;
+
+    public function __construct()
+    {
+        $this->addType('updatedAt', 'integer');
+    }
+
+    public function jsonSerialize(): array
+    {
+        return [
+            'localToken' => $this->localToken,
+            'serverId' => $this->serverId,
+            'remoteToken' => $this->remoteToken,
+            'remoteName' => $this->remoteName,
+            'userId' => $this->userId,
+            'updatedAt' => $this->updatedAt,
+        ];
+    }
+}
@@ -0,0 +1,46 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Db;
+
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Db\QBMapper;
+use OCP\IDBConnection;
+
+/**
+ * Mapper for the conversation to remote room mappings
+ *
+ * @template-extends QBMapper<RoomMapping>
+ */
+class RoomMappingMapper extends QBMapper
+{
+    public const TABLE_NAME = 'ftl_room_map';
+
+    public function __construct(IDBConnection $db)
+    {
+        parent::__construct($db, self::TABLE_NAME, RoomMapping::class);
+    }
+
+    /**
+     * Find the mapping of a local conversation
+     */
+    public function findByLocalToken(string $localToken): ?RoomMapping
+    {
+        $qb = $this->db->getQueryBuilder();
+        $qb->select('*')
+            ->from(self::TABLE_NAME)
+            ->where($qb->expr()->eq('local_token', $qb->createNamedParameter($localToken)));
+
+        try {
+            return $this->findEntity($qb);
+        } catch (DoesNotExistException $e) {
+            return null;
+        }
+    }
+}
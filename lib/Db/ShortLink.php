@@ -0,0 +1,80 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Db;
+
+use JsonSerializable;
+use OCP\AppFramework\Db\Entity;
+
+/**
+ * Short redirect link to a federated link
+ *
+ * @method string getCode()
+ * @method void setCode(string $code)
+ * @method string getUserId()
+ * @method void setUserId(string $userId)
+ * @method string getServerId()
+ * @method void setServerId(string $serverId)
+ * @method string getRoomToken()
+ * @method void setRoomToken(string $roomToken)
+ * @method string|null getRoomName()
+ * @method void setRoomName(?string $roomName)
+ * @method string getTarget()
+ * @method void setTarget(string $target)
+ * @method int getCreatedAt()
+ * @method void setCreatedAt(int $createdAt)
+ * @method int|null getExpiresAt()
+ * @method void setExpiresAt(?int $expiresAt)
+ * @method int|null getMaxUses()
+ * @method void setMaxUses(?int $maxUses)
+ * @method int getUseCount()
+ * @method void setUseCount(int $useCount)
+ * @method int|null getRevokedAt()
+ * @method void setRevokedAt(?int $revokedAt)
+ */
+class ShortLink extends Entity implements JsonSerializable
+{
+    protected $code;
+    protected $userId;
+    protected $serverId;
+    protected $roomToken;
+    protected $roomName;
+    protected $target;
+    protected $createdAt;
+    protected $expiresAt;
+    protected $maxUses;
+    protected $useCount;
+    protected $revokedAt;
+
+    public function __construct()
+    {
+        $this->addType('createdAt', 'integer');
+        $this->addType('expiresAt', 'integer');
+        $this->addType('maxUses', 'integer');
+        $this->addType('useCount', 'integer');
+        $this->addType('revokedAt', 'integer');
+    }
+
+    public function jsonSerialize(): array
+    {
+        return [
+            'id' => $this->id,
+            'code' => $this->code,
+            'serverId' => $this->serverId,
+            'roomToken' => $this->roomToken,
+            'roomName' => $this->roomName,
+            'target' => $this->target,
+            'createdAt' => $this->createdAt,
+            'expiresAt' => $this->expiresAt,
+            'maxUses' => $this->maxUses,
+            'useCount' => $this->useCount,
+            'revokedAt' => $this->revokedAt,
+        ];
+    }
+}
@@ -0,0 +1,113 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Db;
+
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Db\QBMapper;
+use OCP\DB\QueryBuilder\IQueryBuilder;
+use OCP\IDBConnection;
+
+/**
+ * Mapper for the short redirect links
+ *
+ * @template-extends QBMapper<ShortLink>
+ */
+class ShortLinkMapper extends QBMapper
+{
+    public const TABLE_NAME = 'ftl_short_links';
+
+    public function __construct(IDBConnection $db)
+    {
+        parent::__construct($db, self::TABLE_NAME, ShortLink::class);
+    }
+
+    /**
+     * Find a link by its public code
+     */
+    public function findByCode(string $code): ?ShortLink
+    {
+        $qb = $this->db->getQueryBuilder();
+        $qb->select('*')
+            ->from(self::TABLE_NAME)
+            ->where($qb->expr()->eq('code', $qb->createNamedParameter($code)));
+
+        try {
+            return $this->findEntity($qb);
+        } catch (DoesNotExistException $e) {
+            return null;
+        }
+    }
+
+    /**
+     * Find a link of a user by ID
+     *
+     * @throws DoesNotExistException
+     */
+    public function findForUser(int $id, string $userId): ShortLink
+    {
+        $qb = $this->db->getQueryBuilder();
+        $qb->select('*')
+            ->from(self::TABLE_NAME)
+            ->where($qb->expr()->eq('id', $qb->createNamedParameter($id, IQueryBuilder::PARAM_INT)))
+            ->andWhere($qb->expr()->eq('user_id', $qb->createNamedParameter($userId)));
+
+        return $this->findEntity($qb);
+    }
+
+    /**
+     * Find the links of a user, newest first
+     *
+     * @param string $userId The user ID
+     * @param string|null $serverId Only links of this server profile
+     * @param string|null $roomToken Only links to this remote room
+     * @param int $limit Maximum number of links
+     * @return ShortLink[]
+     */
+    public function findByUser(string $userId, ?string $serverId, ?string $roomToken, int $limit): array
+    {
+        $qb = $this->db->getQueryBuilder();
+        $qb->select('*')
+            ->from(self::TABLE_NAME)
+            ->where($qb->expr()->eq('user_id', $qb->createNamedParameter($userId)))
+            ->orderBy('created_at', 'DESC')
+            ->addOrderBy('id', 'DESC')
+            ->setMaxResults($limit);
+
+        if ($serverId !== null) {
+            $qb->andWhere($qb->expr()->eq('server_id', $qb->createNamedParameter($serverId)));
+        }
+        if ($roomToken !== null) {
+            $qb->andWhere($qb->expr()->eq('room_token', $qb->createNamedParameter($roomToken)));
+        }
+
+        return $this->findEntities($qb);
+    }
+
+    /**
+     * Count a use unless the link has reached its maximum number of uses
+     *
+     * Done in a single update, so concurrent requests cannot exceed the limit.
+     *
+     * @return bool False if the link is used up
+     */
+    public function incrementUseCount(int $id): bool
+    {
+        $qb = $this->db->getQueryBuilder();
+        $qb->update(self::TABLE_NAME)
+            ->set('use_count', $qb->createFunction($qb->getColumnName('use_count') . ' + 1'))
+            ->where($qb->expr()->eq('id', $qb->createNamedParameter($id, IQueryBuilder::PARAM_INT)))
+            ->andWhere($qb->expr()->orX(
+                $qb->expr()->isNull('max_uses'),
+                $qb->expr()->lt('use_count', 'max_uses')
+            ));
+
+        return $qb->executeStatement() > 0;
+    }
+}
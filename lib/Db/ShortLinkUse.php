@@ -0,0 +1,48 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Db;
+
+use JsonSerializable;
+use OCP\AppFramework\Db\Entity;
+
+/**
+ * One resolution of a short link
+ *
+ * @method int getLinkId()
+ * @method void setLinkId(int $linkId)
+ * @method int getUsedAt()
+ * @method void setUsedAt(int $usedAt)
+ * @method string|null getUserId()
+ * @method void setUserId(?string $userId)
+ * @method string getOutcome()
+ * @method void setOutcome(string $outcome)
+ */
+class ShortLinkUse extends Entity implements JsonSerializable
+{
+    protected $linkId;
+    protected $usedAt;
+    protected $userId;
+    protected $outcome;
+
+    public function __construct()
+    {
+        $this->addType('linkId', 'integer');
+        $this->addType('usedAt', 'integer');
+    }
+
+    public function jsonSerialize(): array
+    {
+        return [
+            'usedAt' => $this->usedAt,
+            'userId' => $this->userId,
+            'outcome' => $this->outcome,
+        ];
+    }
+}
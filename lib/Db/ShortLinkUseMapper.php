@@ -0,0 +1,47 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Db;
+
+use OCP\AppFramework\Db\QBMapper;
+use OCP\DB\QueryBuilder\IQueryBuilder;
+use OCP\IDBConnection;
+
+/**
+ * Mapper for the log of short link resolutions
+ *
+ * @template-extends QBMapper<ShortLinkUse>
+ */
+class ShortLinkUseMapper extends QBMapper
+{
+    public const TABLE_NAME = 'ftl_short_link_uses';
+
+    public function __construct(IDBConnection $db)
+    {
+        parent::__construct($db, self::TABLE_NAME, ShortLinkUse::class);
+    }
+
+    /**
+     * Find the latest resolutions of a link
+     *
+     * @return ShortLinkUse[]
+     */
+    public function findByLink(int $linkId, int $limit): array
+    {
+        $qb = $this->db->getQueryBuilder();
+        $qb->select('*')
+            ->from(self::TABLE_NAME)
+            ->where($qb->expr()->eq('link_id', $qb->createNamedParameter($linkId, IQueryBuilder::PARAM_INT)))
+            ->orderBy('used_at', 'DESC')
+            ->addOrderBy('id', 'DESC')
+            ->setMaxResults($limit);
+
+        return $this->findEntities($qb);
+    }
+}
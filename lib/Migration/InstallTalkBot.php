@@ -0,0 +1,53 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Migration;
+
+use OCA\FederatedTalkLink\Service\BotService;
+use OCP\Migration\IOutput;
+use OCP\Migration\IRepairStep;
+
+/**
+ * Repair step that registers the /federated bot with Talk
+ */
+class InstallTalkBot implements IRepairStep
+{
+    public function __construct(
+        private BotService $botService
+    ) {
+    }
+
+    /**
+     * Get the repair step name
+     *
+     * @return string
+     */
+    public function getName(): string
+    {
+        return 'Register the Federated Talk Link bot with Talk';
+    }
+
+    /**
+     * Install or update the bot
+     *
+     * @param IOutput $output
+     */
+    public function run(IOutput $output): void
+    {
+        if (!$this->botService->isTalkAvailable()) {
+            $output->info('Talk does not support bots, skipping the bot installation');
+            return;
+        }
+
+        $result = $this->botService->install();
+        if (!$result['success']) {
+            $output->warning($result['error']);
+        }
+    }
+}
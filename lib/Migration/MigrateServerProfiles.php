@@ -0,0 +1,48 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Migration;
+
+use OCA\FederatedTalkLink\Service\SettingsService;
+use OCP\Migration\IOutput;
+use OCP\Migration\IRepairStep;
+
+/**
+ * Repair step that moves the single-server settings of
+ * older versions into a default server profile
+ */
+class MigrateServerProfiles implements IRepairStep
+{
+    public function __construct(
+        private SettingsService $settingsService
+    ) {
+    }
+
+    /**
+     * Get the repair step name
+     *
+     * @return string
+     */
+    public function getName(): string
+    {
+        return 'Migrate Federated Talk Link settings to server profiles';
+    }
+
+    /**
+     * Run the migration
+     *
+     * @param IOutput $output
+     */
+    public function run(IOutput $output): void
+    {
+        if ($this->settingsService->migrateLegacySettings()) {
+            $output->info('Migrated external server settings to the default server profile');
+        }
+    }
+}
@@ -0,0 +1,45 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Migration;
+
+use OCA\FederatedTalkLink\Service\BotService;
+use OCP\Migration\IOutput;
+use OCP\Migration\IRepairStep;
+
+/**
+ * Repair step that removes the /federated bot from Talk
+ */
+class UninstallTalkBot implements IRepairStep
+{
+    public function __construct(
+        private BotService $botService
+    ) {
+    }
+
+    /**
+     * Get the repair step name
+     *
+     * @return string
+     */
+    public function getName(): string
+    {
+        return 'Remove the Federated Talk Link bot from Talk';
+    }
+
+    /**
+     * Uninstall the bot
+     *
+     * @param IOutput $output
+     */
+    public function run(IOutput $output): void
+    {
+        $this->botService->uninstall();
+    }
+}
@@ -0,0 +1,82 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Migration;
+
+use Closure;
+use OCP\DB\ISchemaWrapper;
+use OCP\DB\Types;
+use OCP\Migration\IOutput;
+use OCP\Migration\SimpleMigrationStep;
+
+/**
+ * Create the table for the history of generated links
+ */
+class Version1040Date20261019000000 extends SimpleMigrationStep
+{
+    /**
+     * @param IOutput $output
+     * @param Closure(): ISchemaWrapper $schemaClosure
+     * @param array $options
+     * @return ISchemaWrapper|null
+     */
+    public function changeSchema(IOutput $output, Closure $schemaClosure, array $options): ?ISchemaWrapper
+    {
+        /** @var ISchemaWrapper $schema */
+        $schema = $schemaClosure();
+
+        if ($schema->hasTable('ftl_links')) {
+            return null;
+        }
+
+        $table = $schema->createTable('ftl_links');
+        $table->addColumn('id', Types::BIGINT, [
+            'autoincrement' => true,
+            'notnull' => true,
+            'unsigned' => true,
+        ]);
+        $table->addColumn('user_id', Types::STRING, [
+            'notnull' => true,
+            'length' => 64,
+        ]);
+        $table->addColumn('server_id', Types::STRING, [
+            'notnull' => true,
+            'length' => 64,
+        ]);
+        $table->addColumn('room_token', Types::STRING, [
+            'notnull' => true,
+            'length' => 64,
+        ]);
+        $table->addColumn('room_name', Types::STRING, [
+            'notnull' => false,
+            'length' => 255,
+        ]);
+        $table->addColumn('link', Types::STRING, [
+            'notnull' => true,
+            'length' => 2048,
+        ]);
+        $table->addColumn('emailed_to', Types::TEXT, [
+            'notnull' => false,
+        ]);
+        $table->addColumn('created_at', Types::BIGINT, [
+            'notnull' => true,
+            'unsigned' => true,
+        ]);
+        $table->addColumn('updated_at', Types::BIGINT, [
+            'notnull' => true,
+            'unsigned' => true,
+        ]);
+
+        $table->setPrimaryKey(['id']);
+        $table->addUniqueIndex(['user_id', 'server_id', 'room_token'], 'ftl_links_room');
+        $table->addIndex(['user_id', 'updated_at'], 'ftl_links_user');
+
+        return $schema;
+    }
+}
@@ -0,0 +1,74 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Migration;
+
+use Closure;
+use OCP\DB\ISchemaWrapper;
+use OCP\DB\Types;
+use OCP\Migration\IOutput;
+use OCP\Migration\SimpleMigrationStep;
+
+/**
+ * Create the table mapping local conversations to remote rooms
+ */
+class Version1050Date20261019000000 extends SimpleMigrationStep
+{
+    /**
+     * @param IOutput $output
+     * @param Closure(): ISchemaWrapper $schemaClosure
+     * @param array $options
+     * @return ISchemaWrapper|null
+     */
+    public function changeSchema(IOutput $output, Closure $schemaClosure, array $options): ?ISchemaWrapper
+    {
+        /** @var ISchemaWrapper $schema */
+        $schema = $schemaClosure();
+
+        if ($schema->hasTable('ftl_room_map')) {
+            return null;
+        }
+
+        $table = $schema->createTable('ftl_room_map');
+        $table->addColumn('id', Types::BIGINT, [
+            'autoincrement' => true,
+            'notnull' => true,
+            'unsigned' => true,
+        ]);
+        $table->addColumn('local_token', Types::STRING, [
+            'notnull' => true,
+            'length' => 64,
+        ]);
+        $table->addColumn('server_id', Types::STRING, [
+            'notnull' => true,
+            'length' => 64,
+        ]);
+        $table->addColumn('remote_token', Types::STRING, [
+            'notnull' => true,
+            'length' => 64,
+        ]);
+        $table->addColumn('remote_name', Types::STRING, [
+            'notnull' => false,
+            'length' => 255,
+        ]);
+        $table->addColumn('user_id', Types::STRING, [
+            'notnull' => true,
+            'length' => 64,
+        ]);
+        $table->addColumn('updated_at', Types::BIGINT, [
+            'notnull' => true,
+            'unsigned' => true,
+        ]);
+
+        $table->setPrimaryKey(['id']);
+        $table->addUniqueIndex(['local_token'], 'ftl_room_map_local');
+
+        return $schema;
+    }
+}
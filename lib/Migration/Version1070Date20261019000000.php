@@ -0,0 +1,125 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Migration;
+
+use Closure;
+use OCP\DB\ISchemaWrapper;
+use OCP\DB\Types;
+use OCP\Migration\IOutput;
+use OCP\Migration\SimpleMigrationStep;
+
+/**
+ * Create the tables for short redirect links and their resolutions
+ */
+class Version1070Date20261019000000 extends SimpleMigrationStep
+{
+    /**
+     * @param IOutput $output
+     * @param Closure(): ISchemaWrapper $schemaClosure
+     * @param array $options
+     * @return ISchemaWrapper|null
+     */
+    public function changeSchema(IOutput $output, Closure $schemaClosure, array $options): ?ISchemaWrapper
+    {
+        /** @var ISchemaWrapper $schema */
+        $schema = $schemaClosure();
+        $changed = false;
+
+        if (!$schema->hasTable('ftl_short_links')) {
+            $table = $schema->createTable('ftl_short_links');
+            $table->addColumn('id', Types::BIGINT, [
+                'autoincrement' => true,
+                'notnull' => true,
+                'unsigned' => true,
+            ]);
+            $table->addColumn('code', Types::STRING, [
+                'notnull' => true,
+                'length' => 32,
+            ]);
+            $table->addColumn('user_id', Types::STRING, [
+                'notnull' => true,
+                'length' => 64,
+            ]);
+            $table->addColumn('server_id', Types::STRING, [
+                'notnull' => true,
+                'length' => 64,
+            ]);
+            $table->addColumn('room_token', Types::STRING, [
+                'notnull' => true,
+                'length' => 64,
+            ]);
+            $table->addColumn('room_name', Types::STRING, [
+                'notnull' => false,
+                'length' => 255,
+            ]);
+            $table->addColumn('target', Types::STRING, [
+                'notnull' => true,
+                'length' => 2000,
+            ]);
+            $table->addColumn('created_at', Types::BIGINT, [
+                'notnull' => true,
+                'unsigned' => true,
+            ]);
+            $table->addColumn('expires_at', Types::BIGINT, [
+                'notnull' => false,
+                'unsigned' => true,
+            ]);
+            $table->addColumn('max_uses', Types::INTEGER, [
+                'notnull' => false,
+                'unsigned' => true,
+            ]);
+            $table->addColumn('use_count', Types::INTEGER, [
+                'notnull' => true,
+                'unsigned' => true,
+                'default' => 0,
+            ]);
+            $table->addColumn('revoked_at', Types::BIGINT, [
+                'notnull' => false,
+                'unsigned' => true,
+            ]);
+
+            $table->setPrimaryKey(['id']);
+            $table->addUniqueIndex(['code'], 'ftl_short_links_code');
+            $table->addIndex(['user_id', 'server_id', 'room_token'], 'ftl_short_links_room');
+            $changed = true;
+        }
+
+        if (!$schema->hasTable('ftl_short_link_uses')) {
+            $table = $schema->createTable('ftl_short_link_uses');
+            $table->addColumn('id', Types::BIGINT, [
+                'autoincrement' => true,
+                'notnull' => true,
+                'unsigned' => true,
+            ]);
+            $table->addColumn('link_id', Types::BIGINT, [
+                'notnull' => true,
+                'unsigned' => true,
+            ]);
+            $table->addColumn('used_at', Types::BIGINT, [
+                'notnull' => true,
+                'unsigned' => true,
+            ]);
+            $table->addColumn('user_id', Types::STRING, [
+                'notnull' => false,
+                'length' => 64,
+            ]);
+            $table->addColumn('outcome', Types::STRING, [
+                'notnull' => true,
+                'length' => 16,
+            ]);
+
+            $table->setPrimaryKey(['id']);
+            $table->addIndex(['link_id', 'used_at'], 'ftl_short_link_uses_link');
+            $changed = true;
+        }
+
+        return $changed ? $schema : null;
+    }
+}
@@ -0,0 +1,70 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Migration;
+
+use Closure;
+use OCP\DB\ISchemaWrapper;
+use OCP\DB\Types;
+use OCP\Migration\IOutput;
+use OCP\Migration\SimpleMigrationStep;
+
+/**
+ * Create the table for the remote rooms users pin to their dashboard
+ */
+class Version1080Date20261019000000 extends SimpleMigrationStep
+{
+    /**
+     * @param IOutput $output
+     * @param Closure(): ISchemaWrapper $schemaClosure
+     * @param array $options
+     * @return ISchemaWrapper|null
+     */
+    public function changeSchema(IOutput $output, Closure $schemaClosure, array $options): ?ISchemaWrapper
+    {
+        /** @var ISchemaWrapper $schema */
+        $schema = $schemaClosure();
+
+        if ($schema->hasTable('ftl_pinned_rooms')) {
+            return null;
+        }
+
+        $table = $schema->createTable('ftl_pinned_rooms');
+        $table->addColumn('id', Types::BIGINT, [
+            'autoincrement' => true,
+            'notnull' => true,
+            'unsigned' => true,
+        ]);
+        $table->addColumn('user_id', Types::STRING, [
+            'notnull' => true,
+            'length' => 64,
+        ]);
+        $table->addColumn('server_id', Types::STRING, [
+            'notnull' => true,
+            'length' => 64,
+        ]);
+        $table->addColumn('room_token', Types::STRING, [
+            'notnull' => true,
+            'length' => 64,
+        ]);
+        $table->addColumn('room_name', Types::STRING, [
+            'notnull' => false,
+            'length' => 255,
+        ]);
+        $table->addColumn('created_at', Types::BIGINT, [
+            'notnull' => true,
+            'unsigned' => true,
+        ]);
+
+        $table->setPrimaryKey(['id']);
+        $table->addUniqueIndex(['user_id', 'server_id', 'room_token'], 'ftl_pinned_rooms_room');
+
+        return $schema;
+    }
+}
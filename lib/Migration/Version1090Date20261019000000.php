@@ -0,0 +1,83 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Migration;
+
+use Closure;
+use OCP\DB\ISchemaWrapper;
+use OCP\DB\Types;
+use OCP\Migration\IOutput;
+use OCP\Migration\SimpleMigrationStep;
+
+/**
+ * Create the table for the admin audit log of link and email actions
+ */
+class Version1090Date20261019000000 extends SimpleMigrationStep
+{
+    /**
+     * @param IOutput $output
+     * @param Closure(): ISchemaWrapper $schemaClosure
+     * @param array $options
+     * @return ISchemaWrapper|null
+     */
+    public function changeSchema(IOutput $output, Closure $schemaClosure, array $options): ?ISchemaWrapper
+    {
+        /** @var ISchemaWrapper $schema */
+        $schema = $schemaClosure();
+
+        if ($schema->hasTable('ftl_audit_log')) {
+            return null;
+        }
+
+        $table = $schema->createTable('ftl_audit_log');
+        $table->addColumn('id', Types::BIGINT, [
+            'autoincrement' => true,
+            'notnull' => true,
+            'unsigned' => true,
+        ]);
+        $table->addColumn('user_id', Types::STRING, [
+            'notnull' => false,
+            'length' => 64,
+        ]);
+        $table->addColumn('action', Types::STRING, [
+            'notnull' => true,
+            'length' => 32,
+        ]);
+        $table->addColumn('server_id', Types::STRING, [
+            'notnull' => false,
+            'length' => 64,
+        ]);
+        $table->addColumn('room_token', Types::STRING, [
+            'notnull' => false,
+            'length' => 64,
+        ]);
+        $table->addColumn('room_name', Types::STRING, [
+            'notnull' => false,
+            'length' => 255,
+        ]);
+        $table->addColumn('recipient', Types::STRING, [
+            'notnull' => false,
+            'length' => 255,
+        ]);
+        $table->addColumn('link', Types::STRING, [
+            'notnull' => false,
+            'length' => 2048,
+        ]);
+        $table->addColumn('created_at', Types::BIGINT, [
+            'notnull' => true,
+            'unsigned' => true,
+        ]);
+
+        $table->setPrimaryKey(['id']);
+        $table->addIndex(['created_at'], 'ftl_audit_log_time');
+        $table->addIndex(['user_id', 'created_at'], 'ftl_audit_log_user');
+
+        return $schema;
+    }
+}
@@ -0,0 +1,77 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Notification;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCA\FederatedTalkLink\Service\LoginFlowService;
+use OCP\IURLGenerator;
+use OCP\L10N\IFactory;
+use OCP\Notification\INotification;
+use OCP\Notification\INotifier;
+
+/**
+ * Renders the notifications sent to admins
+ */
+class Notifier implements INotifier
+{
+    public function __construct(
+        private IFactory $l10nFactory,
+        private IURLGenerator $urlGenerator
+    ) {
+    }
+
+    /**
+     * Get the notifier ID
+     *
+     * @return string
+     */
+    public function getID(): string
+    {
+        return Application::APP_ID;
+    }
+
+    /**
+     * Get the notifier name
+     *
+     * @return string
+     */
+    public function getName(): string
+    {
+        return $this->l10nFactory->get(Application::APP_ID)->t('Federated Talk Link');
+    }
+
+    /**
+     * Render a notification of this app
+     *
+     * @param INotification $notification The notification
+     * @param string $languageCode The language of the user
+     * @return INotification
+     * @throws \InvalidArgumentException For notifications of other apps
+     */
+    public function prepare(INotification $notification, string $languageCode): INotification
+    {
+        if ($notification->getApp() !== Application::APP_ID
+            || $notification->getSubject() !== LoginFlowService::NOTIFICATION_SUBJECT) {
+            throw new \InvalidArgumentException('Unknown notification');
+        }
+
+        $l = $this->l10nFactory->get(Application::APP_ID, $languageCode);
+        $parameters = $notification->getSubjectParameters();
+
+        $notification->setParsedSubject($l->t('The external server %s rejected the stored credentials', [$parameters['server'] ?? '']))
+            ->setParsedMessage(!empty($parameters['appPassword'])
+                ? $l->t('The app password was probably revoked. Reconnect the server in the Federated Talk Link settings.')
+                : $l->t('Update the credentials of the server in the Federated Talk Link settings.'))
+            ->setLink($this->urlGenerator->linkToRouteAbsolute('settings.AdminSettings.index', ['section' => Application::APP_ID]))
+            ->setIcon($this->urlGenerator->getAbsoluteURL($this->urlGenerator->imagePath(Application::APP_ID, 'app-dark.svg')));
+
+        return $notification;
+    }
+}
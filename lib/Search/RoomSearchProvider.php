@@ -0,0 +1,151 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Search;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCA\FederatedTalkLink\Service\FederatedLinkService;
+use OCA\FederatedTalkLink\Service\LinkFormatService;
+use OCA\FederatedTalkLink\Service\PermissionService;
+use OCA\FederatedTalkLink\Service\SettingsService;
+use OCP\IL10N;
+use OCP\IURLGenerator;
+use OCP\IUser;
+use OCP\Search\IProvider;
+use OCP\Search\ISearchQuery;
+use OCP\Search\SearchResult;
+use OCP\Search\SearchResultEntry;
+
+/**
+ * Unified search provider for the rooms of the external servers
+ *
+ * Results open the app page with the room prefilled, see
+ * PageController::openRoom. The link itself is attached to every result as
+ * "link" attribute so clients can offer to copy it.
+ */
+class RoomSearchProvider implements IProvider
+{
+    public function __construct(
+        private FederatedLinkService $federatedLinkService,
+        private SettingsService $settingsService,
+        private PermissionService $permissionService,
+        private IURLGenerator $urlGenerator,
+        private IL10N $l
+    ) {
+    }
+
+    /**
+     * @return string
+     */
+    public function getId(): string
+    {
+        return Application::APP_ID . '-rooms';
+    }
+
+    /**
+     * @return string
+     */
+    public function getName(): string
+    {
+        return $this->l->t('Remote Talk rooms');
+    }
+
+    /**
+     * Show remote rooms right after the local conversations in Talk
+     *
+     * @param string $route The route the search is started from
+     * @param array $routeParameters
+     * @return int
+     */
+    public function getOrder(string $route, array $routeParameters): int
+    {
+        if (str_starts_with($route, 'spreed.') || str_starts_with($route, Application::APP_ID . '.')) {
+            return 0;
+        }
+        return 40;
+    }
+
+    /**
+     * Search the rooms of all configured servers
+     *
+     * @param IUser $user The searching user
+     * @param ISearchQuery $query
+     * @return SearchResult
+     */
+    public function search(IUser $user, ISearchQuery $query): SearchResult
+    {
+        $term = trim($query->getTerm());
+        if ($term === ''
+            || !$this->permissionService->isAllowed($user->getUID(), PermissionService::BROWSE)
+            || !$this->permissionService->isAllowed($user->getUID(), PermissionService::GENERATE)) {
+            return SearchResult::complete($this->getName(), []);
+        }
+
+        $servers = $this->settingsService->getServerList();
+
+        $rooms = [];
+        foreach ($servers as $server) {
+            $result = $this->federatedLinkService->searchRooms($term, $server['id']);
+            if (!$result['success']) {
+                continue;
+            }
+            foreach ($result['rooms'] as $room) {
+                $rooms[] = $room + ['server' => $server];
+            }
+        }
+
+        usort($rooms, fn (array $a, array $b): int => strnatcasecmp($a['displayName'], $b['displayName']));
+
+        $offset = (int)$query->getCursor();
+        $page = array_slice($rooms, $offset, $query->getLimit());
+
+        $entries = array_map(
+            fn (array $room): SearchResultEntry => $this->buildEntry($room, count($servers) > 1),
+            $page
+        );
+
+        return SearchResult::paginated($this->getName(), $entries, $offset + count($page));
+    }
+
+    /**
+     * Build the search result of a room
+     *
+     * @param array $room The room from FederatedLinkService::searchRooms with its server
+     * @param bool $showServer Whether to name the server in the subline
+     * @return SearchResultEntry
+     */
+    private function buildEntry(array $room, bool $showServer): SearchResultEntry
+    {
+        $details = [];
+        if ($room['description'] !== '') {
+            $details[] = mb_strimwidth(str_replace("\n", ' ', $room['description']), 0, 80, '…');
+        }
+        $details[] = $this->l->n('%n participant', '%n participants', $room['participantCount']);
+        if ($showServer) {
+            $details[] = $room['server']['name'];
+        }
+
+        $entry = new SearchResultEntry(
+            $this->urlGenerator->imagePath(Application::APP_ID, 'app-dark.svg'),
+            $room['displayName'],
+            implode(' · ', $details),
+            $this->urlGenerator->linkToRouteAbsolute(Application::APP_ID . '.page.openRoom', [
+                'server' => $room['server']['id'],
+                'token' => $room['token'],
+            ]),
+            '',
+            true
+        );
+        $entry->addAttribute('token', $room['token']);
+        $entry->addAttribute('server', $room['server']['id']);
+        $entry->addAttribute('link', $this->federatedLinkService->generateLinkByToken($room['token'], $room['server']['id'], LinkFormatService::FORMAT_CALL));
+
+        return $entry;
+    }
+}
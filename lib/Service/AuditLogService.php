@@ -0,0 +1,138 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Service;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCA\FederatedTalkLink\Db\AuditLog;
+use OCA\FederatedTalkLink\Db\AuditLogMapper;
+use OCP\Activity\IManager as IActivityManager;
+use OCP\AppFramework\Utility\ITimeFactory;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Service for the audit log of link and email actions
+ *
+ * Every action is stored for the admin audit view and published
+ * as an activity of the acting user.
+ */
+class AuditLogService
+{
+    public const ACTION_LINK_GENERATED = 'link_generated';
+    public const ACTION_INVITATION_ACCEPTED = 'invitation_accepted';
+    public const ACTION_EMAIL_SENT = 'email_sent';
+
+    public const ACTIONS = [
+        self::ACTION_LINK_GENERATED,
+        self::ACTION_INVITATION_ACCEPTED,
+        self::ACTION_EMAIL_SENT,
+    ];
+
+    // Activity type, users can turn the stream and emails for it on and off
+    public const ACTIVITY_TYPE = 'federatedtalklink';
+
+    public const DEFAULT_LIMIT = 50;
+    public const MAX_LIMIT = 500;
+
+    public function __construct(
+        private AuditLogMapper $mapper,
+        private IActivityManager $activityManager,
+        private ITimeFactory $timeFactory,
+        private LoggerInterface $logger
+    ) {
+    }
+
+    /**
+     * Record an action
+     *
+     * Failures are logged only, so the audit log never breaks the action.
+     *
+     * @param string $action One of the ACTION_* constants
+     * @param string|null $userId The acting user, null if unknown
+     * @param array{server?: ?string, token?: ?string, roomName?: ?string, recipient?: ?string, link?: ?string} $details
+     * @return AuditLog|null The stored entry or null on failure
+     */
+    public function record(string $action, ?string $userId, array $details): ?AuditLog
+    {
+        try {
+            $entry = new AuditLog();
+            $entry->setUserId($userId);
+            $entry->setAction($action);
+            $entry->setServerId($details['server'] ?? null);
+            $entry->setRoomToken($details['token'] ?? null);
+            $entry->setRoomName(!empty($details['roomName']) ? mb_substr($details['roomName'], 0, 255) : null);
+            $entry->setRecipient($details['recipient'] ?? null);
+            $entry->setLink($details['link'] ?? null);
+            $entry->setCreatedAt($this->timeFactory->getTime());
+            $entry = $this->mapper->insert($entry);
+        } catch (\Exception $e) {
+            $this->logger->warning('Failed to record audit log entry', [
+                'app' => 'federatedtalklink',
+                'action' => $action,
+                'exception' => $e,
+            ]);
+            return null;
+        }
+
+        if ($userId !== null) {
+            $this->publishActivity($entry);
+        }
+
+        return $entry;
+    }
+
+    /**
+     * List the entries matching the filters, newest first
+     *
+     * @param array{user?: ?string, room?: ?string, action?: ?string, from?: ?int, to?: ?int} $filters
+     * @param int $limit Maximum number of entries (capped at MAX_LIMIT)
+     * @param int $offset Number of entries to skip
+     * @return array{entries: AuditLog[], total: int}
+     */
+    public function list(array $filters, int $limit = self::DEFAULT_LIMIT, int $offset = 0): array
+    {
+        $limit = min(max(1, $limit), self::MAX_LIMIT);
+
+        return [
+            'entries' => $this->mapper->findFiltered($filters, $limit, max(0, $offset)),
+            'total' => $this->mapper->countFiltered($filters),
+        ];
+    }
+
+    /**
+     * Publish an entry as activity of the acting user
+     */
+    private function publishActivity(AuditLog $entry): void
+    {
+        try {
+            $event = $this->activityManager->generateEvent();
+            $event->setApp(Application::APP_ID)
+                ->setType(self::ACTIVITY_TYPE)
+                ->setAffectedUser($entry->getUserId())
+                ->setAuthor($entry->getUserId())
+                ->setTimestamp($entry->getCreatedAt())
+                ->setSubject($entry->getAction(), [
+                    'server' => $entry->getServerId(),
+                    'token' => $entry->getRoomToken(),
+                    'roomName' => $entry->getRoomName(),
+                    'recipient' => $entry->getRecipient(),
+                    'link' => $entry->getLink(),
+                ])
+                ->setObject('audit_log', $entry->getId(), (string)($entry->getRoomName() ?? $entry->getRoomToken() ?? ''));
+
+            $this->activityManager->publish($event);
+        } catch (\Exception $e) {
+            $this->logger->warning('Failed to publish activity', [
+                'app' => 'federatedtalklink',
+                'action' => $entry->getAction(),
+                'exception' => $e,
+            ]);
+        }
+    }
+}
@@ -0,0 +1,406 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Service;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCP\EventDispatcher\IEventDispatcher;
+use OCP\Http\Client\IClientService;
+use OCP\IL10N;
+use OCP\IURLGenerator;
+use OCP\Security\ISecureRandom;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Service for the Talk bot answering the /federated command
+ *
+ * The bot is registered with the local Talk through its bot events and
+ * receives the messages of the conversations it is enabled in as signed
+ * webhooks. Replies are posted through the Talk bot message API.
+ */
+class BotService
+{
+    public const BOT_NAME = 'Federated Link';
+    public const COMMAND = '/federated';
+
+    // Talk\Model\Bot::FEATURE_WEBHOOK | Talk\Model\Bot::FEATURE_RESPONSE
+    private const BOT_FEATURES = 3;
+    private const BOT_INSTALL_EVENT = 'OCA\Talk\Events\BotInstallEvent';
+    private const BOT_UNINSTALL_EVENT = 'OCA\Talk\Events\BotUninstallEvent';
+    private const BOT_MESSAGE_ENDPOINT = '/ocs/v2.php/apps/spreed/api/v1/bot/%s/message';
+    private const SECRET_LENGTH = 64;
+    private const SEARCH_LIMIT = 10;
+
+    public function __construct(
+        private SettingsService $settingsService,
+        private FederatedLinkService $federatedLinkService,
+        private RoomMappingService $roomMappingService,
+        private PermissionService $permissionService,
+        private IClientService $clientService,
+        private IEventDispatcher $eventDispatcher,
+        private IURLGenerator $urlGenerator,
+        private ISecureRandom $secureRandom,
+        private LoggerInterface $logger,
+        private IL10N $l
+    ) {
+    }
+
+    /**
+     * Check if the installed Talk version supports bots registered by apps
+     *
+     * @return bool
+     */
+    public function isTalkAvailable(): bool
+    {
+        return class_exists(self::BOT_INSTALL_EVENT);
+    }
+
+    /**
+     * Check if the bot was registered with Talk
+     *
+     * @return bool
+     */
+    public function isInstalled(): bool
+    {
+        return $this->settingsService->getBotSecret() !== '';
+    }
+
+    /**
+     * Get the bot state for the admin settings
+     *
+     * @return array
+     */
+    public function getState(): array
+    {
+        return [
+            'name' => self::BOT_NAME,
+            'command' => self::COMMAND,
+            'available' => $this->isTalkAvailable(),
+            'installed' => $this->isInstalled(),
+        ];
+    }
+
+    /**
+     * Register the bot with Talk, updating an existing registration
+     *
+     * @return array
+     */
+    public function install(): array
+    {
+        if (!$this->isTalkAvailable()) {
+            return [
+                'success' => false,
+                'error' => $this->l->t('Talk 17.1 or newer is required for the bot.'),
+                'code' => 'talk_unavailable',
+            ];
+        }
+
+        $secret = $this->settingsService->getBotSecret();
+        if ($secret === '') {
+            $secret = $this->secureRandom->generate(self::SECRET_LENGTH, ISecureRandom::CHAR_ALPHANUMERIC);
+        }
+
+        $eventClass = self::BOT_INSTALL_EVENT;
+        try {
+            $this->eventDispatcher->dispatchTyped(new $eventClass(
+                self::BOT_NAME,
+                $secret,
+                $this->getWebhookUrl(),
+                $this->l->t('Replies to "%s <room>" with the federated link of a room on the external server', [self::COMMAND]),
+                self::BOT_FEATURES
+            ));
+        } catch (\Exception $e) {
+            $this->logger->error('Failed to install the Talk bot', [
+                'app' => Application::APP_ID,
+                'exception' => $e,
+            ]);
+
+            return [
+                'success' => false,
+                'error' => $this->l->t('Failed to install the bot: %s', [$e->getMessage()]),
+                'code' => 'bot_install_failed',
+            ];
+        }
+
+        $this->settingsService->setBotSecret($secret);
+
+        return ['success' => true];
+    }
+
+    /**
+     * Remove the bot from Talk
+     *
+     * @return array
+     */
+    public function uninstall(): array
+    {
+        $secret = $this->settingsService->getBotSecret();
+        if ($secret !== '' && class_exists(self::BOT_UNINSTALL_EVENT)) {
+            $eventClass = self::BOT_UNINSTALL_EVENT;
+            try {
+                $this->eventDispatcher->dispatchTyped(new $eventClass($secret, $this->getWebhookUrl()));
+            } catch (\Exception $e) {
+                $this->logger->warning('Failed to uninstall the Talk bot', [
+                    'app' => Application::APP_ID,
+                    'exception' => $e,
+                ]);
+            }
+        }
+
+        $this->settingsService->setBotSecret('');
+
+        return ['success' => true];
+    }
+
+    /**
+     * Check the signature Talk sends with every webhook
+     *
+     * @param string $random The X-Nextcloud-Talk-Random header
+     * @param string $body The raw request body
+     * @param string $signature The X-Nextcloud-Talk-Signature header
+     * @return bool
+     */
+    public function isValidSignature(string $random, string $body, string $signature): bool
+    {
+        $secret = $this->settingsService->getBotSecret();
+        if ($secret === '' || $random === '' || $signature === '') {
+            return false;
+        }
+
+        return hash_equals(hash_hmac('sha256', $random . $body, $secret), strtolower($signature));
+    }
+
+    /**
+     * Answer a chat message received through the webhook
+     *
+     * Messages that are not a /federated command are ignored.
+     *
+     * @param array $payload The decoded webhook payload
+     * @return bool True if a reply was posted
+     */
+    public function handleWebhook(array $payload): bool
+    {
+        if (($payload['type'] ?? '') !== 'Create' || ($payload['object']['name'] ?? '') !== 'message') {
+            return false;
+        }
+
+        $content = json_decode((string)($payload['object']['content'] ?? ''), true);
+        $arguments = $this->parseCommand((string)($content['message'] ?? ''));
+        $conversationToken = (string)($payload['target']['id'] ?? '');
+        if ($arguments === null || $conversationToken === '') {
+            return false;
+        }
+
+        $reply = $this->buildReply($arguments, $conversationToken, $this->getActorUserId($payload));
+
+        return $this->sendMessage($conversationToken, $reply, (int)($payload['object']['id'] ?? 0));
+    }
+
+    /**
+     * Get the arguments of a /federated command
+     *
+     * @param string $message The chat message
+     * @return string|null The arguments or null if the message is no command
+     */
+    public function parseCommand(string $message): ?string
+    {
+        if (!preg_match('/^' . preg_quote(self::COMMAND, '/') . '(?:\s+(.*))?$/is', trim($message), $matches)) {
+            return null;
+        }
+
+        return trim($matches[1] ?? '');
+    }
+
+    /**
+     * Build the reply to a command
+     *
+     * @param string $arguments The command arguments
+     * @param string $conversationToken The local conversation token
+     * @param string|null $userId The user who sent the command, null for guests and federated users
+     * @return string The markdown reply
+     */
+    private function buildReply(string $arguments, string $conversationToken, ?string $userId): string
+    {
+        if ($arguments === '') {
+            return $this->buildMappedLinkReply($conversationToken, $userId);
+        }
+
+        if (strtolower($arguments) === 'help') {
+            return $this->getUsage();
+        }
+
+        if (preg_match('/^search(?:\s+(.*))?$/is', $arguments, $matches)) {
+            if (!$this->permissionService->isAllowed($userId, PermissionService::BROWSE)) {
+                return $this->l->t('You are not allowed to search remote rooms.');
+            }
+            return $this->buildSearchReply(trim($matches[1] ?? ''));
+        }
+
+        if (!$this->permissionService->isAllowed($userId, PermissionService::GENERATE)) {
+            return $this->l->t('You are not allowed to generate federated links.');
+        }
+
+        $result = $this->federatedLinkService->generateFederatedLink($arguments, null, null, false, $userId);
+        if (!$result['success']) {
+            return $result['error'];
+        }
+
+        return $this->formatLink($result['roomInfo']['displayName'] ?? $arguments, $result['link']);
+    }
+
+    /**
+     * Reply with the link of the remote room mapped to the conversation or the usage
+     *
+     * @param string $conversationToken The local conversation token
+     * @param string|null $userId The user who sent the command
+     * @return string
+     */
+    private function buildMappedLinkReply(string $conversationToken, ?string $userId): string
+    {
+        if (!$this->permissionService->isAllowed($userId, PermissionService::GENERATE)) {
+            return $this->getUsage();
+        }
+
+        // The command was sent in the conversation, so the sender participates
+        $result = $this->roomMappingService->get($conversationToken, null);
+        if (!$result['success']) {
+            return $this->getUsage();
+        }
+
+        $mapping = $result['mapping'];
+        return $this->formatLink($mapping->getRemoteName() ?: $mapping->getRemoteToken(), $result['link']);
+    }
+
+    /**
+     * Get the usage of the command
+     *
+     * @return string
+     */
+    private function getUsage(): string
+    {
+        return $this->l->t('Usage:') . "\n"
+            . '- ' . $this->l->t('`%s` replies with the link of the remote room mapped to this conversation', [self::COMMAND]) . "\n"
+            . '- ' . $this->l->t('`%s <room>` replies with the federated link of a room', [self::COMMAND]) . "\n"
+            . '- ' . $this->l->t('`%s search <term>` lists matching remote rooms', [self::COMMAND]);
+    }
+
+    /**
+     * Reply with the remote rooms matching a search term
+     *
+     * @param string $term The search term, empty for all rooms
+     * @return string
+     */
+    private function buildSearchReply(string $term): string
+    {
+        $result = $this->federatedLinkService->searchRooms($term !== '' ? $term : null, null, false, [], null, FederatedLinkService::SORT_NAME, 'asc', self::SEARCH_LIMIT);
+        if (!$result['success']) {
+            return $result['error'];
+        }
+
+        if ($result['total'] === 0) {
+            return $term !== '' ? $this->l->t('No remote rooms match "%s".', [$term]) : $this->l->t('No remote rooms found.');
+        }
+
+        $lines = [$term !== '' ? $this->l->t('Remote rooms matching "%s":', [$term]) : $this->l->t('Remote rooms:')];
+        foreach ($result['rooms'] as $room) {
+            $lines[] = '- ' . $room['displayName'] . ' – `' . self::COMMAND . ' ' . $room['token'] . '`';
+        }
+        if ($result['total'] > count($result['rooms'])) {
+            $more = $result['total'] - count($result['rooms']);
+            $lines[] = $this->l->n('and %n more, refine the search to see it.', 'and %n more, refine the search to see them.', $more);
+        }
+
+        return implode("\n", $lines);
+    }
+
+    /**
+     * Format a federated link as chat message
+     *
+     * @param string $roomName The remote room name
+     * @param string $link The federated link
+     * @return string
+     */
+    private function formatLink(string $roomName, string $link): string
+    {
+        return $this->l->t('Federated link for **%s**:', [$roomName]) . "\n" . $link;
+    }
+
+    /**
+     * Get the local user who sent a message
+     *
+     * @param array $payload The webhook payload
+     * @return string|null The user ID or null for guests and federated users
+     */
+    private function getActorUserId(array $payload): ?string
+    {
+        $actorId = (string)($payload['actor']['id'] ?? '');
+        if (!str_starts_with($actorId, 'users/')) {
+            return null;
+        }
+
+        return substr($actorId, strlen('users/'));
+    }
+
+    /**
+     * Post a message as the bot
+     *
+     * @param string $conversationToken The local conversation token
+     * @param string $message The markdown message
+     * @param int $replyTo The ID of the message to reply to, 0 for none
+     * @return bool
+     */
+    private function sendMessage(string $conversationToken, string $message, int $replyTo): bool
+    {
+        $secret = $this->settingsService->getBotSecret();
+        $random = $this->secureRandom->generate(self::SECRET_LENGTH, ISecureRandom::CHAR_ALPHANUMERIC);
+
+        $body = ['message' => $message];
+        if ($replyTo > 0) {
+            $body['replyTo'] = $replyTo;
+        }
+
+        try {
+            $client = $this->clientService->newClient();
+            $client->post(
+                $this->urlGenerator->getAbsoluteURL(sprintf(self::BOT_MESSAGE_ENDPOINT, $conversationToken)),
+                [
+                    'json' => $body,
+                    'headers' => [
+                        'Accept' => 'application/json',
+                        'OCS-APIRequest' => 'true',
+                        'X-Nextcloud-Talk-Bot-Random' => $random,
+                        'X-Nextcloud-Talk-Bot-Signature' => hash_hmac('sha256', $random . $message, $secret),
+                    ],
+                    'timeout' => 30,
+                    // The bot answers through this very server
+                    'nextcloud' => ['allow_local_address' => true],
+                ]
+            );
+        } catch (\Exception $e) {
+            $this->logger->warning('Failed to post the Talk bot reply', [
+                'app' => Application::APP_ID,
+                'conversation' => $conversationToken,
+                'exception' => $e,
+            ]);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the URL Talk sends the webhooks to
+     *
+     * @return string
+     */
+    private function getWebhookUrl(): string
+    {
+        return $this->urlGenerator->linkToRouteAbsolute(Application::APP_ID . '.bot.webhook');
+    }
+}
@@ -0,0 +1,397 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Service;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCP\AppFramework\Http;
+use OCP\Http\Client\IClientService;
+use OCP\IL10N;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Service for diagnosing the connection to an external server
+ *
+ * Runs the connection step by step and reports a result with a suggested
+ * fix for each step. Steps that depend on a failed step are skipped.
+ */
+class DiagnosticsService
+{
+    public const STATUS_PASSED = 'passed';
+    public const STATUS_FAILED = 'failed';
+    public const STATUS_SKIPPED = 'skipped';
+
+    private const STATUS_ENDPOINT = '/status.php';
+    private const USER_ENDPOINT = '/ocs/v2.php/cloud/user';
+    private const CAPABILITIES_ENDPOINT = '/ocs/v2.php/cloud/capabilities';
+
+    // Diagnostics run while the admin waits, so fail faster than link requests
+    private const TIMEOUT = 15;
+
+    public function __construct(
+        private SettingsService $settingsService,
+        private FederatedLinkService $federatedLinkService,
+        private IClientService $clientService,
+        private LoggerInterface $logger,
+        private IL10N $l
+    ) {
+    }
+
+    /**
+     * Run all diagnostics for a server profile
+     *
+     * @param string|null $serverId The server profile ID (null for the default profile)
+     * @return array With the result of each step on success
+     */
+    public function run(?string $serverId = null): array
+    {
+        $server = $this->settingsService->getServer($serverId);
+        if ($server === null) {
+            return [
+                'success' => false,
+                'notFound' => true,
+                'error' => $serverId !== null && $serverId !== ''
+                    ? $this->l->t('External server "%s" does not exist.', [$serverId])
+                    : $this->l->t('App is not configured. Please configure the settings first.'),
+                'code' => $serverId !== null && $serverId !== '' ? 'server_not_found' : 'server_not_configured',
+            ];
+        }
+        if (!$this->settingsService->isServerConfigured($server)) {
+            return [
+                'success' => false,
+                'error' => $this->l->t('External server "%s" is not fully configured. Fill in all fields and save first.', [$server['name']]),
+                'code' => 'server_not_configured',
+            ];
+        }
+
+        $steps = [];
+        $steps[] = $reachable = $this->checkReachability($server);
+        $steps[] = $authenticated = $reachable['status'] === self::STATUS_PASSED
+            ? $this->checkAuthentication($server)
+            : $this->skip('authentication', $this->l->t('Authentication'));
+
+        $capabilities = null;
+        if ($authenticated['status'] === self::STATUS_PASSED) {
+            $capabilities = $this->fetchCapabilities($server);
+            $steps[] = $capabilities !== null
+                ? $this->checkTalk($capabilities)
+                : $this->fail('talk', $this->l->t('Talk'), $this->l->t('The capabilities of the external server could not be fetched.'), $this->l->t('Check the logs of the external server for the failed request.'));
+        } else {
+            $steps[] = $this->skip('talk', $this->l->t('Talk'));
+        }
+        $steps[] = $this->checkFederation($capabilities);
+        $steps[] = $this->checkNotifications($capabilities);
+        $steps[] = $authenticated['status'] === self::STATUS_PASSED && ($capabilities['spreed'] ?? null) !== null
+            ? $this->checkRooms($server)
+            : $this->skip('rooms', $this->l->t('Room list'));
+        $steps[] = $this->checkTargetUrl($server);
+
+        $failed = array_filter($steps, fn (array $step): bool => $step['status'] === self::STATUS_FAILED);
+
+        return [
+            'success' => true,
+            'server' => $server['id'],
+            'passed' => count($failed) === 0,
+            'steps' => $steps,
+        ];
+    }
+
+    /**
+     * Check that the external server resolves, has a valid certificate and runs Nextcloud
+     */
+    private function checkReachability(array $server): array
+    {
+        $url = $this->buildUrl($server['externalServerUrl'], self::STATUS_ENDPOINT);
+
+        try {
+            $status = $this->getStatus($url);
+        } catch (\Exception $e) {
+            return $this->fail('reachability', $this->l->t('Reachability'), $this->describeException($e), $this->getNetworkHint($e, $this->l->t('External server URL')));
+        }
+
+        if ($status === null) {
+            return $this->fail(
+                'reachability',
+                $this->l->t('Reachability'),
+                $this->l->t('The external server answered, but it is not a Nextcloud server.'),
+                $this->l->t('Check the External server URL. It must be the Nextcloud that hosts the Talk rooms, without a path.')
+            );
+        }
+        if ($status['maintenance'] ?? false) {
+            return $this->fail(
+                'reachability',
+                $this->l->t('Reachability'),
+                $this->l->t('The external server is in maintenance mode.'),
+                $this->l->t('Wait until the maintenance of the external server is finished.')
+            );
+        }
+
+        return $this->pass('reachability', $this->l->t('Reachability'), $this->l->t('Nextcloud %s reachable over HTTPS.', [$status['versionstring'] ?? $status['version'] ?? '']));
+    }
+
+    /**
+     * Check that the external server accepts the stored credentials
+     */
+    private function checkAuthentication(array $server): array
+    {
+        try {
+            $response = $this->clientService->newClient()->get(
+                $this->buildUrl($server['externalServerUrl'], self::USER_ENDPOINT),
+                $this->getRequestOptions($server)
+            );
+            $data = json_decode($response->getBody(), true);
+        } catch (\Exception $e) {
+            if ($e->getCode() === Http::STATUS_UNAUTHORIZED) {
+                return $this->fail(
+                    'authentication',
+                    $this->l->t('Authentication'),
+                    $this->l->t('The external server rejected the credentials.'),
+                    $this->l->t('Enter a valid username and app password, or use "Connect with login" to create a new app password.')
+                );
+            }
+            return $this->fail('authentication', $this->l->t('Authentication'), $this->describeException($e), $this->l->t('Check the logs of the external server for the rejected request.'));
+        }
+
+        $user = $data['ocs']['data'] ?? null;
+        if (!isset($user['id'])) {
+            return $this->fail('authentication', $this->l->t('Authentication'), $this->l->t('The external server returned no user.'), $this->l->t('Check the logs of the external server for the rejected request.'));
+        }
+
+        return $this->pass('authentication', $this->l->t('Authentication'), $this->l->t('Logged in as %s.', [$user['id']]));
+    }
+
+    /**
+     * Check that Talk is enabled for the account on the external server
+     */
+    private function checkTalk(array $capabilities): array
+    {
+        $talk = $capabilities['spreed'] ?? null;
+        if ($talk === null) {
+            return $this->fail(
+                'talk',
+                $this->l->t('Talk'),
+                $this->l->t('Talk is not available for this account on the external server.'),
+                $this->l->t('Install and enable the Talk app on the external server, and make sure the account is not excluded from it.')
+            );
+        }
+
+        $version = $talk['version'] ?? null;
+        return $this->pass('talk', $this->l->t('Talk'), $version !== null ? $this->l->t('Talk %s is enabled.', [$version]) : $this->l->t('Talk is enabled.'));
+    }
+
+    /**
+     * Check that Talk federation is enabled on the external server
+     */
+    private function checkFederation(?array $capabilities): array
+    {
+        if (($capabilities['spreed'] ?? null) === null) {
+            return $this->skip('federation', $this->l->t('Federation'));
+        }
+
+        $talk = $capabilities['spreed'];
+        $enabled = $talk['config']['federation']['enabled']
+            ?? in_array('federation-v1', $talk['features'] ?? [], true);
+        if (!$enabled) {
+            return $this->fail(
+                'federation',
+                $this->l->t('Federation'),
+                $this->l->t('Talk federation is disabled on the external server.'),
+                $this->l->t('Enable federation in the Talk admin settings of the external server, or run "occ config:app:set spreed federation_enabled --value=yes" there.')
+            );
+        }
+
+        return $this->pass('federation', $this->l->t('Federation'), $this->l->t('Talk federation is enabled.'));
+    }
+
+    /**
+     * Check that the notifications app is enabled on the external server
+     */
+    private function checkNotifications(?array $capabilities): array
+    {
+        if ($capabilities === null) {
+            return $this->skip('notifications', $this->l->t('Notifications'));
+        }
+
+        if (!isset($capabilities['notifications'])) {
+            return $this->fail(
+                'notifications',
+                $this->l->t('Notifications'),
+                $this->l->t('The notifications app is not enabled on the external server.'),
+                $this->l->t('Enable the notifications app on the external server. Without it, invitations cannot be accepted automatically.')
+            );
+        }
+
+        return $this->pass('notifications', $this->l->t('Notifications'), $this->l->t('The notifications app is enabled.'));
+    }
+
+    /**
+     * Check that the rooms of the account can be listed
+     */
+    private function checkRooms(array $server): array
+    {
+        $result = $this->federatedLinkService->testConnection($server['id']);
+        if (!$result['success']) {
+            return $this->fail('rooms', $this->l->t('Room list'), $result['error'], $this->l->t('Check the logs of the external server for the failed request.'));
+        }
+
+        $message = $this->l->n('Found %n room.', 'Found %n rooms.', $result['roomCount']);
+        if ($result['roomCount'] === 0) {
+            return $this->pass('rooms', $this->l->t('Room list'), $message, $this->l->t('Invite the account to the rooms that links should be generated for.'));
+        }
+        return $this->pass('rooms', $this->l->t('Room list'), $message);
+    }
+
+    /**
+     * Check that the target Nextcloud URL of the generated links resolves
+     */
+    private function checkTargetUrl(array $server): array
+    {
+        $url = $this->buildUrl($server['targetNextcloudUrl'], self::STATUS_ENDPOINT);
+
+        try {
+            $status = $this->getStatus($url);
+        } catch (\Exception $e) {
+            return $this->fail('target', $this->l->t('Target Nextcloud URL'), $this->describeException($e), $this->getNetworkHint($e, $this->l->t('Target Nextcloud URL')));
+        }
+
+        if ($status === null) {
+            return $this->fail(
+                'target',
+                $this->l->t('Target Nextcloud URL'),
+                $this->l->t('The target URL answered, but it is not a Nextcloud server.'),
+                $this->l->t('Check the Target Nextcloud URL. Generated links point to it, so it must be the Nextcloud where users join the calls.')
+            );
+        }
+
+        return $this->pass('target', $this->l->t('Target Nextcloud URL'), $this->l->t('Generated links point to a reachable Nextcloud server.'));
+    }
+
+    /**
+     * Fetch the capabilities of the account on the external server
+     *
+     * @return array|null Null if they cannot be fetched
+     */
+    private function fetchCapabilities(array $server): ?array
+    {
+        try {
+            $response = $this->clientService->newClient()->get(
+                $this->buildUrl($server['externalServerUrl'], self::CAPABILITIES_ENDPOINT),
+                $this->getRequestOptions($server)
+            );
+            $data = json_decode($response->getBody(), true);
+        } catch (\Exception $e) {
+            $this->logger->warning('Failed to fetch the capabilities of the external server', [
+                'app' => Application::APP_ID,
+                'server' => $server['id'],
+                'exception' => $e,
+            ]);
+            return null;
+        }
+
+        $capabilities = $data['ocs']['data']['capabilities'] ?? null;
+        return is_array($capabilities) ? $capabilities : null;
+    }
+
+    /**
+     * Fetch status.php of a Nextcloud server
+     *
+     * @return array|null Null if the server is not a Nextcloud server
+     * @throws \Exception If the server cannot be reached
+     */
+    private function getStatus(string $url): ?array
+    {
+        $response = $this->clientService->newClient()->get($url, [
+            'headers' => ['Accept' => 'application/json'],
+            'timeout' => self::TIMEOUT,
+        ]);
+
+        $status = json_decode($response->getBody(), true);
+        return is_array($status) && isset($status['installed']) ? $status : null;
+    }
+
+    /**
+     * Get a readable message for a failed request
+     */
+    private function describeException(\Exception $e): string
+    {
+        $code = $e->getCode();
+        if ($code >= 400 && $code < 600) {
+            return $this->l->t('The server answered with HTTP status %s.', [$code]);
+        }
+        return $e->getMessage();
+    }
+
+    /**
+     * Suggest a fix for a request that did not reach the server
+     *
+     * @param \Exception $e The failed request
+     * @param string $field The setting that holds the URL
+     */
+    private function getNetworkHint(\Exception $e, string $field): string
+    {
+        $message = $e->getMessage();
+        if (str_contains($message, 'cURL error 6:') || str_contains($message, 'Could not resolve host')) {
+            return $this->l->t('The hostname does not resolve. Check the %s for typos and the DNS configuration of this server.', [$field]);
+        }
+        if (str_contains($message, 'cURL error 60:') || str_contains($message, 'cURL error 35:') || stripos($message, 'SSL') !== false) {
+            return $this->l->t('The TLS connection failed. Make sure the server has a valid certificate that this server trusts, e.g. with "occ security:certificates:import".');
+        }
+        if (str_contains($message, 'cURL error 28:')) {
+            return $this->l->t('The connection timed out. Check that a firewall or proxy does not block outgoing HTTPS requests from this server.');
+        }
+        if ($e->getCode() === Http::STATUS_NOT_FOUND) {
+            return $this->l->t('Check the %s. It must point to the Nextcloud root, without a path.', [$field]);
+        }
+        return $this->l->t('Check the %s and that the server is running.', [$field]);
+    }
+
+    /**
+     * Build an HTTPS URL on a configured host, like the link requests do
+     */
+    private function buildUrl(string $host, string $path): string
+    {
+        return 'https://' . rtrim(preg_replace('#^https?://#i', '', $host), '/') . $path;
+    }
+
+    /**
+     * Get the HTTP client options for authenticated requests to a profile's server
+     */
+    private function getRequestOptions(array $server): array
+    {
+        return [
+            'auth' => [$server['username'], $server['password']],
+            'headers' => [
+                'OCS-APIRequest' => 'true',
+                'Accept' => 'application/json',
+            ],
+            'timeout' => self::TIMEOUT,
+        ];
+    }
+
+    private function pass(string $id, string $label, string $message, ?string $hint = null): array
+    {
+        return ['id' => $id, 'label' => $label, 'status' => self::STATUS_PASSED, 'message' => $message, 'hint' => $hint];
+    }
+
+    private function fail(string $id, string $label, string $message, string $hint): array
+    {
+        return ['id' => $id, 'label' => $label, 'status' => self::STATUS_FAILED, 'message' => $message, 'hint' => $hint];
+    }
+
+    private function skip(string $id, string $label): array
+    {
+        return [
+            'id' => $id,
+            'label' => $label,
+            'status' => self::STATUS_SKIPPED,
+            'message' => $this->l->t('Skipped because a previous step failed.'),
+            'hint' => null,
+        ];
+    }
+}
@@ -0,0 +1,238 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Service;
+
+use DateTimeImmutable;
+use DateTimeZone;
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\IDateTimeFormatter;
+use OCP\IL10N;
+use OCP\IUserManager;
+use OCP\L10N\IFactory;
+use OCP\Mail\IEMailTemplate;
+use OCP\Mail\IMailer;
+use Sabre\VObject\Component\VCalendar;
+
+/**
+ * Service for rendering invitation emails and calendar invites
+ *
+ * Emails use the admin-defined template for the recipient's language,
+ * falling back to the built-in translated template.
+ */
+class EmailTemplateService
+{
+    public const PLACEHOLDERS = ['roomName', 'link', 'sender', 'date', 'message'];
+
+    public const DEFAULT_DURATION = 60;
+    public const MAX_DURATION = 1440;
+
+    public function __construct(
+        private SettingsService $settingsService,
+        private LinkFormatService $linkFormatService,
+        private IFactory $l10nFactory,
+        private IUserManager $userManager,
+        private IMailer $mailer,
+        private IDateTimeFormatter $dateTimeFormatter,
+        private ITimeFactory $timeFactory
+    ) {
+    }
+
+    /**
+     * Get the language for a recipient
+     *
+     * Recipients with a local account get their own language,
+     * everybody else the default language of the instance.
+     *
+     * @param string $email The recipient address
+     * @return string The language code
+     */
+    public function getRecipientLanguage(string $email): string
+    {
+        $users = $this->userManager->getByEmail($email);
+        if (!empty($users)) {
+            return $this->l10nFactory->getUserLanguage($users[0]);
+        }
+
+        return $this->l10nFactory->findGenericLanguage(Application::APP_ID);
+    }
+
+    /**
+     * Get the template for a language
+     *
+     * @param string $language The language code (e.g. "de_DE")
+     * @return array{subject: string, body: string}
+     */
+    public function getTemplate(string $language): array
+    {
+        $templates = [];
+        foreach ($this->settingsService->getEmailTemplates() as $template) {
+            $templates[$template['language']] = $template;
+        }
+
+        $baseLanguage = explode('_', $language)[0];
+        $template = $templates[$language] ?? $templates[$baseLanguage] ?? $templates[''] ?? [];
+        $default = $this->getDefaultTemplate($this->l10nFactory->get(Application::APP_ID, $language));
+
+        return [
+            'subject' => ($template['subject'] ?? '') !== '' ? $template['subject'] : $default['subject'],
+            'body' => ($template['body'] ?? '') !== '' ? $template['body'] : $default['body'],
+        ];
+    }
+
+    /**
+     * Get the built-in template
+     *
+     * @param IL10N $l The language to translate it into
+     * @return array{subject: string, body: string}
+     */
+    public function getDefaultTemplate(IL10N $l): array
+    {
+        return [
+            'subject' => $l->t('Invitation to Talk room: {roomName}'),
+            'body' => $l->t('{sender} has invited you to join the Talk conversation "{roomName}".')
+                . "\n\n{message}\n\n"
+                . $l->t('Join the conversation with this link:') . "\n{link}",
+        ];
+    }
+
+    /**
+     * Render the invitation email for a recipient
+     *
+     * @param string $email The recipient address
+     * @param string $link The federated Talk link
+     * @param string|null $roomName The room name
+     * @param string|null $message Custom message from the sender
+     * @param string $sender Display name of the sender
+     * @param int|null $startTime Meeting start as Unix timestamp
+     * @param string|null $timeZone Time zone to show the meeting time in
+     * @param bool $passwordProtected Add a note that the room needs a password
+     * @return IEMailTemplate
+     */
+    public function buildEmail(string $email, string $link, ?string $roomName, ?string $message, string $sender, ?int $startTime = null, ?string $timeZone = null, bool $passwordProtected = false): IEMailTemplate
+    {
+        $language = $this->getRecipientLanguage($email);
+        $l = $this->l10nFactory->get(Application::APP_ID, $language);
+        $template = $this->getTemplate($language);
+
+        $values = [
+            'roomName' => $roomName ?: $l->t('Talk conversation'),
+            'link' => $link,
+            'sender' => $sender,
+            'date' => $this->formatDate($startTime ?? $this->timeFactory->getTime(), $startTime !== null, $timeZone, $l),
+            'message' => $message ?? '',
+        ];
+
+        $subject = $this->render($template['subject'], $values);
+
+        $emailTemplate = $this->mailer->createEMailTemplate('federatedtalklink.Invitation', $values);
+        $emailTemplate->setSubject($subject);
+        $emailTemplate->addHeader();
+        $emailTemplate->addHeading($subject);
+
+        foreach (preg_split('/\n{2,}/', $this->render($template['body'], $values)) as $paragraph) {
+            $paragraph = trim($paragraph);
+            if ($paragraph !== '') {
+                $emailTemplate->addBodyText(nl2br(htmlspecialchars($paragraph)), $paragraph);
+            }
+        }
+
+        // Templates without the date placeholder still mention the meeting time
+        if ($startTime !== null && !str_contains($template['body'], '{date}')) {
+            $emailTemplate->addBodyText($l->t('Meeting time: %s', [$values['date']]));
+        }
+
+        if ($passwordProtected) {
+            $emailTemplate->addBodyText($this->linkFormatService->getPasswordHint($l));
+        }
+
+        $emailTemplate->addBodyButton($l->t('Join conversation'), $link);
+        $emailTemplate->addFooter();
+
+        return $emailTemplate;
+    }
+
+    /**
+     * Build an iCalendar invite for a meeting in a Talk room
+     *
+     * @param string $link The federated Talk link
+     * @param string|null $roomName The room name
+     * @param string|null $message Custom message from the sender
+     * @param int $startTime Meeting start as Unix timestamp
+     * @param int $duration Meeting duration in minutes
+     * @return string The serialized calendar
+     */
+    public function buildCalendarInvite(string $link, ?string $roomName, ?string $message, int $startTime, int $duration = self::DEFAULT_DURATION): string
+    {
+        $utc = new DateTimeZone('UTC');
+        $start = (new DateTimeImmutable('@' . $startTime))->setTimezone($utc);
+        $duration = min(max(1, $duration), self::MAX_DURATION);
+
+        $description = trim(($message ?? '') . "\n\n" . $link);
+
+        $calendar = new VCalendar([
+            'PRODID' => '-//Nextcloud//Federated Talk Link//EN',
+            'METHOD' => 'PUBLISH',
+        ]);
+        $calendar->add('VEVENT', [
+            'UID' => bin2hex(random_bytes(16)) . '@' . Application::APP_ID,
+            'DTSTAMP' => (new DateTimeImmutable('@' . $this->timeFactory->getTime()))->setTimezone($utc),
+            'DTSTART' => $start,
+            'DTEND' => $start->modify('+' . $duration . ' minutes'),
+            'SUMMARY' => $roomName ?: 'Talk',
+            'DESCRIPTION' => $description,
+            'LOCATION' => $link,
+            'URL' => $link,
+        ]);
+
+        return $calendar->serialize();
+    }
+
+    /**
+     * Replace the {placeholder} markers in a template string
+     *
+     * @param string $text The template string
+     * @param array<string, string> $values Values by placeholder name
+     * @return string
+     */
+    public function render(string $text, array $values): string
+    {
+        $replacements = [];
+        foreach (self::PLACEHOLDERS as $placeholder) {
+            $replacements['{' . $placeholder . '}'] = $values[$placeholder] ?? '';
+        }
+
+        return strtr($text, $replacements);
+    }
+
+    /**
+     * Format the date for the {date} placeholder
+     *
+     * @param int $timestamp Unix timestamp
+     * @param bool $withTime Include the time of day (for meetings)
+     * @param string|null $timeZone Time zone identifier, the server default if invalid
+     * @param IL10N $l The recipient language
+     * @return string
+     */
+    private function formatDate(int $timestamp, bool $withTime, ?string $timeZone, IL10N $l): string
+    {
+        $zone = null;
+        if ($timeZone !== null && in_array($timeZone, DateTimeZone::listIdentifiers(), true)) {
+            $zone = new DateTimeZone($timeZone);
+        }
+
+        if (!$withTime) {
+            return $this->dateTimeFormatter->formatDate($timestamp, 'long', $zone, $l);
+        }
+
+        $formatted = $this->dateTimeFormatter->formatDateTime($timestamp, 'long', 'short', $zone, $l);
+        return $zone !== null ? $formatted . ' (' . $zone->getName() . ')' : $formatted;
+    }
+}
@@ -9,7 +9,10 @@ declare(strict_types=1);
 
 namespace OCA\FederatedTalkLink\Service;
 
+use OCP\AppFramework\Http;
 use OCP\Http\Client\IClientService;
+use OCP\Http\Client\IResponse;
+use OCP\IL10N;
 use OCP\IUser;
 use OCP\IUserSession;
 use OCP\Mail\IMailer;
@@ -23,16 +26,44 @@ use Psr\Log\LoggerInterface;
  */
 class FederatedLinkService
 {
+    // Talk room types that can be filtered on
+    public const ROOM_TYPES = [
+        'one2one' => 1,
+        'group' => 2,
+        'public' => 3,
+    ];
+
+    public const SORT_NAME = 'name';
+    public const SORT_PARTICIPANTS = 'participants';
+
+    // Room types that can be created on the external server
+    public const CREATABLE_ROOM_TYPES = ['group', 'public'];
+
+    // Participant types and their Talk source when adding them to a room
+    public const PARTICIPANT_SOURCES = [
+        'user' => 'users',
+        'group' => 'groups',
+        'email' => 'emails',
+        'federated' => 'federated_users',
+    ];
+
     private const TALK_API_ENDPOINT = '/ocs/v2.php/apps/spreed/api/v4/room';
     private const NOTIFICATIONS_API_ENDPOINT = '/ocs/v2.php/apps/notifications/api/v2/notifications';
     private const FEDERATION_ACCEPT_ENDPOINT = '/ocs/v2.php/apps/spreed/api/v4/federation/invitation';
+    private const INVITATION_STATE_PENDING = 0;
 
     public function __construct(
         private SettingsService $settingsService,
+        private RoomCacheService $roomCacheService,
         private IClientService $clientService,
         private LoggerInterface $logger,
         private IMailer $mailer,
-        private IUserSession $userSession
+        private IUserSession $userSession,
+        private EmailTemplateService $emailTemplateService,
+        private LoginFlowService $loginFlowService,
+        private AuditLogService $auditLogService,
+        private LinkFormatService $linkFormatService,
+        private IL10N $l
     ) {
     }
 
@@ -42,58 +73,70 @@ class FederatedLinkService
      * Flow:
      * 1. Fetch notifications to find pending invitations
      * 2. Accept invitation if found
-     * 3. Fetch rooms to find the room
+     * 3. Look up the room in the room cache (live fetch if missing there)
      * 4. Join the room
      * 5. Generate the link
      *
      * @param string $identifier The room identifier (token, name, displayName, or objectId)
      * @param string|null $searchBy Force search by specific field
+     * @param string|null $serverId The server profile ID (null for the default profile)
+     * @param bool $refresh Bypass the room cache and fetch the rooms live
+     * @param string|null $userId The acting user for the audit log, the logged in user if null
      * @return array
      */
-    public function generateFederatedLink(string $identifier, ?string $searchBy = null): array
+    public function generateFederatedLink(string $identifier, ?string $searchBy = null, ?string $serverId = null, bool $refresh = false, ?string $userId = null): array
     {
-        if (!$this->settingsService->isConfigured()) {
-            return [
-                'success' => false,
-                'error' => 'App is not configured. Please configure the settings first.',
-            ];
+        $userId ??= $this->userSession->getUser()?->getUID();
+        $server = $this->resolveServer($serverId);
+        if ($server === null) {
+            return $this->getUnconfiguredFailure($serverId);
         }
 
         $identifier = trim($identifier);
         if (empty($identifier)) {
             return [
                 'success' => false,
-                'error' => 'Room identifier cannot be empty.',
+                'error' => $this->l->t('Room identifier cannot be empty.'),
+                'code' => 'missing_identifier',
             ];
         }
 
         try {
             // Step 1: Check and accept pending invitations
-            $invitationResult = $this->checkAndAcceptInvitation($identifier);
+            $invitationResult = $this->checkAndAcceptInvitation($identifier, $server['id'], $userId);
             $this->logger->info('Invitation check result', [
                 'app' => 'federatedtalklink',
                 'identifier' => $identifier,
+                'server' => $server['id'],
                 'result' => $invitationResult,
             ]);
 
-            // Step 2: Fetch rooms
-            $rooms = $this->fetchRooms();
+            // Step 2: Get rooms, a freshly accepted invitation is not cached yet
+            $refresh = $refresh || ($invitationResult['accepted'] ?? false);
+            $rooms = $this->getRooms($server, $refresh);
 
-            if (!isset($rooms['ocs']['data'])) {
-                return [
-                    'success' => false,
-                    'error' => 'Invalid response from external server.',
-                ];
+            if ($rooms === null) {
+                return $this->getInvalidResponseFailure();
             }
 
             // Step 3: Find the room
-            $foundRoom = $this->findRoom($rooms['ocs']['data'], $identifier, $searchBy);
+            $foundRoom = $this->findRoom($rooms['rooms'], $identifier, $searchBy);
+
+            // The room may have been created since the cache was filled
+            if ($foundRoom === null && $rooms['cached']) {
+                $rooms = $this->getRooms($server, true);
+                if ($rooms === null) {
+                    return $this->getInvalidResponseFailure();
+                }
+                $foundRoom = $this->findRoom($rooms['rooms'], $identifier, $searchBy);
+            }
 
             if ($foundRoom === null) {
                 return [
                     'success' => false,
-                    'error' => "Room '{$identifier}' not found on the external server.",
-                    'availableRooms' => $this->getAvailableRoomsSummary($rooms['ocs']['data']),
+                    'error' => $this->l->t('Room "%s" not found on the external server.', [$identifier]),
+                    'code' => 'room_not_found',
+                    'availableRooms' => $this->getAvailableRoomsSummary($rooms['rooms']),
                     'invitationResult' => $invitationResult,
                 ];
             }
@@ -101,25 +144,31 @@ class FederatedLinkService
             // Get the room token
             $token = $foundRoom['token'] ?? null;
             if (empty($token)) {
-                return [
-                    'success' => false,
-                    'error' => 'Room found but token is missing.',
-                ];
+                return $this->getInvalidResponseFailure();
             }
 
             // Step 4: Join the room
-            $joinResult = $this->joinRoom($token);
+            $joinResult = $this->joinRoom($token, $server['id']);
 
             // Generate the federated link
-            $targetUrl = $this->settingsService->getTargetNextcloudUrl();
-            $link = rtrim($targetUrl, '/') . '/call/' . $token;
+            $link = $this->linkFormatService->getCallLink($server['targetNextcloudUrl'], $token);
+
+            $this->auditLogService->record(AuditLogService::ACTION_LINK_GENERATED, $userId, [
+                'server' => $server['id'],
+                'token' => $token,
+                'roomName' => $foundRoom['displayName'] ?? $foundRoom['name'] ?? null,
+                'link' => $link,
+            ]);
 
             return [
                 'success' => true,
                 'link' => $link,
                 'token' => $token,
+                'server' => $server['id'],
+                'serverName' => $server['name'],
                 'joined' => $joinResult['success'],
                 'invitationAccepted' => $invitationResult['accepted'] ?? false,
+                'cacheAge' => $rooms['cacheAge'],
                 'roomInfo' => [
                     'token' => $token,
                     'name' => $foundRoom['name'] ?? null,
@@ -129,6 +178,7 @@ class FederatedLinkService
                     'objectType' => $foundRoom['objectType'] ?? null,
                     'objectId' => $foundRoom['objectId'] ?? null,
                     'participantType' => $foundRoom['participantType'] ?? null,
+                    'hasPassword' => (bool)($foundRoom['hasPassword'] ?? false),
                 ],
             ];
         } catch (\Exception $e) {
@@ -136,12 +186,10 @@ class FederatedLinkService
                 'app' => 'federatedtalklink',
                 'exception' => $e,
                 'identifier' => $identifier,
+                'server' => $server['id'],
             ]);
 
-            return [
-                'success' => false,
-                'error' => 'Failed to query external server: ' . $e->getMessage(),
-            ];
+            return $this->getRequestFailure($this->l->t('Failed to query external server: %s', [$e->getMessage()]), $e);
         }
     }
 
@@ -149,13 +197,15 @@ class FederatedLinkService
      * Fetch notifications and check for pending Talk invitations
      *
      * @param string $identifier Room identifier to match
+     * @param string|null $serverId The server profile ID (null for the default profile)
+     * @param string|null $userId The acting user for the audit log
      * @return array
      */
-    public function checkAndAcceptInvitation(string $identifier): array
+    public function checkAndAcceptInvitation(string $identifier, ?string $serverId = null, ?string $userId = null): array
     {
         try {
             // Fetch notifications
-            $notifications = $this->fetchNotifications();
+            $notifications = $this->fetchNotifications($serverId);
 
             if (!isset($notifications['ocs']['data'])) {
                 return [
@@ -175,7 +225,6 @@ class FederatedLinkService
                 $app = $notification['app'] ?? '';
                 $objectType = $notification['object_type'] ?? '';
                 $subject = $notification['subject'] ?? '';
-                $message = $notification['message'] ?? '';
 
                 // Check if this is a Talk/Spreed notification
                 if ($app !== 'spreed' && $app !== 'talk') {
@@ -188,34 +237,11 @@ class FederatedLinkService
                 ]);
 
                 // Check if this notification matches our room
-                $matchesRoom = false;
-
-                // Check various fields for match
-                $objectId = $notification['object_id'] ?? '';
+                $autoAccept = $this->settingsService->isAutoAcceptEnabled();
+                $matchesRoom = $this->matchesInvitation($notification, $identifier, !$autoAccept);
                 $subjectParams = $notification['subjectRichParameters'] ?? $notification['subjectParameters'] ?? [];
-                $messageParams = $notification['messageRichParameters'] ?? $notification['messageParameters'] ?? [];
-
-                // Try to match by token, name, or in the message/subject
-                if (stripos($objectId, $identifier) !== false) {
-                    $matchesRoom = true;
-                } elseif (stripos($subject, $identifier) !== false) {
-                    $matchesRoom = true;
-                } elseif (stripos($message, $identifier) !== false) {
-                    $matchesRoom = true;
-                }
-
-                // Check parameters for room name
-                foreach (array_merge($subjectParams, $messageParams) as $param) {
-                    if (is_array($param)) {
-                        $paramName = $param['name'] ?? '';
-                        if (stripos($paramName, $identifier) !== false) {
-                            $matchesRoom = true;
-                            break;
-                        }
-                    }
-                }
 
-                if (!$matchesRoom) {
+                if (!$matchesRoom && $autoAccept) {
                     // Accept any Talk invitation if no specific match
                     // This handles cases where the identifier might not be in the notification
                     if ($objectType === 'invitation' || $objectType === 'room' || stripos($subject, 'invitation') !== false) {
@@ -225,8 +251,14 @@ class FederatedLinkService
 
                 if ($matchesRoom) {
                     // Try to accept the invitation using notification actions
-                    $acceptResult = $this->acceptInvitationFromNotification($notification);
+                    $acceptResult = $this->acceptInvitationFromNotification($notification, $serverId);
                     if ($acceptResult['success']) {
+                        $call = $subjectParams['call'] ?? null;
+                        $this->auditLogService->record(AuditLogService::ACTION_INVITATION_ACCEPTED, $userId, [
+                            'server' => $serverId,
+                            'roomName' => is_array($call) && !empty($call['name']) ? (string)$call['name'] : $identifier,
+                        ]);
+
                         return [
                             'success' => true,
                             'accepted' => true,
@@ -258,13 +290,61 @@ class FederatedLinkService
         }
     }
 
+    /**
+     * Check if a Talk notification is about a room
+     *
+     * Without auto-accept only the token or the full room name count, so
+     * "dev" does not accept an invitation to "devops-private".
+     *
+     * @param array $notification The notification data
+     * @param string $identifier Room identifier to match
+     * @param bool $exact Whether only exact matches count
+     * @return bool
+     */
+    private function matchesInvitation(array $notification, string $identifier, bool $exact): bool
+    {
+        $params = array_merge(
+            $notification['subjectRichParameters'] ?? $notification['subjectParameters'] ?? [],
+            $notification['messageRichParameters'] ?? $notification['messageParameters'] ?? []
+        );
+
+        if ($exact) {
+            if (($notification['object_id'] ?? '') === $identifier) {
+                return true;
+            }
+            foreach ($params as $param) {
+                if (is_array($param) && (($param['id'] ?? '') === $identifier || strcasecmp((string)($param['name'] ?? ''), $identifier) === 0)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        // Try to match by token, name, or in the message/subject
+        foreach (['object_id', 'subject', 'message'] as $field) {
+            if (stripos((string)($notification[$field] ?? ''), $identifier) !== false) {
+                return true;
+            }
+        }
+
+        // Check parameters for room name
+        foreach ($params as $param) {
+            if (is_array($param) && stripos((string)($param['name'] ?? ''), $identifier) !== false) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
     /**
      * Accept invitation using notification actions
      *
      * @param array $notification The notification data
+     * @param string|null $serverId The server profile ID (null for the default profile)
      * @return array
      */
-    private function acceptInvitationFromNotification(array $notification): array
+    private function acceptInvitationFromNotification(array $notification, ?string $serverId): array
     {
         $actions = $notification['actions'] ?? [];
 
@@ -282,7 +362,7 @@ class FederatedLinkService
             // Look for accept action
             if (strpos($label, 'accept') !== false || $type === 'accept' || $label === 'yes') {
                 if (!empty($link)) {
-                    return $this->executeNotificationAction($link, $method);
+                    return $this->executeNotificationAction($link, $method, $serverId);
                 }
             }
         }
@@ -291,7 +371,7 @@ class FederatedLinkService
         $objectId = $notification['object_id'] ?? '';
         if (!empty($objectId)) {
             // Try to extract invite ID and accept via federation API
-            return $this->acceptFederationInvitation($objectId);
+            return $this->acceptFederationInvitation($objectId, $serverId);
         }
 
         return [
@@ -305,38 +385,20 @@ class FederatedLinkService
      *
      * @param string $link The action URL
      * @param string $method HTTP method
+     * @param string|null $serverId The server profile ID (null for the default profile)
      * @return array
      */
-    private function executeNotificationAction(string $link, string $method = 'POST'): array
+    private function executeNotificationAction(string $link, string $method = 'POST', ?string $serverId = null): array
     {
         try {
-            $serverUrl = $this->settingsService->getExternalServerUrl();
-            $username = $this->settingsService->getUsername();
-            $password = $this->settingsService->getPassword();
+            $server = $this->requireServer($serverId);
 
             // Build full URL if relative
             if (!str_starts_with($link, 'http')) {
-                $link = 'https://' . ltrim($serverUrl, 'https://') . $link;
+                $link = $this->buildApiUrl($server, $link);
             }
 
-            $client = $this->clientService->newClient();
-
-            $options = [
-                'auth' => [$username, $password],
-                'headers' => [
-                    'OCS-APIRequest' => 'true',
-                    'Accept' => 'application/json',
-                ],
-                'timeout' => 30,
-            ];
-
-            if ($method === 'POST') {
-                $response = $client->post($link, $options);
-            } elseif ($method === 'DELETE') {
-                $response = $client->delete($link, $options);
-            } else {
-                $response = $client->get($link, $options);
-            }
+            $response = $this->sendRequest($server, $method, $link);
 
             $body = $response->getBody();
             $data = json_decode($body, true);
@@ -371,28 +433,18 @@ class FederatedLinkService
      * Accept federation invitation via Talk API
      *
      * @param string $inviteId The invitation ID
+     * @param string|null $serverId The server profile ID (null for the default profile)
      * @return array
      */
-    public function acceptFederationInvitation(string $inviteId): array
+    public function acceptFederationInvitation(string $inviteId, ?string $serverId = null): array
     {
         try {
-            $serverUrl = $this->settingsService->getExternalServerUrl();
-            $username = $this->settingsService->getUsername();
-            $password = $this->settingsService->getPassword();
+            $server = $this->requireServer($serverId);
 
             // POST /ocs/v2.php/apps/spreed/api/v4/federation/invitation/{id}
-            $apiUrl = 'https://' . ltrim($serverUrl, 'https://') . self::FEDERATION_ACCEPT_ENDPOINT . '/' . $inviteId;
-
-            $client = $this->clientService->newClient();
+            $apiUrl = $this->buildApiUrl($server, self::FEDERATION_ACCEPT_ENDPOINT . '/' . $inviteId);
 
-            $response = $client->post($apiUrl, [
-                'auth' => [$username, $password],
-                'headers' => [
-                    'OCS-APIRequest' => 'true',
-                    'Accept' => 'application/json',
-                ],
-                'timeout' => 30,
-            ]);
+            $response = $this->sendRequest($server, 'POST', $apiUrl);
 
             $body = $response->getBody();
             $data = json_decode($body, true);
@@ -403,16 +455,17 @@ class FederatedLinkService
                     'app' => 'federatedtalklink',
                     'inviteId' => $inviteId,
                 ]);
+
+                // The joined room is missing from the cached room list
+                $this->roomCacheService->clear($server['id']);
+
                 return [
                     'success' => true,
                     'response' => $data,
                 ];
             }
 
-            return [
-                'success' => false,
-                'error' => $data['ocs']['meta']['message'] ?? 'Unknown error',
-            ];
+            return $this->getRemoteFailure($data);
 
         } catch (\Exception $e) {
             $this->logger->warning('Failed to accept federation invitation', [
@@ -421,85 +474,122 @@ class FederatedLinkService
                 'exception' => $e,
             ]);
 
-            return [
-                'success' => false,
-                'error' => 'Failed to accept invitation: ' . $e->getMessage(),
-            ];
+            return $this->getRequestFailure($this->l->t('Failed to accept invitation: %s', [$e->getMessage()]), $e);
         }
     }
 
     /**
      * Fetch notifications from the external server
      *
+     * @param string|null $serverId The server profile ID (null for the default profile)
      * @return array
      */
-    public function fetchNotifications(): array
+    public function fetchNotifications(?string $serverId = null): array
     {
-        $serverUrl = $this->settingsService->getExternalServerUrl();
-        $username = $this->settingsService->getUsername();
-        $password = $this->settingsService->getPassword();
+        $server = $this->requireServer($serverId);
 
-        $apiUrl = 'https://' . ltrim($serverUrl, 'https://') . self::NOTIFICATIONS_API_ENDPOINT;
+        $apiUrl = $this->buildApiUrl($server, self::NOTIFICATIONS_API_ENDPOINT);
 
-        $client = $this->clientService->newClient();
-
-        $response = $client->get($apiUrl, [
-            'auth' => [$username, $password],
-            'headers' => [
-                'OCS-APIRequest' => 'true',
-                'Accept' => 'application/json',
-            ],
-            'timeout' => 30,
-        ]);
+        $response = $this->sendRequest($server, 'GET', $apiUrl);
 
         $body = $response->getBody();
         $data = json_decode($body, true);
 
         if ($data === null && json_last_error() !== JSON_ERROR_NONE) {
-            throw new \Exception('Failed to parse JSON response: ' . json_last_error_msg());
+            throw new \Exception($this->l->t('Failed to parse JSON: %s', [json_last_error_msg()]));
         }
 
         return $data;
     }
 
     /**
-     * Get pending federation invitations
+     * Decline a federation invitation via Talk API
      *
+     * @param string $inviteId The invitation ID
+     * @param string|null $serverId The server profile ID (null for the default profile)
      * @return array
      */
-    public function getPendingInvitations(): array
+    public function declineFederationInvitation(string $inviteId, ?string $serverId = null): array
     {
         try {
-            $serverUrl = $this->settingsService->getExternalServerUrl();
-            $username = $this->settingsService->getUsername();
-            $password = $this->settingsService->getPassword();
+            $server = $this->requireServer($serverId);
 
-            // GET /ocs/v2.php/apps/spreed/api/v4/federation/invitation
-            $apiUrl = 'https://' . ltrim($serverUrl, 'https://') . self::FEDERATION_ACCEPT_ENDPOINT;
+            // DELETE /ocs/v2.php/apps/spreed/api/v4/federation/invitation/{id}
+            $apiUrl = $this->buildApiUrl($server, self::FEDERATION_ACCEPT_ENDPOINT . '/' . $inviteId);
 
-            $client = $this->clientService->newClient();
+            $response = $this->sendRequest($server, 'DELETE', $apiUrl);
 
-            $response = $client->get($apiUrl, [
-                'auth' => [$username, $password],
-                'headers' => [
-                    'OCS-APIRequest' => 'true',
-                    'Accept' => 'application/json',
-                ],
-                'timeout' => 30,
+            $body = $response->getBody();
+            $data = json_decode($body, true);
+
+            $status = $data['ocs']['meta']['status'] ?? null;
+            if ($status === 'ok') {
+                $this->logger->info('Federation invitation declined', [
+                    'app' => 'federatedtalklink',
+                    'inviteId' => $inviteId,
+                ]);
+                return [
+                    'success' => true,
+                ];
+            }
+
+            return $this->getRemoteFailure($data);
+
+        } catch (\Exception $e) {
+            $this->logger->warning('Failed to decline federation invitation', [
+                'app' => 'federatedtalklink',
+                'inviteId' => $inviteId,
+                'exception' => $e,
             ]);
 
+            return $this->getRequestFailure($this->l->t('Failed to decline invitation: %s', [$e->getMessage()]), $e);
+        }
+    }
+
+    /**
+     * Get pending federation invitations
+     *
+     * @param string|null $serverId The server profile ID (null for the default profile)
+     * @return array
+     */
+    public function getPendingInvitations(?string $serverId = null): array
+    {
+        try {
+            $server = $this->requireServer($serverId);
+
+            // GET /ocs/v2.php/apps/spreed/api/v4/federation/invitation
+            $apiUrl = $this->buildApiUrl($server, self::FEDERATION_ACCEPT_ENDPOINT);
+
+            $response = $this->sendRequest($server, 'GET', $apiUrl);
+
             $body = $response->getBody();
             $data = json_decode($body, true);
 
+            $invitations = [];
+            foreach ($data['ocs']['data'] ?? [] as $invitation) {
+                // Accepted invitations are listed as well
+                if ((int)($invitation['state'] ?? self::INVITATION_STATE_PENDING) !== self::INVITATION_STATE_PENDING) {
+                    continue;
+                }
+
+                $invitations[] = [
+                    'id' => (string)($invitation['id'] ?? ''),
+                    'roomName' => $invitation['roomName'] ?? '',
+                    'remoteToken' => $invitation['remoteToken'] ?? '',
+                    'remoteServerUrl' => $invitation['remoteServerUrl'] ?? '',
+                    'inviterDisplayName' => $invitation['inviterDisplayName'] ?? '',
+                    'inviterCloudId' => $invitation['inviterCloudId'] ?? '',
+                ];
+            }
+
             return [
                 'success' => true,
-                'invitations' => $data['ocs']['data'] ?? [],
+                'server' => $server['id'],
+                'invitations' => $invitations,
             ];
 
         } catch (\Exception $e) {
-            return [
-                'success' => false,
-                'error' => $e->getMessage(),
+            return $this->getRequestFailure($e->getMessage(), $e) + [
                 'invitations' => [],
             ];
         }
@@ -563,25 +653,14 @@ class FederatedLinkService
     /**
      * Join a room on the external server
      */
-    public function joinRoom(string $token): array
+    public function joinRoom(string $token, ?string $serverId = null): array
     {
         try {
-            $serverUrl = $this->settingsService->getExternalServerUrl();
-            $username = $this->settingsService->getUsername();
-            $password = $this->settingsService->getPassword();
-
-            $apiUrl = 'https://' . ltrim($serverUrl, 'https://') . self::TALK_API_ENDPOINT . '/' . $token . '/participants/active';
+            $server = $this->requireServer($serverId);
 
-            $client = $this->clientService->newClient();
+            $apiUrl = $this->buildApiUrl($server, self::TALK_API_ENDPOINT . '/' . $token . '/participants/active');
 
-            $response = $client->post($apiUrl, [
-                'auth' => [$username, $password],
-                'headers' => [
-                    'OCS-APIRequest' => 'true',
-                    'Accept' => 'application/json',
-                ],
-                'timeout' => 30,
-            ]);
+            $response = $this->sendRequest($server, 'POST', $apiUrl);
 
             $body = $response->getBody();
             $data = json_decode($body, true);
@@ -591,38 +670,254 @@ class FederatedLinkService
                 return ['success' => true];
             }
 
-            return [
-                'success' => false,
-                'error' => $data['ocs']['meta']['message'] ?? 'Unknown error',
-            ];
+            return $this->getRemoteFailure($data);
+        } catch (\Exception $e) {
+            return $this->getRequestFailure($this->l->t('Join request failed: %s', [$e->getMessage()]), $e);
+        }
+    }
+
+    /**
+     * Get the live status of a room on the external server
+     *
+     * Always queries the external server, the room cache is not used.
+     *
+     * @param string $token The room token
+     * @param string|null $serverId The server profile ID (null for the default profile)
+     * @return array With the call state, participants and last activity on success
+     */
+    public function getRoomStatus(string $token, ?string $serverId = null): array
+    {
+        $server = $this->resolveServer($serverId);
+        if ($server === null) {
+            return $this->getUnconfiguredFailure($serverId);
+        }
+
+        $roomUrl = $this->buildApiUrl($server, self::TALK_API_ENDPOINT . '/' . rawurlencode($token));
+
+        try {
+            $response = $this->sendRequest($server, 'GET', $roomUrl);
+            $room = json_decode($response->getBody(), true)['ocs']['data'] ?? null;
+        } catch (\Exception $e) {
+            if ($e->getCode() === Http::STATUS_NOT_FOUND) {
+                return [
+                    'success' => false,
+                    'notFound' => true,
+                    'error' => $this->l->t('Room not found on the external server.'),
+                    'code' => 'room_not_found',
+                ];
+            }
+            return $this->getRequestFailure($this->l->t('Failed to query external server: %s', [$e->getMessage()]), $e);
+        }
+
+        if (!is_array($room)) {
+            return $this->getInvalidResponseFailure();
+        }
+
+        // Participants are optional, the room status is useful without them
+        $participants = null;
+        try {
+            $response = $this->sendRequest($server, 'GET', $roomUrl . '/participants');
+            $participants = json_decode($response->getBody(), true)['ocs']['data'] ?? null;
+        } catch (\Exception $e) {
+            $this->logger->info('Failed to load the participants of a remote room', [
+                'app' => 'federatedtalklink',
+                'token' => $token,
+                'server' => $server['id'],
+                'exception' => $e,
+            ]);
+        }
+
+        $inCall = [];
+        foreach (is_array($participants) ? $participants : [] as $participant) {
+            if ((int)($participant['inCall'] ?? 0) > 0) {
+                $inCall[] = $participant['displayName'] ?? $participant['actorId'] ?? '';
+            }
+        }
+
+        return [
+            'success' => true,
+            'status' => [
+                'token' => $room['token'] ?? $token,
+                'displayName' => $room['displayName'] ?? $room['name'] ?? '',
+                'server' => $server['id'],
+                'hasCall' => (bool)($room['hasCall'] ?? false),
+                'hasPassword' => (bool)($room['hasPassword'] ?? false),
+                'callStartTime' => !empty($room['callStartTime']) ? (int)$room['callStartTime'] : null,
+                'lastActivity' => !empty($room['lastActivity']) ? (int)$room['lastActivity'] : null,
+                'participantCount' => is_array($participants) ? count($participants) : ($room['participantCount'] ?? null),
+                'inCall' => $inCall,
+            ],
+        ];
+    }
+
+    /**
+     * Create a room on the external server
+     *
+     * The external account becomes the moderator of the new room. A public
+     * room whose password cannot be set is deleted again, so it is never
+     * left open by accident; a failing description or participant only
+     * causes a warning.
+     *
+     * @param string $roomName The name of the room
+     * @param string $type The room type, one of CREATABLE_ROOM_TYPES
+     * @param string|null $description Optional description
+     * @param string|null $password Optional password, public rooms only
+     * @param array $participants List of participants with type (key of PARTICIPANT_SOURCES) and id
+     * @param string|null $serverId The server profile ID (null for the default profile)
+     * @return array
+     */
+    public function createRoom(string $roomName, string $type, ?string $description = null, ?string $password = null, array $participants = [], ?string $serverId = null): array
+    {
+        $server = $this->resolveServer($serverId);
+        if ($server === null) {
+            return $this->getUnconfiguredFailure($serverId);
+        }
+
+        try {
+            $response = $this->sendRequest($server, 'POST', $this->buildApiUrl($server, self::TALK_API_ENDPOINT), [
+                'roomType' => self::ROOM_TYPES[$type],
+                'roomName' => $roomName,
+            ]);
+            $room = json_decode($response->getBody(), true)['ocs']['data'] ?? [];
         } catch (\Exception $e) {
+            $this->logger->warning('Failed to create room', [
+                'app' => 'federatedtalklink',
+                'server' => $server['id'],
+                'exception' => $e,
+            ]);
+
+            return $this->getRequestFailure($this->l->t('Failed to create room: %s', [$e->getMessage()]), $e);
+        }
+
+        $token = $room['token'] ?? '';
+        if ($token === '') {
             return [
                 'success' => false,
-                'error' => 'Join request failed: ' . $e->getMessage(),
+                'error' => $this->l->t('The external server did not return the new room.'),
+                'code' => 'invalid_response',
             ];
         }
+
+        $roomUrl = $this->buildApiUrl($server, self::TALK_API_ENDPOINT . '/' . $token);
+        $warnings = [];
+
+        if ($password !== null) {
+            try {
+                $this->sendRequest($server, 'PUT', $roomUrl . '/password', ['password' => $password]);
+            } catch (\Exception $e) {
+                try {
+                    $this->sendRequest($server, 'DELETE', $roomUrl);
+                } catch (\Exception $deleteException) {
+                    $this->logger->error('Failed to delete room without password', [
+                        'app' => 'federatedtalklink',
+                        'server' => $server['id'],
+                        'token' => $token,
+                        'exception' => $deleteException,
+                    ]);
+                }
+
+                return $this->getRequestFailure($this->l->t('Failed to set the room password, the room was not created: %s', [$e->getMessage()]), $e);
+            }
+        }
+
+        if ($description !== null) {
+            try {
+                $this->sendRequest($server, 'PUT', $roomUrl . '/description', ['description' => $description]);
+            } catch (\Exception $e) {
+                $warnings[] = $this->l->t('Failed to set the description: %s', [$e->getMessage()]);
+            }
+        }
+
+        $participantResults = [];
+        foreach ($participants as $participant) {
+            try {
+                $this->sendRequest($server, 'POST', $roomUrl . '/participants', [
+                    'newParticipant' => $participant['id'],
+                    'source' => self::PARTICIPANT_SOURCES[$participant['type']],
+                ]);
+                $participantResults[] = $participant + ['success' => true, 'error' => null];
+            } catch (\Exception $e) {
+                $participantResults[] = $participant + ['success' => false, 'error' => $e->getMessage()];
+            }
+        }
+
+        // The new room is missing from the cached room list
+        $this->roomCacheService->clear($server['id']);
+
+        $this->logger->info('Room created on external server', [
+            'app' => 'federatedtalklink',
+            'server' => $server['id'],
+            'token' => $token,
+        ]);
+
+        return [
+            'success' => true,
+            'link' => $this->generateLinkByToken($token, $server['id']),
+            'token' => $token,
+            'server' => $server['id'],
+            'serverName' => $server['name'],
+            'participants' => $participantResults,
+            'warnings' => $warnings,
+            'roomInfo' => [
+                'token' => $token,
+                'name' => $room['name'] ?? $roomName,
+                'displayName' => $room['displayName'] ?? $roomName,
+                'description' => $description,
+                'type' => self::ROOM_TYPES[$type],
+            ],
+        ];
     }
 
     /**
      * Search rooms on the external server
+     *
+     * @param string|null $searchTerm Optional search term (displayName, name, token, objectId, description)
+     * @param string|null $serverId The server profile ID (null for the default profile)
+     * @param bool $refresh Bypass the room cache and fetch the rooms live
+     * @param string[] $types Only rooms of these types (keys of ROOM_TYPES)
+     * @param string|null $objectType Only rooms with this object type ('' for rooms without one)
+     * @param string $sort Sort field: 'name' or 'participants'
+     * @param string $order Sort order: 'asc' or 'desc'
+     * @param int $limit Maximum number of rooms (0 for all)
+     * @param int $offset Number of rooms to skip
+     * @param bool $favoriteOnly Only rooms the external account marked as favorite
+     * @return array
      */
-    public function searchRooms(?string $searchTerm = null): array
-    {
-        if (!$this->settingsService->isConfigured()) {
-            return ['success' => false, 'error' => 'App is not configured.'];
+    public function searchRooms(
+        ?string $searchTerm = null,
+        ?string $serverId = null,
+        bool $refresh = false,
+        array $types = [],
+        ?string $objectType = null,
+        string $sort = self::SORT_NAME,
+        string $order = 'asc',
+        int $limit = 0,
+        int $offset = 0,
+        bool $favoriteOnly = false
+    ): array {
+        $server = $this->resolveServer($serverId);
+        if ($server === null) {
+            return $this->getUnconfiguredFailure($serverId);
         }
 
         try {
-            $rooms = $this->fetchRooms();
+            $rooms = $this->getRooms($server, $refresh);
 
-            if (!isset($rooms['ocs']['data'])) {
-                return ['success' => false, 'error' => 'Invalid response.'];
+            if ($rooms === null) {
+                return $this->getInvalidResponseFailure();
             }
 
+            $typeIds = array_values(array_intersect_key(self::ROOM_TYPES, array_flip($types)));
+
             $roomList = [];
-            foreach ($rooms['ocs']['data'] as $room) {
+            $objectTypes = [];
+            foreach ($rooms['rooms'] as $room) {
                 $displayName = $room['displayName'] ?? $room['name'] ?? 'Unknown';
 
+                if (!empty($room['objectType'])) {
+                    $objectTypes[$room['objectType']] = true;
+                }
+
                 if ($searchTerm !== null && !empty($searchTerm)) {
                     $matchFound = false;
                     foreach (['displayName', 'name', 'token', 'objectId', 'description'] as $field) {
@@ -634,6 +929,18 @@ class FederatedLinkService
                     if (!$matchFound) continue;
                 }
 
+                if (!empty($typeIds) && !in_array((int)($room['type'] ?? 0), $typeIds, true)) {
+                    continue;
+                }
+
+                if ($objectType !== null && (string)($room['objectType'] ?? '') !== $objectType) {
+                    continue;
+                }
+
+                if ($favoriteOnly && empty($room['isFavorite'])) {
+                    continue;
+                }
+
                 $roomList[] = [
                     'token' => $room['token'] ?? '',
                     'name' => $room['name'] ?? '',
@@ -643,68 +950,145 @@ class FederatedLinkService
                     'objectType' => $room['objectType'] ?? null,
                     'objectId' => $room['objectId'] ?? null,
                     'participantCount' => $room['participantCount'] ?? 0,
+                    'isFavorite' => (bool)($room['isFavorite'] ?? false),
                 ];
             }
 
-            return ['success' => true, 'rooms' => $roomList];
+            usort($roomList, function (array $a, array $b) use ($sort): int {
+                if ($sort === self::SORT_PARTICIPANTS && $a['participantCount'] !== $b['participantCount']) {
+                    return $a['participantCount'] <=> $b['participantCount'];
+                }
+                return strnatcasecmp($a['displayName'], $b['displayName']);
+            });
+            if ($order === 'desc') {
+                $roomList = array_reverse($roomList);
+            }
+
+            $total = count($roomList);
+            $roomList = array_slice($roomList, max(0, $offset), $limit > 0 ? $limit : null);
+
+            $objectTypes = array_keys($objectTypes);
+            sort($objectTypes);
+
+            return [
+                'success' => true,
+                'rooms' => $roomList,
+                'total' => $total,
+                'objectTypes' => $objectTypes,
+                'server' => $server['id'],
+                'cachedAt' => $rooms['fetchedAt'],
+                'cacheAge' => $rooms['cacheAge'],
+            ];
         } catch (\Exception $e) {
-            return ['success' => false, 'error' => $e->getMessage()];
+            return $this->getRequestFailure($e->getMessage(), $e);
         }
     }
 
     /**
      * Test the connection
+     *
+     * Always queries the external server and refreshes its room cache
      */
-    public function testConnection(): array
+    public function testConnection(?string $serverId = null): array
     {
-        if (!$this->settingsService->isConfigured()) {
-            return ['success' => false, 'error' => 'App is not configured.'];
+        $server = $this->resolveServer($serverId);
+        if ($server === null) {
+            return $this->getUnconfiguredFailure($serverId);
         }
 
         try {
-            $rooms = $this->fetchRooms();
+            $rooms = $this->fetchRooms($server);
 
             if (!isset($rooms['ocs']['meta']['status']) || $rooms['ocs']['meta']['status'] !== 'ok') {
-                return ['success' => false, 'error' => 'API returned error.'];
+                return $this->getRemoteFailure($rooms);
             }
 
+            $this->roomCacheService->set($server['id'], $rooms['ocs']['data'] ?? []);
+
             return [
                 'success' => true,
-                'message' => 'Connection successful!',
+                'message' => $this->l->t('Connection successful!'),
                 'roomCount' => count($rooms['ocs']['data'] ?? []),
+                'server' => $server['id'],
             ];
         } catch (\Exception $e) {
-            return ['success' => false, 'error' => $e->getMessage()];
+            return $this->getRequestFailure($e->getMessage(), $e);
         }
     }
 
     /**
-     * Fetch rooms from the external Talk API
+     * Refresh the cached rooms of a server profile
+     *
+     * @param string|null $serverId The server profile ID (null for the default profile)
+     * @return array
      */
-    private function fetchRooms(): array
+    public function refreshRoomCache(?string $serverId = null): array
     {
-        $serverUrl = $this->settingsService->getExternalServerUrl();
-        $username = $this->settingsService->getUsername();
-        $password = $this->settingsService->getPassword();
+        $server = $this->resolveServer($serverId);
+        if ($server === null) {
+            return $this->getUnconfiguredFailure($serverId);
+        }
 
-        $apiUrl = 'https://' . ltrim($serverUrl, 'https://') . self::TALK_API_ENDPOINT;
+        try {
+            $rooms = $this->getRooms($server, true);
 
-        $client = $this->clientService->newClient();
+            if ($rooms === null) {
+                return $this->getInvalidResponseFailure();
+            }
 
-        $response = $client->get($apiUrl, [
-            'auth' => [$username, $password],
-            'headers' => [
-                'OCS-APIRequest' => 'true',
-                'Accept' => 'application/json',
-            ],
-            'timeout' => 30,
-        ]);
+            return [
+                'success' => true,
+                'roomCount' => count($rooms['rooms']),
+            ];
+        } catch (\Exception $e) {
+            return $this->getRequestFailure($e->getMessage(), $e);
+        }
+    }
+
+    /**
+     * Get the rooms of a server profile, from the cache when possible
+     *
+     * @param array $server The server profile
+     * @param bool $refresh Skip the cache and fetch the rooms live
+     * @return array{rooms: array, fetchedAt: int, cacheAge: int, cached: bool}|null Null on an invalid response
+     */
+    private function getRooms(array $server, bool $refresh = false): ?array
+    {
+        if (!$refresh) {
+            $entry = $this->roomCacheService->get($server['id']);
+            if ($entry !== null) {
+                return $entry + [
+                    'cacheAge' => $this->roomCacheService->getAge($entry),
+                    'cached' => true,
+                ];
+            }
+        }
+
+        $rooms = $this->fetchRooms($server);
+        if (!isset($rooms['ocs']['data'])) {
+            return null;
+        }
+
+        return $this->roomCacheService->set($server['id'], $rooms['ocs']['data']) + [
+            'cacheAge' => 0,
+            'cached' => false,
+        ];
+    }
+
+    /**
+     * Fetch rooms from the external Talk API
+     */
+    private function fetchRooms(array $server): array
+    {
+        $apiUrl = $this->buildApiUrl($server, self::TALK_API_ENDPOINT);
+
+        $response = $this->sendRequest($server, 'GET', $apiUrl);
 
         $body = $response->getBody();
         $data = json_decode($body, true);
 
         if ($data === null && json_last_error() !== JSON_ERROR_NONE) {
-            throw new \Exception('Failed to parse JSON: ' . json_last_error_msg());
+            throw new \Exception($this->l->t('Failed to parse JSON: %s', [json_last_error_msg()]));
         }
 
         return $data;
@@ -712,23 +1096,213 @@ class FederatedLinkService
 
     /**
      * Generate link by token
+     *
+     * @param string $token The room token
+     * @param string|null $serverId The server profile ID (null for the default profile)
+     * @param string|null $format One of LinkFormatService::FORMATS, null for the plain call link
+     * @param string|null $displayName The display name to prefill for guests
+     * @param string|null $roomName The room name for the {roomName} placeholder
+     * @return string
      */
-    public function generateLinkByToken(string $token): string
+    public function generateLinkByToken(string $token, ?string $serverId = null, ?string $format = null, ?string $displayName = null, ?string $roomName = null): string
     {
-        $targetUrl = $this->settingsService->getTargetNextcloudUrl();
-        return rtrim($targetUrl, '/') . '/call/' . $token;
+        $server = $this->requireServer($serverId);
+        if ($format === null) {
+            return $this->linkFormatService->getCallLink($server['targetNextcloudUrl'], $token);
+        }
+        return $this->linkFormatService->format($format, $server['targetNextcloudUrl'], $token, $roomName, $displayName);
+    }
+
+    /**
+     * Get a fully configured server profile
+     *
+     * @param string|null $serverId The server profile ID (null for the default profile)
+     * @return array|null The server profile or null if unknown or incomplete
+     */
+    private function resolveServer(?string $serverId): ?array
+    {
+        $server = $this->settingsService->getServer($serverId);
+        if ($server === null || !$this->settingsService->isServerConfigured($server)) {
+            return null;
+        }
+        return $server;
+    }
+
+    /**
+     * Get a fully configured server profile or fail
+     *
+     * @param string|null $serverId The server profile ID (null for the default profile)
+     * @return array The server profile
+     * @throws \Exception If the profile is unknown or incomplete
+     */
+    private function requireServer(?string $serverId): array
+    {
+        $server = $this->resolveServer($serverId);
+        if ($server === null) {
+            throw new \Exception($this->getUnconfiguredError($serverId));
+        }
+        return $server;
+    }
+
+    /**
+     * Get the error message for a missing or incomplete server profile
+     */
+    private function getUnconfiguredError(?string $serverId): string
+    {
+        if ($serverId === null || $serverId === '') {
+            return $this->l->t('App is not configured. Please configure the settings first.');
+        }
+        return $this->l->t('External server "%s" is not configured.', [$serverId]);
+    }
+
+    /**
+     * Build the result for a missing or incomplete server profile
+     */
+    private function getUnconfiguredFailure(?string $serverId): array
+    {
+        return [
+            'success' => false,
+            'error' => $this->getUnconfiguredError($serverId),
+            'code' => 'server_not_configured',
+        ];
+    }
+
+    /**
+     * Build the result for an unexpected answer of the external server
+     */
+    private function getInvalidResponseFailure(): array
+    {
+        return [
+            'success' => false,
+            'error' => $this->l->t('Invalid response from external server.'),
+            'code' => 'invalid_response',
+        ];
+    }
+
+    /**
+     * Build the result for an OCS error reported by the external server
+     *
+     * @param array|null $data The decoded OCS response
+     */
+    private function getRemoteFailure(?array $data): array
+    {
+        return [
+            'success' => false,
+            'error' => $data['ocs']['meta']['message'] ?? $this->l->t('The external server reported an error.'),
+            'code' => 'remote_error',
+        ];
+    }
+
+    /**
+     * Build the result for a request that failed
+     *
+     * Rejected credentials get their own code, so clients can tell
+     * users to contact an administrator.
+     *
+     * @param string $error The translated error message
+     * @param \Exception $e The failed request
+     */
+    private function getRequestFailure(string $error, \Exception $e): array
+    {
+        return [
+            'success' => false,
+            'error' => $error,
+            'code' => $e->getCode() === Http::STATUS_UNAUTHORIZED ? 'auth_failed' : 'request_failed',
+        ];
+    }
+
+    /**
+     * Build an API URL on the external server of a profile
+     */
+    private function buildApiUrl(array $server, string $path): string
+    {
+        return 'https://' . ltrim($server['externalServerUrl'], 'https://') . $path;
+    }
+
+    /**
+     * Send a request to the external server of a profile
+     *
+     * Rejected credentials, e.g. a revoked app password, are reported to
+     * the admins and turned into an error that tells how to fix them.
+     *
+     * @param array $server The server profile
+     * @param string $method HTTP method: GET, POST, PUT or DELETE
+     * @param string $url The full URL
+     * @param array $params Parameters sent as JSON body
+     * @return IResponse
+     * @throws \Exception If the request fails
+     */
+    private function sendRequest(array $server, string $method, string $url, array $params = []): IResponse
+    {
+        $client = $this->clientService->newClient();
+        $options = $this->getRequestOptions($server);
+        if (!empty($params)) {
+            $options['json'] = $params;
+        }
+
+        try {
+            $response = match ($method) {
+                'POST' => $client->post($url, $options),
+                'PUT' => $client->put($url, $options),
+                'DELETE' => $client->delete($url, $options),
+                default => $client->get($url, $options),
+            };
+        } catch (\Exception $e) {
+            if ($e->getCode() === Http::STATUS_UNAUTHORIZED) {
+                $this->loginFlowService->reportAuthFailure($server);
+                throw new \Exception($this->getAuthFailedError($server), $e->getCode(), $e);
+            }
+            throw $e;
+        }
+
+        $this->loginFlowService->clearAuthFailure($server);
+
+        return $response;
+    }
+
+    /**
+     * Get the error message for credentials rejected by the external server
+     */
+    private function getAuthFailedError(array $server): string
+    {
+        if (($server['connectedAt'] ?? null) !== null) {
+            return $this->l->t('The app password for "%s" was revoked. An administrator needs to reconnect the server.', [$server['name']]);
+        }
+        return $this->l->t('The external server "%s" rejected the credentials. An administrator needs to update them.', [$server['name']]);
+    }
+
+    /**
+     * Get the HTTP client options for requests to a profile's server
+     */
+    private function getRequestOptions(array $server): array
+    {
+        return [
+            'auth' => [$server['username'], $server['password']],
+            'headers' => [
+                'OCS-APIRequest' => 'true',
+                'Accept' => 'application/json',
+            ],
+            'timeout' => 30,
+        ];
     }
 
     /**
      * Send a federated link by email
      *
+     * The email uses the template for the recipient's language. With a start
+     * time, an .ics invite for the meeting is attached.
+     *
      * @param string $email Recipient email address
      * @param string $link The federated Talk link
      * @param string|null $roomName Optional room name for the email subject
      * @param string|null $message Optional custom message to include
+     * @param int|null $startTime Optional meeting start as Unix timestamp
+     * @param int $duration Meeting duration in minutes
+     * @param string|null $timeZone Time zone of the sender, used to show the meeting time
+     * @param bool $passwordProtected Add a note that the room needs a password
      * @return array
      */
-    public function sendLinkByEmail(string $email, string $link, ?string $roomName = null, ?string $message = null): array
+    public function sendLinkByEmail(string $email, string $link, ?string $roomName = null, ?string $message = null, ?int $startTime = null, int $duration = EmailTemplateService::DEFAULT_DURATION, ?string $timeZone = null, bool $passwordProtected = false): array
     {
         $email = trim($email);
         $link = trim($link);
@@ -736,21 +1310,24 @@ class FederatedLinkService
         if (empty($email)) {
             return [
                 'success' => false,
-                'error' => 'Email address is required.',
+                'error' => $this->l->t('Email address is required.'),
+                'code' => 'invalid_email',
             ];
         }
 
         if (!filter_var($email, FILTER_VALIDATE_EMAIL)) {
             return [
                 'success' => false,
-                'error' => 'Invalid email address format.',
+                'error' => $this->l->t('Invalid email address format.'),
+                'code' => 'invalid_email',
             ];
         }
 
         if (empty($link)) {
             return [
                 'success' => false,
-                'error' => 'Link is required.',
+                'error' => $this->l->t('Link is required.'),
+                'code' => 'missing_link',
             ];
         }
 
@@ -758,51 +1335,38 @@ class FederatedLinkService
             $mailMessage = $this->mailer->createMessage();
 
             $user = $this->userSession->getUser();
+            $sender = $user instanceof IUser ? $user->getDisplayName() : '';
             $userEmail = $user instanceof IUser ? trim((string)$user->getEMailAddress()) : '';
             if ($userEmail !== '' && filter_var($userEmail, FILTER_VALIDATE_EMAIL)) {
-                $userDisplayName = $user->getDisplayName();
                 if (method_exists($mailMessage, 'setFrom')) {
-                    $mailMessage->setFrom([$userEmail => $userDisplayName]);
+                    $mailMessage->setFrom([$userEmail => $sender]);
                 }
                 if (method_exists($mailMessage, 'setReplyTo')) {
-                    $mailMessage->setReplyTo([$userEmail => $userDisplayName]);
+                    $mailMessage->setReplyTo([$userEmail => $sender]);
                 }
             }
 
             // Set recipient
             $mailMessage->setTo([$email]);
 
-            // Set subject
-            $subject = 'Federated Talk Link';
-            if (!empty($roomName)) {
-                $subject = 'Invitation to Talk Room: ' . $roomName;
+            $mailMessage->useTemplate($this->emailTemplateService->buildEmail(
+                $email,
+                $link,
+                $roomName,
+                $message,
+                $sender,
+                $startTime,
+                $timeZone,
+                $passwordProtected
+            ));
+
+            if ($startTime !== null) {
+                $mailMessage->attach($this->mailer->createAttachment(
+                    $this->emailTemplateService->buildCalendarInvite($link, $roomName, $message, $startTime, $duration),
+                    'invite.ics',
+                    'text/calendar'
+                ));
             }
-            $mailMessage->setSubject($subject);
-
-            // Build email body
-            $bodyText = "You have been invited to join a Talk conversation.\n\n";
-            if (!empty($message)) {
-                $bodyText .= $message . "\n\n";
-            }
-            $bodyText .= "Click the link below to join:\n";
-            $bodyText .= $link . "\n\n";
-            $bodyText .= "This link was generated by Federated Talk Link for Nextcloud.";
-
-            // Build HTML body
-            $bodyHtml = '<html><body>';
-            $bodyHtml .= '<p>You have been invited to join a Talk conversation.</p>';
-            if (!empty($message)) {
-                $bodyHtml .= '<p>' . htmlspecialchars($message) . '</p>';
-            }
-            $bodyHtml .= '<p>Click the link below to join:</p>';
-            $bodyHtml .= '<p><a href="' . htmlspecialchars($link) . '" style="display:inline-block;padding:10px 20px;background-color:#0082c9;color:#ffffff;text-decoration:none;border-radius:5px;">Join Talk Room</a></p>';
-            $bodyHtml .= '<p>Or copy this link: <a href="' . htmlspecialchars($link) . '">' . htmlspecialchars($link) . '</a></p>';
-            $bodyHtml .= '<hr style="margin:20px 0;border:none;border-top:1px solid #ddd;">';
-            $bodyHtml .= '<p style="color:#666;font-size:12px;">This link was generated by Federated Talk Link for Nextcloud.</p>';
-            $bodyHtml .= '</body></html>';
-
-            $mailMessage->setPlainBody($bodyText);
-            $mailMessage->setHtmlBody($bodyHtml);
 
             // Send the email
             $errors = $this->mailer->send($mailMessage);
@@ -815,7 +1379,8 @@ class FederatedLinkService
                 ]);
                 return [
                     'success' => false,
-                    'error' => 'Failed to send email: ' . implode(', ', $errors),
+                    'error' => $this->l->t('Failed to send email: %s', [implode(', ', $errors)]),
+                    'code' => 'email_failed',
                 ];
             }
 
@@ -825,9 +1390,15 @@ class FederatedLinkService
                 'link' => $link,
             ]);
 
+            $this->auditLogService->record(AuditLogService::ACTION_EMAIL_SENT, $user?->getUID(), [
+                'roomName' => $roomName,
+                'recipient' => $email,
+                'link' => $link,
+            ]);
+
             return [
                 'success' => true,
-                'message' => 'Email sent successfully to ' . $email,
+                'message' => $this->l->t('Email sent successfully to %s', [$email]),
             ];
 
         } catch (\Exception $e) {
@@ -839,7 +1410,8 @@ class FederatedLinkService
 
             return [
                 'success' => false,
-                'error' => 'Failed to send email: ' . $e->getMessage(),
+                'error' => $this->l->t('Failed to send email: %s', [$e->getMessage()]),
+                'code' => 'email_failed',
             ];
         }
     }
@@ -0,0 +1,150 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Service;
+
+use OCP\IL10N;
+
+/**
+ * Service for building the different forms of a federated link
+ *
+ * Each format has a template with {placeholder} markers; admins may
+ * replace the built-in templates. Templates only apply to the links shown
+ * to users, the plain call link identifies the room everywhere else.
+ */
+class LinkFormatService
+{
+    public const FORMAT_CALL = 'call';
+    public const FORMAT_GUEST = 'guest';
+    public const FORMAT_DESKTOP = 'desktop';
+
+    public const FORMATS = [self::FORMAT_CALL, self::FORMAT_GUEST, self::FORMAT_DESKTOP];
+
+    public const PLACEHOLDERS = ['target', 'host', 'token', 'roomName', 'displayName'];
+
+    public const DEFAULT_TEMPLATES = [
+        self::FORMAT_CALL => '{target}/call/{token}',
+        self::FORMAT_GUEST => '{target}/call/{token}?displayName={displayName}',
+        self::FORMAT_DESKTOP => 'nc://talk/{host}/call/{token}',
+    ];
+
+    public function __construct(
+        private SettingsService $settingsService,
+        private IL10N $l
+    ) {
+    }
+
+    /**
+     * Check whether a format ID is known
+     *
+     * @param string $format The format ID
+     * @return bool
+     */
+    public function isValidFormat(string $format): bool
+    {
+        return in_array($format, self::FORMATS, true);
+    }
+
+    /**
+     * Get the template of a format
+     *
+     * @param string $format One of FORMATS
+     * @return string The admin-defined template or the built-in one
+     */
+    public function getTemplate(string $format): string
+    {
+        return $this->settingsService->getLinkFormats()[$format] ?? self::DEFAULT_TEMPLATES[$format] ?? self::DEFAULT_TEMPLATES[self::FORMAT_CALL];
+    }
+
+    /**
+     * Get all formats with their templates (for the admin panel)
+     *
+     * @return array<int, array<string, mixed>> List of formats with id, template, default template and whether it is customized
+     */
+    public function getFormats(): array
+    {
+        $custom = $this->settingsService->getLinkFormats();
+
+        $formats = [];
+        foreach (self::FORMATS as $format) {
+            $formats[] = [
+                'id' => $format,
+                'template' => $custom[$format] ?? self::DEFAULT_TEMPLATES[$format],
+                'defaultTemplate' => self::DEFAULT_TEMPLATES[$format],
+                'customized' => isset($custom[$format]),
+            ];
+        }
+        return $formats;
+    }
+
+    /**
+     * Build the link to a remote room in a format
+     *
+     * Room and display name are URL-encoded; target and host come
+     * from the server profile.
+     *
+     * @param string $format One of FORMATS, unknown formats build the call link
+     * @param string $targetUrl The target Nextcloud URL of the server profile
+     * @param string $token The room token
+     * @param string|null $roomName The room name
+     * @param string|null $displayName The display name to prefill for guests
+     * @return string
+     */
+    public function format(string $format, string $targetUrl, string $token, ?string $roomName = null, ?string $displayName = null): string
+    {
+        return $this->render($this->getTemplate($format), $targetUrl, $token, $roomName, $displayName);
+    }
+
+    /**
+     * Build the plain call link to a remote room, ignoring admin templates
+     *
+     * @param string $targetUrl The target Nextcloud URL of the server profile
+     * @param string $token The room token
+     * @return string
+     */
+    public function getCallLink(string $targetUrl, string $token): string
+    {
+        return $this->render(self::DEFAULT_TEMPLATES[self::FORMAT_CALL], $targetUrl, $token);
+    }
+
+    /**
+     * Get the note for recipients of a link to a password-protected room
+     *
+     * @param IL10N|null $l The language of the recipient, null for the current user
+     * @return string
+     */
+    public function getPasswordHint(?IL10N $l = null): string
+    {
+        return ($l ?? $this->l)->t('This conversation is protected by a password. Ask the person who invited you for it.');
+    }
+
+    /**
+     * Fill in the placeholders of a template
+     *
+     * @param string $template The link template
+     * @param string $targetUrl The target Nextcloud URL of the server profile
+     * @param string $token The room token
+     * @param string|null $roomName The room name
+     * @param string|null $displayName The display name to prefill for guests
+     * @return string
+     */
+    private function render(string $template, string $targetUrl, string $token, ?string $roomName = null, ?string $displayName = null): string
+    {
+        $target = rtrim($targetUrl, '/');
+        $host = preg_replace('#^[a-z][a-z0-9+.-]*://#i', '', $target);
+
+        return strtr($template, [
+            '{target}' => $target,
+            '{host}' => $host,
+            '{token}' => rawurlencode($token),
+            '{roomName}' => rawurlencode($roomName ?? ''),
+            '{displayName}' => rawurlencode($displayName ?? ''),
+        ]);
+    }
+}
@@ -0,0 +1,143 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Service;
+
+use OCA\FederatedTalkLink\Db\LinkHistory;
+use OCA\FederatedTalkLink\Db\LinkHistoryMapper;
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Utility\ITimeFactory;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Service for the per-user history of generated links
+ *
+ * Each user has one entry per remote room; generating the link
+ * again only bumps the entry to the top of the list.
+ */
+class LinkHistoryService
+{
+    public const DEFAULT_LIMIT = 20;
+    public const MAX_LIMIT = 100;
+
+    public function __construct(
+        private LinkHistoryMapper $mapper,
+        private ITimeFactory $timeFactory,
+        private LoggerInterface $logger
+    ) {
+    }
+
+    /**
+     * Record a generated link
+     *
+     * Failures are logged only, so the history never breaks link generation.
+     *
+     * @param string $userId The user who generated the link
+     * @param array $result The successful result of FederatedLinkService::generateFederatedLink
+     * @return LinkHistory|null The stored entry or null on failure
+     */
+    public function record(string $userId, array $result): ?LinkHistory
+    {
+        try {
+            $now = $this->timeFactory->getTime();
+            $entry = $this->mapper->findByRoom($userId, $result['server'], $result['token']);
+
+            if ($entry === null) {
+                $entry = new LinkHistory();
+                $entry->setUserId($userId);
+                $entry->setServerId($result['server']);
+                $entry->setRoomToken($result['token']);
+                $entry->setCreatedAt($now);
+            }
+
+            $roomName = $result['roomInfo']['displayName'] ?? $result['roomInfo']['name'] ?? null;
+            if ($roomName !== null && $roomName !== '') {
+                $entry->setRoomName(mb_substr($roomName, 0, 255));
+            }
+            $entry->setLink($result['link']);
+            $entry->setUpdatedAt($now);
+
+            return $entry->getId() === null ? $this->mapper->insert($entry) : $this->mapper->update($entry);
+        } catch (\Exception $e) {
+            $this->logger->warning('Failed to record link history', [
+                'app' => 'federatedtalklink',
+                'exception' => $e,
+            ]);
+            return null;
+        }
+    }
+
+    /**
+     * Record that a link was sent by email
+     *
+     * The entry is found by its room, as the link may have been sent in
+     * another format or as short link; without a room the link has to
+     * match exactly. Links that are not in the history of the user are ignored.
+     *
+     * @param string $userId The user who sent the email
+     * @param string $link The link that was sent
+     * @param string $email The recipient address, or the name of a user who was sent to by account
+     * @param string|null $serverId The server profile of the room
+     * @param string|null $roomToken The token of the room the link leads to
+     */
+    public function recordEmail(string $userId, string $link, string $email, ?string $serverId = null, ?string $roomToken = null): void
+    {
+        try {
+            $entry = $serverId !== null && $roomToken !== null
+                ? $this->mapper->findByRoom($userId, $serverId, $roomToken)
+                : $this->mapper->findByLink($userId, $link);
+            if ($entry === null) {
+                return;
+            }
+
+            $entry->addRecipient($email);
+            $entry->setUpdatedAt($this->timeFactory->getTime());
+            $this->mapper->update($entry);
+        } catch (\Exception $e) {
+            $this->logger->warning('Failed to record emailed link', [
+                'app' => 'federatedtalklink',
+                'exception' => $e,
+            ]);
+        }
+    }
+
+    /**
+     * List the history of a user, most recently used first
+     *
+     * @param string $userId The user ID
+     * @param string|null $search Filter by room name, room token or recipient
+     * @param string|null $serverId Filter by server profile
+     * @param int $limit Maximum number of entries (capped at MAX_LIMIT)
+     * @param int $offset Number of entries to skip
+     * @return LinkHistory[]
+     */
+    public function list(string $userId, ?string $search = null, ?string $serverId = null, int $limit = self::DEFAULT_LIMIT, int $offset = 0): array
+    {
+        $limit = min(max(1, $limit), self::MAX_LIMIT);
+
+        return $this->mapper->findAllForUser($userId, $search, $serverId, $limit, max(0, $offset));
+    }
+
+    /**
+     * Delete an entry from the history of a user
+     *
+     * @param string $userId The user ID
+     * @param int $id The entry ID
+     * @return bool True if the entry existed and was deleted
+     */
+    public function delete(string $userId, int $id): bool
+    {
+        try {
+            $this->mapper->delete($this->mapper->findForUser($id, $userId));
+            return true;
+        } catch (DoesNotExistException $e) {
+            return false;
+        }
+    }
+}
@@ -0,0 +1,306 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Service;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCP\AppFramework\Http;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\Http\Client\IClientService;
+use OCP\ICache;
+use OCP\ICacheFactory;
+use OCP\IGroupManager;
+use OCP\IL10N;
+use OCP\Notification\IManager as INotificationManager;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Service for connecting server profiles with app passwords
+ *
+ * Runs Nextcloud Login Flow v2 against the external server: the admin
+ * logs in on the remote login page while the poll token stays on this
+ * server, and the returned app password replaces the stored credentials.
+ * Rejected credentials are reported to the admins.
+ */
+class LoginFlowService
+{
+    public const NOTIFICATION_SUBJECT = 'credentials_rejected';
+
+    private const LOGIN_FLOW_ENDPOINT = '/index.php/login/v2';
+    private const APP_PASSWORD_ENDPOINT = '/ocs/v2.php/core/apppassword';
+    private const CACHE_PREFIX = 'login-flow/';
+
+    // Login Flow v2 tokens are valid for 20 minutes
+    private const POLL_TTL = 1200;
+
+    private ICache $cache;
+
+    public function __construct(
+        private SettingsService $settingsService,
+        private IClientService $clientService,
+        ICacheFactory $cacheFactory,
+        private ITimeFactory $timeFactory,
+        private IGroupManager $groupManager,
+        private INotificationManager $notificationManager,
+        private LoggerInterface $logger,
+        private IL10N $l
+    ) {
+        $this->cache = $cacheFactory->createDistributed(Application::APP_ID);
+    }
+
+    /**
+     * Start a login on the external server of a profile
+     *
+     * @param string $serverId The server profile ID
+     * @return array With the URL of the remote login page on success
+     */
+    public function start(string $serverId): array
+    {
+        $server = $this->settingsService->getServer($serverId);
+        if ($server === null || $server['externalServerUrl'] === '') {
+            return [
+                'success' => false,
+                'error' => $this->l->t('Save the server with its external server URL before connecting.'),
+                'code' => 'server_not_configured',
+            ];
+        }
+
+        try {
+            $client = $this->clientService->newClient();
+            $response = $client->post($this->buildUrl($server, self::LOGIN_FLOW_ENDPOINT), [
+                'headers' => [
+                    'Accept' => 'application/json',
+                    'User-Agent' => 'Federated Talk Link',
+                ],
+                'timeout' => 30,
+            ]);
+            $data = json_decode($response->getBody(), true);
+        } catch (\Exception $e) {
+            $this->logger->warning('Failed to start login flow', [
+                'app' => Application::APP_ID,
+                'server' => $serverId,
+                'exception' => $e,
+            ]);
+
+            return [
+                'success' => false,
+                'error' => $this->l->t('Failed to start the login: %s', [$e->getMessage()]),
+                'code' => 'request_failed',
+            ];
+        }
+
+        if (!isset($data['login'], $data['poll']['token'], $data['poll']['endpoint'])) {
+            return [
+                'success' => false,
+                'error' => $this->l->t('The external server does not support Login Flow v2.'),
+                'code' => 'login_flow_unsupported',
+            ];
+        }
+
+        $this->cache->set(self::CACHE_PREFIX . $serverId, [
+            'token' => $data['poll']['token'],
+            'endpoint' => $data['poll']['endpoint'],
+        ], self::POLL_TTL);
+
+        return [
+            'success' => true,
+            'loginUrl' => $data['login'],
+        ];
+    }
+
+    /**
+     * Check if the login on the external server is complete
+     *
+     * Once it is, the app password is stored in the profile.
+     *
+     * @param string $serverId The server profile ID
+     * @return array With connected false while the login is pending
+     */
+    public function poll(string $serverId): array
+    {
+        $pending = $this->cache->get(self::CACHE_PREFIX . $serverId);
+        if (!is_array($pending) || !isset($pending['token'], $pending['endpoint'])) {
+            return [
+                'success' => false,
+                'error' => $this->l->t('No login is in progress or it has expired. Please connect again.'),
+                'code' => 'login_expired',
+            ];
+        }
+
+        try {
+            $client = $this->clientService->newClient();
+            $response = $client->post($pending['endpoint'], [
+                'form_params' => ['token' => $pending['token']],
+                'headers' => ['Accept' => 'application/json'],
+                'timeout' => 30,
+            ]);
+            $data = json_decode($response->getBody(), true);
+        } catch (\Exception $e) {
+            // The endpoint answers 404 until the login is granted
+            if ($e->getCode() === Http::STATUS_NOT_FOUND) {
+                return ['success' => true, 'connected' => false];
+            }
+
+            return [
+                'success' => false,
+                'error' => $this->l->t('Failed to check the login: %s', [$e->getMessage()]),
+                'code' => 'request_failed',
+            ];
+        }
+
+        if (empty($data['loginName']) || empty($data['appPassword'])) {
+            return [
+                'success' => false,
+                'error' => $this->l->t('The external server returned no app password.'),
+                'code' => 'invalid_response',
+            ];
+        }
+
+        $this->cache->remove(self::CACHE_PREFIX . $serverId);
+        $this->settingsService->saveServerCredentials(
+            $serverId,
+            (string)$data['loginName'],
+            (string)$data['appPassword'],
+            $this->timeFactory->getTime()
+        );
+        $this->dismissNotifications($serverId);
+
+        return [
+            'success' => true,
+            'connected' => true,
+            'loginName' => $data['loginName'],
+        ];
+    }
+
+    /**
+     * Revoke the app password of a profile and remove its credentials
+     *
+     * The credentials are removed even if the external server cannot be reached.
+     *
+     * @param string $serverId The server profile ID
+     * @return array With remoteRevoked false if the external server did not confirm
+     */
+    public function revoke(string $serverId): array
+    {
+        $server = $this->settingsService->getServer($serverId);
+        if ($server === null || $server['connectedAt'] === null) {
+            return [
+                'success' => false,
+                'error' => $this->l->t('The server is not connected with an app password.'),
+                'code' => 'not_connected',
+            ];
+        }
+
+        $remoteRevoked = true;
+        try {
+            $client = $this->clientService->newClient();
+            $client->delete($this->buildUrl($server, self::APP_PASSWORD_ENDPOINT), [
+                'auth' => [$server['username'], $server['password']],
+                'headers' => [
+                    'OCS-APIRequest' => 'true',
+                    'Accept' => 'application/json',
+                ],
+                'timeout' => 30,
+            ]);
+        } catch (\Exception $e) {
+            // An already revoked app password is rejected
+            $remoteRevoked = $e->getCode() === Http::STATUS_UNAUTHORIZED;
+            if (!$remoteRevoked) {
+                $this->logger->warning('Failed to revoke app password', [
+                    'app' => Application::APP_ID,
+                    'server' => $serverId,
+                    'exception' => $e,
+                ]);
+            }
+        }
+
+        $this->settingsService->saveServerCredentials($serverId, '', '', null);
+        $this->dismissNotifications($serverId);
+
+        return [
+            'success' => true,
+            'remoteRevoked' => $remoteRevoked,
+        ];
+    }
+
+    /**
+     * Flag a profile whose credentials were rejected and notify the admins
+     *
+     * The admins are only notified the first time.
+     *
+     * @param array $server The server profile
+     */
+    public function reportAuthFailure(array $server): void
+    {
+        if (($server['authFailedAt'] ?? null) !== null) {
+            return;
+        }
+
+        $this->settingsService->setServerAuthFailed($server['id'], $this->timeFactory->getTime());
+
+        $this->logger->warning('External server rejected the credentials of server profile', [
+            'app' => Application::APP_ID,
+            'server' => $server['id'],
+            'appPassword' => ($server['connectedAt'] ?? null) !== null,
+        ]);
+
+        $adminGroup = $this->groupManager->get('admin');
+        if ($adminGroup === null) {
+            return;
+        }
+
+        $notification = $this->notificationManager->createNotification();
+        $notification->setApp(Application::APP_ID)
+            ->setDateTime($this->timeFactory->getDateTime())
+            ->setObject('server', $server['id'])
+            ->setSubject(self::NOTIFICATION_SUBJECT, [
+                'server' => $server['name'],
+                'appPassword' => ($server['connectedAt'] ?? null) !== null,
+            ]);
+
+        foreach ($adminGroup->getUsers() as $admin) {
+            $notification->setUser($admin->getUID());
+            $this->notificationManager->notify($notification);
+        }
+    }
+
+    /**
+     * Clear the flag of a profile whose credentials work again
+     *
+     * @param array $server The server profile
+     */
+    public function clearAuthFailure(array $server): void
+    {
+        if (($server['authFailedAt'] ?? null) === null) {
+            return;
+        }
+
+        $this->settingsService->setServerAuthFailed($server['id'], null);
+        $this->dismissNotifications($server['id']);
+    }
+
+    /**
+     * Remove the notifications about rejected credentials of a profile
+     */
+    private function dismissNotifications(string $serverId): void
+    {
+        $notification = $this->notificationManager->createNotification();
+        $notification->setApp(Application::APP_ID)
+            ->setObject('server', $serverId);
+        $this->notificationManager->markProcessed($notification);
+    }
+
+    /**
+     * Build a URL on the external server of a profile
+     */
+    private function buildUrl(array $server, string $path): string
+    {
+        return 'https://' . ltrim($server['externalServerUrl'], 'https://') . $path;
+    }
+}
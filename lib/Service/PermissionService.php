@@ -0,0 +1,117 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Service;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCP\IGroupManager;
+use OCP\IUserManager;
+use OCP\Security\RateLimiting\ILimiter;
+use OCP\Security\RateLimiting\IRateLimitExceededException;
+
+/**
+ * Service deciding which users may use which capability
+ *
+ * Capabilities are limited to the groups chosen in the admin settings;
+ * admins may always use all of them.
+ */
+class PermissionService
+{
+    public const GENERATE = 'generate';
+    public const BROWSE = 'browse';
+    public const CREATE = 'create';
+    public const EMAIL = 'email';
+    public const TEST = 'test';
+
+    public const CAPABILITIES = [self::GENERATE, self::BROWSE, self::CREATE, self::EMAIL, self::TEST];
+
+    public function __construct(
+        private SettingsService $settingsService,
+        private IGroupManager $groupManager,
+        private IUserManager $userManager,
+        private ILimiter $limiter
+    ) {
+    }
+
+    /**
+     * Check if a user may use a capability
+     *
+     * @param string|null $userId The user ID
+     * @param string $capability One of CAPABILITIES
+     * @return bool True if allowed
+     */
+    public function isAllowed(?string $userId, string $capability): bool
+    {
+        if ($userId === null) {
+            return false;
+        }
+
+        if ($this->groupManager->isAdmin($userId)) {
+            return true;
+        }
+
+        $groups = $this->settingsService->getAccessGroups()[$capability] ?? [];
+        if (empty($groups)) {
+            return true;
+        }
+
+        foreach ($groups as $groupId) {
+            if ($this->groupManager->isInGroup($userId, $groupId)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Get the capabilities of a user, for the frontend
+     *
+     * @param string|null $userId The user ID
+     * @return array<string, bool> Whether each capability is allowed
+     */
+    public function getPermissions(?string $userId): array
+    {
+        $permissions = [];
+        foreach (self::CAPABILITIES as $capability) {
+            $permissions[$capability] = $this->isAllowed($userId, $capability);
+        }
+        return $permissions;
+    }
+
+    /**
+     * Count one email against the rate limit of a user
+     *
+     * @param string $userId The user ID
+     * @return bool True if the email may be sent, false if the limit is reached
+     */
+    public function registerEmail(string $userId): bool
+    {
+        $limit = $this->settingsService->getEmailRateLimit();
+        if ($limit === 0) {
+            return true;
+        }
+
+        $user = $this->userManager->get($userId);
+        if ($user === null) {
+            return false;
+        }
+
+        try {
+            $this->limiter->registerUserRequest(
+                Application::APP_ID . '::email',
+                $limit,
+                $this->settingsService->getEmailRatePeriod(),
+                $user
+            );
+        } catch (IRateLimitExceededException $e) {
+            return false;
+        }
+        return true;
+    }
+}
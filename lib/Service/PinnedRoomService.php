@@ -0,0 +1,126 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Service;
+
+use OCA\FederatedTalkLink\Db\PinnedRoom;
+use OCA\FederatedTalkLink\Db\PinnedRoomMapper;
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\IL10N;
+
+/**
+ * Service for the remote rooms users pin to their dashboard
+ */
+class PinnedRoomService
+{
+    public const MAX_PINS = 20;
+
+    public function __construct(
+        private PinnedRoomMapper $mapper,
+        private SettingsService $settingsService,
+        private ITimeFactory $timeFactory,
+        private IL10N $l
+    ) {
+    }
+
+    /**
+     * List the pinned rooms of a user
+     *
+     * Rooms of removed server profiles are kept, but marked as unavailable.
+     *
+     * @param string $userId The user ID
+     * @return array<int, array<string, mixed>>
+     */
+    public function list(string $userId): array
+    {
+        $servers = array_column($this->settingsService->getServerList(), 'name', 'id');
+
+        return array_map(
+            fn (PinnedRoom $pin): array => $pin->jsonSerialize() + [
+                'serverName' => $servers[$pin->getServerId()] ?? $pin->getServerId(),
+                'available' => isset($servers[$pin->getServerId()]),
+            ],
+            $this->mapper->findByUser($userId)
+        );
+    }
+
+    /**
+     * Pin a remote room, pinning it again keeps the existing pin
+     *
+     * @param string $userId The user ID
+     * @param string $roomToken The remote room token
+     * @param string|null $serverId The server profile ID (null for the default profile)
+     * @param string|null $roomName The remote room name
+     * @return array With the pin on success
+     */
+    public function pin(string $userId, string $roomToken, ?string $serverId, ?string $roomName): array
+    {
+        $server = $this->settingsService->getServer($serverId);
+        if ($server === null || !$this->settingsService->isServerConfigured($server)) {
+            return [
+                'success' => false,
+                'error' => $serverId !== null
+                    ? $this->l->t('External server "%s" is not configured.', [$serverId])
+                    : $this->l->t('External server not configured. Please contact your administrator.'),
+                'code' => 'server_not_configured',
+            ];
+        }
+
+        $pin = $this->mapper->findByRoom($userId, $server['id'], $roomToken);
+        if ($pin === null) {
+            if (count($this->mapper->findByUser($userId)) >= self::MAX_PINS) {
+                return [
+                    'success' => false,
+                    'error' => $this->l->n('You can pin at most %n room. Unpin a room first.', 'You can pin at most %n rooms. Unpin a room first.', self::MAX_PINS),
+                    'code' => 'too_many_pins',
+                ];
+            }
+
+            $pin = new PinnedRoom();
+            $pin->setUserId($userId);
+            $pin->setServerId($server['id']);
+            $pin->setRoomToken($roomToken);
+            $pin->setCreatedAt($this->timeFactory->getTime());
+        }
+
+        if ($roomName !== null && $roomName !== '') {
+            $pin->setRoomName(mb_substr($roomName, 0, 255));
+        }
+
+        $pin = $pin->getId() === null ? $this->mapper->insert($pin) : $this->mapper->update($pin);
+
+        return [
+            'success' => true,
+            'pin' => $pin->jsonSerialize() + [
+                'serverName' => $server['name'],
+                'available' => true,
+            ],
+        ];
+    }
+
+    /**
+     * Unpin a room of a user
+     *
+     * @param string $userId The user ID
+     * @param int $id The pin ID
+     * @return bool True if the user had such a pin
+     */
+    public function unpin(string $userId, int $id): bool
+    {
+        try {
+            $pin = $this->mapper->findForUser($id, $userId);
+        } catch (DoesNotExistException $e) {
+            return false;
+        }
+
+        $this->mapper->delete($pin);
+        return true;
+    }
+}
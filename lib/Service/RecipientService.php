@@ -0,0 +1,190 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Service;
+
+use OCP\Collaboration\Collaborators\ISearch;
+use OCP\IGroupManager;
+use OCP\IL10N;
+use OCP\IUser;
+use OCP\IUserManager;
+use OCP\Share\IManager as IShareManager;
+use OCP\Share\IShare;
+
+/**
+ * Service for finding and resolving email recipients
+ *
+ * Recipients are plain addresses, local users, groups or Contacts
+ * entries. The search uses the same collaborator search as sharing,
+ * and resolving checks the same restrictions (e.g. only own groups),
+ * so users can only send to recipients they could share with.
+ */
+class RecipientService
+{
+    public const TYPE_EMAIL = 'email';
+    public const TYPE_USER = 'user';
+    public const TYPE_GROUP = 'group';
+
+    public const MAX_RECIPIENTS = 100;
+
+    private const SEARCH_LIMIT = 10;
+
+    public function __construct(
+        private ISearch $collaboratorSearch,
+        private IUserManager $userManager,
+        private IGroupManager $groupManager,
+        private IShareManager $shareManager,
+        private IL10N $l
+    ) {
+    }
+
+    /**
+     * Search users, groups and contacts
+     *
+     * @param string $search The search term
+     * @return array<int, array<string, string>> Recipients with type, id, label and subline
+     */
+    public function search(string $search): array
+    {
+        [$result] = $this->collaboratorSearch->search(
+            $search,
+            [IShare::TYPE_USER, IShare::TYPE_GROUP, IShare::TYPE_EMAIL],
+            false,
+            self::SEARCH_LIMIT,
+            0
+        );
+
+        $recipients = [];
+        foreach (['users' => self::TYPE_USER, 'groups' => self::TYPE_GROUP, 'emails' => self::TYPE_EMAIL] as $key => $type) {
+            $entries = array_merge($result['exact'][$key] ?? [], $result[$key] ?? []);
+            foreach ($entries as $entry) {
+                $id = (string)($entry['value']['shareWith'] ?? '');
+                if ($id === '' || isset($recipients[$type . ':' . $id])) {
+                    continue;
+                }
+
+                $recipients[$type . ':' . $id] = [
+                    'type' => $type,
+                    'id' => $id,
+                    'label' => (string)($entry['label'] ?? $id),
+                    'subline' => $type === self::TYPE_EMAIL ? $id : (string)($entry['shareWithDisplayNameUnique'] ?? ''),
+                ];
+            }
+        }
+
+        return array_values($recipients);
+    }
+
+    /**
+     * Resolve recipients into email addresses
+     *
+     * Groups are expanded into their members. Recipients that cannot be
+     * resolved are returned with an error instead of an address. Users
+     * and groups outside the sharing restrictions of the sender are
+     * reported as not found. Resolving stops after one entry more than
+     * MAX_RECIPIENTS, so callers can still tell that there were too many.
+     *
+     * @param array $recipients Plain addresses or arrays with type and id
+     * @param string|null $senderId The sending user, checked against the sharing restrictions
+     * @return array<int, array<string, string|null>> Entries with recipient, type, email and error
+     */
+    public function resolve(array $recipients, ?string $senderId = null): array
+    {
+        $resolved = [];
+        $add = function (string $label, string $type, ?string $email, ?string $error = null) use (&$resolved): void {
+            $key = $email !== null ? strtolower($email) : $label;
+            if (!isset($resolved[$key])) {
+                $resolved[$key] = [
+                    'recipient' => $label,
+                    'type' => $type,
+                    'email' => $email,
+                    'error' => $error,
+                    'code' => $error !== null ? 'invalid_recipient' : null,
+                ];
+            }
+        };
+
+        $membersOnly = $this->shareManager->shareWithGroupMembersOnly();
+        $sender = $senderId !== null ? $this->userManager->get($senderId) : null;
+        $senderGroups = $sender !== null ? $this->groupManager->getUserGroupIds($sender) : [];
+
+        foreach ($recipients as $recipient) {
+            if (count($resolved) > self::MAX_RECIPIENTS) {
+                break;
+            }
+
+            if (!is_array($recipient)) {
+                $recipient = ['type' => self::TYPE_EMAIL, 'id' => $recipient];
+            }
+
+            $type = (string)($recipient['type'] ?? self::TYPE_EMAIL);
+            $id = trim((string)($recipient['id'] ?? ''));
+            if ($id === '') {
+                continue;
+            }
+
+            switch ($type) {
+                case self::TYPE_EMAIL:
+                    if (filter_var($id, FILTER_VALIDATE_EMAIL)) {
+                        $add($id, $type, $id);
+                    } else {
+                        $add($id, $type, null, $this->l->t('Invalid email address format.'));
+                    }
+                    break;
+
+                case self::TYPE_USER:
+                    $user = $this->userManager->get($id);
+                    if ($user === null || ($membersOnly && empty(array_intersect($senderGroups, $this->groupManager->getUserGroupIds($user))))) {
+                        $add($id, $type, null, $this->l->t('User not found.'));
+                    } else {
+                        $this->addUser($user, $type, $add);
+                    }
+                    break;
+
+                case self::TYPE_GROUP:
+                    $group = $this->groupManager->get($id);
+                    if ($group === null || !$this->shareManager->allowGroupSharing() || ($membersOnly && !in_array($id, $senderGroups, true))) {
+                        $add($id, $type, null, $this->l->t('Group not found.'));
+                        break;
+                    }
+                    // Only load as many members as can still be sent to
+                    foreach ($group->searchUsers('', self::MAX_RECIPIENTS + 1) as $user) {
+                        if (count($resolved) > self::MAX_RECIPIENTS) {
+                            break;
+                        }
+                        $this->addUser($user, $type, $add);
+                    }
+                    break;
+
+                default:
+                    $add($id, $type, null, $this->l->t('Unknown recipient type.'));
+            }
+        }
+
+        return array_values($resolved);
+    }
+
+    /**
+     * Add the address of a user, or an error if the user has none
+     *
+     * @param IUser $user The user
+     * @param string $type The recipient type the user was resolved from
+     * @param callable $add Callback taking label, type, email and error
+     */
+    private function addUser(IUser $user, string $type, callable $add): void
+    {
+        $email = trim((string)$user->getEMailAddress());
+        if ($email === '') {
+            $add($user->getDisplayName(), $type, null, $this->l->t('User has no email address.'));
+            return;
+        }
+
+        $add($user->getDisplayName(), $type, $email);
+    }
+}
@@ -0,0 +1,105 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Service;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\ICache;
+use OCP\ICacheFactory;
+
+/**
+ * Service for caching the room lists of the external servers
+ *
+ * Entries live in the distributed cache and are kept fresh by the
+ * RefreshRoomCache background job
+ */
+class RoomCacheService
+{
+    private const CACHE_PREFIX = 'rooms/';
+
+    // Entries outlive a few missed refresh runs, then expire
+    private const TTL_FACTOR = 3;
+
+    private ICache $cache;
+
+    public function __construct(
+        ICacheFactory $cacheFactory,
+        private SettingsService $settingsService,
+        private ITimeFactory $timeFactory
+    ) {
+        $this->cache = $cacheFactory->createDistributed(Application::APP_ID);
+    }
+
+    /**
+     * Get the cached rooms of a server profile
+     *
+     * @param string $serverId The server profile ID
+     * @return array{rooms: array, fetchedAt: int}|null The cache entry or null on a miss
+     */
+    public function get(string $serverId): ?array
+    {
+        $entry = $this->cache->get(self::CACHE_PREFIX . $serverId);
+
+        if (!is_array($entry) || !isset($entry['rooms'], $entry['fetchedAt'])) {
+            return null;
+        }
+
+        return $entry;
+    }
+
+    /**
+     * Store the rooms of a server profile
+     *
+     * @param string $serverId The server profile ID
+     * @param array $rooms The room list as returned by the Talk API
+     * @return array{rooms: array, fetchedAt: int} The stored cache entry
+     */
+    public function set(string $serverId, array $rooms): array
+    {
+        $entry = [
+            'rooms' => $rooms,
+            'fetchedAt' => $this->timeFactory->getTime(),
+        ];
+
+        $this->cache->set(
+            self::CACHE_PREFIX . $serverId,
+            $entry,
+            $this->settingsService->getRoomCacheInterval() * self::TTL_FACTOR
+        );
+
+        return $entry;
+    }
+
+    /**
+     * Get the age of a cache entry in seconds
+     *
+     * @param array{fetchedAt: int} $entry The cache entry
+     * @return int
+     */
+    public function getAge(array $entry): int
+    {
+        return max(0, $this->timeFactory->getTime() - $entry['fetchedAt']);
+    }
+
+    /**
+     * Drop the cached rooms of one or all server profiles
+     *
+     * @param string|null $serverId The server profile ID (null for all)
+     */
+    public function clear(?string $serverId = null): void
+    {
+        if ($serverId === null) {
+            $this->cache->clear(self::CACHE_PREFIX);
+            return;
+        }
+
+        $this->cache->remove(self::CACHE_PREFIX . $serverId);
+    }
+}
@@ -0,0 +1,176 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Service;
+
+use OCA\FederatedTalkLink\Db\RoomMapping;
+use OCA\FederatedTalkLink\Db\RoomMappingMapper;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\IL10N;
+
+/**
+ * Service for mapping local Talk conversations to remote rooms
+ *
+ * A mapping is shared by everybody in the local conversation, so the
+ * remote room only has to be picked once. Only participants can see it
+ * and only moderators can change it.
+ */
+class RoomMappingService
+{
+    public function __construct(
+        private RoomMappingMapper $mapper,
+        private SettingsService $settingsService,
+        private FederatedLinkService $federatedLinkService,
+        private TalkParticipantService $participantService,
+        private ITimeFactory $timeFactory,
+        private IL10N $l
+    ) {
+    }
+
+    /**
+     * Get the mapping of a local conversation with its federated link
+     *
+     * @param string $localToken The local conversation token
+     * @param string|null $userId The user asking, null when the bot of the conversation asks
+     * @return array
+     */
+    public function get(string $localToken, ?string $userId): array
+    {
+        $denied = $userId !== null ? $this->checkAccess($localToken, $userId, false) : null;
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $mapping = $this->mapper->findByLocalToken($localToken);
+        if ($mapping === null) {
+            return [
+                'success' => false,
+                'error' => $this->l->t('No remote room is mapped to this conversation.'),
+                'code' => 'mapping_not_found',
+            ];
+        }
+
+        try {
+            $link = $this->federatedLinkService->generateLinkByToken($mapping->getRemoteToken(), $mapping->getServerId());
+        } catch (\Exception $e) {
+            // The server profile was removed or is incomplete
+            return [
+                'success' => false,
+                'error' => $e->getMessage(),
+                'code' => 'server_not_configured',
+                'mapping' => $mapping,
+            ];
+        }
+
+        return [
+            'success' => true,
+            'mapping' => $mapping,
+            'link' => $link,
+        ];
+    }
+
+    /**
+     * Map a local conversation to a remote room, replacing an existing mapping
+     *
+     * @param string $localToken The local conversation token
+     * @param string $serverId The server profile ID
+     * @param string $remoteToken The token of the remote room
+     * @param string|null $remoteName The name of the remote room
+     * @param string $userId The user who set the mapping
+     * @return array
+     */
+    public function set(string $localToken, string $serverId, string $remoteToken, ?string $remoteName, string $userId): array
+    {
+        $denied = $this->checkAccess($localToken, $userId, true);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $server = $this->settingsService->getServer($serverId);
+        if ($server === null || !$this->settingsService->isServerConfigured($server)) {
+            return [
+                'success' => false,
+                'error' => $this->l->t('External server "%s" is not configured.', [$serverId]),
+                'code' => 'server_not_configured',
+            ];
+        }
+
+        $mapping = $this->mapper->findByLocalToken($localToken) ?? new RoomMapping();
+        $mapping->setLocalToken($localToken);
+        $mapping->setServerId($server['id']);
+        $mapping->setRemoteToken($remoteToken);
+        $mapping->setRemoteName($remoteName !== null ? mb_substr($remoteName, 0, 255) : null);
+        $mapping->setUserId($userId);
+        $mapping->setUpdatedAt($this->timeFactory->getTime());
+
+        $mapping = $mapping->getId() === null ? $this->mapper->insert($mapping) : $this->mapper->update($mapping);
+
+        return [
+            'success' => true,
+            'mapping' => $mapping,
+            'link' => $this->federatedLinkService->generateLinkByToken($remoteToken, $server['id']),
+        ];
+    }
+
+    /**
+     * Remove the mapping of a local conversation
+     *
+     * @param string $localToken The local conversation token
+     * @param string $userId The user who removes the mapping
+     * @return array
+     */
+    public function delete(string $localToken, string $userId): array
+    {
+        $denied = $this->checkAccess($localToken, $userId, true);
+        if ($denied !== null) {
+            return $denied;
+        }
+
+        $mapping = $this->mapper->findByLocalToken($localToken);
+        if ($mapping === null) {
+            return [
+                'success' => false,
+                'error' => $this->l->t('No remote room is mapped to this conversation.'),
+                'code' => 'mapping_not_found',
+            ];
+        }
+
+        $this->mapper->delete($mapping);
+        return ['success' => true];
+    }
+
+    /**
+     * Check that a user may see or change the mapping of a conversation
+     *
+     * @param string $localToken The local conversation token
+     * @param string $userId The user ID
+     * @param bool $write Whether the mapping is changed
+     * @return array|null The error, null if allowed
+     */
+    private function checkAccess(string $localToken, string $userId, bool $write): ?array
+    {
+        if (!$this->participantService->isParticipant($localToken, $userId)) {
+            return [
+                'success' => false,
+                'error' => $this->l->t('Conversation not found.'),
+                'code' => 'conversation_not_found',
+            ];
+        }
+
+        if ($write && !$this->participantService->isModerator($localToken, $userId)) {
+            return [
+                'success' => false,
+                'error' => $this->l->t('Only moderators can change the remote room of a conversation.'),
+                'code' => 'permission_denied',
+            ];
+        }
+
+        return null;
+    }
+}
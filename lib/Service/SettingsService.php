@@ -21,6 +21,24 @@ use OCP\Security\ICrypto;
  */
 class SettingsService
 {
+    public const DEFAULT_SERVER_ID = 'default';
+    public const DEFAULT_ROOM_CACHE_INTERVAL = 300;
+    public const MIN_ROOM_CACHE_INTERVAL = 60;
+    public const DEFAULT_EMAIL_RATE_LIMIT = 50;
+    public const DEFAULT_EMAIL_RATE_PERIOD = 3600;
+
+    private const CONFIG_SERVERS = 'servers';
+    private const CONFIG_DEFAULT_SERVER = 'default_server';
+    private const CONFIG_ROOM_CACHE_INTERVAL = 'room_cache_interval';
+    private const CONFIG_EMAIL_TEMPLATES = 'email_templates';
+    private const CONFIG_LINK_FORMATS = 'link_formats';
+    private const CONFIG_AUTO_ACCEPT_INVITATIONS = 'auto_accept_invitations';
+    private const CONFIG_ACCESS_GROUPS = 'access_groups';
+    private const CONFIG_EMAIL_RATE_LIMIT = 'email_rate_limit';
+    private const CONFIG_EMAIL_RATE_PERIOD = 'email_rate_period';
+    private const CONFIG_BOT_SECRET = 'bot_secret';
+
+    // Legacy single-server keys, only read to migrate existing installs
     private const CONFIG_EXTERNAL_SERVER = 'external_server_url';
     private const CONFIG_USERNAME = 'auth_username';
     private const CONFIG_PASSWORD = 'auth_password_encrypted';
@@ -33,7 +51,7 @@ class SettingsService
     }
 
     /**
-     * Get the external server URL (API server)
+     * Get the legacy external server URL (API server)
      *
      * @return string The external server URL or empty string if not set
      */
@@ -47,179 +65,783 @@ class SettingsService
     }
 
     /**
-     * Set the external server URL
+     * Get the legacy authentication username
      *
-     * @param string $url The external server URL
+     * @return string The username or empty string if not set
      */
-    public function setExternalServerUrl(string $url): void
+    public function getUsername(): string
     {
-        // Normalize URL - remove trailing slash
-        $url = rtrim(trim($url), '/');
-        $this->config->setAppValue(
+        return $this->config->getAppValue(
             Application::APP_ID,
-            self::CONFIG_EXTERNAL_SERVER,
-            $url
+            self::CONFIG_USERNAME,
+            ''
         );
     }
 
     /**
-     * Get the authentication username
+     * Get the legacy decrypted authentication password
      *
-     * @return string The username or empty string if not set
+     * @return string The password or empty string if not set
      */
-    public function getUsername(): string
+    public function getPassword(): string
+    {
+        return $this->decryptPassword($this->config->getAppValue(
+            Application::APP_ID,
+            self::CONFIG_PASSWORD,
+            ''
+        ));
+    }
+
+    /**
+     * Get the legacy target Nextcloud URL (for generated links)
+     *
+     * @return string The target URL or empty string if not set
+     */
+    public function getTargetNextcloudUrl(): string
     {
         return $this->config->getAppValue(
             Application::APP_ID,
-            self::CONFIG_USERNAME,
+            self::CONFIG_TARGET_URL,
             ''
         );
     }
 
     /**
-     * Set the authentication username
+     * Get all server profiles with decrypted passwords
+     *
+     * Installs that still use the legacy single-server keys get
+     * a virtual default profile until the migration has run.
+     *
+     * @return array<int, array<string, string|int|null>> The server profiles
+     */
+    public function getServers(): array
+    {
+        return array_map(function (array $server): array {
+            $server['password'] = $this->decryptPassword($server['password']);
+            return $server;
+        }, $this->loadServers());
+    }
+
+    /**
+     * Get a single server profile with decrypted password
+     *
+     * @param string|null $serverId The profile ID (null or empty for the default profile)
+     * @return array<string, string|int|null>|null The server profile or null if not found
+     */
+    public function getServer(?string $serverId = null): ?array
+    {
+        $servers = $this->getServers();
+        if (empty($servers)) {
+            return null;
+        }
+
+        $lookupId = ($serverId === null || $serverId === '') ? $this->getDefaultServerId() : $serverId;
+        foreach ($servers as $server) {
+            if ($server['id'] === $lookupId) {
+                return $server;
+            }
+        }
+
+        // Fall back to the first profile if the stored default is gone
+        if ($serverId === null || $serverId === '') {
+            return $servers[0];
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the ID of the default server profile
+     *
+     * @return string The default profile ID
+     */
+    public function getDefaultServerId(): string
+    {
+        return $this->config->getAppValue(
+            Application::APP_ID,
+            self::CONFIG_DEFAULT_SERVER,
+            self::DEFAULT_SERVER_ID
+        );
+    }
+
+    /**
+     * Check if a server profile has all required settings
+     *
+     * @param array<string, string|int|null> $server The server profile (with decrypted password)
+     * @return bool True if all required settings are present
+     */
+    public function isServerConfigured(array $server): bool
+    {
+        return !empty($server['externalServerUrl'])
+            && !empty($server['username'])
+            && !empty($server['password'])
+            && !empty($server['targetNextcloudUrl']);
+    }
+
+    /**
+     * Check if the app is configured
+     *
+     * @return bool True if at least one server profile is fully configured
+     */
+    public function isConfigured(): bool
+    {
+        foreach ($this->getServers() as $server) {
+            if ($this->isServerConfigured($server)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Get the configured server profiles for the link generation UIs
+     *
+     * @return array<int, array<string, string>> ID and name of each usable profile
+     */
+    public function getServerList(): array
+    {
+        $list = [];
+        foreach ($this->getServers() as $server) {
+            if (!$this->isServerConfigured($server)) {
+                continue;
+            }
+            $list[] = [
+                'id' => $server['id'],
+                'name' => $server['name'],
+            ];
+        }
+        return $list;
+    }
+
+    /**
+     * Get the room cache refresh interval
+     *
+     * @return int The interval in seconds
+     */
+    public function getRoomCacheInterval(): int
+    {
+        $interval = (int)$this->config->getAppValue(
+            Application::APP_ID,
+            self::CONFIG_ROOM_CACHE_INTERVAL,
+            (string)self::DEFAULT_ROOM_CACHE_INTERVAL
+        );
+
+        return max(self::MIN_ROOM_CACHE_INTERVAL, $interval);
+    }
+
+    /**
+     * Set the room cache refresh interval
      *
-     * @param string $username The username
+     * @param int $interval The interval in seconds
      */
-    public function setUsername(string $username): void
+    public function setRoomCacheInterval(int $interval): void
     {
         $this->config->setAppValue(
             Application::APP_ID,
-            self::CONFIG_USERNAME,
-            trim($username)
+            self::CONFIG_ROOM_CACHE_INTERVAL,
+            (string)max(self::MIN_ROOM_CACHE_INTERVAL, $interval)
         );
     }
 
     /**
-     * Get the decrypted authentication password
+     * Check if any pending Talk invitation may be accepted while generating a link
      *
-     * @return string The password or empty string if not set
+     * When disabled, only invitations matching the requested room or
+     * accepted explicitly by a user are accepted.
+     *
+     * @return bool True if the catch-all auto-accept is enabled (default)
      */
-    public function getPassword(): string
+    public function isAutoAcceptEnabled(): bool
     {
-        $encrypted = $this->config->getAppValue(
+        return $this->config->getAppValue(
             Application::APP_ID,
-            self::CONFIG_PASSWORD,
-            ''
+            self::CONFIG_AUTO_ACCEPT_INVITATIONS,
+            'yes'
+        ) === 'yes';
+    }
+
+    /**
+     * Enable or disable the catch-all auto-accept of invitations
+     *
+     * @param bool $enabled Whether any pending invitation may be accepted
+     */
+    public function setAutoAcceptEnabled(bool $enabled): void
+    {
+        $this->config->setAppValue(
+            Application::APP_ID,
+            self::CONFIG_AUTO_ACCEPT_INVITATIONS,
+            $enabled ? 'yes' : 'no'
         );
+    }
 
-        if (empty($encrypted)) {
-            return '';
-        }
+    /**
+     * Get the groups allowed to use each capability
+     *
+     * An empty list allows everybody to use the capability.
+     *
+     * @return array<string, string[]> Group IDs per capability, see PermissionService::CAPABILITIES
+     */
+    public function getAccessGroups(): array
+    {
+        $stored = json_decode($this->config->getAppValue(
+            Application::APP_ID,
+            self::CONFIG_ACCESS_GROUPS,
+            '{}'
+        ), true);
 
-        try {
-            return $this->crypto->decrypt($encrypted);
-        } catch (\Exception $e) {
-            // If decryption fails, return empty string
-            return '';
+        $result = [];
+        foreach (PermissionService::CAPABILITIES as $capability) {
+            $groups = is_array($stored) ? ($stored[$capability] ?? []) : [];
+            $result[$capability] = is_array($groups) ? array_values(array_map('strval', $groups)) : [];
         }
+        return $result;
     }
 
     /**
-     * Set and encrypt the authentication password
+     * Replace the groups allowed to use each capability
+     *
+     * Unknown capabilities are dropped.
      *
-     * @param string $password The password to store
+     * @param array<string, mixed> $accessGroups Group IDs per capability
      */
-    public function setPassword(string $password): void
+    public function saveAccessGroups(array $accessGroups): void
     {
-        if (empty($password)) {
-            $this->config->setAppValue(
-                Application::APP_ID,
-                self::CONFIG_PASSWORD,
-                ''
-            );
-            return;
+        $stored = [];
+        foreach (PermissionService::CAPABILITIES as $capability) {
+            $groups = $accessGroups[$capability] ?? [];
+            $stored[$capability] = is_array($groups)
+                ? array_values(array_unique(array_filter(array_map(fn ($group) => trim((string)$group), $groups))))
+                : [];
         }
 
-        $encrypted = $this->crypto->encrypt($password);
         $this->config->setAppValue(
             Application::APP_ID,
-            self::CONFIG_PASSWORD,
-            $encrypted
+            self::CONFIG_ACCESS_GROUPS,
+            json_encode($stored)
         );
     }
 
     /**
-     * Get the target Nextcloud URL (for generated links)
+     * Get the number of emails a user may send per rate limit period
      *
-     * @return string The target URL or empty string if not set
+     * @return int The limit, 0 for no limit
      */
-    public function getTargetNextcloudUrl(): string
+    public function getEmailRateLimit(): int
     {
-        return $this->config->getAppValue(
+        return max(0, (int)$this->config->getAppValue(
             Application::APP_ID,
-            self::CONFIG_TARGET_URL,
+            self::CONFIG_EMAIL_RATE_LIMIT,
+            (string)self::DEFAULT_EMAIL_RATE_LIMIT
+        ));
+    }
+
+    /**
+     * Get the length of the email rate limit period
+     *
+     * @return int The period in seconds
+     */
+    public function getEmailRatePeriod(): int
+    {
+        $period = (int)$this->config->getAppValue(
+            Application::APP_ID,
+            self::CONFIG_EMAIL_RATE_PERIOD,
+            (string)self::DEFAULT_EMAIL_RATE_PERIOD
+        );
+        return $period > 0 ? $period : self::DEFAULT_EMAIL_RATE_PERIOD;
+    }
+
+    /**
+     * Set the per-user email rate limit
+     *
+     * @param int $limit Emails per period, 0 for no limit
+     * @param int $period The period in seconds
+     */
+    public function setEmailRateLimit(int $limit, int $period): void
+    {
+        $this->config->setAppValue(
+            Application::APP_ID,
+            self::CONFIG_EMAIL_RATE_LIMIT,
+            (string)max(0, $limit)
+        );
+        $this->config->setAppValue(
+            Application::APP_ID,
+            self::CONFIG_EMAIL_RATE_PERIOD,
+            (string)($period > 0 ? $period : self::DEFAULT_EMAIL_RATE_PERIOD)
+        );
+    }
+
+    /**
+     * Get the shared secret of the Talk bot
+     *
+     * @return string The secret or empty string if the bot was never installed
+     */
+    public function getBotSecret(): string
+    {
+        return $this->decryptPassword($this->config->getAppValue(
+            Application::APP_ID,
+            self::CONFIG_BOT_SECRET,
             ''
+        ));
+    }
+
+    /**
+     * Store the shared secret of the Talk bot
+     *
+     * @param string $secret The secret, empty to forget the bot
+     */
+    public function setBotSecret(string $secret): void
+    {
+        if ($secret === '') {
+            $this->config->deleteAppValue(Application::APP_ID, self::CONFIG_BOT_SECRET);
+            return;
+        }
+
+        $this->config->setAppValue(
+            Application::APP_ID,
+            self::CONFIG_BOT_SECRET,
+            $this->crypto->encrypt($secret)
         );
     }
 
     /**
-     * Set the target Nextcloud URL
+     * Get the admin-defined email templates
+     *
+     * An empty language applies to all languages without a template of their own.
      *
-     * @param string $url The target Nextcloud URL
+     * @return array<int, array<string, string>> List of templates with language, subject and body
      */
-    public function setTargetNextcloudUrl(string $url): void
+    public function getEmailTemplates(): array
     {
-        // Normalize URL - remove trailing slash
-        $url = rtrim(trim($url), '/');
+        $templates = json_decode($this->config->getAppValue(
+            Application::APP_ID,
+            self::CONFIG_EMAIL_TEMPLATES,
+            '[]'
+        ), true);
+
+        if (!is_array($templates)) {
+            return [];
+        }
+
+        $result = [];
+        foreach ($templates as $template) {
+            if (!is_array($template)) {
+                continue;
+            }
+            $result[] = [
+                'language' => (string)($template['language'] ?? ''),
+                'subject' => (string)($template['subject'] ?? ''),
+                'body' => (string)($template['body'] ?? ''),
+            ];
+        }
+        return $result;
+    }
+
+    /**
+     * Replace the email templates
+     *
+     * Templates without subject and body are dropped; a later template
+     * for the same language replaces an earlier one.
+     *
+     * @param array<int, array<string, mixed>> $templates List of templates with language, subject and body
+     */
+    public function saveEmailTemplates(array $templates): void
+    {
+        $stored = [];
+        foreach ($templates as $template) {
+            if (!is_array($template)) {
+                continue;
+            }
+
+            $language = trim((string)($template['language'] ?? ''));
+            $subject = trim((string)($template['subject'] ?? ''));
+            $body = trim((string)($template['body'] ?? ''));
+            if ($subject === '' && $body === '') {
+                continue;
+            }
+
+            $stored[$language] = [
+                'language' => $language,
+                'subject' => $subject,
+                'body' => $body,
+            ];
+        }
+
         $this->config->setAppValue(
             Application::APP_ID,
-            self::CONFIG_TARGET_URL,
-            $url
+            self::CONFIG_EMAIL_TEMPLATES,
+            json_encode(array_values($stored))
         );
     }
 
     /**
-     * Check if the app is configured
+     * Get the admin-defined link templates
      *
-     * @return bool True if all required settings are present
+     * @return array<string, string> Templates by format ID, formats without one use the built-in template
      */
-    public function isConfigured(): bool
+    public function getLinkFormats(): array
+    {
+        $formats = json_decode($this->config->getAppValue(
+            Application::APP_ID,
+            self::CONFIG_LINK_FORMATS,
+            '{}'
+        ), true);
+
+        if (!is_array($formats)) {
+            return [];
+        }
+
+        $result = [];
+        foreach ($formats as $format => $template) {
+            if (is_string($format) && is_string($template) && $template !== '') {
+                $result[$format] = $template;
+            }
+        }
+        return $result;
+    }
+
+    /**
+     * Replace the link templates
+     *
+     * Empty templates are dropped, so the format uses its built-in template again.
+     *
+     * @param array<string, mixed> $formats Templates by format ID
+     */
+    public function saveLinkFormats(array $formats): void
     {
-        return !empty($this->getExternalServerUrl())
-            && !empty($this->getUsername())
-            && !empty($this->getPassword())
-            && !empty($this->getTargetNextcloudUrl());
+        $stored = [];
+        foreach ($formats as $format => $template) {
+            $template = trim((string)$template);
+            if (is_string($format) && $template !== '') {
+                $stored[$format] = $template;
+            }
+        }
+
+        $this->config->setAppValue(
+            Application::APP_ID,
+            self::CONFIG_LINK_FORMATS,
+            json_encode((object)$stored)
+        );
     }
 
     /**
-     * Get all settings as an array (password masked)
+     * Get all settings as an array (passwords masked)
      *
      * @return array<string, mixed> The settings array
      */
     public function getAllSettings(): array
     {
+        $servers = [];
+        foreach ($this->getServers() as $server) {
+            $servers[] = [
+                'id' => $server['id'],
+                'name' => $server['name'],
+                'externalServerUrl' => $server['externalServerUrl'],
+                'username' => $server['username'],
+                'hasPassword' => !empty($server['password']),
+                'targetNextcloudUrl' => $server['targetNextcloudUrl'],
+                'connectedAt' => $server['connectedAt'],
+                'authFailedAt' => $server['authFailedAt'],
+                'isConfigured' => $this->isServerConfigured($server),
+            ];
+        }
+
         return [
-            'externalServerUrl' => $this->getExternalServerUrl(),
-            'username' => $this->getUsername(),
-            'hasPassword' => !empty($this->getPassword()),
-            'targetNextcloudUrl' => $this->getTargetNextcloudUrl(),
+            'servers' => $servers,
+            'defaultServerId' => $this->getServer()['id'] ?? self::DEFAULT_SERVER_ID,
+            'roomCacheInterval' => $this->getRoomCacheInterval(),
+            'emailTemplates' => $this->getEmailTemplates(),
+            'autoAcceptInvitations' => $this->isAutoAcceptEnabled(),
+            'accessGroups' => $this->getAccessGroups(),
+            'emailRateLimit' => $this->getEmailRateLimit(),
+            'emailRatePeriod' => $this->getEmailRatePeriod(),
             'isConfigured' => $this->isConfigured(),
         ];
     }
 
     /**
-     * Save all settings at once
+     * Replace all server profiles
+     *
+     * Each profile needs name, externalServerUrl, username and targetNextcloudUrl.
+     * An empty id creates a new profile; a null or empty password keeps the
+     * stored password of an existing profile.
      *
-     * @param string $externalServerUrl The external server URL
-     * @param string $username The authentication username
-     * @param string|null $password The password (null to keep existing)
-     * @param string $targetNextcloudUrl The target Nextcloud URL
+     * @param array<int, array<string, mixed>> $servers The server profiles
+     * @param string $defaultServerId The ID of the default profile
      */
-    public function saveAllSettings(
-        string $externalServerUrl,
-        string $username,
-        ?string $password,
-        string $targetNextcloudUrl
-    ): void {
-        $this->setExternalServerUrl($externalServerUrl);
-        $this->setUsername($username);
+    public function saveServers(array $servers, string $defaultServerId): void
+    {
+        $existing = [];
+        foreach ($this->loadServers() as $server) {
+            $existing[$server['id']] = $server;
+        }
+
+        $stored = [];
+        foreach ($servers as $server) {
+            $id = trim((string)($server['id'] ?? ''));
+            if ($id === '' || isset($stored[$id])) {
+                $id = $this->generateServerId();
+            }
 
-        // Only update password if provided (not null and not empty placeholder)
-        if ($password !== null && $password !== '') {
-            $this->setPassword($password);
+            $externalServerUrl = rtrim(trim((string)($server['externalServerUrl'] ?? '')), '/');
+            $name = trim((string)($server['name'] ?? ''));
+
+            $password = $server['password'] ?? null;
+            if ($password !== null && $password !== '') {
+                $encrypted = $this->crypto->encrypt((string)$password);
+                // A typed password replaces a connected app password
+                $connectedAt = null;
+                $authFailedAt = null;
+            } elseif (isset($existing[$id]) && rtrim((string)$existing[$id]['externalServerUrl'], '/') !== $externalServerUrl) {
+                // The stored credentials belong to the old server and must not be sent to the new one
+                $encrypted = '';
+                $connectedAt = null;
+                $authFailedAt = null;
+            } else {
+                $encrypted = $existing[$id]['password'] ?? '';
+                $connectedAt = $existing[$id]['connectedAt'] ?? null;
+                $authFailedAt = $existing[$id]['authFailedAt'] ?? null;
+            }
+
+            $stored[$id] = [
+                'id' => $id,
+                'name' => $name !== '' ? $name : $externalServerUrl,
+                'externalServerUrl' => $externalServerUrl,
+                'username' => trim((string)($server['username'] ?? '')),
+                'password' => $encrypted,
+                'targetNextcloudUrl' => rtrim(trim((string)($server['targetNextcloudUrl'] ?? '')), '/'),
+                'connectedAt' => $connectedAt,
+                'authFailedAt' => $authFailedAt,
+            ];
         }
 
-        $this->setTargetNextcloudUrl($targetNextcloudUrl);
+        if (!isset($stored[$defaultServerId])) {
+            $defaultServerId = array_key_first($stored) ?? self::DEFAULT_SERVER_ID;
+        }
+
+        $this->config->setAppValue(
+            Application::APP_ID,
+            self::CONFIG_SERVERS,
+            json_encode(array_values($stored))
+        );
+        $this->config->setAppValue(
+            Application::APP_ID,
+            self::CONFIG_DEFAULT_SERVER,
+            $defaultServerId
+        );
+
+        $this->deleteLegacySettings();
+    }
+
+    /**
+     * Store the credentials of a server profile
+     *
+     * Used for app passwords obtained through Login Flow v2.
+     *
+     * @param string $serverId The server profile ID
+     * @param string $username The login name
+     * @param string $password The password or app password
+     * @param int|null $connectedAt When the app password was obtained, null for a typed password
+     * @return bool False if the profile does not exist
+     */
+    public function saveServerCredentials(string $serverId, string $username, string $password, ?int $connectedAt): bool
+    {
+        return $this->updateStoredServer($serverId, function (array $server) use ($username, $password, $connectedAt): array {
+            $server['username'] = $username;
+            $server['password'] = $password !== '' ? $this->crypto->encrypt($password) : '';
+            $server['connectedAt'] = $connectedAt;
+            $server['authFailedAt'] = null;
+            return $server;
+        });
+    }
+
+    /**
+     * Flag a server profile whose credentials were rejected
+     *
+     * @param string $serverId The server profile ID
+     * @param int|null $failedAt When the credentials were rejected, null to clear the flag
+     * @return bool False if the profile does not exist
+     */
+    public function setServerAuthFailed(string $serverId, ?int $failedAt): bool
+    {
+        return $this->updateStoredServer($serverId, function (array $server) use ($failedAt): array {
+            $server['authFailedAt'] = $failedAt;
+            return $server;
+        });
+    }
+
+    /**
+     * Move the legacy single-server settings into a default profile
+     *
+     * @return bool True if legacy settings were migrated
+     */
+    public function migrateLegacySettings(): bool
+    {
+        if ($this->getStoredServers() !== [] || $this->getExternalServerUrl() === '') {
+            return false;
+        }
+
+        $this->config->setAppValue(
+            Application::APP_ID,
+            self::CONFIG_SERVERS,
+            json_encode([$this->getLegacyServer()])
+        );
+        $this->config->setAppValue(
+            Application::APP_ID,
+            self::CONFIG_DEFAULT_SERVER,
+            self::DEFAULT_SERVER_ID
+        );
+
+        $this->deleteLegacySettings();
+
+        return true;
+    }
+
+    /**
+     * Change a single stored server profile
+     *
+     * @param string $serverId The server profile ID
+     * @param callable(array): array $update Gets and returns the profile with encrypted password
+     * @return bool False if the profile does not exist
+     */
+    private function updateStoredServer(string $serverId, callable $update): bool
+    {
+        $servers = $this->getStoredServers();
+        $found = false;
+        foreach ($servers as $index => $server) {
+            if ($server['id'] === $serverId) {
+                $servers[$index] = $update($server);
+                $found = true;
+            }
+        }
+
+        if (!$found) {
+            return false;
+        }
+
+        $this->config->setAppValue(
+            Application::APP_ID,
+            self::CONFIG_SERVERS,
+            json_encode($servers)
+        );
+        return true;
+    }
+
+    /**
+     * Load the server profiles with encrypted passwords
+     *
+     * @return array<int, array<string, string|int|null>>
+     */
+    private function loadServers(): array
+    {
+        $servers = $this->getStoredServers();
+        if ($servers === [] && $this->getExternalServerUrl() !== '') {
+            return [$this->getLegacyServer()];
+        }
+        return $servers;
+    }
+
+    /**
+     * Read the stored server profiles from the app config
+     *
+     * @return array<int, array<string, string|int|null>>
+     */
+    private function getStoredServers(): array
+    {
+        $json = $this->config->getAppValue(
+            Application::APP_ID,
+            self::CONFIG_SERVERS,
+            ''
+        );
+
+        if ($json === '') {
+            return [];
+        }
+
+        $servers = json_decode($json, true);
+        if (!is_array($servers)) {
+            return [];
+        }
+
+        $result = [];
+        foreach ($servers as $server) {
+            if (!is_array($server) || empty($server['id'])) {
+                continue;
+            }
+            $result[] = [
+                'id' => (string)$server['id'],
+                'name' => (string)($server['name'] ?? ''),
+                'externalServerUrl' => (string)($server['externalServerUrl'] ?? ''),
+                'username' => (string)($server['username'] ?? ''),
+                'password' => (string)($server['password'] ?? ''),
+                'targetNextcloudUrl' => (string)($server['targetNextcloudUrl'] ?? ''),
+                'connectedAt' => isset($server['connectedAt']) ? (int)$server['connectedAt'] : null,
+                'authFailedAt' => isset($server['authFailedAt']) ? (int)$server['authFailedAt'] : null,
+            ];
+        }
+        return $result;
+    }
+
+    /**
+     * Build a profile from the legacy single-server keys
+     *
+     * @return array<string, string|int|null> The profile with encrypted password
+     */
+    private function getLegacyServer(): array
+    {
+        $externalServerUrl = $this->getExternalServerUrl();
+
+        return [
+            'id' => self::DEFAULT_SERVER_ID,
+            'name' => $externalServerUrl,
+            'externalServerUrl' => $externalServerUrl,
+            'username' => $this->getUsername(),
+            'password' => $this->config->getAppValue(
+                Application::APP_ID,
+                self::CONFIG_PASSWORD,
+                ''
+            ),
+            'targetNextcloudUrl' => $this->getTargetNextcloudUrl(),
+            'connectedAt' => null,
+            'authFailedAt' => null,
+        ];
+    }
+
+    /**
+     * Remove the legacy single-server keys
+     */
+    private function deleteLegacySettings(): void
+    {
+        foreach ([self::CONFIG_EXTERNAL_SERVER, self::CONFIG_USERNAME, self::CONFIG_PASSWORD, self::CONFIG_TARGET_URL] as $key) {
+            $this->config->deleteAppValue(Application::APP_ID, $key);
+        }
+    }
+
+    /**
+     * Generate a new random profile ID
+     */
+    private function generateServerId(): string
+    {
+        return bin2hex(random_bytes(6));
+    }
+
+    /**
+     * Decrypt a stored password
+     *
+     * @param string $encrypted The encrypted password
+     * @return string The password or empty string if not set or not decryptable
+     */
+    private function decryptPassword(string $encrypted): string
+    {
+        if (empty($encrypted)) {
+            return '';
+        }
+
+        try {
+            return $this->crypto->decrypt($encrypted);
+        } catch (\Exception $e) {
+            // If decryption fails, return empty string
+            return '';
+        }
     }
 }
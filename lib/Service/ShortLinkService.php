@@ -0,0 +1,286 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Service;
+
+use OCA\FederatedTalkLink\AppInfo\Application;
+use OCA\FederatedTalkLink\Db\ShortLink;
+use OCA\FederatedTalkLink\Db\ShortLinkMapper;
+use OCA\FederatedTalkLink\Db\ShortLinkUse;
+use OCA\FederatedTalkLink\Db\ShortLinkUseMapper;
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\IL10N;
+use OCP\IURLGenerator;
+use OCP\Security\ISecureRandom;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Service for short redirect links on this server
+ *
+ * A short link points to the federated link of a remote room, in one of
+ * the link formats, and can expire, be limited to a number of uses or be
+ * revoked. The target is always built from the room token, so the
+ * redirect cannot be pointed to arbitrary URLs. Every resolution is logged.
+ */
+class ShortLinkService
+{
+    public const STATUS_ACTIVE = 'active';
+    public const STATUS_EXPIRED = 'expired';
+    public const STATUS_USED_UP = 'used_up';
+    public const STATUS_REVOKED = 'revoked';
+    public const OUTCOME_REDIRECTED = 'redirected';
+
+    public const DEFAULT_LIMIT = 20;
+    public const MAX_LIMIT = 100;
+    public const MAX_USES = 100000;
+
+    // Talk room tokens are lower-case letters and digits
+    private const ROOM_TOKEN_PATTERN = '/^[a-z0-9]{4,32}$/';
+    private const CODE_LENGTH = 10;
+    private const USE_LOG_LIMIT = 50;
+
+    public function __construct(
+        private ShortLinkMapper $mapper,
+        private ShortLinkUseMapper $useMapper,
+        private SettingsService $settingsService,
+        private FederatedLinkService $federatedLinkService,
+        private ISecureRandom $secureRandom,
+        private IURLGenerator $urlGenerator,
+        private ITimeFactory $timeFactory,
+        private LoggerInterface $logger,
+        private IL10N $l
+    ) {
+    }
+
+    /**
+     * Create a short link to a remote room
+     *
+     * @param string $userId The user who creates the link
+     * @param string $roomToken The remote room token
+     * @param string|null $serverId The server profile ID (null for the default profile)
+     * @param string|null $roomName The remote room name
+     * @param int|null $expiresAt Unix timestamp after which the link stops working, null for never
+     * @param int|null $maxUses Number of times the link can be used, null for unlimited
+     * @param string|null $format One of LinkFormatService::FORMATS to redirect to, null for the plain call link
+     * @param string|null $displayName The display name to prefill in guest links
+     * @return array With the formatted link on success
+     */
+    public function create(string $userId, string $roomToken, ?string $serverId, ?string $roomName, ?int $expiresAt, ?int $maxUses, ?string $format = null, ?string $displayName = null): array
+    {
+        if (!preg_match(self::ROOM_TOKEN_PATTERN, $roomToken)) {
+            return ['success' => false, 'error' => $this->l->t('Invalid room token.'), 'code' => 'invalid_parameter'];
+        }
+        if ($format !== null && !in_array($format, LinkFormatService::FORMATS, true)) {
+            return [
+                'success' => false,
+                'error' => $this->l->t('Invalid format value. Valid options: %s', [implode(', ', LinkFormatService::FORMATS)]),
+                'code' => 'invalid_parameter',
+            ];
+        }
+
+        $server = $this->settingsService->getServer($serverId);
+        if ($server === null || !$this->settingsService->isServerConfigured($server)) {
+            return [
+                'success' => false,
+                'error' => $serverId !== null
+                    ? $this->l->t('External server "%s" is not configured.', [$serverId])
+                    : $this->l->t('External server not configured. Please contact your administrator.'),
+                'code' => 'server_not_configured',
+            ];
+        }
+
+        $now = $this->timeFactory->getTime();
+        if ($expiresAt !== null && $expiresAt <= $now) {
+            return ['success' => false, 'error' => $this->l->t('The expiry date must be in the future.'), 'code' => 'invalid_expiry'];
+        }
+        if ($maxUses !== null && ($maxUses < 1 || $maxUses > self::MAX_USES)) {
+            return [
+                'success' => false,
+                'error' => $this->l->t('The maximum number of uses must be between 1 and %s.', [self::MAX_USES]),
+                'code' => 'invalid_max_uses',
+            ];
+        }
+
+        $link = new ShortLink();
+        $link->setCode($this->secureRandom->generate(self::CODE_LENGTH, ISecureRandom::CHAR_HUMAN_READABLE));
+        $link->setUserId($userId);
+        $link->setServerId($server['id']);
+        $link->setRoomToken($roomToken);
+        $link->setRoomName($roomName !== null && $roomName !== '' ? mb_substr($roomName, 0, 255) : null);
+        $link->setTarget($this->federatedLinkService->generateLinkByToken($roomToken, $server['id'], $format, $displayName, $link->getRoomName()));
+        $link->setCreatedAt($now);
+        $link->setExpiresAt($expiresAt);
+        $link->setMaxUses($maxUses);
+        $link->setUseCount(0);
+
+        return [
+            'success' => true,
+            'link' => $this->format($this->mapper->insert($link)),
+        ];
+    }
+
+    /**
+     * Resolve a short link and count the use
+     *
+     * @param string $code The public code of the link
+     * @param string|null $userId The logged in user opening the link, if any
+     * @return array With the target URL on success, or the status why it cannot be used
+     */
+    public function resolve(string $code, ?string $userId): array
+    {
+        $link = $this->mapper->findByCode($code);
+        if ($link === null) {
+            return ['success' => false, 'notFound' => true, 'error' => $this->l->t('This link does not exist.'), 'code' => 'short_link_not_found'];
+        }
+
+        $status = $this->getStatus($link);
+        if ($status === self::STATUS_ACTIVE && !$this->mapper->incrementUseCount($link->getId())) {
+            // Another request took the last use
+            $status = self::STATUS_USED_UP;
+        }
+
+        $this->logUse($link, $userId, $status === self::STATUS_ACTIVE ? self::OUTCOME_REDIRECTED : $status);
+
+        return match ($status) {
+            self::STATUS_ACTIVE => ['success' => true, 'target' => $link->getTarget()],
+            self::STATUS_EXPIRED => ['success' => false, 'status' => $status, 'error' => $this->l->t('This link has expired.'), 'code' => 'short_link_expired'],
+            self::STATUS_USED_UP => ['success' => false, 'status' => $status, 'error' => $this->l->t('This link has reached its maximum number of uses.'), 'code' => 'short_link_used_up'],
+            default => ['success' => false, 'status' => $status, 'error' => $this->l->t('This link has been revoked.'), 'code' => 'short_link_revoked'],
+        };
+    }
+
+    /**
+     * List the short links of a user
+     *
+     * @param string $userId The user ID
+     * @param string|null $serverId Only links of this server profile
+     * @param string|null $roomToken Only links to this remote room
+     * @param int $limit Maximum number of links
+     * @return array<int, array<string, mixed>>
+     */
+    public function list(string $userId, ?string $serverId = null, ?string $roomToken = null, int $limit = self::DEFAULT_LIMIT): array
+    {
+        $limit = max(1, min($limit, self::MAX_LIMIT));
+        return array_map(
+            fn (ShortLink $link): array => $this->format($link),
+            $this->mapper->findByUser($userId, $serverId, $roomToken, $limit)
+        );
+    }
+
+    /**
+     * Get a short link of a user with its latest resolutions
+     *
+     * @param string $userId The user ID
+     * @param int $id The link ID
+     * @return array|null Null if the user has no such link
+     */
+    public function get(string $userId, int $id): ?array
+    {
+        try {
+            $link = $this->mapper->findForUser($id, $userId);
+        } catch (DoesNotExistException $e) {
+            return null;
+        }
+
+        return $this->format($link) + [
+            'uses' => $this->useMapper->findByLink($id, self::USE_LOG_LIMIT),
+        ];
+    }
+
+    /**
+     * Revoke a short link of a user
+     *
+     * @param string $userId The user ID
+     * @param int $id The link ID
+     * @return array|null The revoked link or null if the user has no such link
+     */
+    public function revoke(string $userId, int $id): ?array
+    {
+        try {
+            $link = $this->mapper->findForUser($id, $userId);
+        } catch (DoesNotExistException $e) {
+            return null;
+        }
+
+        if ($link->getRevokedAt() === null) {
+            $link->setRevokedAt($this->timeFactory->getTime());
+            $link = $this->mapper->update($link);
+        }
+
+        return $this->format($link);
+    }
+
+    /**
+     * Get whether a link can still be used
+     *
+     * @param ShortLink $link
+     * @return string One of the STATUS_* constants
+     */
+    private function getStatus(ShortLink $link): string
+    {
+        if ($link->getRevokedAt() !== null) {
+            return self::STATUS_REVOKED;
+        }
+        if ($link->getExpiresAt() !== null && $link->getExpiresAt() <= $this->timeFactory->getTime()) {
+            return self::STATUS_EXPIRED;
+        }
+        if ($link->getMaxUses() !== null && $link->getUseCount() >= $link->getMaxUses()) {
+            return self::STATUS_USED_UP;
+        }
+        return self::STATUS_ACTIVE;
+    }
+
+    /**
+     * Log a resolution, failures are logged only so the redirect still works
+     *
+     * @param ShortLink $link
+     * @param string|null $userId The logged in user, if any
+     * @param string $outcome OUTCOME_REDIRECTED or the status that prevented the redirect
+     */
+    private function logUse(ShortLink $link, ?string $userId, string $outcome): void
+    {
+        $this->logger->info('Short link resolved', [
+            'app' => Application::APP_ID,
+            'link' => $link->getId(),
+            'outcome' => $outcome,
+        ]);
+
+        try {
+            $use = new ShortLinkUse();
+            $use->setLinkId($link->getId());
+            $use->setUsedAt($this->timeFactory->getTime());
+            $use->setUserId($userId);
+            $use->setOutcome($outcome);
+            $this->useMapper->insert($use);
+        } catch (\Exception $e) {
+            $this->logger->warning('Failed to log short link use', [
+                'app' => Application::APP_ID,
+                'exception' => $e,
+            ]);
+        }
+    }
+
+    /**
+     * Format a link for the API
+     *
+     * @param ShortLink $link
+     * @return array<string, mixed> The link with its public URL and status
+     */
+    private function format(ShortLink $link): array
+    {
+        return $link->jsonSerialize() + [
+            'url' => $this->urlGenerator->linkToRouteAbsolute(
+                Application::APP_ID . '.redirect.resolve',
+                ['code' => $link->getCode()]
+            ),
+            'status' => $this->getStatus($link),
+        ];
+    }
+}
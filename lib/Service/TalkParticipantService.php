@@ -0,0 +1,76 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Service;
+
+use Psr\Container\ContainerInterface;
+
+/**
+ * Service for checking the participants of local Talk conversations
+ *
+ * Talk has no public API for this, so its classes are looked up by name.
+ * Without Talk nobody counts as a participant.
+ */
+class TalkParticipantService
+{
+    private const TALK_MANAGER = 'OCA\Talk\Manager';
+    private const TALK_PARTICIPANT_SERVICE = 'OCA\Talk\Service\ParticipantService';
+
+    public function __construct(
+        private ContainerInterface $container
+    ) {
+    }
+
+    /**
+     * Check if a user participates in a local conversation
+     *
+     * @param string $token The local conversation token
+     * @param string $userId The user ID
+     * @return bool
+     */
+    public function isParticipant(string $token, string $userId): bool
+    {
+        return $this->getParticipant($token, $userId) !== null;
+    }
+
+    /**
+     * Check if a user is an owner or moderator of a local conversation
+     *
+     * @param string $token The local conversation token
+     * @param string $userId The user ID
+     * @return bool
+     */
+    public function isModerator(string $token, string $userId): bool
+    {
+        $participant = $this->getParticipant($token, $userId);
+        return $participant !== null && $participant->hasModeratorPermissions(false);
+    }
+
+    /**
+     * Get the Talk participant of a user in a conversation
+     *
+     * @param string $token The local conversation token
+     * @param string $userId The user ID
+     * @return object|null The OCA\Talk\Participant, null if the user does not participate
+     */
+    private function getParticipant(string $token, string $userId): ?object
+    {
+        if (!class_exists(self::TALK_MANAGER) || !class_exists(self::TALK_PARTICIPANT_SERVICE)) {
+            return null;
+        }
+
+        try {
+            $room = $this->container->get(self::TALK_MANAGER)->getRoomByToken($token, $userId);
+            return $this->container->get(self::TALK_PARTICIPANT_SERVICE)->getParticipant($room, $userId, false);
+        } catch (\Exception $e) {
+            // RoomNotFoundException or ParticipantNotFoundException
+            return null;
+        }
+    }
+}
@@ -10,9 +10,12 @@ declare(strict_types=1);
 namespace OCA\FederatedTalkLink\Settings;
 
 use OCA\FederatedTalkLink\AppInfo\Application;
+use OCA\FederatedTalkLink\Service\BotService;
+use OCA\FederatedTalkLink\Service\LinkFormatService;
 use OCA\FederatedTalkLink\Service\SettingsService;
 use OCP\AppFramework\Http\TemplateResponse;
 use OCP\AppFramework\Services\IInitialState;
+use OCP\L10N\IFactory;
 use OCP\Settings\ISettings;
 
 /**
@@ -22,7 +25,10 @@ class AdminSettings implements ISettings
 {
     public function __construct(
         private SettingsService $settingsService,
-        private IInitialState $initialState
+        private BotService $botService,
+        private LinkFormatService $linkFormatService,
+        private IInitialState $initialState,
+        private IFactory $l10nFactory
     ) {
     }
 
@@ -39,6 +45,23 @@ class AdminSettings implements ISettings
             $this->settingsService->getAllSettings()
         );
 
+        // Languages the email templates can be written for
+        $languages = $this->l10nFactory->getLanguages();
+        $this->initialState->provideInitialState(
+            'languages',
+            array_merge($languages['commonLanguages'] ?? [], $languages['otherLanguages'] ?? [])
+        );
+
+        $this->initialState->provideInitialState(
+            'talk-bot',
+            $this->botService->getState()
+        );
+
+        $this->initialState->provideInitialState(
+            'link-formats',
+            $this->linkFormatService->getFormats()
+        );
+
         return new TemplateResponse(
             Application::APP_ID,
             'admin-settings',
@@ -0,0 +1,16 @@
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import Vue from 'vue'
+import Dashboard from './views/Dashboard.vue'
+
+Vue.mixin({ methods: { t, n } })
+
+document.addEventListener('DOMContentLoaded', () => {
+    OCA.Dashboard.register('federatedtalklink-rooms', (el) => {
+        const View = Vue.extend(Dashboard)
+        new View().$mount(el)
+    })
+})
@@ -6,70 +6,78 @@
 /**
  * Talk Integration Script
  *
- * Adds a "Federated Link" button to the Talk top bar
+ * Adds a "Federated Link" button to the Talk top bar and a
+ * message action, using the hooks picked by the Talk adapter
  */
 
 import { generateOcsUrl } from '@nextcloud/router'
-import { showSuccess, showError, showInfo } from '@nextcloud/dialogs'
+import { showError, showInfo } from '@nextcloud/dialogs'
 import axios from '@nextcloud/axios'
+import { createTalkAdapter } from './talk/adapter.js'
+import { openLinkDialog, openRoomPicker } from './talk/link-dialog.js'
+import { getTokenFromLink } from './talk/chat.js'
+import logger from './utils/logger.js'
 
 let currentConversationToken = null
 let currentConversationName = null
-let buttonAdded = false
-let lastGeneratedLink = null
+let servers = null
+let defaultServerId = null
+let permissions = {}
 
 /**
  * Initialize the Talk integration
+ *
+ * Nothing is added for users who may not generate links
  */
-function initTalkIntegration() {
-    console.log('[FederatedTalkLink] Initializing Talk integration')
+async function initTalkIntegration() {
+    await loadServers()
+    if (!permissions.generate) {
+        return
+    }
 
-    // Watch for URL changes to detect conversation switches
-    observeUrlChanges()
+    const adapter = createTalkAdapter()
+    logger.debug(`Initializing Talk integration (Talk ${adapter.talkVersion || 'unknown'}, ${adapter.name} strategy)`)
 
-    // Watch for DOM changes to inject button
-    observeDomChanges()
+    adapter.onConversationChange(handleConversationChange)
 
-    // Initial check
-    checkAndAddButton()
-}
+    adapter.registerMessageAction({
+        label: t('federatedtalklink', 'Federated link'),
+        icon: 'icon-public',
+        callback: ({ message, metadata }) => {
+            if (metadata?.token) {
+                handleConversationChange(metadata.token, metadata.name)
+            }
 
-/**
- * Observe URL changes (Talk uses hash-based routing)
- */
-function observeUrlChanges() {
-    // Check periodically for conversation changes
-    setInterval(() => {
-        const match = window.location.pathname.match(/\/call\/([a-zA-Z0-9]+)/)
-            || window.location.hash.match(/\/call\/([a-zA-Z0-9]+)/)
-
-        const token = match ? match[1] : null
-
-        if (token !== currentConversationToken) {
-            currentConversationToken = token
-            buttonAdded = false
-            lastGeneratedLink = null
-            if (token) {
-                fetchConversationName(token)
+            // Messages that carry a federated link get a fresh link to the same room
+            const remoteToken = getLinkedRoomToken(message)
+            if (remoteToken) {
+                regenerateLink(remoteToken)
+            } else {
+                handleButtonClick()
             }
-        }
+        },
+    })
 
-        checkAndAddButton()
-    }, 1000)
+    adapter.mountTopBarButton(createFederatedLinkButton)
 }
 
 /**
- * Observe DOM changes
+ * Track the conversation the user is looking at
+ *
+ * @param {string|null} token The conversation token
+ * @param {string|null} name The conversation name if already known
  */
-function observeDomChanges() {
-    const observer = new MutationObserver(() => {
-        checkAndAddButton()
-    })
+function handleConversationChange(token, name = null) {
+    if (token === currentConversationToken) {
+        return
+    }
 
-    observer.observe(document.body, {
-        childList: true,
-        subtree: true,
-    })
+    currentConversationToken = token
+    currentConversationName = name
+
+    if (token && !name) {
+        fetchConversationName(token)
+    }
 }
 
 /**
@@ -84,54 +92,35 @@ async function fetchConversationName(token) {
         currentConversationName = response.data.ocs?.data?.displayName
             || response.data.ocs?.data?.name
             || null
-        console.log('[FederatedTalkLink] Conversation name:', currentConversationName)
     } catch (error) {
-        console.log('[FederatedTalkLink] Could not fetch conversation name:', error)
+        logger.debug('Could not fetch conversation name', { error })
         currentConversationName = null
     }
 }
 
 /**
- * Check and add button to top bar
+ * Load the configured external servers and the permissions of the user
+ * (once per page load)
  */
-function checkAndAddButton() {
-    if (buttonAdded) return
-
-    // Look for Talk top bar / header areas
-    const topBar = document.querySelector('.top-bar__wrapper')
-        || document.querySelector('.conversation-header')
-        || document.querySelector('.top-bar')
-        || document.querySelector('#call-container .top-bar')
-        || document.querySelector('.talk-sidebar-callview')
-        || document.querySelector('[class*="top-bar"]')
-
-    if (!topBar) return
-
-    // Check if button already exists
-    if (document.querySelector('.federated-link-topbar-button')) {
-        buttonAdded = true
-        return
+async function loadServers() {
+    if (servers !== null) {
+        return servers
     }
 
-    // Find the actions area or create insertion point
-    const actionsArea = topBar.querySelector('.top-bar__buttons')
-        || topBar.querySelector('.conversation-header__actions')
-        || topBar.querySelector('.actions')
-        || topBar.querySelector('[class*="actions"]')
-        || topBar
-
-    // Create the button
-    const button = createFederatedLinkButton()
-
-    // Insert at the beginning of actions
-    if (actionsArea.firstChild) {
-        actionsArea.insertBefore(button, actionsArea.firstChild)
-    } else {
-        actionsArea.appendChild(button)
+    try {
+        const response = await axios.get(
+            generateOcsUrl('/apps/federatedtalklink/api/v1/servers'),
+            { headers: { 'OCS-APIRequest': 'true' } }
+        )
+        servers = response.data.ocs?.data?.servers || []
+        defaultServerId = response.data.ocs?.data?.defaultServerId || null
+        permissions = response.data.ocs?.data?.permissions || {}
+    } catch (error) {
+        logger.error('Could not load the servers', { error })
+        return []
     }
 
-    buttonAdded = true
-    console.log('[FederatedTalkLink] Button added to top bar')
+    return servers
 }
 
 /**
@@ -140,14 +129,15 @@ function checkAndAddButton() {
 function createFederatedLinkButton() {
     const button = document.createElement('button')
     button.className = 'federated-link-topbar-button'
-    button.title = 'Generate Federated Link'
+    button.title = t('federatedtalklink', 'Generate Federated Link')
     button.innerHTML = `
         <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path>
             <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path>
         </svg>
-        <span class="federated-link-label">Federated Link</span>
+        <span class="federated-link-label"></span>
     `
+    button.querySelector('.federated-link-label').textContent = t('federatedtalklink', 'Federated Link')
 
     button.style.cssText = `
         display: inline-flex;
@@ -180,49 +170,158 @@ function createFederatedLinkButton() {
 
 /**
  * Handle button click
+ *
+ * Opens the link of the remote room mapped to the conversation, or lets
+ * the user pick that room first
  */
 async function handleButtonClick() {
-    // Try to get conversation name from various sources
-    let roomName = currentConversationName
+    if (!currentConversationToken) {
+        showError(t('federatedtalklink', 'Open a conversation first'))
+        return
+    }
 
-    if (!roomName) {
-        // Try to get from DOM
-        const nameEl = document.querySelector('.conversation-name')
-            || document.querySelector('.talk-sidebar-callview__displayname')
-            || document.querySelector('[class*="conversation"] [class*="name"]')
-            || document.querySelector('.displayname')
+    await loadServers()
 
-        roomName = nameEl?.textContent?.trim()
+    const mapping = await loadMapping(currentConversationToken)
+    if (mapping) {
+        showMappedLink(mapping)
+        return
     }
 
-    if (!roomName) {
-        // Ask user for room name
-        roomName = prompt('Enter the room/conversation name:')
+    await pickRemoteRoom()
+}
+
+/**
+ * Get the remote room token of a federated link posted in a message
+ *
+ * @param {object|undefined} message The Talk chat message
+ * @return {string|null} The remote room token or null if the message has no federated link
+ */
+function getLinkedRoomToken(message) {
+    const call = Object.values(message?.messageParameters || {})
+        .find(parameter => parameter?.type === 'call' && parameter.link)
+    return getTokenFromLink(call?.link) || getTokenFromLink(message?.message)
+}
+
+/**
+ * Generate a new link for a remote room shared earlier in the chat
+ *
+ * @param {string} remoteToken The remote room token from the message
+ */
+async function regenerateLink(remoteToken) {
+    await loadServers()
+
+    const mapping = currentConversationToken ? await loadMapping(currentConversationToken) : null
+    const serverId = mapping?.remoteToken === remoteToken ? mapping.serverId : defaultServerId
+
+    const link = await generateFederatedLink(remoteToken, serverId, 'token')
+    if (!link) {
+        return
+    }
+
+    showMappedLink({
+        link,
+        remoteToken,
+        remoteName: mapping?.remoteToken === remoteToken ? mapping.remoteName : '',
+        serverId,
+    })
+}
+
+/**
+ * Load the remote room mapped to a local conversation
+ *
+ * @param {string} token The local conversation token
+ * @return {Promise<object|null>} The mapping with its link, null if there is none
+ */
+async function loadMapping(token) {
+    try {
+        const response = await axios.get(
+            generateOcsUrl(`/apps/federatedtalklink/api/v1/mappings/${token}`),
+            { headers: { 'OCS-APIRequest': 'true' } }
+        )
+        const data = response.data.ocs?.data
+        return data?.link ? { ...data.mapping, link: data.link } : null
+    } catch (error) {
+        if (error.response?.status !== 404) {
+            logger.error('Could not load the room mapping', { error })
+        }
+        return null
     }
+}
 
-    if (!roomName) {
-        showError('Room name is required')
+/**
+ * Let the user pick the remote room of the current conversation and save it
+ */
+async function pickRemoteRoom() {
+    if (!permissions.browse) {
+        showError(t('federatedtalklink', 'No remote room is set for this conversation. Please ask an administrator for access to the room list.'))
+        return
+    }
+
+    const localToken = currentConversationToken
+
+    const selection = await openRoomPicker({
+        servers: servers || [],
+        serverId: defaultServerId,
+        search: currentConversationName || '',
+        canCreate: permissions.create === true,
+    })
+    if (!selection) {
         return
     }
 
-    const link = await generateFederatedLink(roomName)
-    if (link) {
-        lastGeneratedLink = link
-        showLinkDialog(link, roomName)
+    const { serverId, room } = selection
+
+    // Generating the link joins the remote room if an invitation is pending
+    const link = await generateFederatedLink(room.token, serverId, 'token')
+    if (!link) {
+        return
+    }
+
+    try {
+        await axios.put(
+            generateOcsUrl(`/apps/federatedtalklink/api/v1/mappings/${localToken}`),
+            { server: serverId, remoteToken: room.token, remoteName: room.displayName },
+            { headers: { 'OCS-APIRequest': 'true' } }
+        )
+    } catch (error) {
+        showError(error.response?.data?.ocs?.data?.error || t('federatedtalklink', 'Failed to save the remote room'))
     }
+
+    showMappedLink({ link, remoteName: room.displayName, serverId })
+}
+
+/**
+ * Show the link of the remote room mapped to the conversation
+ *
+ * @param {object} mapping The mapping with its link
+ */
+function showMappedLink(mapping) {
+    openLinkDialog({
+        link: mapping.link,
+        roomName: mapping.remoteName || mapping.remoteToken || '',
+        serverId: mapping.serverId,
+        canSendEmail: permissions.email === true,
+        chatToken: currentConversationToken,
+        onChangeRoom: permissions.browse ? pickRemoteRoom : null,
+    })
 }
 
 /**
  * Generate a federated link for the given conversation
+ *
+ * @param {string} roomName The remote room identifier
+ * @param {string|null} server The server profile ID (default profile if empty)
+ * @param {string} searchBy Force search by a specific field (empty for automatic)
  */
-async function generateFederatedLink(roomName) {
-    showInfo(`Generating federated link for "${roomName}"...`)
+async function generateFederatedLink(roomName, server = null, searchBy = '') {
+    showInfo(t('federatedtalklink', 'Generating federated link for "{roomName}" …', { roomName }, undefined, { escape: false }))
 
     try {
         const response = await axios.get(
             generateOcsUrl('/apps/federatedtalklink/api/v1/link'),
             {
-                params: { roomName },
+                params: { roomName, searchBy, server: server || '' },
                 headers: { 'OCS-APIRequest': 'true' }
             }
         )
@@ -234,205 +333,19 @@ async function generateFederatedLink(roomName) {
             showError(data.error)
             return null
         } else {
-            showError('No link returned from server')
+            showError(t('federatedtalklink', 'No link returned from server'))
             return null
         }
     } catch (error) {
         const errorMessage = error.response?.data?.ocs?.data?.error
             || error.response?.data?.ocs?.meta?.message
             || error.message
-            || 'Failed to generate federated link'
+            || t('federatedtalklink', 'Failed to generate federated link')
         showError(errorMessage)
         return null
     }
 }
 
-/**
- * Show dialog with link options (copy and email)
- */
-function showLinkDialog(link, roomName) {
-    // Remove existing dialog if any
-    const existingDialog = document.querySelector('.federated-link-dialog-overlay')
-    if (existingDialog) {
-        existingDialog.remove()
-    }
-
-    // Create overlay
-    const overlay = document.createElement('div')
-    overlay.className = 'federated-link-dialog-overlay'
-    overlay.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        right: 0;
-        bottom: 0;
-        background: rgba(0, 0, 0, 0.5);
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        z-index: 10000;
-    `
-
-    // Create dialog
-    const dialog = document.createElement('div')
-    dialog.className = 'federated-link-dialog'
-    dialog.style.cssText = `
-        background: var(--color-main-background, white);
-        border-radius: 12px;
-        padding: 24px;
-        max-width: 500px;
-        width: 90%;
-        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.15);
-    `
-
-    dialog.innerHTML = `
-        <h3 style="margin: 0 0 16px 0; font-size: 18px; font-weight: 600;">Federated Link Generated</h3>
-
-        <div style="margin-bottom: 16px;">
-            <label style="display: block; font-weight: 500; margin-bottom: 6px;">Link:</label>
-            <div style="display: flex; gap: 8px;">
-                <input type="text" value="${link}" readonly style="
-                    flex: 1;
-                    padding: 10px;
-                    border: 1px solid var(--color-border, #ddd);
-                    border-radius: 6px;
-                    background: var(--color-background-dark, #f5f5f5);
-                    font-family: monospace;
-                    font-size: 12px;
-                " />
-                <button class="federated-copy-btn" style="
-                    padding: 10px 16px;
-                    border: none;
-                    border-radius: 6px;
-                    background: var(--color-primary, #0082c9);
-                    color: white;
-                    cursor: pointer;
-                    font-weight: 500;
-                ">Copy</button>
-            </div>
-        </div>
-
-        <hr style="border: none; border-top: 1px solid var(--color-border, #ddd); margin: 20px 0;" />
-
-        <div style="margin-bottom: 16px;">
-            <label style="display: block; font-weight: 500; margin-bottom: 6px;">Send by Email:</label>
-            <div style="display: flex; gap: 8px;">
-                <input type="email" placeholder="Enter email address..." class="federated-email-input" style="
-                    flex: 1;
-                    padding: 10px;
-                    border: 1px solid var(--color-border, #ddd);
-                    border-radius: 6px;
-                    font-size: 14px;
-                " />
-                <button class="federated-send-btn" style="
-                    padding: 10px 16px;
-                    border: none;
-                    border-radius: 6px;
-                    background: #46ba61;
-                    color: white;
-                    cursor: pointer;
-                    font-weight: 500;
-                ">Send</button>
-            </div>
-        </div>
-
-        <div style="display: flex; justify-content: flex-end; margin-top: 20px;">
-            <button class="federated-close-btn" style="
-                padding: 10px 20px;
-                border: 1px solid var(--color-border, #ddd);
-                border-radius: 6px;
-                background: transparent;
-                cursor: pointer;
-                font-weight: 500;
-            ">Close</button>
-        </div>
-    `
-
-    overlay.appendChild(dialog)
-    document.body.appendChild(overlay)
-
-    // Event handlers
-    const copyBtn = dialog.querySelector('.federated-copy-btn')
-    const sendBtn = dialog.querySelector('.federated-send-btn')
-    const closeBtn = dialog.querySelector('.federated-close-btn')
-    const emailInput = dialog.querySelector('.federated-email-input')
-
-    copyBtn.addEventListener('click', async () => {
-        try {
-            await navigator.clipboard.writeText(link)
-            showSuccess('Link copied to clipboard!')
-            copyBtn.textContent = 'Copied!'
-            setTimeout(() => { copyBtn.textContent = 'Copy' }, 2000)
-        } catch (error) {
-            showError('Failed to copy link')
-        }
-    })
-
-    sendBtn.addEventListener('click', async () => {
-        const email = emailInput.value.trim()
-        if (!email) {
-            showError('Please enter an email address')
-            return
-        }
-
-        sendBtn.textContent = 'Sending...'
-        sendBtn.disabled = true
-
-        try {
-            const response = await axios.post(
-                generateOcsUrl('/apps/federatedtalklink/api/v1/email'),
-                {
-                    email: email,
-                    link: link,
-                    roomName: roomName,
-                },
-                { headers: { 'OCS-APIRequest': 'true' } }
-            )
-
-            const data = response.data.ocs?.data
-            if (data?.message) {
-                showSuccess(data.message)
-            } else {
-                showSuccess('Email sent successfully!')
-            }
-            emailInput.value = ''
-        } catch (error) {
-            const errorMessage = error.response?.data?.ocs?.data?.error
-                || error.message
-                || 'Failed to send email'
-            showError(errorMessage)
-        } finally {
-            sendBtn.textContent = 'Send'
-            sendBtn.disabled = false
-        }
-    })
-
-    // Enter key to send email
-    emailInput.addEventListener('keyup', (e) => {
-        if (e.key === 'Enter') {
-            sendBtn.click()
-        }
-    })
-
-    closeBtn.addEventListener('click', () => {
-        overlay.remove()
-    })
-
-    overlay.addEventListener('click', (e) => {
-        if (e.target === overlay) {
-            overlay.remove()
-        }
-    })
-
-    // ESC key to close
-    document.addEventListener('keydown', function escHandler(e) {
-        if (e.key === 'Escape') {
-            overlay.remove()
-            document.removeEventListener('keydown', escHandler)
-        }
-    })
-}
-
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initTalkIntegration)
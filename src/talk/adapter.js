@@ -0,0 +1,227 @@
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+/**
+ * Talk adapter
+ *
+ * Hides how we hook into the Talk frontend. Recent Talk versions expose
+ * their Vue instance and extension points on `OCA.Talk`; older or
+ * unusual setups only get a single observer scoped to the Talk root.
+ * Both keep the top bar button in place with one such observer, as Talk
+ * may re-render the top bar without a route change.
+ */
+
+import { getCapabilities } from '@nextcloud/capabilities'
+
+// Talk 17 (Nextcloud 27) is the oldest version we rely on for hooks
+const MIN_HOOKS_TALK_VERSION = 17
+
+const TALK_ROOT_SELECTOR = '#content-vue'
+const TOP_BAR_SELECTOR = '.top-bar'
+const TOP_BAR_ACTIONS_SELECTOR = '.top-bar__buttons'
+
+/**
+ * Get the installed Talk version from the capabilities
+ *
+ * @return {string|null} The version (e.g. "19.0.3") or null if unknown
+ */
+export function getTalkVersion() {
+    try {
+        return getCapabilities()?.spreed?.version || null
+    } catch (error) {
+        return null
+    }
+}
+
+/**
+ * Get the major part of a version string
+ *
+ * @param {string|null} version The version string
+ * @return {number|null}
+ */
+function getMajorVersion(version) {
+    const major = parseInt(String(version || '').split('.')[0], 10)
+    return Number.isNaN(major) ? null : major
+}
+
+/**
+ * Get the conversation token from the current location
+ *
+ * @return {string|null}
+ */
+function getTokenFromLocation() {
+    const match = window.location.pathname.match(/\/call\/([a-zA-Z0-9]+)/)
+        || window.location.hash.match(/\/call\/([a-zA-Z0-9]+)/)
+
+    return match ? match[1] : null
+}
+
+/**
+ * Get the element that holds the Talk app
+ *
+ * @return {HTMLElement}
+ */
+function getTalkRoot() {
+    return document.querySelector(TALK_ROOT_SELECTOR)
+        || document.querySelector('#content')
+        || document.body
+}
+
+/**
+ * Insert a button into the top bar if it is rendered and the button is missing
+ *
+ * @param {Function} createButton Factory returning the button element
+ * @return {boolean} True if the button is present afterwards
+ */
+function insertTopBarButton(createButton) {
+    const topBar = document.querySelector(TOP_BAR_SELECTOR)
+    if (!topBar) {
+        return false
+    }
+
+    if (topBar.querySelector('.federated-link-topbar-button')) {
+        return true
+    }
+
+    const actionsArea = topBar.querySelector(TOP_BAR_ACTIONS_SELECTOR) || topBar
+    actionsArea.insertBefore(createButton(), actionsArea.firstChild)
+
+    return true
+}
+
+// Observer keeping the button in the top bar, at most one at a time
+let topBarObserver = null
+
+/**
+ * Insert the button and put it back whenever the top bar is re-rendered
+ *
+ * The check only queries the top bar, so the observer stays cheap even
+ * though it watches the whole Talk root.
+ *
+ * @param {Function} createButton Factory returning the button element
+ */
+function keepButtonInTopBar(createButton) {
+    topBarObserver?.disconnect()
+
+    insertTopBarButton(createButton)
+
+    topBarObserver = new MutationObserver(() => insertTopBarButton(createButton))
+    topBarObserver.observe(getTalkRoot(), {
+        childList: true,
+        subtree: true,
+    })
+}
+
+/**
+ * Strategy using the hooks Talk exposes on `OCA.Talk`
+ *
+ * @param {object} talk The `OCA.Talk` namespace
+ * @return {object}
+ */
+function createHooksStrategy(talk) {
+    const instance = talk.instance
+    const router = instance.$router
+
+    return {
+        name: 'hooks',
+
+        onConversationChange(callback) {
+            callback(router.currentRoute?.params?.token || null)
+            router.afterEach((to) => {
+                callback(to.params?.token || null)
+            })
+        },
+
+        registerMessageAction(action) {
+            if (typeof talk.registerMessageAction === 'function') {
+                talk.registerMessageAction(action)
+            }
+        },
+
+        mountTopBarButton(createButton) {
+            instance.$nextTick(() => keepButtonInTopBar(createButton))
+        },
+    }
+}
+
+/**
+ * Fallback strategy with one observer scoped to the Talk root
+ *
+ * @return {object}
+ */
+function createObserverStrategy() {
+    const conversationCallbacks = []
+    const buttonFactories = []
+    let currentToken
+    let started = false
+
+    const check = () => {
+        const token = getTokenFromLocation()
+        if (token !== currentToken) {
+            currentToken = token
+            conversationCallbacks.forEach(callback => callback(token))
+        }
+        buttonFactories.forEach(createButton => insertTopBarButton(createButton))
+    }
+
+    const start = () => {
+        if (started) {
+            return
+        }
+        started = true
+
+        const observer = new MutationObserver(check)
+        observer.observe(getTalkRoot(), {
+            childList: true,
+            subtree: true,
+        })
+        window.addEventListener('popstate', check)
+        check()
+    }
+
+    return {
+        name: 'observer',
+
+        onConversationChange(callback) {
+            conversationCallbacks.push(callback)
+            start()
+            if (currentToken !== undefined) {
+                callback(currentToken)
+            }
+        },
+
+        registerMessageAction() {
+            // Not available without Talk hooks
+        },
+
+        mountTopBarButton(createButton) {
+            buttonFactories.push(createButton)
+            start()
+            insertTopBarButton(createButton)
+        },
+    }
+}
+
+/**
+ * Create the adapter matching the running Talk frontend
+ *
+ * @return {object} Adapter with name, talkVersion, onConversationChange,
+ *                  registerMessageAction and mountTopBarButton
+ */
+export function createTalkAdapter() {
+    const talkVersion = getTalkVersion()
+    const major = getMajorVersion(talkVersion)
+    const talk = window.OCA?.Talk
+
+    const hasHooks = !!talk?.instance?.$router
+        && (major === null || major >= MIN_HOOKS_TALK_VERSION)
+
+    const strategy = hasHooks ? createHooksStrategy(talk) : createObserverStrategy()
+
+    return {
+        ...strategy,
+        talkVersion,
+    }
+}
@@ -0,0 +1,54 @@
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+/**
+ * Posts federated links into local Talk conversations
+ */
+
+import { generateOcsUrl } from '@nextcloud/router'
+import axios from '@nextcloud/axios'
+
+/**
+ * Get the remote room token from a federated link
+ *
+ * @param {string} text The link or a message containing it
+ * @return {string|null} The token or null if there is no federated link
+ */
+export function getTokenFromLink(text) {
+    const match = (text || '').match(/https?:\/\/\S+\/call\/([a-z0-9]+)/i)
+    return match ? match[1] : null
+}
+
+/**
+ * Build the plain chat message for a federated link
+ *
+ * @param {string} link The federated link
+ * @param {string} roomName The name of the remote room
+ * @return {string}
+ */
+export function formatChatMessage(link, roomName) {
+    return roomName
+        ? t('federatedtalklink', 'Join "{roomName}" on the external server:', { roomName }, undefined, { escape: false }) + `\n${link}`
+        : t('federatedtalklink', 'Join the call on the external server:') + `\n${link}`
+}
+
+/**
+ * Post a federated link into a local conversation
+ *
+ * Posted as a plain message: a call rich object would be resolved against
+ * the rooms of the local Talk, where the remote token does not exist.
+ *
+ * @param {string} chatToken The token of the local conversation
+ * @param {object} options The link to post
+ * @param {string} options.link The federated link
+ * @param {string} options.roomName The name of the remote room
+ */
+export async function shareLinkToChat(chatToken, { link, roomName = '' }) {
+    await axios.post(
+        generateOcsUrl(`/apps/spreed/api/v1/chat/${chatToken}`),
+        { message: formatChatMessage(link, roomName) },
+        { headers: { 'OCS-APIRequest': 'true' } }
+    )
+}
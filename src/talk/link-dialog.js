@@ -0,0 +1,139 @@
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+/**
+ * Mounts the shared LinkDialog and RoomPickerDialog components outside of
+ * our own Vue apps
+ */
+
+import Vue from 'vue'
+import LinkDialog from '../components/LinkDialog.vue'
+import RoomPickerDialog from '../components/RoomPickerDialog.vue'
+
+Vue.mixin({ methods: { t, n } })
+
+let currentDialog = null
+
+/**
+ * Open the link dialog, replacing one that is already open
+ *
+ * @param {object} options Dialog options
+ * @param {string} options.link The federated link
+ * @param {string} options.roomName The room name
+ * @param {Array} options.servers The configured servers (picker shown if more than one)
+ * @param {string|null} options.serverId The server the link was generated for
+ * @param {Function} options.onChangeServer Called with a server ID, resolves to the new link or null
+ * @param {boolean} options.canSendEmail Whether the email form is shown
+ * @param {Function} options.onChangeRoom Called when another remote room should be picked
+ */
+export function openLinkDialog({ link, roomName, servers = [], serverId = null, canSendEmail = true, chatToken = null, onChangeServer = null, onChangeRoom = null }) {
+    closeLinkDialog()
+
+    const container = document.createElement('div')
+    document.body.appendChild(container)
+
+    currentDialog = new Vue({
+        data: {
+            link,
+            serverId,
+            loading: false,
+        },
+
+        methods: {
+            async changeServer(newServerId) {
+                if (!onChangeServer) {
+                    return
+                }
+
+                this.loading = true
+                const newLink = await onChangeServer(newServerId)
+                this.loading = false
+
+                if (newLink) {
+                    this.link = newLink
+                    this.serverId = newServerId
+                }
+            },
+        },
+
+        render(h) {
+            return h(LinkDialog, {
+                props: {
+                    link: this.link,
+                    roomName,
+                    servers,
+                    serverId: this.serverId,
+                    loading: this.loading,
+                    canChangeRoom: onChangeRoom !== null,
+                    canSendEmail,
+                    chatToken,
+                },
+                on: {
+                    close: closeLinkDialog,
+                    'change-server': this.changeServer,
+                    'change-room': () => {
+                        closeLinkDialog()
+                        onChangeRoom()
+                    },
+                },
+            })
+        },
+    }).$mount(container)
+}
+
+/**
+ * Let the user pick a remote room, replacing a dialog that is already open
+ *
+ * @param {object} options Picker options
+ * @param {Array} options.servers The configured servers (picker shown if more than one)
+ * @param {string|null} options.serverId The preselected server
+ * @param {string} options.search The prefilled room search
+ * @param {boolean} options.canCreate Whether a new room can be created instead
+ * @return {Promise<{serverId: string, room: object}|null>} The picked room, null if cancelled
+ */
+export function openRoomPicker({ servers = [], serverId = null, search = '', canCreate = false }) {
+    closeLinkDialog()
+
+    const container = document.createElement('div')
+    document.body.appendChild(container)
+
+    return new Promise((resolve) => {
+        currentDialog = new Vue({
+            render(h) {
+                return h(RoomPickerDialog, {
+                    props: {
+                        servers,
+                        serverId,
+                        search,
+                        canCreate,
+                    },
+                    on: {
+                        close: () => {
+                            closeLinkDialog()
+                            resolve(null)
+                        },
+                        pick: (selection) => {
+                            closeLinkDialog()
+                            resolve(selection)
+                        },
+                    },
+                })
+            },
+        }).$mount(container)
+    })
+}
+
+/**
+ * Close the link dialog or room picker if one is open
+ */
+export function closeLinkDialog() {
+    if (currentDialog === null) {
+        return
+    }
+
+    currentDialog.$destroy()
+    currentDialog.$el.remove()
+    currentDialog = null
+}
@@ -0,0 +1,119 @@
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// First cells that mark a header row in uploaded files
+const HEADER_NAMES = ['room', 'roomname', 'room name', 'identifier', 'token', 'name', 'displayname']
+
+/**
+ * Split CSV text into rows of cells, honouring quoted cells
+ *
+ * @param {string} text The CSV text
+ * @return {string[][]}
+ */
+export function parseCsv(text) {
+    const rows = []
+    let row = []
+    let cell = ''
+    let quoted = false
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i]
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"'
+                i++
+            } else if (char === '"') {
+                quoted = false
+            } else {
+                cell += char
+            }
+        } else if (char === '"') {
+            quoted = true
+        } else if (char === ',' || char === ';') {
+            row.push(cell)
+            cell = ''
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++
+            }
+            row.push(cell)
+            rows.push(row)
+            row = []
+            cell = ''
+        } else {
+            cell += char
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell)
+        rows.push(row)
+    }
+
+    return rows
+}
+
+/**
+ * Get the room identifiers from a pasted list or CSV file
+ *
+ * Uses the first column, skips empty lines, duplicates and a header row.
+ *
+ * @param {string} text One identifier per line, or CSV
+ * @return {string[]}
+ */
+export function parseIdentifiers(text) {
+    const identifiers = parseCsv(text)
+        .map(row => (row[0] || '').trim())
+        .filter(identifier => identifier !== '')
+
+    if (identifiers.length > 0 && HEADER_NAMES.includes(identifiers[0].toLowerCase())) {
+        identifiers.shift()
+    }
+
+    return [...new Set(identifiers)]
+}
+
+/**
+ * Build CSV text from a list of objects
+ *
+ * Cells starting with a formula character get a leading quote, so room
+ * names or links cannot run as formulas when opened in a spreadsheet.
+ *
+ * @param {object[]} rows The rows
+ * @param {string[]} columns The keys to export, in order
+ * @return {string}
+ */
+export function toCsv(rows, columns) {
+    const escape = (value) => {
+        let text = value === null || value === undefined ? '' : String(value)
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = "'" + text
+        }
+        return /[",;\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text
+    }
+
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(cells => cells.map(escape).join(','))
+        .join('\r\n') + '\r\n'
+}
+
+/**
+ * Offer text as a file download
+ *
+ * @param {string} content The file content
+ * @param {string} filename The suggested file name
+ * @param {string} type The MIME type
+ */
+export function downloadFile(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }))
+    const anchor = document.createElement('a')
+    anchor.href = url
+    anchor.download = filename
+    document.body.appendChild(anchor)
+    anchor.click()
+    anchor.remove()
+    URL.revokeObjectURL(url)
+}
@@ -0,0 +1,15 @@
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+/**
+ * Logger of the app, respects the log level of the Nextcloud server
+ */
+
+import { getLoggerBuilder } from '@nextcloud/logger'
+
+export default getLoggerBuilder()
+    .setApp('federatedtalklink')
+    .detectUser()
+    .build()
@@ -0,0 +1,121 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Tests\Unit\Search;
+
+use OCA\FederatedTalkLink\Search\RoomSearchProvider;
+use OCA\FederatedTalkLink\Service\FederatedLinkService;
+use OCA\FederatedTalkLink\Service\PermissionService;
+use OCA\FederatedTalkLink\Service\SettingsService;
+use OCP\IL10N;
+use OCP\IURLGenerator;
+use OCP\IUser;
+use OCP\Search\ISearchQuery;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+
+class RoomSearchProviderTest extends TestCase
+{
+    private RoomSearchProvider $provider;
+    private FederatedLinkService&MockObject $federatedLinkService;
+    private SettingsService&MockObject $settingsService;
+    private PermissionService&MockObject $permissionService;
+    private IUser&MockObject $user;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->federatedLinkService = $this->createMock(FederatedLinkService::class);
+        $this->federatedLinkService->method('generateLinkByToken')
+            ->willReturnCallback(fn ($token) => 'https://nextcloud.example.com/call/' . $token);
+        $this->settingsService = $this->createMock(SettingsService::class);
+        $this->permissionService = $this->createMock(PermissionService::class);
+        $urlGenerator = $this->createMock(IURLGenerator::class);
+        $urlGenerator->method('linkToRouteAbsolute')
+            ->willReturnCallback(fn ($route, $params) => 'https://cloud.example.com/open/' . $params['server'] . '/' . $params['token']);
+        $this->user = $this->createMock(IUser::class);
+        $this->user->method('getUID')
+            ->willReturn('alice');
+        $l = $this->createMock(IL10N::class);
+        $l->method('t')
+            ->willReturnCallback(fn (string $text, array $parameters = []): string => vsprintf($text, $parameters));
+        $l->method('n')
+            ->willReturnCallback(fn (string $singular, string $plural, int $count, array $parameters = []): string => vsprintf(
+                str_replace('%n', (string)$count, $count === 1 ? $singular : $plural),
+                $parameters
+            ));
+
+        $this->provider = new RoomSearchProvider(
+            $this->federatedLinkService,
+            $this->settingsService,
+            $this->permissionService,
+            $urlGenerator,
+            $l
+        );
+    }
+
+    public function testSearchMergesServersAndPaginates(): void
+    {
+        $this->permissionService->method('isAllowed')
+            ->willReturn(true);
+        $this->settingsService->method('getServerList')
+            ->willReturn([
+                ['id' => 'partner', 'name' => 'Partner'],
+                ['id' => 'vendor', 'name' => 'Vendor'],
+            ]);
+        $this->federatedLinkService->method('searchRooms')
+            ->willReturnCallback(fn ($term, $serverId) => [
+                'success' => true,
+                'rooms' => [[
+                    'token' => $serverId . '1',
+                    'displayName' => $serverId === 'partner' ? 'Weekly sync' : 'Kickoff',
+                    'description' => 'Team call',
+                    'participantCount' => 3,
+                ]],
+            ]);
+
+        $result = $this->provider->search($this->user, $this->buildQuery('k', 1))->jsonSerialize();
+
+        $this->assertTrue($result['isPaginated']);
+        $this->assertSame(1, $result['cursor']);
+        $this->assertCount(1, $result['entries']);
+
+        $entry = $result['entries'][0]->jsonSerialize();
+        $this->assertSame('Kickoff', $entry['title']);
+        $this->assertSame('Team call · 3 participants · Vendor', $entry['subline']);
+        $this->assertSame('https://cloud.example.com/open/vendor/vendor1', $entry['resourceUrl']);
+        $this->assertSame('https://nextcloud.example.com/call/vendor1', $entry['attributes']['link']);
+    }
+
+    public function testSearchIsEmptyWithoutPermission(): void
+    {
+        $this->permissionService->method('isAllowed')
+            ->willReturnCallback(fn ($userId, $capability) => $capability !== PermissionService::BROWSE);
+
+        $this->federatedLinkService->expects($this->never())
+            ->method('searchRooms');
+
+        $result = $this->provider->search($this->user, $this->buildQuery('kickoff', 5))->jsonSerialize();
+
+        $this->assertSame([], $result['entries']);
+    }
+
+    private function buildQuery(string $term, int $limit): ISearchQuery&MockObject
+    {
+        $query = $this->createMock(ISearchQuery::class);
+        $query->method('getTerm')
+            ->willReturn($term);
+        $query->method('getLimit')
+            ->willReturn($limit);
+        $query->method('getCursor')
+            ->willReturn(null);
+        return $query;
+    }
+}
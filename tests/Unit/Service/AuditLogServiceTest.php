@@ -0,0 +1,123 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Tests\Unit\Service;
+
+use OCA\FederatedTalkLink\Db\AuditLog;
+use OCA\FederatedTalkLink\Db\AuditLogMapper;
+use OCA\FederatedTalkLink\Service\AuditLogService;
+use OCP\Activity\IEvent;
+use OCP\Activity\IManager as IActivityManager;
+use OCP\AppFramework\Utility\ITimeFactory;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+use Psr\Log\LoggerInterface;
+
+class AuditLogServiceTest extends TestCase
+{
+    private AuditLogService $service;
+    private AuditLogMapper&MockObject $mapper;
+    private IActivityManager&MockObject $activityManager;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->mapper = $this->createMock(AuditLogMapper::class);
+        $this->activityManager = $this->createMock(IActivityManager::class);
+        $timeFactory = $this->createMock(ITimeFactory::class);
+        $timeFactory->method('getTime')
+            ->willReturn(1000);
+
+        $this->service = new AuditLogService(
+            $this->mapper,
+            $this->activityManager,
+            $timeFactory,
+            $this->createMock(LoggerInterface::class)
+        );
+    }
+
+    public function testRecordStoresEntryAndPublishesActivity(): void
+    {
+        $this->mapper->expects($this->once())
+            ->method('insert')
+            ->willReturnCallback(function (AuditLog $entry) {
+                $entry->setId(7);
+                return $entry;
+            });
+
+        $event = $this->createMock(IEvent::class);
+        foreach (['setApp', 'setType', 'setAffectedUser', 'setAuthor', 'setTimestamp', 'setObject'] as $method) {
+            $event->method($method)
+                ->willReturnSelf();
+        }
+        $event->expects($this->once())
+            ->method('setSubject')
+            ->with(AuditLogService::ACTION_EMAIL_SENT, $this->callback(fn (array $parameters) => $parameters['recipient'] === 'bob@example.com'))
+            ->willReturnSelf();
+        $this->activityManager->method('generateEvent')
+            ->willReturn($event);
+        $this->activityManager->expects($this->once())
+            ->method('publish')
+            ->with($event);
+
+        $entry = $this->service->record(AuditLogService::ACTION_EMAIL_SENT, 'alice', [
+            'roomName' => 'Kickoff',
+            'recipient' => 'bob@example.com',
+            'link' => 'https://nextcloud.example.com/call/abc123',
+        ]);
+
+        $this->assertSame('alice', $entry->getUserId());
+        $this->assertSame('Kickoff', $entry->getRoomName());
+        $this->assertNull($entry->getServerId());
+        $this->assertSame(1000, $entry->getCreatedAt());
+    }
+
+    public function testRecordWithoutUserSkipsActivity(): void
+    {
+        $this->mapper->expects($this->once())
+            ->method('insert')
+            ->willReturnArgument(0);
+        $this->activityManager->expects($this->never())
+            ->method('publish');
+
+        $entry = $this->service->record(AuditLogService::ACTION_LINK_GENERATED, null, [
+            'server' => 'partner',
+            'token' => 'abc123',
+            'roomName' => '',
+        ]);
+
+        $this->assertNull($entry->getUserId());
+        $this->assertNull($entry->getRoomName());
+    }
+
+    public function testRecordSurvivesDatabaseErrors(): void
+    {
+        $this->mapper->method('insert')
+            ->willThrowException(new \Exception('Database is locked'));
+        $this->activityManager->expects($this->never())
+            ->method('publish');
+
+        $this->assertNull($this->service->record(AuditLogService::ACTION_LINK_GENERATED, 'alice', []));
+    }
+
+    public function testListCapsLimit(): void
+    {
+        $filters = ['user' => 'alice', 'action' => AuditLogService::ACTION_EMAIL_SENT];
+        $this->mapper->expects($this->once())
+            ->method('findFiltered')
+            ->with($filters, AuditLogService::MAX_LIMIT, 0)
+            ->willReturn([]);
+        $this->mapper->method('countFiltered')
+            ->with($filters)
+            ->willReturn(3);
+
+        $this->assertSame(['entries' => [], 'total' => 3], $this->service->list($filters, 10000, -5));
+    }
+}
@@ -0,0 +1,169 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Tests\Unit\Service;
+
+use OCA\FederatedTalkLink\Service\BotService;
+use OCA\FederatedTalkLink\Service\FederatedLinkService;
+use OCA\FederatedTalkLink\Service\PermissionService;
+use OCA\FederatedTalkLink\Service\RoomMappingService;
+use OCA\FederatedTalkLink\Service\SettingsService;
+use OCP\EventDispatcher\IEventDispatcher;
+use OCP\Http\Client\IClient;
+use OCP\Http\Client\IClientService;
+use OCP\IL10N;
+use OCP\IURLGenerator;
+use OCP\Security\ISecureRandom;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+use Psr\Log\LoggerInterface;
+
+class BotServiceTest extends TestCase
+{
+    private BotService $service;
+    private SettingsService&MockObject $settingsService;
+    private FederatedLinkService&MockObject $federatedLinkService;
+    private PermissionService&MockObject $permissionService;
+    private IClient&MockObject $client;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->settingsService = $this->createMock(SettingsService::class);
+        $this->settingsService->method('getBotSecret')
+            ->willReturn('secret');
+        $this->federatedLinkService = $this->createMock(FederatedLinkService::class);
+        $this->permissionService = $this->createMock(PermissionService::class);
+        $this->client = $this->createMock(IClient::class);
+        $clientService = $this->createMock(IClientService::class);
+        $clientService->method('newClient')
+            ->willReturn($this->client);
+        $urlGenerator = $this->createMock(IURLGenerator::class);
+        $urlGenerator->method('getAbsoluteURL')
+            ->willReturnCallback(fn ($url) => 'https://cloud.example.com' . $url);
+        $secureRandom = $this->createMock(ISecureRandom::class);
+        $secureRandom->method('generate')
+            ->willReturn('random');
+        $l = $this->createMock(IL10N::class);
+        $l->method('t')
+            ->willReturnCallback(fn (string $text, array $parameters = []): string => vsprintf($text, $parameters));
+        $l->method('n')
+            ->willReturnCallback(fn (string $singular, string $plural, int $count, array $parameters = []): string => vsprintf(
+                str_replace('%n', (string)$count, $count === 1 ? $singular : $plural),
+                $parameters
+            ));
+
+        $this->service = new BotService(
+            $this->settingsService,
+            $this->federatedLinkService,
+            $this->createMock(RoomMappingService::class),
+            $this->permissionService,
+            $clientService,
+            $this->createMock(IEventDispatcher::class),
+            $urlGenerator,
+            $secureRandom,
+            $this->createMock(LoggerInterface::class),
+            $l
+        );
+    }
+
+    public function testIsValidSignature(): void
+    {
+        $body = '{"type":"Create"}';
+        $signature = hash_hmac('sha256', 'random' . $body, 'secret');
+
+        $this->assertTrue($this->service->isValidSignature('random', $body, $signature));
+        $this->assertFalse($this->service->isValidSignature('other', $body, $signature));
+        $this->assertFalse($this->service->isValidSignature('random', $body, ''));
+    }
+
+    public function testParseCommand(): void
+    {
+        $this->assertSame('Project Kickoff', $this->service->parseCommand(' /federated  Project Kickoff '));
+        $this->assertSame('', $this->service->parseCommand('/federated'));
+        $this->assertNull($this->service->parseCommand('/federatedroom'));
+        $this->assertNull($this->service->parseCommand('Use /federated to get a link'));
+    }
+
+    public function testHandleWebhookRepliesWithLink(): void
+    {
+        $this->permissionService->method('isAllowed')
+            ->with('alice', PermissionService::GENERATE)
+            ->willReturn(true);
+
+        $this->federatedLinkService->expects($this->once())
+            ->method('generateFederatedLink')
+            ->with('Kickoff', null, null, false, 'alice')
+            ->willReturn([
+                'success' => true,
+                'link' => 'https://nextcloud.example.com/call/abc123',
+                'roomInfo' => ['displayName' => 'Project Kickoff'],
+            ]);
+
+        $message = "Federated link for **Project Kickoff**:\nhttps://nextcloud.example.com/call/abc123";
+        $this->client->expects($this->once())
+            ->method('post')
+            ->with(
+                'https://cloud.example.com/ocs/v2.php/apps/spreed/api/v1/bot/local1/message',
+                $this->callback(function (array $options) use ($message): bool {
+                    return $options['json'] === ['message' => $message, 'replyTo' => 42]
+                        && $options['headers']['X-Nextcloud-Talk-Bot-Signature'] === hash_hmac('sha256', 'random' . $message, 'secret');
+                })
+            );
+
+        $this->assertTrue($this->service->handleWebhook($this->buildPayload('/federated Kickoff')));
+    }
+
+    public function testHandleWebhookChecksSearchPermission(): void
+    {
+        $this->permissionService->method('isAllowed')
+            ->with('alice', PermissionService::BROWSE)
+            ->willReturn(false);
+
+        $this->federatedLinkService->expects($this->never())
+            ->method('searchRooms');
+
+        $this->client->expects($this->once())
+            ->method('post')
+            ->with(
+                $this->anything(),
+                $this->callback(fn (array $options) => $options['json']['message'] === 'You are not allowed to search remote rooms.')
+            );
+
+        $this->assertTrue($this->service->handleWebhook($this->buildPayload('/federated search kick')));
+    }
+
+    public function testHandleWebhookIgnoresOtherMessages(): void
+    {
+        $this->client->expects($this->never())
+            ->method('post');
+
+        $this->assertFalse($this->service->handleWebhook($this->buildPayload('Hello everybody')));
+    }
+
+    /**
+     * Build a webhook payload for a chat message of alice
+     */
+    private function buildPayload(string $message): array
+    {
+        return [
+            'type' => 'Create',
+            'actor' => ['type' => 'Person', 'id' => 'users/alice', 'name' => 'Alice'],
+            'object' => [
+                'type' => 'Note',
+                'id' => '42',
+                'name' => 'message',
+                'content' => json_encode(['message' => $message, 'parameters' => []]),
+                'mediaType' => 'text/markdown',
+            ],
+            'target' => ['type' => 'Collection', 'id' => 'local1', 'name' => 'Team'],
+        ];
+    }
+}
@@ -0,0 +1,137 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Tests\Unit\Service;
+
+use OCA\FederatedTalkLink\Service\DiagnosticsService;
+use OCA\FederatedTalkLink\Service\FederatedLinkService;
+use OCA\FederatedTalkLink\Service\SettingsService;
+use OCP\Http\Client\IClient;
+use OCP\Http\Client\IClientService;
+use OCP\Http\Client\IResponse;
+use OCP\IL10N;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+use Psr\Log\LoggerInterface;
+
+class DiagnosticsServiceTest extends TestCase
+{
+    private DiagnosticsService $service;
+    private SettingsService&MockObject $settingsService;
+    private FederatedLinkService&MockObject $federatedLinkService;
+    private IClient&MockObject $client;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->settingsService = $this->createMock(SettingsService::class);
+        $this->settingsService->method('getServer')
+            ->willReturn([
+                'id' => 'partner',
+                'name' => 'Partner',
+                'externalServerUrl' => 'ext.example.com',
+                'username' => 'bot',
+                'password' => 'secret',
+                'targetNextcloudUrl' => 'https://cloud.example.com',
+            ]);
+        $this->settingsService->method('isServerConfigured')
+            ->willReturn(true);
+        $this->federatedLinkService = $this->createMock(FederatedLinkService::class);
+        $this->client = $this->createMock(IClient::class);
+        $clientService = $this->createMock(IClientService::class);
+        $clientService->method('newClient')
+            ->willReturn($this->client);
+        $l = $this->createMock(IL10N::class);
+        $l->method('t')
+            ->willReturnCallback(fn (string $text, array $parameters = []): string => vsprintf($text, $parameters));
+        $l->method('n')
+            ->willReturnCallback(fn (string $singular, string $plural, int $count, array $parameters = []): string => vsprintf(
+                str_replace('%n', (string)$count, $count === 1 ? $singular : $plural),
+                $parameters
+            ));
+
+        $this->service = new DiagnosticsService(
+            $this->settingsService,
+            $this->federatedLinkService,
+            $clientService,
+            $this->createMock(LoggerInterface::class),
+            $l
+        );
+    }
+
+    public function testRunPassesAllSteps(): void
+    {
+        $this->client->method('get')
+            ->willReturnCallback(fn (string $url) => $this->buildResponse(match ($url) {
+                'https://ext.example.com/ocs/v2.php/cloud/user' => ['ocs' => ['data' => ['id' => 'bot']]],
+                'https://ext.example.com/ocs/v2.php/cloud/capabilities' => ['ocs' => ['data' => ['capabilities' => [
+                    'spreed' => ['version' => '19.0.0', 'config' => ['federation' => ['enabled' => true]]],
+                    'notifications' => ['ocs-endpoints' => []],
+                ]]]],
+                default => ['installed' => true, 'maintenance' => false, 'versionstring' => '29.0.0'],
+            }));
+        $this->federatedLinkService->method('testConnection')
+            ->with('partner')
+            ->willReturn(['success' => true, 'roomCount' => 4]);
+
+        $result = $this->service->run('partner');
+
+        $this->assertTrue($result['success']);
+        $this->assertTrue($result['passed']);
+        $this->assertSame(
+            ['reachability', 'authentication', 'talk', 'federation', 'notifications', 'rooms', 'target'],
+            array_column($result['steps'], 'id')
+        );
+        $this->assertSame(['passed'], array_values(array_unique(array_column($result['steps'], 'status'))));
+        $this->assertSame('Talk 19.0.0 is enabled.', $result['steps'][2]['message']);
+    }
+
+    public function testRunReportsRejectedCredentialsAndSkipsDependentSteps(): void
+    {
+        $this->client->method('get')
+            ->willReturnCallback(function (string $url) {
+                if (str_contains($url, '/ocs/')) {
+                    throw new \Exception('Unauthorized', 401);
+                }
+                return $this->buildResponse(['installed' => true, 'maintenance' => false, 'versionstring' => '29.0.0']);
+            });
+        $this->federatedLinkService->expects($this->never())
+            ->method('testConnection');
+
+        $result = $this->service->run('partner');
+
+        $this->assertFalse($result['passed']);
+        $this->assertSame(
+            ['passed', 'failed', 'skipped', 'skipped', 'skipped', 'skipped', 'passed'],
+            array_column($result['steps'], 'status')
+        );
+        $this->assertStringContainsString('app password', $result['steps'][1]['hint']);
+    }
+
+    public function testRunSuggestsDnsFixForUnknownHost(): void
+    {
+        $this->client->method('get')
+            ->willThrowException(new \Exception('cURL error 6: Could not resolve host: ext.example.com'));
+
+        $result = $this->service->run('partner');
+
+        $this->assertSame('failed', $result['steps'][0]['status']);
+        $this->assertStringContainsString('does not resolve', $result['steps'][0]['hint']);
+        $this->assertSame('failed', $result['steps'][6]['status']);
+    }
+
+    private function buildResponse(array $data): IResponse&MockObject
+    {
+        $response = $this->createMock(IResponse::class);
+        $response->method('getBody')
+            ->willReturn(json_encode($data));
+        return $response;
+    }
+}
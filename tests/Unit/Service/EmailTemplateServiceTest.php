@@ -0,0 +1,97 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Tests\Unit\Service;
+
+use OCA\FederatedTalkLink\Service\EmailTemplateService;
+use OCA\FederatedTalkLink\Service\LinkFormatService;
+use OCA\FederatedTalkLink\Service\SettingsService;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\IDateTimeFormatter;
+use OCP\IL10N;
+use OCP\IUser;
+use OCP\IUserManager;
+use OCP\L10N\IFactory;
+use OCP\Mail\IMailer;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+
+class EmailTemplateServiceTest extends TestCase
+{
+    private EmailTemplateService $service;
+    private SettingsService&MockObject $settingsService;
+    private IFactory&MockObject $l10nFactory;
+    private IUserManager&MockObject $userManager;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->settingsService = $this->createMock(SettingsService::class);
+        $this->l10nFactory = $this->createMock(IFactory::class);
+        $this->userManager = $this->createMock(IUserManager::class);
+
+        $l = $this->createMock(IL10N::class);
+        $l->method('t')
+            ->willReturnArgument(0);
+        $this->l10nFactory->method('get')
+            ->willReturn($l);
+
+        $this->service = new EmailTemplateService(
+            $this->settingsService,
+            new LinkFormatService($this->settingsService, $l),
+            $this->l10nFactory,
+            $this->userManager,
+            $this->createMock(IMailer::class),
+            $this->createMock(IDateTimeFormatter::class),
+            $this->createMock(ITimeFactory::class)
+        );
+    }
+
+    public function testGetTemplatePrefersMatchingLanguage(): void
+    {
+        $this->settingsService->method('getEmailTemplates')
+            ->willReturn([
+                ['language' => '', 'subject' => 'Invitation', 'body' => 'Join {link}'],
+                ['language' => 'de', 'subject' => 'Einladung', 'body' => ''],
+            ]);
+
+        $german = $this->service->getTemplate('de_DE');
+        $this->assertSame('Einladung', $german['subject']);
+        // An empty body falls back to the built-in text
+        $this->assertStringContainsString('{link}', $german['body']);
+        $this->assertStringContainsString('{sender}', $german['body']);
+
+        $this->assertSame(['subject' => 'Invitation', 'body' => 'Join {link}'], $this->service->getTemplate('fr'));
+    }
+
+    public function testGetRecipientLanguageUsesLocalAccount(): void
+    {
+        $user = $this->createMock(IUser::class);
+        $this->userManager->method('getByEmail')
+            ->with('bob@example.com')
+            ->willReturn([$user]);
+        $this->l10nFactory->method('getUserLanguage')
+            ->with($user)
+            ->willReturn('cs');
+
+        $this->assertSame('cs', $this->service->getRecipientLanguage('bob@example.com'));
+    }
+
+    public function testRenderReplacesPlaceholders(): void
+    {
+        $rendered = $this->service->render('{sender} invites you to {roomName}: {link} {unknown}', [
+            'sender' => 'Alice',
+            'roomName' => 'Weekly',
+            'link' => 'https://target.example.com/call/abc123',
+        ]);
+
+        $this->assertSame('Alice invites you to Weekly: https://target.example.com/call/abc123 {unknown}', $rendered);
+    }
+}
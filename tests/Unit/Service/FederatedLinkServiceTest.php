@@ -0,0 +1,93 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Tests\Unit\Service;
+
+use OCA\FederatedTalkLink\Service\AuditLogService;
+use OCA\FederatedTalkLink\Service\EmailTemplateService;
+use OCA\FederatedTalkLink\Service\FederatedLinkService;
+use OCA\FederatedTalkLink\Service\LinkFormatService;
+use OCA\FederatedTalkLink\Service\LoginFlowService;
+use OCA\FederatedTalkLink\Service\RoomCacheService;
+use OCA\FederatedTalkLink\Service\SettingsService;
+use OCP\Http\Client\IClientService;
+use OCP\IL10N;
+use OCP\IUserSession;
+use OCP\Mail\IMailer;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+use Psr\Log\LoggerInterface;
+
+class FederatedLinkServiceTest extends TestCase
+{
+    private FederatedLinkService&MockObject $service;
+    private SettingsService&MockObject $settingsService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->settingsService = $this->createMock(SettingsService::class);
+
+        // Only the requests to the external server are replaced
+        $this->service = $this->getMockBuilder(FederatedLinkService::class)
+            ->setConstructorArgs([
+                $this->settingsService,
+                $this->createMock(RoomCacheService::class),
+                $this->createMock(IClientService::class),
+                $this->createMock(LoggerInterface::class),
+                $this->createMock(IMailer::class),
+                $this->createMock(IUserSession::class),
+                $this->createMock(EmailTemplateService::class),
+                $this->createMock(LoginFlowService::class),
+                $this->createMock(AuditLogService::class),
+                $this->createMock(LinkFormatService::class),
+                $this->createMock(IL10N::class),
+            ])
+            ->onlyMethods(['fetchNotifications', 'acceptFederationInvitation'])
+            ->getMock();
+
+        $this->service->method('fetchNotifications')
+            ->willReturn(['ocs' => ['data' => [[
+                'app' => 'spreed',
+                'object_type' => 'remote_talk_share',
+                'object_id' => '7',
+                'subject' => 'Alice invited you to a federated conversation',
+                'subjectRichParameters' => [
+                    'roomName' => ['type' => 'highlight', 'id' => 'abc123', 'name' => 'devops-private'],
+                ],
+            ]]]]);
+    }
+
+    public function testInvitationIsNotAcceptedForPartOfTheRoomName(): void
+    {
+        $this->settingsService->method('isAutoAcceptEnabled')
+            ->willReturn(false);
+        $this->service->expects($this->never())
+            ->method('acceptFederationInvitation');
+
+        $result = $this->service->checkAndAcceptInvitation('dev', 'partner');
+
+        $this->assertFalse($result['accepted']);
+    }
+
+    public function testInvitationIsAcceptedForExactRoomName(): void
+    {
+        $this->settingsService->method('isAutoAcceptEnabled')
+            ->willReturn(false);
+        $this->service->expects($this->once())
+            ->method('acceptFederationInvitation')
+            ->with('7', 'partner')
+            ->willReturn(['success' => true]);
+
+        $result = $this->service->checkAndAcceptInvitation('DevOps-Private', 'partner');
+
+        $this->assertTrue($result['accepted']);
+    }
+}
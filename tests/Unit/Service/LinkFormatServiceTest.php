@@ -0,0 +1,96 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Tests\Unit\Service;
+
+use OCA\FederatedTalkLink\Service\LinkFormatService;
+use OCA\FederatedTalkLink\Service\SettingsService;
+use OCP\IL10N;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+
+class LinkFormatServiceTest extends TestCase
+{
+    private LinkFormatService $service;
+    private SettingsService&MockObject $settingsService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->settingsService = $this->createMock(SettingsService::class);
+
+        $l = $this->createMock(IL10N::class);
+        $l->method('t')
+            ->willReturnArgument(0);
+
+        $this->service = new LinkFormatService($this->settingsService, $l);
+    }
+
+    public function testFormatUsesBuiltInTemplates(): void
+    {
+        $this->settingsService->method('getLinkFormats')
+            ->willReturn([]);
+
+        $this->assertSame(
+            'https://target.example.com/call/abc123',
+            $this->service->format(LinkFormatService::FORMAT_CALL, 'https://target.example.com/', 'abc123')
+        );
+        $this->assertSame(
+            'https://target.example.com/call/abc123?displayName=Jane%20Doe',
+            $this->service->format(LinkFormatService::FORMAT_GUEST, 'https://target.example.com', 'abc123', null, 'Jane Doe')
+        );
+        $this->assertSame(
+            'nc://talk/target.example.com/nextcloud/call/abc123',
+            $this->service->format(LinkFormatService::FORMAT_DESKTOP, 'https://target.example.com/nextcloud', 'abc123')
+        );
+    }
+
+    public function testFormatPrefersAdminTemplate(): void
+    {
+        $this->settingsService->method('getLinkFormats')
+            ->willReturn([LinkFormatService::FORMAT_GUEST => '{target}/index.php/call/{token}#{roomName}']);
+
+        $this->assertSame(
+            'https://target.example.com/index.php/call/abc123#Team%20%26%20Friends',
+            $this->service->format(LinkFormatService::FORMAT_GUEST, 'https://target.example.com', 'abc123', 'Team & Friends')
+        );
+    }
+
+    public function testGetCallLinkIgnoresAdminTemplate(): void
+    {
+        $this->settingsService->method('getLinkFormats')
+            ->willReturn([LinkFormatService::FORMAT_CALL => '{target}/index.php/call/{token}#join']);
+
+        $this->assertSame(
+            'https://target.example.com/call/abc123',
+            $this->service->getCallLink('https://target.example.com/', 'abc123')
+        );
+    }
+
+    public function testGetFormatsMarksCustomizedTemplates(): void
+    {
+        $this->settingsService->method('getLinkFormats')
+            ->willReturn([LinkFormatService::FORMAT_DESKTOP => 'talk://{host}/{token}']);
+
+        $formats = array_column($this->service->getFormats(), null, 'id');
+
+        $this->assertSame(LinkFormatService::FORMATS, array_keys($formats));
+        $this->assertFalse($formats[LinkFormatService::FORMAT_CALL]['customized']);
+        $this->assertTrue($formats[LinkFormatService::FORMAT_DESKTOP]['customized']);
+        $this->assertSame('talk://{host}/{token}', $formats[LinkFormatService::FORMAT_DESKTOP]['template']);
+        $this->assertSame(LinkFormatService::DEFAULT_TEMPLATES[LinkFormatService::FORMAT_DESKTOP], $formats[LinkFormatService::FORMAT_DESKTOP]['defaultTemplate']);
+    }
+
+    public function testIsValidFormat(): void
+    {
+        $this->assertTrue($this->service->isValidFormat('guest'));
+        $this->assertFalse($this->service->isValidFormat('sms'));
+    }
+}
@@ -0,0 +1,122 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Tests\Unit\Service;
+
+use OCA\FederatedTalkLink\Db\LinkHistory;
+use OCA\FederatedTalkLink\Db\LinkHistoryMapper;
+use OCA\FederatedTalkLink\Service\LinkHistoryService;
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Utility\ITimeFactory;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+use Psr\Log\LoggerInterface;
+
+class LinkHistoryServiceTest extends TestCase
+{
+    private LinkHistoryService $service;
+    private LinkHistoryMapper&MockObject $mapper;
+    private ITimeFactory&MockObject $timeFactory;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->mapper = $this->createMock(LinkHistoryMapper::class);
+        $this->timeFactory = $this->createMock(ITimeFactory::class);
+        $this->timeFactory->method('getTime')
+            ->willReturn(1000);
+
+        $this->service = new LinkHistoryService(
+            $this->mapper,
+            $this->timeFactory,
+            $this->createMock(LoggerInterface::class)
+        );
+    }
+
+    public function testRecordInsertsNewEntry(): void
+    {
+        $this->mapper->method('findByRoom')
+            ->with('alice', 'default', 'abc123')
+            ->willReturn(null);
+        $this->mapper->expects($this->once())
+            ->method('insert')
+            ->willReturnArgument(0);
+        $this->mapper->expects($this->never())
+            ->method('update');
+
+        $entry = $this->service->record('alice', [
+            'server' => 'default',
+            'token' => 'abc123',
+            'link' => 'https://target.example.com/call/abc123',
+            'roomInfo' => ['name' => 'test1', 'displayName' => 'Test Room'],
+        ]);
+
+        $this->assertSame('alice', $entry->getUserId());
+        $this->assertSame('Test Room', $entry->getRoomName());
+        $this->assertSame(1000, $entry->getCreatedAt());
+        $this->assertSame(1000, $entry->getUpdatedAt());
+    }
+
+    public function testRecordEmailAddsRecipientOnce(): void
+    {
+        $entry = new LinkHistory();
+        $entry->setEmailedTo(json_encode(['bob@example.com']));
+
+        $this->mapper->method('findByLink')
+            ->willReturn($entry);
+        $this->mapper->expects($this->exactly(2))
+            ->method('update')
+            ->willReturnArgument(0);
+
+        $this->service->recordEmail('alice', 'https://target.example.com/call/abc123', 'carol@example.com');
+        $this->service->recordEmail('alice', 'https://target.example.com/call/abc123', 'bob@example.com');
+
+        $this->assertSame(['bob@example.com', 'carol@example.com'], $entry->getRecipients());
+    }
+
+    public function testRecordEmailMatchesRoomForOtherLinkFormats(): void
+    {
+        $entry = new LinkHistory();
+        $entry->setEmailedTo('[]');
+
+        $this->mapper->expects($this->once())
+            ->method('findByRoom')
+            ->with('alice', 'default', 'abc123')
+            ->willReturn($entry);
+        $this->mapper->expects($this->never())
+            ->method('findByLink');
+        $this->mapper->method('update')
+            ->willReturnArgument(0);
+
+        $this->service->recordEmail('alice', 'nc://talk/target.example.com/call/abc123', 'bob@example.com', 'default', 'abc123');
+
+        $this->assertSame(['bob@example.com'], $entry->getRecipients());
+    }
+
+    public function testListCapsLimit(): void
+    {
+        $this->mapper->expects($this->once())
+            ->method('findAllForUser')
+            ->with('alice', null, null, LinkHistoryService::MAX_LIMIT, 0)
+            ->willReturn([]);
+
+        $this->assertSame([], $this->service->list('alice', null, null, 1000, -5));
+    }
+
+    public function testDeleteReturnsFalseForUnknownEntry(): void
+    {
+        $this->mapper->method('findForUser')
+            ->willThrowException(new DoesNotExistException('not found'));
+        $this->mapper->expects($this->never())
+            ->method('delete');
+
+        $this->assertFalse($this->service->delete('alice', 42));
+    }
+}
@@ -0,0 +1,172 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Tests\Unit\Service;
+
+use OCA\FederatedTalkLink\Service\LoginFlowService;
+use OCA\FederatedTalkLink\Service\SettingsService;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\Http\Client\IClient;
+use OCP\Http\Client\IClientService;
+use OCP\Http\Client\IResponse;
+use OCP\ICache;
+use OCP\ICacheFactory;
+use OCP\IGroup;
+use OCP\IGroupManager;
+use OCP\IL10N;
+use OCP\IUser;
+use OCP\Notification\IManager as INotificationManager;
+use OCP\Notification\INotification;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+use Psr\Log\LoggerInterface;
+
+class LoginFlowServiceTest extends TestCase
+{
+    private LoginFlowService $service;
+    private SettingsService&MockObject $settingsService;
+    private IClient&MockObject $client;
+    private ICache&MockObject $cache;
+    private IGroupManager&MockObject $groupManager;
+    private INotificationManager&MockObject $notificationManager;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->settingsService = $this->createMock(SettingsService::class);
+        $this->client = $this->createMock(IClient::class);
+        $clientService = $this->createMock(IClientService::class);
+        $clientService->method('newClient')
+            ->willReturn($this->client);
+        $this->cache = $this->createMock(ICache::class);
+        $cacheFactory = $this->createMock(ICacheFactory::class);
+        $cacheFactory->method('createDistributed')
+            ->willReturn($this->cache);
+        $timeFactory = $this->createMock(ITimeFactory::class);
+        $timeFactory->method('getTime')
+            ->willReturn(1000);
+        $timeFactory->method('getDateTime')
+            ->willReturn(new \DateTime('@1000'));
+        $this->groupManager = $this->createMock(IGroupManager::class);
+        $this->notificationManager = $this->createMock(INotificationManager::class);
+
+        $notification = $this->createMock(INotification::class);
+        $notification->method($this->anything())
+            ->willReturnSelf();
+        $this->notificationManager->method('createNotification')
+            ->willReturn($notification);
+        $l = $this->createMock(IL10N::class);
+        $l->method('t')
+            ->willReturnCallback(fn (string $text, array $parameters = []): string => vsprintf($text, $parameters));
+
+        $this->service = new LoginFlowService(
+            $this->settingsService,
+            $clientService,
+            $cacheFactory,
+            $timeFactory,
+            $this->groupManager,
+            $this->notificationManager,
+            $this->createMock(LoggerInterface::class),
+            $l
+        );
+    }
+
+    public function testStartKeepsPollTokenOnServer(): void
+    {
+        $this->settingsService->method('getServer')
+            ->with('partner')
+            ->willReturn(['id' => 'partner', 'externalServerUrl' => 'ext.example.com']);
+
+        $response = $this->createMock(IResponse::class);
+        $response->method('getBody')
+            ->willReturn(json_encode([
+                'poll' => ['token' => 'secret', 'endpoint' => 'https://ext.example.com/login/v2/poll'],
+                'login' => 'https://ext.example.com/login/v2/flow/abc',
+            ]));
+        $this->client->expects($this->once())
+            ->method('post')
+            ->with('https://ext.example.com/index.php/login/v2')
+            ->willReturn($response);
+        $this->cache->expects($this->once())
+            ->method('set')
+            ->with('login-flow/partner', [
+                'token' => 'secret',
+                'endpoint' => 'https://ext.example.com/login/v2/poll',
+            ]);
+
+        $result = $this->service->start('partner');
+
+        $this->assertTrue($result['success']);
+        $this->assertSame('https://ext.example.com/login/v2/flow/abc', $result['loginUrl']);
+        $this->assertArrayNotHasKey('token', $result);
+    }
+
+    public function testPollIsPendingUntilLoginIsGranted(): void
+    {
+        $this->cache->method('get')
+            ->willReturn(['token' => 'secret', 'endpoint' => 'https://ext.example.com/login/v2/poll']);
+        $this->client->method('post')
+            ->willThrowException(new \Exception('Not found', 404));
+        $this->settingsService->expects($this->never())
+            ->method('saveServerCredentials');
+
+        $result = $this->service->poll('partner');
+
+        $this->assertTrue($result['success']);
+        $this->assertFalse($result['connected']);
+    }
+
+    public function testPollStoresAppPassword(): void
+    {
+        $this->cache->method('get')
+            ->willReturn(['token' => 'secret', 'endpoint' => 'https://ext.example.com/login/v2/poll']);
+        $response = $this->createMock(IResponse::class);
+        $response->method('getBody')
+            ->willReturn(json_encode([
+                'server' => 'https://ext.example.com',
+                'loginName' => 'bot',
+                'appPassword' => 'app-password',
+            ]));
+        $this->client->method('post')
+            ->willReturn($response);
+        $this->settingsService->expects($this->once())
+            ->method('saveServerCredentials')
+            ->with('partner', 'bot', 'app-password', 1000);
+
+        $result = $this->service->poll('partner');
+
+        $this->assertTrue($result['connected']);
+    }
+
+    public function testReportAuthFailureNotifiesAdminsOnce(): void
+    {
+        $admin = $this->createMock(IUser::class);
+        $admin->method('getUID')
+            ->willReturn('admin');
+        $group = $this->createMock(IGroup::class);
+        $group->method('getUsers')
+            ->willReturn([$admin]);
+        $this->groupManager->method('get')
+            ->with('admin')
+            ->willReturn($group);
+
+        $this->settingsService->expects($this->once())
+            ->method('setServerAuthFailed')
+            ->with('partner', 1000);
+        $this->notificationManager->expects($this->once())
+            ->method('notify');
+
+        $server = ['id' => 'partner', 'name' => 'Partner', 'connectedAt' => 500, 'authFailedAt' => null];
+        $this->service->reportAuthFailure($server);
+
+        // Already flagged, nobody is notified again
+        $this->service->reportAuthFailure(['authFailedAt' => 1000] + $server);
+    }
+}
@@ -0,0 +1,113 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Tests\Unit\Service;
+
+use OCA\FederatedTalkLink\Service\PermissionService;
+use OCA\FederatedTalkLink\Service\SettingsService;
+use OCP\IGroupManager;
+use OCP\IUser;
+use OCP\IUserManager;
+use OCP\Security\RateLimiting\ILimiter;
+use OCP\Security\RateLimiting\IRateLimitExceededException;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+
+class PermissionServiceTest extends TestCase
+{
+    private PermissionService $service;
+    private SettingsService&MockObject $settingsService;
+    private IGroupManager&MockObject $groupManager;
+    private IUserManager&MockObject $userManager;
+    private ILimiter&MockObject $limiter;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->settingsService = $this->createMock(SettingsService::class);
+        $this->groupManager = $this->createMock(IGroupManager::class);
+        $this->userManager = $this->createMock(IUserManager::class);
+        $this->limiter = $this->createMock(ILimiter::class);
+
+        $this->settingsService->method('getAccessGroups')
+            ->willReturn([
+                PermissionService::GENERATE => [],
+                PermissionService::BROWSE => ['staff'],
+                PermissionService::EMAIL => [],
+                PermissionService::TEST => [],
+            ]);
+
+        $this->service = new PermissionService(
+            $this->settingsService,
+            $this->groupManager,
+            $this->userManager,
+            $this->limiter
+        );
+    }
+
+    public function testCapabilityWithoutGroupsIsAllowedForEverybody(): void
+    {
+        $this->assertTrue($this->service->isAllowed('alice', PermissionService::GENERATE));
+    }
+
+    public function testCapabilityIsLimitedToGroups(): void
+    {
+        $this->groupManager->method('isInGroup')
+            ->willReturnMap([
+                ['alice', 'staff', true],
+                ['bob', 'staff', false],
+            ]);
+
+        $this->assertTrue($this->service->isAllowed('alice', PermissionService::BROWSE));
+        $this->assertFalse($this->service->isAllowed('bob', PermissionService::BROWSE));
+    }
+
+    public function testAdminIsAlwaysAllowed(): void
+    {
+        $this->groupManager->method('isAdmin')
+            ->with('admin')
+            ->willReturn(true);
+        $this->groupManager->expects($this->never())
+            ->method('isInGroup');
+
+        $this->assertTrue($this->service->isAllowed('admin', PermissionService::BROWSE));
+    }
+
+    public function testGuestIsNeverAllowed(): void
+    {
+        $this->assertFalse($this->service->isAllowed(null, PermissionService::GENERATE));
+    }
+
+    public function testRegisterEmailWithoutLimit(): void
+    {
+        $this->settingsService->method('getEmailRateLimit')
+            ->willReturn(0);
+        $this->limiter->expects($this->never())
+            ->method('registerUserRequest');
+
+        $this->assertTrue($this->service->registerEmail('alice'));
+    }
+
+    public function testRegisterEmailFailsWhenLimitIsReached(): void
+    {
+        $this->settingsService->method('getEmailRateLimit')
+            ->willReturn(10);
+        $this->settingsService->method('getEmailRatePeriod')
+            ->willReturn(3600);
+        $this->userManager->method('get')
+            ->willReturn($this->createMock(IUser::class));
+        $this->limiter->expects($this->once())
+            ->method('registerUserRequest')
+            ->with('federatedtalklink::email', 10, 3600)
+            ->willThrowException($this->createMock(IRateLimitExceededException::class));
+
+        $this->assertFalse($this->service->registerEmail('alice'));
+    }
+}
@@ -0,0 +1,122 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Tests\Unit\Service;
+
+use OCA\FederatedTalkLink\Db\PinnedRoom;
+use OCA\FederatedTalkLink\Db\PinnedRoomMapper;
+use OCA\FederatedTalkLink\Service\PinnedRoomService;
+use OCA\FederatedTalkLink\Service\SettingsService;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\IL10N;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+
+class PinnedRoomServiceTest extends TestCase
+{
+    private PinnedRoomService $service;
+    private PinnedRoomMapper&MockObject $mapper;
+    private SettingsService&MockObject $settingsService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->mapper = $this->createMock(PinnedRoomMapper::class);
+        $this->settingsService = $this->createMock(SettingsService::class);
+        $this->settingsService->method('getServer')
+            ->willReturn(['id' => 'partner', 'name' => 'Partner']);
+        $this->settingsService->method('isServerConfigured')
+            ->willReturn(true);
+        $timeFactory = $this->createMock(ITimeFactory::class);
+        $timeFactory->method('getTime')
+            ->willReturn(1000);
+        $l = $this->createMock(IL10N::class);
+        $l->method('t')
+            ->willReturnCallback(fn (string $text, array $parameters = []): string => vsprintf($text, $parameters));
+        $l->method('n')
+            ->willReturnCallback(fn (string $singular, string $plural, int $count, array $parameters = []): string => vsprintf(
+                str_replace('%n', (string)$count, $count === 1 ? $singular : $plural),
+                $parameters
+            ));
+
+        $this->service = new PinnedRoomService(
+            $this->mapper,
+            $this->settingsService,
+            $timeFactory,
+            $l
+        );
+    }
+
+    public function testPinStoresRoomOfResolvedServer(): void
+    {
+        $this->mapper->method('findByRoom')
+            ->with('alice', 'partner', 'abc123')
+            ->willReturn(null);
+        $this->mapper->method('findByUser')
+            ->willReturn([]);
+        $this->mapper->expects($this->once())
+            ->method('insert')
+            ->willReturnCallback(function (PinnedRoom $pin) {
+                $pin->setId(3);
+                return $pin;
+            });
+
+        $result = $this->service->pin('alice', 'abc123', null, 'Weekly sync');
+
+        $this->assertTrue($result['success']);
+        $this->assertSame(3, $result['pin']['id']);
+        $this->assertSame('partner', $result['pin']['serverId']);
+        $this->assertSame('Weekly sync', $result['pin']['roomName']);
+        $this->assertSame('Partner', $result['pin']['serverName']);
+    }
+
+    public function testPinRejectsMoreThanMaximum(): void
+    {
+        $this->mapper->method('findByRoom')
+            ->willReturn(null);
+        $this->mapper->method('findByUser')
+            ->willReturn(array_fill(0, PinnedRoomService::MAX_PINS, new PinnedRoom()));
+        $this->mapper->expects($this->never())
+            ->method('insert');
+
+        $result = $this->service->pin('alice', 'abc123', 'partner', null);
+
+        $this->assertFalse($result['success']);
+    }
+
+    public function testListMarksRoomsOfRemovedServers(): void
+    {
+        $this->settingsService->method('getServerList')
+            ->willReturn([['id' => 'partner', 'name' => 'Partner']]);
+        $this->mapper->method('findByUser')
+            ->willReturn([
+                $this->buildPin(1, 'partner', 'abc123'),
+                $this->buildPin(2, 'vendor', 'def456'),
+            ]);
+
+        $pins = $this->service->list('alice');
+
+        $this->assertTrue($pins[0]['available']);
+        $this->assertSame('Partner', $pins[0]['serverName']);
+        $this->assertFalse($pins[1]['available']);
+        $this->assertSame('vendor', $pins[1]['serverName']);
+    }
+
+    private function buildPin(int $id, string $serverId, string $token): PinnedRoom
+    {
+        $pin = new PinnedRoom();
+        $pin->setId($id);
+        $pin->setUserId('alice');
+        $pin->setServerId($serverId);
+        $pin->setRoomToken($token);
+        $pin->setCreatedAt(100);
+        return $pin;
+    }
+}
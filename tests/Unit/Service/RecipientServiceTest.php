@@ -0,0 +1,141 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Tests\Unit\Service;
+
+use OCA\FederatedTalkLink\Service\RecipientService;
+use OCP\Collaboration\Collaborators\ISearch;
+use OCP\IGroup;
+use OCP\IGroupManager;
+use OCP\IL10N;
+use OCP\IUser;
+use OCP\IUserManager;
+use OCP\Share\IManager as IShareManager;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+
+class RecipientServiceTest extends TestCase
+{
+    private RecipientService $service;
+    private IUserManager&MockObject $userManager;
+    private IGroupManager&MockObject $groupManager;
+    private IShareManager&MockObject $shareManager;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->userManager = $this->createMock(IUserManager::class);
+        $this->groupManager = $this->createMock(IGroupManager::class);
+        $this->shareManager = $this->createMock(IShareManager::class);
+        $this->shareManager->method('allowGroupSharing')
+            ->willReturn(true);
+        $l = $this->createMock(IL10N::class);
+        $l->method('t')
+            ->willReturnCallback(fn (string $text, array $parameters = []): string => vsprintf($text, $parameters));
+
+        $this->service = new RecipientService(
+            $this->createMock(ISearch::class),
+            $this->userManager,
+            $this->groupManager,
+            $this->shareManager,
+            $l
+        );
+    }
+
+    private function createUser(string $displayName, string $email): IUser&MockObject
+    {
+        $user = $this->createMock(IUser::class);
+        $user->method('getDisplayName')
+            ->willReturn($displayName);
+        $user->method('getEMailAddress')
+            ->willReturn($email);
+        return $user;
+    }
+
+    public function testResolveExpandsGroupsAndRemovesDuplicates(): void
+    {
+        $group = $this->createMock(IGroup::class);
+        $group->method('searchUsers')
+            ->willReturn([
+                $this->createUser('Alice', 'alice@example.com'),
+                $this->createUser('Bob', ''),
+            ]);
+        $this->groupManager->method('get')
+            ->with('partners')
+            ->willReturn($group);
+
+        $resolved = $this->service->resolve([
+            'ALICE@example.com',
+            ['type' => 'group', 'id' => 'partners'],
+            'not-an-address',
+        ]);
+
+        $this->assertSame([
+            ['recipient' => 'ALICE@example.com', 'type' => 'email', 'email' => 'ALICE@example.com', 'error' => null, 'code' => null],
+            ['recipient' => 'Bob', 'type' => 'group', 'email' => null, 'error' => 'User has no email address.', 'code' => 'invalid_recipient'],
+            ['recipient' => 'not-an-address', 'type' => 'email', 'email' => null, 'error' => 'Invalid email address format.', 'code' => 'invalid_recipient'],
+        ], $resolved);
+    }
+
+    public function testResolveReportsUnknownUser(): void
+    {
+        $this->userManager->method('get')
+            ->willReturn(null);
+
+        $this->assertSame(
+            [['recipient' => 'ghost', 'type' => 'user', 'email' => null, 'error' => 'User not found.', 'code' => 'invalid_recipient']],
+            $this->service->resolve([['type' => 'user', 'id' => 'ghost']])
+        );
+    }
+
+    public function testResolveAppliesGroupMembersOnlyRestriction(): void
+    {
+        $sender = $this->createUser('Alice', 'alice@example.com');
+        $outsider = $this->createUser('Mallory', 'mallory@example.com');
+        $this->userManager->method('get')
+            ->willReturnMap([['alice', $sender], ['mallory', $outsider]]);
+        $this->groupManager->method('getUserGroupIds')
+            ->willReturnCallback(fn (IUser $user): array => $user === $sender ? ['staff'] : ['other']);
+        $this->groupManager->method('get')
+            ->willReturn($this->createMock(IGroup::class));
+        $this->shareManager->method('shareWithGroupMembersOnly')
+            ->willReturn(true);
+
+        $resolved = $this->service->resolve([
+            ['type' => 'user', 'id' => 'mallory'],
+            ['type' => 'group', 'id' => 'admin'],
+        ], 'alice');
+
+        $this->assertSame(['User not found.', 'Group not found.'], array_column($resolved, 'error'));
+        $this->assertSame([null, null], array_column($resolved, 'email'));
+    }
+
+    public function testResolveStopsExpandingAfterMaximum(): void
+    {
+        $group = $this->createMock(IGroup::class);
+        $group->expects($this->once())
+            ->method('searchUsers')
+            ->with('', RecipientService::MAX_RECIPIENTS + 1)
+            ->willReturn(array_map(
+                fn (int $i): IUser => $this->createUser('User ' . $i, 'user' . $i . '@example.com'),
+                range(1, RecipientService::MAX_RECIPIENTS + 1)
+            ));
+        $this->groupManager->method('get')
+            ->willReturn($group);
+
+        $resolved = $this->service->resolve([
+            ['type' => 'group', 'id' => 'everyone'],
+            'late@example.com',
+        ]);
+
+        $this->assertCount(RecipientService::MAX_RECIPIENTS + 1, $resolved);
+        $this->assertNotContains('late@example.com', array_column($resolved, 'email'));
+    }
+}
@@ -0,0 +1,81 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Tests\Unit\Service;
+
+use OCA\FederatedTalkLink\Service\RoomCacheService;
+use OCA\FederatedTalkLink\Service\SettingsService;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\ICache;
+use OCP\ICacheFactory;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+
+class RoomCacheServiceTest extends TestCase
+{
+    private RoomCacheService $service;
+    private ICache&MockObject $cache;
+    private SettingsService&MockObject $settingsService;
+    private ITimeFactory&MockObject $timeFactory;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->cache = $this->createMock(ICache::class);
+        $this->settingsService = $this->createMock(SettingsService::class);
+        $this->timeFactory = $this->createMock(ITimeFactory::class);
+
+        $cacheFactory = $this->createMock(ICacheFactory::class);
+        $cacheFactory->method('createDistributed')
+            ->with('federatedtalklink')
+            ->willReturn($this->cache);
+
+        $this->service = new RoomCacheService(
+            $cacheFactory,
+            $this->settingsService,
+            $this->timeFactory
+        );
+    }
+
+    public function testSetStoresRoomsWithTimestampAndTtl(): void
+    {
+        $rooms = [['token' => 'abc123', 'name' => 'test1']];
+
+        $this->timeFactory->method('getTime')
+            ->willReturn(1000);
+        $this->settingsService->method('getRoomCacheInterval')
+            ->willReturn(300);
+
+        $this->cache->expects($this->once())
+            ->method('set')
+            ->with('rooms/default', ['rooms' => $rooms, 'fetchedAt' => 1000], 900);
+
+        $entry = $this->service->set('default', $rooms);
+
+        $this->assertEquals(1000, $entry['fetchedAt']);
+    }
+
+    public function testGetReturnsNullForMalformedEntry(): void
+    {
+        $this->cache->method('get')
+            ->with('rooms/default')
+            ->willReturn(['rooms' => []]);
+
+        $this->assertNull($this->service->get('default'));
+    }
+
+    public function testGetAge(): void
+    {
+        $this->timeFactory->method('getTime')
+            ->willReturn(1300);
+
+        $this->assertEquals(300, $this->service->getAge(['rooms' => [], 'fetchedAt' => 1000]));
+    }
+}
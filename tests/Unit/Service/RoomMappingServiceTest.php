@@ -0,0 +1,169 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Tests\Unit\Service;
+
+use OCA\FederatedTalkLink\Db\RoomMapping;
+use OCA\FederatedTalkLink\Db\RoomMappingMapper;
+use OCA\FederatedTalkLink\Service\FederatedLinkService;
+use OCA\FederatedTalkLink\Service\RoomMappingService;
+use OCA\FederatedTalkLink\Service\SettingsService;
+use OCA\FederatedTalkLink\Service\TalkParticipantService;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\IL10N;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+
+class RoomMappingServiceTest extends TestCase
+{
+    private RoomMappingService $service;
+    private RoomMappingMapper&MockObject $mapper;
+    private SettingsService&MockObject $settingsService;
+    private FederatedLinkService&MockObject $federatedLinkService;
+    private TalkParticipantService&MockObject $participantService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->mapper = $this->createMock(RoomMappingMapper::class);
+        $this->settingsService = $this->createMock(SettingsService::class);
+        $this->federatedLinkService = $this->createMock(FederatedLinkService::class);
+        $this->participantService = $this->createMock(TalkParticipantService::class);
+        $this->participantService->method('isParticipant')
+            ->willReturnCallback(fn (string $token, string $userId): bool => $userId !== 'eve');
+        $this->participantService->method('isModerator')
+            ->willReturnCallback(fn (string $token, string $userId): bool => $userId === 'alice');
+        $timeFactory = $this->createMock(ITimeFactory::class);
+        $timeFactory->method('getTime')
+            ->willReturn(1000);
+        $l = $this->createMock(IL10N::class);
+        $l->method('t')
+            ->willReturnCallback(fn (string $text, array $parameters = []): string => vsprintf($text, $parameters));
+
+        $this->service = new RoomMappingService(
+            $this->mapper,
+            $this->settingsService,
+            $this->federatedLinkService,
+            $this->participantService,
+            $timeFactory,
+            $l
+        );
+    }
+
+    public function testGetReturnsLinkOfMappedRoom(): void
+    {
+        $mapping = new RoomMapping();
+        $mapping->setServerId('partner');
+        $mapping->setRemoteToken('abc123');
+
+        $this->mapper->method('findByLocalToken')
+            ->with('local1')
+            ->willReturn($mapping);
+        $this->federatedLinkService->method('generateLinkByToken')
+            ->with('abc123', 'partner')
+            ->willReturn('https://target.example.com/call/abc123');
+
+        $result = $this->service->get('local1', 'bob');
+
+        $this->assertTrue($result['success']);
+        $this->assertSame('https://target.example.com/call/abc123', $result['link']);
+    }
+
+    public function testGetWithoutMapping(): void
+    {
+        $this->mapper->method('findByLocalToken')
+            ->willReturn(null);
+
+        $result = $this->service->get('local1', 'bob');
+
+        $this->assertFalse($result['success']);
+    }
+
+    public function testGetRejectsNonParticipant(): void
+    {
+        $this->mapper->expects($this->never())
+            ->method('findByLocalToken');
+
+        $result = $this->service->get('local1', 'eve');
+
+        $this->assertFalse($result['success']);
+        $this->assertSame('conversation_not_found', $result['code']);
+    }
+
+    public function testSetRejectsNonParticipant(): void
+    {
+        $this->mapper->expects($this->never())
+            ->method('insert');
+        $this->mapper->expects($this->never())
+            ->method('update');
+
+        $result = $this->service->set('local1', 'partner', 'abc123', null, 'eve');
+
+        $this->assertFalse($result['success']);
+        $this->assertSame('conversation_not_found', $result['code']);
+    }
+
+    public function testSetRequiresModerator(): void
+    {
+        $this->mapper->expects($this->never())
+            ->method('insert');
+
+        $result = $this->service->set('local1', 'partner', 'abc123', null, 'bob');
+
+        $this->assertFalse($result['success']);
+        $this->assertSame('permission_denied', $result['code']);
+    }
+
+    public function testDeleteRejectsNonParticipant(): void
+    {
+        $this->mapper->expects($this->never())
+            ->method('delete');
+
+        $result = $this->service->delete('local1', 'eve');
+
+        $this->assertFalse($result['success']);
+        $this->assertSame('conversation_not_found', $result['code']);
+    }
+
+    public function testSetRejectsUnknownServer(): void
+    {
+        $this->settingsService->method('getServer')
+            ->with('missing')
+            ->willReturn(null);
+        $this->mapper->expects($this->never())
+            ->method('insert');
+
+        $result = $this->service->set('local1', 'missing', 'abc123', null, 'alice');
+
+        $this->assertFalse($result['success']);
+    }
+
+    public function testSetInsertsNewMapping(): void
+    {
+        $this->settingsService->method('getServer')
+            ->willReturn(['id' => 'partner']);
+        $this->settingsService->method('isServerConfigured')
+            ->willReturn(true);
+        $this->mapper->method('findByLocalToken')
+            ->willReturn(null);
+        $this->mapper->expects($this->once())
+            ->method('insert')
+            ->willReturnArgument(0);
+        $this->federatedLinkService->method('generateLinkByToken')
+            ->willReturn('https://target.example.com/call/abc123');
+
+        $result = $this->service->set('local1', 'partner', 'abc123', 'Weekly Sync', 'alice');
+
+        $this->assertTrue($result['success']);
+        $this->assertSame('partner', $result['mapping']->getServerId());
+        $this->assertSame('Weekly Sync', $result['mapping']->getRemoteName());
+        $this->assertSame(1000, $result['mapping']->getUpdatedAt());
+    }
+}
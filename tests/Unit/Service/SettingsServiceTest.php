@@ -46,13 +46,153 @@ class SettingsServiceTest extends TestCase
         $this->assertEquals('ext.example.com', $result);
     }
 
-    public function testSetExternalServerUrl(): void
+    public function testSaveServersNormalizesUrls(): void
     {
-        $this->config->expects($this->once())
-            ->method('setAppValue')
-            ->with('federatedtalklink', 'external_server_url', 'ext.example.com');
+        $this->config->method('getAppValue')
+            ->willReturnCallback(fn ($appId, $key, $default) => $default);
+
+        $this->crypto->method('encrypt')
+            ->willReturn('encrypted_password');
+
+        $stored = [];
+        $this->config->method('setAppValue')
+            ->willReturnCallback(function ($appId, $key, $value) use (&$stored) {
+                $stored[$key] = $value;
+            });
+
+        $this->service->saveServers([
+            [
+                'id' => 'partner',
+                'name' => 'Partner',
+                'externalServerUrl' => 'ext.example.com/',
+                'username' => 'guest',
+                'password' => 'password',
+                'targetNextcloudUrl' => 'nextcloud.example.com/',
+            ],
+        ], 'partner');
+
+        $servers = json_decode($stored['servers'], true);
+        $this->assertCount(1, $servers);
+        $this->assertEquals('ext.example.com', $servers[0]['externalServerUrl']);
+        $this->assertEquals('nextcloud.example.com', $servers[0]['targetNextcloudUrl']);
+        $this->assertEquals('encrypted_password', $servers[0]['password']);
+        $this->assertEquals('partner', $stored['default_server']);
+    }
+
+    public function testSaveServersKeepsConnectedAppPassword(): void
+    {
+        $this->config->method('getAppValue')
+            ->willReturnCallback(fn ($appId, $key, $default) => match ($key) {
+                'servers' => json_encode([[
+                    'id' => 'partner',
+                    'externalServerUrl' => 'ext.example.com',
+                    'username' => 'bot',
+                    'password' => 'encrypted_app_password',
+                    'targetNextcloudUrl' => 'nextcloud.example.com',
+                    'connectedAt' => 500,
+                ]]),
+                default => $default,
+            });
+
+        $stored = [];
+        $this->config->method('setAppValue')
+            ->willReturnCallback(function ($appId, $key, $value) use (&$stored) {
+                $stored[$key] = $value;
+            });
+
+        $this->service->saveServers([
+            [
+                'id' => 'partner',
+                'name' => 'Partner',
+                'externalServerUrl' => 'ext.example.com',
+                'username' => 'bot',
+                'password' => null,
+                'targetNextcloudUrl' => 'nextcloud.example.com',
+            ],
+        ], 'partner');
+
+        $servers = json_decode($stored['servers'], true);
+        $this->assertEquals('encrypted_app_password', $servers[0]['password']);
+        $this->assertEquals(500, $servers[0]['connectedAt']);
+    }
 
-        $this->service->setExternalServerUrl('ext.example.com/');
+    public function testSaveServersDropsPasswordWhenServerChanges(): void
+    {
+        $this->config->method('getAppValue')
+            ->willReturnCallback(fn ($appId, $key, $default) => match ($key) {
+                'servers' => json_encode([[
+                    'id' => 'partner',
+                    'externalServerUrl' => 'ext.example.com',
+                    'username' => 'bot',
+                    'password' => 'encrypted_app_password',
+                    'targetNextcloudUrl' => 'nextcloud.example.com',
+                    'connectedAt' => 500,
+                ]]),
+                default => $default,
+            });
+
+        $stored = [];
+        $this->config->method('setAppValue')
+            ->willReturnCallback(function ($appId, $key, $value) use (&$stored) {
+                $stored[$key] = $value;
+            });
+
+        $this->service->saveServers([
+            [
+                'id' => 'partner',
+                'name' => 'Partner',
+                'externalServerUrl' => 'other.example.com',
+                'username' => 'bot',
+                'password' => '',
+                'targetNextcloudUrl' => 'nextcloud.example.com',
+            ],
+        ], 'partner');
+
+        $servers = json_decode($stored['servers'], true);
+        $this->assertSame('', $servers[0]['password']);
+        $this->assertNull($servers[0]['connectedAt']);
+    }
+
+    public function testGetServerFallsBackToLegacySettings(): void
+    {
+        $this->config->method('getAppValue')
+            ->willReturnCallback(function ($appId, $key, $default) {
+                return match ($key) {
+                    'external_server_url' => 'ext.example.com',
+                    'auth_username' => 'guest',
+                    'auth_password_encrypted' => 'encrypted_password',
+                    'target_nextcloud_url' => 'nextcloud.example.com',
+                    default => $default,
+                };
+            });
+
+        $this->crypto->method('decrypt')
+            ->willReturn('password');
+
+        $server = $this->service->getServer();
+
+        $this->assertNotNull($server);
+        $this->assertEquals('default', $server['id']);
+        $this->assertEquals('ext.example.com', $server['externalServerUrl']);
+        $this->assertEquals('password', $server['password']);
+        $this->assertNull($this->service->getServer('unknown'));
+    }
+
+    public function testMigrateLegacySettingsIsSkippedWhenProfilesExist(): void
+    {
+        $this->config->method('getAppValue')
+            ->willReturnCallback(function ($appId, $key, $default) {
+                return match ($key) {
+                    'servers' => json_encode([['id' => 'partner', 'externalServerUrl' => 'ext.example.com']]),
+                    'external_server_url' => 'old.example.com',
+                    default => $default,
+                };
+            });
+
+        $this->config->expects($this->never())
+            ->method('setAppValue');
+
+        $this->assertFalse($this->service->migrateLegacySettings());
     }
 
     public function testIsConfiguredReturnsFalseWhenNotConfigured(): void
@@ -85,4 +225,39 @@ class SettingsServiceTest extends TestCase
 
         $this->assertTrue($result);
     }
+
+    public function testAutoAcceptIsEnabledByDefault(): void
+    {
+        $this->config->method('getAppValue')
+            ->willReturnCallback(fn ($appId, $key, $default) => $default);
+
+        $this->assertTrue($this->service->isAutoAcceptEnabled());
+    }
+
+    public function testSetAutoAcceptEnabledStoresFlag(): void
+    {
+        $this->config->expects($this->once())
+            ->method('setAppValue')
+            ->with('federatedtalklink', 'auto_accept_invitations', 'no');
+
+        $this->service->setAutoAcceptEnabled(false);
+    }
+
+    public function testSaveAccessGroupsDropsUnknownCapabilities(): void
+    {
+        $this->config->expects($this->once())
+            ->method('setAppValue')
+            ->with('federatedtalklink', 'access_groups', json_encode([
+                'generate' => ['staff'],
+                'browse' => [],
+                'email' => ['staff', 'sales'],
+                'test' => [],
+            ]));
+
+        $this->service->saveAccessGroups([
+            'generate' => [' staff ', ''],
+            'email' => ['staff', 'sales', 'staff'],
+            'delete' => ['everyone'],
+        ]);
+    }
 }
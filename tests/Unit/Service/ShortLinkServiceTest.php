@@ -0,0 +1,212 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\FederatedTalkLink\Tests\Unit\Service;
+
+use OCA\FederatedTalkLink\Db\ShortLink;
+use OCA\FederatedTalkLink\Db\ShortLinkMapper;
+use OCA\FederatedTalkLink\Db\ShortLinkUse;
+use OCA\FederatedTalkLink\Db\ShortLinkUseMapper;
+use OCA\FederatedTalkLink\Service\FederatedLinkService;
+use OCA\FederatedTalkLink\Service\SettingsService;
+use OCA\FederatedTalkLink\Service\ShortLinkService;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\IL10N;
+use OCP\IURLGenerator;
+use OCP\Security\ISecureRandom;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+use Psr\Log\LoggerInterface;
+
+class ShortLinkServiceTest extends TestCase
+{
+    private ShortLinkService $service;
+    private ShortLinkMapper&MockObject $mapper;
+    private ShortLinkUseMapper&MockObject $useMapper;
+    private SettingsService&MockObject $settingsService;
+    private FederatedLinkService&MockObject $federatedLinkService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->mapper = $this->createMock(ShortLinkMapper::class);
+        $this->useMapper = $this->createMock(ShortLinkUseMapper::class);
+        $this->settingsService = $this->createMock(SettingsService::class);
+        $this->federatedLinkService = $this->createMock(FederatedLinkService::class);
+        $this->federatedLinkService->method('generateLinkByToken')
+            ->willReturnCallback(fn ($token, $serverId, $format = null, $displayName = null) => 'https://nextcloud.example.com/call/' . $token
+                . ($format === 'guest' ? '?displayName=' . rawurlencode((string)$displayName) : ''));
+        $secureRandom = $this->createMock(ISecureRandom::class);
+        $secureRandom->method('generate')
+            ->willReturn('abcdefghjk');
+        $urlGenerator = $this->createMock(IURLGenerator::class);
+        $urlGenerator->method('linkToRouteAbsolute')
+            ->willReturnCallback(fn ($route, $params) => 'https://cloud.example.com/s/' . $params['code']);
+        $timeFactory = $this->createMock(ITimeFactory::class);
+        $timeFactory->method('getTime')
+            ->willReturn(1000);
+        $l = $this->createMock(IL10N::class);
+        $l->method('t')
+            ->willReturnCallback(fn (string $text, array $parameters = []): string => vsprintf($text, $parameters));
+
+        $this->service = new ShortLinkService(
+            $this->mapper,
+            $this->useMapper,
+            $this->settingsService,
+            $this->federatedLinkService,
+            $secureRandom,
+            $urlGenerator,
+            $timeFactory,
+            $this->createMock(LoggerInterface::class),
+            $l
+        );
+    }
+
+    public function testCreateBuildsTargetFromToken(): void
+    {
+        $this->settingsService->method('getServer')
+            ->willReturn(['id' => 'partner']);
+        $this->settingsService->method('isServerConfigured')
+            ->willReturn(true);
+
+        $this->mapper->expects($this->once())
+            ->method('insert')
+            ->willReturnCallback(function (ShortLink $link) {
+                $link->setId(7);
+                return $link;
+            });
+
+        $result = $this->service->create('alice', 'abc123', 'partner', 'Kickoff', 2000, 5);
+
+        $this->assertTrue($result['success']);
+        $this->assertSame('https://nextcloud.example.com/call/abc123', $result['link']['target']);
+        $this->assertSame('https://cloud.example.com/s/abcdefghjk', $result['link']['url']);
+        $this->assertSame(5, $result['link']['maxUses']);
+        $this->assertSame(ShortLinkService::STATUS_ACTIVE, $result['link']['status']);
+    }
+
+    public function testCreateRedirectsToSelectedFormat(): void
+    {
+        $this->settingsService->method('getServer')
+            ->willReturn(['id' => 'partner']);
+        $this->settingsService->method('isServerConfigured')
+            ->willReturn(true);
+        $this->mapper->method('insert')
+            ->willReturnArgument(0);
+
+        $result = $this->service->create('alice', 'abc123', 'partner', null, null, null, 'guest', 'Jane Doe');
+
+        $this->assertTrue($result['success']);
+        $this->assertSame('https://nextcloud.example.com/call/abc123?displayName=Jane%20Doe', $result['link']['target']);
+    }
+
+    public function testCreateRejectsUnknownFormat(): void
+    {
+        $this->mapper->expects($this->never())
+            ->method('insert');
+
+        $result = $this->service->create('alice', 'abc123', 'partner', null, null, null, 'sms');
+
+        $this->assertFalse($result['success']);
+        $this->assertSame('invalid_parameter', $result['code']);
+    }
+
+    public function testCreateRejectsPastExpiry(): void
+    {
+        $this->settingsService->method('getServer')
+            ->willReturn(['id' => 'partner']);
+        $this->settingsService->method('isServerConfigured')
+            ->willReturn(true);
+
+        $this->mapper->expects($this->never())
+            ->method('insert');
+
+        $result = $this->service->create('alice', 'abc123', 'partner', null, 900, null);
+
+        $this->assertFalse($result['success']);
+    }
+
+    public function testCreateRejectsInvalidRoomToken(): void
+    {
+        $this->mapper->expects($this->never())
+            ->method('insert');
+
+        foreach (['abc', 'abc/../x', 'ABC123', str_repeat('a', 33)] as $token) {
+            $result = $this->service->create('alice', $token, 'partner', null, null, null);
+
+            $this->assertFalse($result['success']);
+            $this->assertSame('invalid_parameter', $result['code']);
+        }
+    }
+
+    public function testResolveCountsUseAndRedirects(): void
+    {
+        $this->mapper->method('findByCode')
+            ->willReturn($this->buildLink(null, 3, 1));
+        $this->mapper->expects($this->once())
+            ->method('incrementUseCount')
+            ->with(7)
+            ->willReturn(true);
+        $this->useMapper->expects($this->once())
+            ->method('insert')
+            ->with($this->callback(fn (ShortLinkUse $use) => $use->getOutcome() === ShortLinkService::OUTCOME_REDIRECTED
+                && $use->getUserId() === null));
+
+        $result = $this->service->resolve('abcdefghjk', null);
+
+        $this->assertTrue($result['success']);
+        $this->assertSame('https://nextcloud.example.com/call/abc123', $result['target']);
+    }
+
+    public function testResolveRefusesExpiredLink(): void
+    {
+        $this->mapper->method('findByCode')
+            ->willReturn($this->buildLink(500, null, 0));
+        $this->mapper->expects($this->never())
+            ->method('incrementUseCount');
+        $this->useMapper->expects($this->once())
+            ->method('insert')
+            ->with($this->callback(fn (ShortLinkUse $use) => $use->getOutcome() === ShortLinkService::STATUS_EXPIRED));
+
+        $result = $this->service->resolve('abcdefghjk', 'bob');
+
+        $this->assertFalse($result['success']);
+        $this->assertSame(ShortLinkService::STATUS_EXPIRED, $result['status']);
+    }
+
+    public function testResolveRefusesWhenLastUseIsTaken(): void
+    {
+        $this->mapper->method('findByCode')
+            ->willReturn($this->buildLink(null, 3, 2));
+        $this->mapper->method('incrementUseCount')
+            ->willReturn(false);
+
+        $result = $this->service->resolve('abcdefghjk', null);
+
+        $this->assertFalse($result['success']);
+        $this->assertSame(ShortLinkService::STATUS_USED_UP, $result['status']);
+    }
+
+    private function buildLink(?int $expiresAt, ?int $maxUses, int $useCount): ShortLink
+    {
+        $link = new ShortLink();
+        $link->setId(7);
+        $link->setCode('abcdefghjk');
+        $link->setUserId('alice');
+        $link->setServerId('partner');
+        $link->setRoomToken('abc123');
+        $link->setTarget('https://nextcloud.example.com/call/abc123');
+        $link->setCreatedAt(100);
+        $link->setExpiresAt($expiresAt);
+        $link->setMaxUses($maxUses);
+        $link->setUseCount($useCount);
+        return $link;
+    }
+}
@@ -0,0 +1,32 @@
+/**
+ * SPDX-FileCopyrightText: 2024 Your Name <admin@example.com>
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { parseIdentifiers, toCsv } from '../../src/utils/csv.js'
+
+test('toCsv quotes cells with separators and quotes', () => {
+    const csv = toCsv([{ room: 'Team, "A"', link: 'https://example.com/call/abc' }], ['room', 'link'])
+
+    assert.equal(csv, 'room,link\r\n"Team, ""A""",https://example.com/call/abc\r\n')
+})
+
+test('toCsv neutralizes cells that start like a formula', () => {
+    const rows = [
+        { room: '=HYPERLINK("https://evil.example")', recipient: '+1' },
+        { room: '-2+3', recipient: '@SUM(A1)' },
+    ]
+
+    assert.equal(
+        toCsv(rows, ['room', 'recipient']),
+        'room,recipient\r\n'
+            + '"\'=HYPERLINK(""https://evil.example"")",\'+1\r\n'
+            + '\'-2+3,\'@SUM(A1)\r\n'
+    )
+})
+
+test('parseIdentifiers skips the header row and duplicates', () => {
+    assert.deepEqual(parseIdentifiers('Room\nkickoff\n\nkickoff\nreview'), ['kickoff', 'review'])
+})
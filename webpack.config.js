@@ -16,6 +16,7 @@ module.exports = {
         'federatedtalklink-main': path.join(__dirname, 'src', 'main.js'),
         'federatedtalklink-admin-settings': path.join(__dirname, 'src', 'admin-settings.js'),
         'federatedtalklink-talk-integration': path.join(__dirname, 'src', 'talk-integration.js'),
+        'federatedtalklink-dashboard': path.join(__dirname, 'src', 'dashboard.js'),
     },
 
     output: {